@@ -1,14 +1,15 @@
 // netlify/functions/add-bank-to-razorpay-account.js
 const { createClient } = require('@supabase/supabase-js');
+const { withAuth, resolveAdminId } = require('./utils/auth');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
@@ -18,16 +19,17 @@ exports.handler = async (event, context) => {
     console.log('Adding bank account to Razorpay linked account...');
     
     const requestBody = JSON.parse(event.body);
-    const { admin_id, bank_details } = requestBody;
+    const { bank_details } = requestBody;
+    const admin_id = resolveAdminId(auth, requestBody.admin_id);
 
     // Validate required fields
-    if (!admin_id || !bank_details) {
+    if (!bank_details) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
           success: false,
-          error: 'Missing admin_id or bank_details'
+          error: 'Missing bank_details'
         })
       };
     }
@@ -148,4 +150,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { headers });
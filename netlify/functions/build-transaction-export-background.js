@@ -0,0 +1,64 @@
+// netlify/functions/build-transaction-export-background.js - Build a large export
+// A background function (up to 15 minutes), started by export-transactions
+// with the admin's session for an export it queued: { export_id, admin_id }.
+// Writes the file to storage; the dashboard polls export-transactions for it.
+// See utils/transaction-export.js.
+const { createClient } = require('@supabase/supabase-js');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+const { buildQueuedExport, removeExpiredExports } = require('./utils/transaction-export');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const headers = {
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { export_id: exportId, admin_id: requestedAdminId } = JSON.parse(event.body || '{}');
+    const adminId = resolveAdminId(auth, requestedAdminId);
+
+    if (!exportId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'export_id is required' })
+      };
+    }
+
+    const removed = await removeExpiredExports(supabase, adminId);
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired exports for admin ${adminId}`);
+    }
+
+    console.log(`📥 Building export ${exportId} for admin ${adminId}`);
+    const result = await buildQueuedExport(supabase, adminId, exportId);
+    console.log(`📥 Export ${exportId}: ${result.status}${result.rowCount != null ? ` (${result.rowCount} transactions)` : ''}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: result.status !== 'failed', ...result })
+    };
+
+  } catch (error) {
+    console.error('❌ Background export error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
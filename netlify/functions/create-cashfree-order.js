@@ -1,4 +1,8 @@
 const { createClient } = require('@supabase/supabase-js');
+const { priceOrderRequest, describeLineItems, saveLineItems } = require('./utils/product-catalog');
+const { getGateway } = require('./utils/gateways');
+const { resolveCashfreeEnvironment } = require('./utils/gateway-routing');
+const { getLinkExpiry } = require('./utils/payment-links');
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -16,12 +20,15 @@ exports.handler = async (event, context) => {
     // ✅ Extract all required parameters from request body
     const { 
       form_id, 
+      response_id,
       email, 
       product_name, 
       product_price, 
       customer_name = "Customer", 
       customer_phone = "9999999999",
-      form_admin_id
+      form_admin_id,
+      line_items,
+      gateway_fallback_reason
     } = JSON.parse(event.body || '{}');
 
     console.log('📥 Request received:', {
@@ -32,14 +39,26 @@ exports.handler = async (event, context) => {
       form_admin_id: form_admin_id || 'NOT PROVIDED'
     });
 
-    // Validate required environment variables
-    const CASHFREE_APP_ID = process.env.CASHFREE_APP_ID;
-    const CASHFREE_SECRET_KEY = process.env.CASHFREE_SECRET_KEY;
+    // Price the order from the form's product catalog or the response's queued
+    // order (one line item when no line_items are sent); prices in the request are ignored
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    const requestedItems = line_items?.length
+      ? line_items.map(li => ({ label: li.label, quantity: li.quantity }))
+      : [{ label: product_name, quantity: 1 }];
 
-    if (!CASHFREE_APP_ID || !CASHFREE_SECRET_KEY) {
-      throw new Error('Cashfree credentials not configured');
+    const pricing = await priceOrderRequest(supabase, form_id, { responseId: response_id, items: requestedItems });
+
+    if (!pricing.ok) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: pricing.error })
+      };
     }
 
+    const orderAmount = pricing.total;
+    const orderDescription = line_items?.length ? describeLineItems(pricing.lineItems) : product_name;
+
     // Generate unique order ID
     const orderId = `payform_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -47,119 +66,42 @@ exports.handler = async (event, context) => {
     const orderDetails = {
       form_id, 
       email, 
-      product_name, 
-      product_price, 
+      product_name: orderDescription, 
+      product_price: orderAmount, 
       customer_name, 
       customer_phone, 
-      form_admin_id
-    };
-
-    // Step 1: Create Cashfree Order
-    const orderData = {
-      order_id: orderId,
-      order_amount: parseFloat(product_price),
-      order_currency: "INR",
-      customer_details: {
-        customer_id: email.replace('@', '_').replace('.', '_'),
-        customer_name: customer_name,
-        customer_email: email,
-        customer_phone: customer_phone
-      },
-      order_meta: {
-        return_url: `https://payform2025.netlify.app/.netlify/functions/verify-cashfree-payment?order_id=${orderId}&form_id=${form_id}&email=${encodeURIComponent(email)}`
-      }
+      form_admin_id,
+      line_items: pricing.lineItems,
+      gateway_fallback_reason,
+      link_expires_at: await getLinkExpiry(supabase, form_id)
     };
 
-    const orderResponse = await fetch('https://sandbox.cashfree.com/pg/orders', {
-      method: 'POST',
-      headers: {
-        'x-client-id': CASHFREE_APP_ID,
-        'x-client-secret': CASHFREE_SECRET_KEY,
-        'x-api-version': '2023-08-01',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(orderData)
-    });
-
-    if (!orderResponse.ok) {
-      const errorText = await orderResponse.text();
-      throw new Error(`Cashfree order creation failed: ${errorText}`);
-    }
-
-    const cashfreeOrder = await orderResponse.json();
-    console.log('✅ Order created:', cashfreeOrder.cf_order_id);
-
-    // Step 2: Create Payment Session
-    const sessionData = {
-      order_id: cashfreeOrder.cf_order_id,
-      payment_methods: {}
-    };
-
-    const sessionResponse = await fetch(`https://sandbox.cashfree.com/pg/orders/${cashfreeOrder.cf_order_id}/payments`, {
-      method: 'POST',
-      headers: {
-        'x-client-id': CASHFREE_APP_ID,
-        'x-client-secret': CASHFREE_SECRET_KEY,
-        'x-api-version': '2023-08-01',
-        'Content-Type': 'application/json'
+    // ✅ Resolve admin ID for database logging and the admin's Cashfree environment
+    const adminId = await resolveAdminId(orderDetails);
+    const environment = await resolveCashfreeEnvironment(supabase, adminId);
+    console.log(`🧪 Cashfree environment: ${environment}`);
+
+    // Create the Cashfree payment link (link_id = our order ID)
+    const paymentLink = await getGateway('cashfree', { environment }).createPaymentLink({
+      orderId,
+      amount: orderAmount,
+      currency: 'INR',
+      description: `Payment for ${orderDescription}`,
+      customer: {
+        name: customer_name,
+        email,
+        phone: customer_phone
       },
-      body: JSON.stringify(sessionData)
+      notes: { form_id },
+      returnUrl: `${process.env.URL}/.netlify/functions/verify-cashfree-payment?order_id=${orderId}&form_id=${form_id}&email=${encodeURIComponent(email)}`,
+      expiresAt: orderDetails.link_expires_at
     });
 
-    let checkoutUrl = null;
-
-    if (sessionResponse.ok) {
-      const sessionResult = await sessionResponse.json();
-      console.log('✅ Payment session created:', sessionResult);
-      checkoutUrl = sessionResult.payment_link || sessionResult.data?.payment_link;
-    }
-
-    // Fallback: Use Payment Links API if session creation failed
-    if (!checkoutUrl) {
-      console.log('🔄 Trying Payment Links API...');
-      const linkData = {
-        link_id: `link_${orderId}`,
-        link_amount: parseFloat(product_price),
-        link_currency: "INR",
-        link_purpose: `Payment for ${product_name}`,
-        customer_details: {
-          customer_name: customer_name,
-          customer_email: email,
-          customer_phone: customer_phone
-        },
-        link_meta: {
-          return_url: `https://payform2025.netlify.app/.netlify/functions/verify-cashfree-payment?order_id=${orderId}&form_id=${form_id}&email=${encodeURIComponent(email)}`
-        }
-      };
-
-      const linkResponse = await fetch('https://sandbox.cashfree.com/pg/links', {
-        method: 'POST',
-        headers: {
-          'x-client-id': CASHFREE_APP_ID,
-          'x-client-secret': CASHFREE_SECRET_KEY,
-          'x-api-version': '2023-08-01',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(linkData)
-      });
-
-      if (linkResponse.ok) {
-        const linkResult = await linkResponse.json();
-        console.log('✅ Payment link created:', linkResult.link_url);
-        checkoutUrl = linkResult.link_url;
-      }
-    }
-
-    // Final fallback checkout URL
-    if (!checkoutUrl) {
-      checkoutUrl = `https://payments.cashfree.com/forms/${cashfreeOrder.payment_session_id.replace(/paymentpayment$/, '')}`;
-    }
-
-    // ✅ Resolve admin ID for database logging
-    const adminId = await resolveAdminId(orderDetails);
+    console.log('✅ Payment link created:', paymentLink.url);
+    const checkoutUrl = paymentLink.url;
 
     // ✅ Log transaction to database
-    await logTransactionToDatabase(orderId, cashfreeOrder, orderDetails, adminId);
+    await logTransactionToDatabase(orderId, paymentLink, orderDetails, adminId, environment);
 
     return {
       statusCode: 200,
@@ -167,9 +109,12 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: true,
         order_id: orderId,
-        cf_order_id: cashfreeOrder.cf_order_id,
+        cf_link_id: paymentLink.raw.cf_link_id,
         checkout_url: checkoutUrl,
-        admin_id_used: adminId
+        amount: orderAmount,
+        line_items: pricing.lineItems,
+        admin_id_used: adminId,
+        environment
       })
     };
 
@@ -263,7 +208,7 @@ async function resolveAdminId(orderDetails) {
 }
 
 // ✅ Enhanced Database Logging with Proper Variable Management
-async function logTransactionToDatabase(orderId, cashfreeOrder, orderDetails, adminId) {
+async function logTransactionToDatabase(orderId, paymentLink, orderDetails, adminId, environment) {
   try {
     const SUPABASE_URL = process.env.SUPABASE_URL;
     const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -300,7 +245,14 @@ async function logTransactionToDatabase(orderId, cashfreeOrder, orderDetails, ad
       payment_status: 'pending',
       payment_provider: 'cashfree',
       transaction_id: orderId,
-      cashfree_order_id: cashfreeOrder.cf_order_id,
+      cashfree_order_id: orderId,
+      cashfree_link_id: paymentLink.id,
+      payment_url: paymentLink.url,
+      payment_link_expires_at: orderDetails.link_expires_at.toISOString(),
+      gateway_used: 'cashfree',
+      gateway_fallback_reason: orderDetails.gateway_fallback_reason || null,
+      auto_split_enabled: false,
+      is_test: environment === 'sandbox',
       gateway_fee: Number(gatewayFee.toFixed(2)),
       platform_commission: Number(platformCommission.toFixed(2)),
       net_amount_to_admin: Number(netAmountToAdmin.toFixed(2)),
@@ -328,6 +280,11 @@ async function logTransactionToDatabase(orderId, cashfreeOrder, orderDetails, ad
       console.log('✅ Transaction logged successfully:', data?.[0]);
     }
 
+    // ✅ Store the order's line items against the transaction
+    if (data?.[0]?.id && orderDetails.line_items?.length) {
+      await saveLineItems(supabase, data[0].id, orderDetails.line_items);
+    }
+
     // ✅ Log to platform_commissions table for revenue tracking
     if (data?.[0]?.id) {
       const commissionData = {
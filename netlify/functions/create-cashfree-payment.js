@@ -1,5 +1,9 @@
 // netlify/functions/create-cashfree-payment.js - ENHANCED FOR DUAL GATEWAY
 const { createClient } = require('@supabase/supabase-js');
+const { resolveGatewayForForm, resolveCashfreeEnvironment } = require('./utils/gateway-routing');
+const { getGateway } = require('./utils/gateways');
+const { getLinkExpiry } = require('./utils/payment-links');
+const { priceLineItems } = require('./utils/product-catalog');
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -28,7 +32,7 @@ exports.handler = async (event, context) => {
     } = requestData;
 
     // Validation
-    if (!form_id || !email || !product_name || !product_price) {
+    if (!form_id || !email || !product_name) {
       return {
         statusCode: 400,
         headers,
@@ -40,20 +44,17 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Environment variables
-    const CASHFREE_APP_ID = process.env.CASHFREE_APP_ID;
-    const CASHFREE_SECRET_KEY = process.env.CASHFREE_SECRET_KEY;
+    // Environment variables (Cashfree keys depend on the environment and are
+    // checked by the gateway adapter)
     const SUPABASE_URL = process.env.SUPABASE_URL;
     const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
     console.log('🔧 Environment check:', {
-      CASHFREE_APP_ID: !!CASHFREE_APP_ID,
-      CASHFREE_SECRET_KEY: !!CASHFREE_SECRET_KEY,
       SUPABASE_URL: !!SUPABASE_URL,
       SUPABASE_SERVICE_ROLE_KEY: !!SUPABASE_SERVICE_ROLE_KEY
     });
 
-    if (!CASHFREE_APP_ID || !CASHFREE_SECRET_KEY || !SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
       return {
         statusCode: 500,
         headers,
@@ -66,6 +67,9 @@ exports.handler = async (event, context) => {
 
     // Create Supabase client
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    let fallbackReason = null;
+    let adminId = null;
+    let environment = null;
 
     // 🔍 Get form configuration with admin preferences
     console.log('🔍 Checking form_configs table...');
@@ -162,7 +166,7 @@ if (formConfig && formConfig.admin_id) {
       }
 
       //const formAdmin = formConfig.form_admins;
-      const adminId = form_admin_id || formAdmin?.id;
+      adminId = form_admin_id || formAdmin?.id;
       
       if (!adminId) {
         return {
@@ -175,37 +179,26 @@ if (formConfig && formConfig.admin_id) {
         };
       }
 
-      // 🆕 NEW: Check if admin prefers Razorpay and it's available
-      const preferredGateway = formAdmin?.preferred_gateway || 'cashfree';
-      
-      if (preferredGateway === 'razorpay' && formAdmin?.auto_splits_enabled) {
+      // 🆕 NEW: Use Razorpay Route when the form's routing says it's ready
+      const route = await resolveGatewayForForm(supabase, form_id);
+
+      if (route?.gateway === 'razorpay') {
         console.log('🔄 Admin prefers Razorpay Route, redirecting...');
-        
-        // Check if Razorpay account is activated
-        const { data: razorpayAccount } = await supabase
-          .from('razorpay_linked_accounts')
-          .select('*')
-          .eq('form_admin_id', adminId)
-          .eq('account_status', 'activated')
-          .single();
-
-        if (razorpayAccount) {
-          // Redirect to Razorpay Route
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({
-              success: true,
-              redirect_to_razorpay: true,
-              message: 'Using Razorpay Route for automatic splits'
-            })
-          };
-        } else {
-          console.log('⚠️ Razorpay not activated, falling back to Cashfree');
-        }
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            redirect_to_razorpay: true,
+            message: 'Using Razorpay Route for automatic splits'
+          })
+        };
       }
 
-      console.log('✅ Using Cashfree payment gateway');
+      fallbackReason = route?.fallbackReason || null;
+      environment = await resolveCashfreeEnvironment(supabase, adminId);
+
+      console.log(`✅ Using Cashfree payment gateway (${environment})`);
 
     } catch (dbError) {
       console.error('❌ Database connection error:', dbError);
@@ -220,90 +213,77 @@ if (formConfig && formConfig.admin_id) {
       };
     }
 
+    // Price the product from the form's catalog; product_price in the request is ignored
+    const pricing = await priceLineItems(supabase, form_id, [{ label: product_name, quantity: 1 }]);
+
+    if (!pricing.ok) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: pricing.error
+        })
+      };
+    }
+
+    if (product_price && Number(product_price) !== pricing.total) {
+      console.log(`⚠️ Submitted price ₹${product_price} ignored, order total is ₹${pricing.total}`);
+    }
+
     // Continue with Cashfree payment creation...
     const orderId = `payform_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const customerId = email.replace('@', '_').replace('.', '_');
     
     // Calculate commission breakdown
-    const totalAmount = parseFloat(product_price);
+    const totalAmount = pricing.total;
     const gatewayFee = (totalAmount * 2.5 / 100) + 3;
     const platformCommission = totalAmount * 3 / 100;
     const netAmountToAdmin = totalAmount - gatewayFee - platformCommission;
 
     // Return URLs for end users (not admin dashboard!)
-    const baseUrl = 'https://payform2025.netlify.app';
+    const baseUrl = process.env.URL;
     const returnUrl = `${baseUrl}/.netlify/functions/verify-cashfree-payment?order_id=${orderId}&form_id=${form_id}&email=${encodeURIComponent(email)}`;
 
     console.log('🔗 Payment URLs:', { returnUrl });
 
-    // Create Cashfree payment link
-    const cashfreePayload = {
-      link_id: orderId,
-      link_amount: totalAmount,
-      link_currency: 'INR',
-      link_purpose: product_name,
-      customer_details: {
-        customer_name: customer_name || email.split('@')[0],
-        customer_email: email,
-        customer_phone: '9999999999'
-      },
-      link_partial_payments: false,
-      link_expiry_time: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-      link_notes: {
-        form_id: form_id,
-        admin_id: adminId,
-        product_name: product_name,
-        customer_email: email
-      },
-      link_auto_reminders: true,
-      link_notify: {
-        send_sms: false,
-        send_email: false  // We handle our own emails
-      },
-      link_meta: {
-        return_url: returnUrl,
-        upi_intent: true
-      }
-    };
-
     console.log('💳 Creating Cashfree payment link...');
+    const expiresAt = await getLinkExpiry(supabase, form_id);
 
-    // Call Cashfree API
-    const cashfreeResponse = await fetch('https://sandbox.cashfree.com/pg/links', {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-        'x-api-version': '2023-08-01',
-        'x-client-id': CASHFREE_APP_ID,
-        'x-client-secret': CASHFREE_SECRET_KEY
-      },
-      body: JSON.stringify(cashfreePayload)
-    });
-
-    const cashfreeResult = await cashfreeResponse.json();
-    console.log('💳 Cashfree response:', { 
-      status: cashfreeResponse.status, 
-      ok: cashfreeResponse.ok,
-      result: cashfreeResult 
-    });
-
-    if (!cashfreeResponse.ok) {
-      console.error('❌ Cashfree API error:', cashfreeResult);
+    let cashfreeResult;
+    try {
+      cashfreeResult = await getGateway('cashfree', { environment }).createPaymentLink({
+        orderId,
+        amount: totalAmount,
+        currency: 'INR',
+        description: product_name,
+        customer: {
+          name: customer_name,
+          email
+        },
+        notes: {
+          form_id: form_id,
+          admin_id: adminId,
+          product_name: product_name,
+          customer_email: email
+        },
+        returnUrl,
+        expiresAt
+      });
+    } catch (cashfreeError) {
+      console.error('❌ Cashfree API error:', cashfreeError.details || cashfreeError.message);
       return {
         statusCode: 500,
         headers,
         body: JSON.stringify({ 
           success: false,
           error: 'Failed to create payment link',
-          details: cashfreeResult 
+          details: cashfreeError.details || cashfreeError.message
         })
       };
     }
 
     // Save transaction to database
-    const adminId = form_admin_id || formConfig.form_admins?.id;
-
     const transactionData = {
       form_id: form_id,
       email: email,
@@ -315,13 +295,17 @@ if (formConfig && formConfig.admin_id) {
       payment_provider: 'cashfree',
       transaction_id: orderId,
       cashfree_order_id: orderId,
-      cashfree_link_id: cashfreeResult.link_id,
+      cashfree_link_id: cashfreeResult.id,
+      payment_url: cashfreeResult.url,
+      payment_link_expires_at: expiresAt.toISOString(),
       gateway_fee: Number(gatewayFee.toFixed(2)),
       platform_commission: Number(platformCommission.toFixed(2)),
       net_amount_to_admin: Number(netAmountToAdmin.toFixed(2)),
       admin_id: adminId,
       gateway_used: 'cashfree', // 🆕 NEW: Track which gateway was used
+      gateway_fallback_reason: fallbackReason,
       auto_split_enabled: false, // 🆕 NEW: Cashfree uses manual splits
+      is_test: environment === 'sandbox',
       created_at: new Date().toISOString()
     };
 
@@ -345,7 +329,8 @@ if (formConfig && formConfig.admin_id) {
       body: JSON.stringify({
         success: true,
         gateway: 'cashfree',
-        checkout_url: cashfreeResult.link_url,
+        environment,
+        checkout_url: cashfreeResult.url,
         order_id: orderId,
         amount: totalAmount,
         commission_breakdown: {
@@ -1,5 +1,6 @@
 // netlify/functions/create-razorpay-linked-account.js
 const Razorpay = require('razorpay');
+const { withAuth, resolveAdminId } = require('./utils/auth');
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -7,27 +8,29 @@ const razorpay = new Razorpay({
   key_secret: process.env.RAZORPAY_KEY_SECRET,
 });
 
-exports.handler = async (event, context) => {
-  // CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  };
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
 
   try {
     console.log('🔗 Creating Razorpay linked account...');
-    const { admin_id, account_details } = JSON.parse(event.body);
+    const body = JSON.parse(event.body);
+    const { account_details } = body;
+    const admin_id = resolveAdminId(auth, body.admin_id);
 
-    if (!admin_id || !account_details) {
+    if (!account_details) {
       return {
         statusCode: 400,
         headers,
-        body: JSON.stringify({ error: 'Missing admin_id or account_details' })
+        body: JSON.stringify({ error: 'Missing account_details' })
       };
     }
 
@@ -122,4 +125,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { headers });
@@ -1,17 +1,14 @@
 // netlify/functions/create-razorpay-order.js - FIXED VERSION
 const { createClient } = require('@supabase/supabase-js');
-const Razorpay = require('razorpay');
+const { getGateway } = require('./utils/gateways');
+const { getLinkExpiry } = require('./utils/payment-links');
+const { priceOrderRequest, describeLineItems, saveLineItems } = require('./utils/product-catalog');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -26,9 +23,9 @@ exports.handler = async (event, context) => {
   try {
     console.log('🚀 Creating Razorpay payment link...');
     const requestData = JSON.parse(event.body);
-    const { form_id, customer_email, customer_name, product_name, product_price, admin_id } = requestData;
+    const { form_id, response_id, customer_email, customer_name, product_name, product_price, line_items, admin_id, auto_splits } = requestData;
 
-    if (!form_id || !customer_email || !product_name || !product_price) {
+    if (!form_id || !customer_email || !product_name) {
       return {
         statusCode: 400,
         headers,
@@ -57,26 +54,54 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Create Payment Link (works better for email)
-    const paymentLink = await razorpay.paymentLink.create({
-      amount: product_price * 100, // Convert to paise
-      currency: 'INR',
-      description: product_name,
+    // Price the order server-side from the form's product catalog (or the
+    // response's queued order); prices in the request are ignored.
+    // Single-product callers are treated as one line item of quantity 1.
+    const requestedItems = line_items?.length
+      ? line_items.map(li => ({ label: li.label, quantity: li.quantity }))
+      : [{ label: product_name, quantity: 1 }];
+
+    const pricing = await priceOrderRequest(supabase, form_id, { responseId: response_id, items: requestedItems });
+
+    if (!pricing.ok) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: pricing.error
+        })
+      };
+    }
+
+    const amount = pricing.total;
+    const currency = pricing.currency;
+    const lineItems = pricing.lineItems;
+    const description = line_items?.length ? describeLineItems(lineItems) : product_name;
+    const productSku = lineItems.length === 1 ? lineItems[0].sku : null;
+
+    if (product_price && Number(product_price) !== amount) {
+      console.log(`⚠️ Submitted price ₹${product_price} ignored, order total is ₹${amount}`);
+    }
+
+    // Create Payment Link (works better for email), payable for the form's link expiry
+    const razorpay = getGateway('razorpay');
+    const expiresAt = await getLinkExpiry(supabase, form_id);
+    const paymentLink = await razorpay.createPaymentLink({
+      amount,
+      currency,
+      description,
       customer: {
         name: customer_name || 'Customer',
         email: customer_email
       },
-      notify: {
-        sms: false,
-        email: false // We'll send our own email
-      },
-      reminder_enable: false,
-      callback_url: `${process.env.URL}/.netlify/functions/verify-razorpay-payment`,
-      callback_method: 'get',
+      returnUrl: `${process.env.URL}/.netlify/functions/verify-razorpay-payment`,
+      expiresAt,
       notes: {
         form_id,
         admin_id: formConfig.admin_id,
-        product_name
+        product_name: description,
+        product_sku: productSku
       }
     });
 
@@ -100,26 +125,35 @@ exports.handler = async (event, context) => {
         form_id,
         email: customer_email,
         customer_name: customer_name || 'Customer',
-        product_name,
-        payment_amount: product_price,
-        payment_currency: 'INR',
+        product_name: description,
+        product_sku: productSku,
+        payment_amount: amount,
+        payment_currency: currency,
         payment_status: 'pending',
         payment_provider: 'razorpay_link',
         transaction_id: paymentLink.id,
         razorpay_order_id: paymentLink.id,
+        payment_url: paymentLink.url,
+        payment_link_expires_at: expiresAt.toISOString(),
+        gateway_used: 'razorpay',
+        auto_split_enabled: !!auto_splits,
+        is_test: razorpay.environment === 'sandbox',
         admin_id: formConfig.admin_id,
         created_at: new Date().toISOString()
       });
 
+    await saveLineItems(supabase, nextId, lineItems);
+
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         success: true,
         order_id: paymentLink.id,
-        amount: product_price,
-        currency: 'INR',
-        checkout_url: paymentLink.short_url, // This will work in emails
+        amount,
+        currency,
+        line_items: lineItems,
+        checkout_url: paymentLink.url, // This will work in emails
         message: 'Payment link created successfully'
       })
     };
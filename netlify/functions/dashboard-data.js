@@ -1,14 +1,16 @@
 // netlify/functions/dashboard-data.js - CORRECTED VERSION
 const { createClient } = require('@supabase/supabase-js');
+const { formatTransaction, parseSearchParams, searchTotals } = require('./utils/transaction-search');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
@@ -16,27 +18,22 @@ exports.handler = async (event, context) => {
   try {
     console.log('🚀 Dashboard data request started');
     
-    // Get admin_id from request body (POST) or query params (GET)
-    let adminId;
+    // The signed-in admin's data; a super admin can name another admin with
+    // adminId in the request body (POST) or admin_id in query params (GET)
+    // includeTest / include_test=false leaves sandbox (test) transactions out
+    let requestedAdminId;
+    let includeTest = true;
     
     if (event.httpMethod === 'POST' && event.body) {
       const body = JSON.parse(event.body);
-      adminId = body.adminId;
+      requestedAdminId = body.adminId;
+      includeTest = body.includeTest !== false;
     } else {
-      adminId = event.queryStringParameters?.admin_id;
+      requestedAdminId = event.queryStringParameters?.admin_id;
+      includeTest = event.queryStringParameters?.include_test !== 'false';
     }
 
-    if (!adminId) {
-      console.error('❌ No admin_id provided');
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'admin_id is required',
-          message: 'Please provide adminId in request body or admin_id in query params'
-        })
-      };
-    }
+    const adminId = resolveAdminId(auth, requestedAdminId);
 
     console.log('Admin ID:', adminId);
 
@@ -84,16 +81,20 @@ exports.handler = async (event, context) => {
 
     // Fetch dashboard statistics
     console.log('📊 Fetching dashboard stats...');
-    const stats = await fetchDashboardStats(supabase, adminId);
+    const stats = await fetchDashboardStats(supabase, adminId, includeTest);
     
     // Fetch recent transactions
     console.log('💳 Fetching recent transactions...');
-    const transactions = await fetchRecentTransactions(supabase, adminId);
+    const transactions = await fetchRecentTransactions(supabase, adminId, includeTest);
 
     // Fetch commission data
     console.log('💰 Fetching commission data...');
     const commissions = await fetchCommissionData(supabase, adminId);
 
+    // Fetch gateway webhook events
+    console.log('🔔 Fetching webhook events...');
+    const webhookEvents = await fetchWebhookEvents(supabase, adminId);
+
     console.log('✅ Dashboard data compiled successfully');
 
     return {
@@ -105,7 +106,9 @@ exports.handler = async (event, context) => {
         stats,
         transactions,
         commissions,
+        webhookEvents,
         adminId,
+        includeTest,
         timestamp: new Date().toISOString()
       })
     };
@@ -122,7 +125,7 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { headers });
 
 // ADD this new function to fetch forms data
 async function fetchFormsData(supabase, adminId) {
@@ -149,43 +152,30 @@ async function fetchFormsData(supabase, adminId) {
   }
 }
 
-async function fetchDashboardStats(supabase, adminId) {
+async function fetchDashboardStats(supabase, adminId, includeTest) {
   try {
     console.log('📈 Fetching transaction stats for admin:', adminId);
 
-    // Get transaction statistics
-    const { data: allTransactions, error: transactionError } = await supabase
-      .from('transactions')
-      .select('*')
-      .eq('admin_id', adminId);
-
-    if (transactionError) {
-      console.error('Transaction query error:', transactionError);
-      throw transactionError;
-    }
-
-    console.log('Found transactions:', allTransactions?.length || 0);
-
-    const transactions = allTransactions || [];
-    const totalTransactions = transactions.length;
-    const paidTransactions = transactions.filter(t => t.payment_status === 'paid');
-    const pendingTransactions = transactions.filter(t => t.payment_status === 'pending');
-    const failedTransactions = transactions.filter(t => t.payment_status === 'failed');
+    // Counted in the database (transaction_search_totals) with no filters
+    const filters = parseSearchParams({ include_test: includeTest ? 'true' : 'false' });
+    const totals = await searchTotals(supabase, adminId, filters);
 
-    const totalRevenue = paidTransactions.reduce((sum, t) => sum + (parseFloat(t.payment_amount) || 0), 0);
-    const totalCommissions = paidTransactions.reduce((sum, t) => sum + (parseFloat(t.platform_commission) || 0), 0);
-    const totalNetEarnings = paidTransactions.reduce((sum, t) => sum + (parseFloat(t.net_amount_to_admin) || 0), 0);
+    const totalTransactions = totals.count;
+    const totalRevenue = parseFloat(totals.totalRevenue);
 
     const stats = {
       totalTransactions,
-      paidCount: paidTransactions.length,
-      pendingCount: pendingTransactions.length,
-      failedCount: failedTransactions.length,
-      totalRevenue: totalRevenue.toFixed(2),
-      totalCommissions: totalCommissions.toFixed(2),
-      totalNetEarnings: totalNetEarnings.toFixed(2),
+      paidCount: totals.paidCount,
+      pendingCount: totals.pendingCount,
+      failedCount: totals.failedCount,
+      refundedCount: totals.refundedCount,
+      disputedCount: totals.disputedCount,
+      totalRevenue: totals.totalRevenue,
+      totalRefunded: totals.totalRefunded,
+      totalCommissions: totals.totalCommissions,
+      totalNetEarnings: totals.totalNetEarnings,
       averageOrderValue: totalTransactions > 0 ? (totalRevenue / totalTransactions).toFixed(2) : '0.00',
-      conversionRate: totalTransactions > 0 ? ((paidTransactions.length / totalTransactions) * 100).toFixed(1) : '0.0'
+      conversionRate: totalTransactions > 0 ? ((totals.paidCount / totalTransactions) * 100).toFixed(1) : '0.0'
     };
 
     console.log('📊 Stats calculated:', stats);
@@ -198,7 +188,10 @@ async function fetchDashboardStats(supabase, adminId) {
       paidCount: 0,
       pendingCount: 0,
       failedCount: 0,
+      refundedCount: 0,
+      disputedCount: 0,
       totalRevenue: '0.00',
+      totalRefunded: '0.00',
       totalCommissions: '0.00',
       totalNetEarnings: '0.00',
       averageOrderValue: '0.00',
@@ -209,15 +202,21 @@ async function fetchDashboardStats(supabase, adminId) {
 }
 
 // COMPLETE REPLACEMENT for fetchRecentTransactions function
-async function fetchRecentTransactions(supabase, adminId) {
+async function fetchRecentTransactions(supabase, adminId, includeTest) {
   try {
     console.log('💳 Fetching transactions for admin:', adminId);
 
-    // Get transactions
-    const { data: transactions, error: transactionError } = await supabase
+    // Get transactions with their line items
+    let query = supabase
       .from('transactions')
-      .select('*')
-      .eq('admin_id', adminId)
+      .select('*, transaction_line_items(sku, label, quantity, unit_price, amount)')
+      .eq('admin_id', adminId);
+
+    if (!includeTest) {
+      query = query.eq('is_test', false);
+    }
+
+    const { data: transactions, error: transactionError } = await query
       .order('created_at', { ascending: false })
       .limit(50);
 
@@ -253,34 +252,7 @@ async function fetchRecentTransactions(supabase, adminId) {
     }
 
     // Map transactions with form names
-    return transactions.map(t => {
-      const formInfo = formLookup[t.form_id] || {};
-      
-      console.log(`🔍 Txn ${t.id}: form_id="${t.form_id}" -> form_name="${formInfo.name || 'Unknown Form'}"`);
-      
-      return {
-        id: t.id,
-        transactionId: t.cashfree_payment_id || t.transaction_id || `TXN_${t.id.toString().slice(0, 8)}`,
-        email: t.email,
-        customerName: t.customer_name || 'Unknown',
-        productName: t.product_name || 'Unknown Product',
-        formName: formInfo.name || 'Unknown Form',
-        formUrl: formInfo.url || null,
-        amount: parseFloat(t.payment_amount || 0).toFixed(2),
-        commission: parseFloat(t.platform_commission || 0).toFixed(2),
-        netAmount: parseFloat(t.net_amount_to_admin || 0).toFixed(2),
-        gatewayFee: parseFloat(t.gateway_fee || 0).toFixed(2),
-        status: t.payment_status || 'pending',
-        paymentMethod: t.payment_method || 'Cashfree',
-        createdAt: t.created_at,
-        formattedDate: new Date(t.created_at).toLocaleDateString('en-IN'),
-        formattedTime: new Date(t.created_at).toLocaleTimeString('en-IN', { 
-          hour: '2-digit', 
-          minute: '2-digit' 
-        }),
-        formId: t.form_id
-      };
-    });
+    return transactions.map(t => formatTransaction(t, formLookup[t.form_id]));
 
   } catch (error) {
     console.error('Error fetching transactions:', error);
@@ -313,7 +285,9 @@ async function fetchCommissionData(supabase, adminId) {
     }
 
     const commissionList = commissions || [];
-    const totalCommissionAmount = commissionList.reduce((sum, c) => sum + (parseFloat(c.commission_amount) || 0), 0);
+    // Net of the share given back on refunds
+    const totalCommissionAmount = commissionList.reduce((sum, c) =>
+      sum + (parseFloat(c.commission_amount) || 0) - (parseFloat(c.reversed_amount) || 0), 0);
     const completedCommissions = commissionList.filter(c => c.status === 'completed');
     const pendingCommissions = commissionList.filter(c => c.status === 'pending');
 
@@ -327,6 +301,7 @@ async function fetchCommissionData(supabase, adminId) {
         id: c.id,
         transactionId: c.transaction_id,
         amount: parseFloat(c.commission_amount || 0).toFixed(2),
+        reversedAmount: parseFloat(c.reversed_amount || 0).toFixed(2),
         status: c.status,
         createdAt: c.created_at,
         formattedDate: new Date(c.created_at).toLocaleDateString('en-IN')
@@ -346,3 +321,37 @@ async function fetchCommissionData(supabase, adminId) {
     };
   }
 }
+
+async function fetchWebhookEvents(supabase, adminId) {
+  try {
+    const { data: events, error } = await supabase
+      .from('webhook_events')
+      .select('id, provider, event_type, status, outcome, last_error, transaction_id, attempts, replay_count, received_at, processed_at')
+      .eq('admin_id', adminId)
+      .order('received_at', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      console.error('Webhook events fetch error:', error);
+      return [];
+    }
+
+    return (events || []).map(e => ({
+      id: e.id,
+      provider: e.provider,
+      eventType: e.event_type,
+      status: e.status,
+      outcome: e.outcome,
+      lastError: e.last_error,
+      transactionId: e.transaction_id,
+      attempts: e.attempts,
+      replayCount: e.replay_count,
+      receivedAt: e.received_at,
+      formattedDate: new Date(e.received_at).toLocaleString('en-IN')
+    }));
+
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    return [];
+  }
+}
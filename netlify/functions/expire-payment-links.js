@@ -0,0 +1,33 @@
+// netlify/functions/expire-payment-links.js - Scheduled payment link sweeper
+// Runs on the schedule in netlify.toml: every pending transaction whose link
+// is past payment_link_expires_at has the link cancelled at the gateway and is
+// marked 'expired'. See utils/payment-links.js.
+const { createClient } = require('@supabase/supabase-js');
+const { expireOverdueLinks } = require('./utils/payment-links');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('⌛ Expiring overdue payment links...');
+
+    const summary = await expireOverdueLinks(supabase);
+    console.log(`📊 Links: ${summary.due} overdue, ${summary.expired} expired, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Link expiry sweep failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
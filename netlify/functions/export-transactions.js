@@ -0,0 +1,129 @@
+// netlify/functions/export-transactions.js - Download an admin's transactions
+// GET ?format=csv|xlsx plus the transactions-search filters (status, form,
+// gateway, from, to, min, max, q, sort, order, include_test). Every matching
+// transaction is exported, not just one page; see utils/transaction-export.js.
+// Up to MAX_INLINE_EXPORT_ROWS come back as the file itself; larger exports
+// answer 202 with an export that build-transaction-export-background builds,
+// and GET ?export_id=<id> reports it (with a download URL once ready).
+const { createClient } = require('@supabase/supabase-js');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+const { getHeader } = require('./utils/gateways/signing');
+const { parseSearchParams, searchTotals } = require('./utils/transaction-search');
+const {
+  MAX_INLINE_EXPORT_ROWS,
+  buildTransactionExport,
+  checkExportFormat,
+  exportFilename,
+  failTransactionExport,
+  getTransactionExport,
+  queueTransactionExport
+} = require('./utils/transaction-export');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers; the browser needs Content-Disposition for the file name
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Expose-Headers': 'Content-Disposition',
+  'Content-Type': 'application/json'
+};
+
+// Hand a queued export to the background function, with the caller's session
+const startBackgroundExport = async (event, exportId, adminId) => {
+  const response = await fetch(`${process.env.URL}/.netlify/functions/build-transaction-export-background`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: getHeader(event.headers, 'authorization')
+    },
+    body: JSON.stringify({ export_id: exportId, admin_id: adminId })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Background export did not start (HTTP ${response.status})`);
+  }
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const adminId = resolveAdminId(auth, params.admin_id);
+
+    if (params.export_id) {
+      const queued = await getTransactionExport(supabase, adminId, params.export_id);
+      return {
+        statusCode: queued ? 200 : 404,
+        headers,
+        body: JSON.stringify(queued ? { success: true, export: queued } : { success: false, error: 'Export not found' })
+      };
+    }
+
+    const format = params.format || 'csv';
+    checkExportFormat(format);
+
+    // A page cursor or size doesn't apply to an export
+    const filters = parseSearchParams({ ...params, cursor: undefined, limit: undefined });
+
+    const { count } = await searchTotals(supabase, adminId, filters);
+    if (count > MAX_INLINE_EXPORT_ROWS) {
+      const queued = await queueTransactionExport(supabase, adminId, filters, format);
+      console.log(`📥 Queued export ${queued.id} of ${count} transactions for admin ${adminId} as ${format}`);
+
+      try {
+        await startBackgroundExport(event, queued.id, adminId);
+      } catch (error) {
+        await failTransactionExport(supabase, queued.id, error.message);
+        throw error;
+      }
+
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({ success: true, export: await getTransactionExport(supabase, adminId, queued.id) })
+      };
+    }
+
+    console.log(`📥 Exporting transactions for admin ${adminId} as ${format}`);
+    const { body, contentType, rowCount } = await buildTransactionExport(supabase, adminId, filters, format);
+    console.log(`✅ Exported ${rowCount} transactions (${body.length} bytes)`);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${exportFilename(format)}"`,
+        'Cache-Control': 'no-store'
+      },
+      body: body.toString('base64'),
+      isBase64Encoded: true
+    };
+
+  } catch (error) {
+    console.error('❌ Transaction export error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
@@ -0,0 +1,90 @@
+// netlify/functions/forms-push.js - Receives Google Forms push notifications
+//
+// Google publishes a Pub/Sub message for each RESPONSES watch event; a push
+// subscription delivers it here as:
+//   { message: { attributes: { formId, watchId, eventType }, messageId, publishTime }, subscription }
+// The push endpoint URL carries ?token=<FORMS_PUSH_TOKEN> so random callers
+// can't trigger processing. Any 2xx acknowledges the message; anything else
+// makes Pub/Sub redeliver it with backoff.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { FORM_COLUMNS, processFormResponses } = require('./utils/response-pipeline');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const headers = { 'Content-Type': 'application/json' };
+
+const isValidToken = (token) => {
+  const expected = process.env.FORMS_PUSH_TOKEN;
+  if (!expected || !token || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  if (!isValidToken((event.queryStringParameters || {}).token)) {
+    console.error('❌ Forms push rejected: invalid token');
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+  }
+
+  let message;
+  try {
+    message = JSON.parse(event.body || '{}').message;
+  } catch (parseError) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
+  }
+
+  const { formId, watchId, eventType } = (message && message.attributes) || {};
+  console.log(`📨 Forms push ${message && message.messageId}: ${eventType} for form ${formId} (watch ${watchId})`);
+
+  // Acknowledge anything we can't act on so Pub/Sub doesn't keep retrying it
+  if (!formId || eventType !== 'RESPONSES') {
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, ignored: true }) };
+  }
+
+  try {
+    const { data: form, error: formError } = await supabase
+      .from('form_configs')
+      .select(`${FORM_COLUMNS}, responses_watch_id`)
+      .eq('form_id', formId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (formError) {
+      throw new Error(`Database error: ${formError.message}`);
+    }
+
+    if (!form) {
+      console.log(`⏸️ Form ${formId} is not active, ignoring push`);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, ignored: true }) };
+    }
+
+    if (form.responses_watch_id && form.responses_watch_id !== watchId) {
+      console.log(`⚠️ Push came from watch ${watchId}, expected ${form.responses_watch_id} - processing anyway`);
+    }
+
+    const summary = await processFormResponses(supabase, form);
+    console.log(`📊 Push summary for ${form.form_name}: ${summary.processed} processed, ${summary.emailsSent} emails sent, ${summary.errors} errors`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error(`💥 Failed to process push for form ${formId}:`, error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
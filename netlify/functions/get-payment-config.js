@@ -1,5 +1,6 @@
 // netlify/functions/get-payment-config.js - ENHANCED VERSION
 const { createClient } = require('@supabase/supabase-js');
+const { resolveGatewayForForm } = require('./utils/gateway-routing');
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -31,27 +32,11 @@ exports.handler = async (event, context) => {
 
     console.log('Getting payment config for form:', form_id);
 
-    // Get form configuration with admin details
-    const { data: formConfig, error: formError } = await supabase
-      .from('form_configs')
-      .select(`
-        *,
-        form_admins (
-          id,
-          email,
-          name,
-          preferred_gateway,
-          auto_splits_enabled,
-          gateway_setup_status,
-          razorpay_account_id
-        )
-      `)
-      .eq('form_id', form_id)
-      .eq('is_active', true)
-      .single();
+    // Work out which gateway this form routes to
+    const route = await resolveGatewayForForm(supabase, form_id);
 
-    if (formError || !formConfig) {
-      console.log('Form not found or not active:', formError);
+    if (!route) {
+      console.log('Form not found or not active:', form_id);
       return {
         statusCode: 404,
         headers,
@@ -62,50 +47,19 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const formAdmin = formConfig.form_admins;
-    
-    // Determine which gateway to use
-    const preferredGateway = formAdmin.preferred_gateway || 'cashfree';
-    
-    // Check gateway readiness
-    let gatewayConfig = {};
-    let gatewayReady = false;
-
-    if (preferredGateway === 'razorpay') {
-      // Check if Razorpay Route is ready
-      const { data: razorpayAccount } = await supabase
-        .from('razorpay_linked_accounts')
-        .select('*')
-        .eq('form_admin_id', formAdmin.id)
-        .eq('account_status', 'activated')
-        .single();
-
-      if (razorpayAccount && formAdmin.auto_splits_enabled) {
-        gatewayConfig = {
+    const { formConfig, formAdmin } = route;
+    const gatewayConfig = route.gateway === 'razorpay'
+      ? {
           gateway: 'razorpay',
           auto_splits: true,
-          account_id: razorpayAccount.razorpay_account_id,
-          commission_rate: 3.0
-        };
-        gatewayReady = true;
-      } else {
-        // Fallback to Cashfree if Razorpay not ready
-        console.log('Razorpay not ready, falling back to Cashfree');
-        gatewayConfig = {
+          account_id: route.accountId,
+          commission_rate: route.commissionRate
+        }
+      : {
           gateway: 'cashfree',
           auto_splits: false,
-          fallback_reason: 'razorpay_not_activated'
+          ...(route.fallbackReason && { fallback_reason: route.fallbackReason })
         };
-        gatewayReady = true;
-      }
-    } else {
-      // Use Cashfree
-      gatewayConfig = {
-        gateway: 'cashfree',
-        auto_splits: false
-      };
-      gatewayReady = true;
-    }
 
     // Get provider configuration
     const { data: providerConfig } = await supabase
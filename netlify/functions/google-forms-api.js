@@ -1,6 +1,7 @@
 // netlify/functions/google-forms-api.js - UPDATED VERSION (Database Credentials)
 const { createClient } = require('@supabase/supabase-js');
 const { google } = require('googleapis');
+const { withAuth, resolveAdminId } = require('./utils/auth');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -50,7 +51,7 @@ const initGoogleAuth = async () => {
   }
 };
 
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   console.log('🚀 Google Forms API function called');
   console.log('Action:', JSON.parse(event.body || '{}').action);
 
@@ -61,7 +62,8 @@ exports.handler = async (event, context) => {
 
   try {
     const requestBody = JSON.parse(event.body || '{}');
-    const { action, formId, adminId, accessToken } = requestBody;
+    const { action, formId, accessToken } = requestBody;
+    const adminId = resolveAdminId(auth, requestBody.adminId);
 
     // 🐛 DEBUG: Log all received parameters
     console.log('🔍 Received parameters:', { action, formId, adminId, accessToken });
@@ -99,7 +101,7 @@ switch (action) {
       })
     };
   }
-};
+}, { headers, supabase });
 
 // Generate OAuth URL for user authentication
 const generateAuthUrl = async () => {
@@ -252,7 +254,9 @@ const getFormStructure = async (formId, adminId) => {
         if (item.questionItem) {
           const question = item.questionItem.question;
           questions.push({
-            questionId: `entry.${item.itemId || index}`,
+            // Response answers are keyed by questionId, not itemId
+            questionId: question.questionId || `entry.${item.itemId || index}`,
+            itemId: item.itemId,
             title: item.title || `Question ${index + 1}`,
             type: question.choiceQuestion ? 'MULTIPLE_CHOICE' : 
                   question.textQuestion ? 'SHORT_ANSWER' : 
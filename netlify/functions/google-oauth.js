@@ -1,6 +1,8 @@
 // netlify/functions/google-oauth.js - OAuth Authentication Handler
 const { createClient } = require('@supabase/supabase-js');
 const { google } = require('googleapis');
+const { GMAIL_SEND_SCOPE } = require('./utils/email/transports/gmail');
+const { withAuth, resolveAdminId } = require('./utils/auth');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -17,7 +19,7 @@ const headers = {
 };
 
 // Main handler
-exports.handler = async (event, context) => {
+exports.handler = withAuth(async (event, context, auth) => {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
@@ -26,7 +28,8 @@ exports.handler = async (event, context) => {
   try {
     console.log('🔐 Google OAuth handler called');
     
-    const { action, adminId, code } = JSON.parse(event.body || '{}');
+    const { action, adminId: requestedAdminId, code, enabled } = JSON.parse(event.body || '{}');
+    const adminId = resolveAdminId(auth, requestedAdminId);
 
     switch (action) {
       case 'getAuthUrl':
@@ -43,6 +46,8 @@ exports.handler = async (event, context) => {
         return await getUserInfo(adminId);
       case 'forceUpdateEmail':
         return await forceUpdateUserEmail(adminId);
+      case 'setSendFromGmail':
+        return await setSendFromGmail(adminId, enabled);
       default:
         return {
           statusCode: 400,
@@ -59,7 +64,7 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({ error: 'Internal server error' })
     };
   }
-};
+}, { headers, supabase });
 
 // Force update user email for existing tokens
 const forceUpdateUserEmail = async (adminId) => {
@@ -193,7 +198,7 @@ const generateAuthUrl = async (adminId) => {
       scope: [
         'https://www.googleapis.com/auth/forms.responses.readonly',
         'https://www.googleapis.com/auth/forms.body.readonly',
-        'https://www.googleapis.com/auth/gmail.send',
+        GMAIL_SEND_SCOPE,
         'https://www.googleapis.com/auth/userinfo.email',
         'https://www.googleapis.com/auth/userinfo.profile'
       ],
@@ -402,6 +407,8 @@ const checkAuthStatus = async (adminId) => {
 
     console.log('✅ Found auth tokens for admin', adminId);
 
+    const sendFromGmail = await isSendingFromGmail(adminId);
+
     // Check if token is expired
     const now = new Date();
     const expiresAt = new Date(tokenData.token_expires_at);
@@ -420,6 +427,7 @@ const checkAuthStatus = async (adminId) => {
             success: true,
             authenticated: true,
             email: tokenData.user_email,
+            sendFromGmail,
             message: 'Authenticated (token refreshed)'
           })
         };
@@ -446,6 +454,7 @@ const checkAuthStatus = async (adminId) => {
         success: true,
         authenticated: true,
         email: tokenData.user_email,
+        sendFromGmail,
         expiresAt: expiresAt.toISOString(),
         message: 'Authenticated'
       })
@@ -504,6 +513,13 @@ const revokeGoogleAccess = async (adminId) => {
 
     console.log('✅ Google auth tokens removed from database');
 
+    // Nothing left to send Gmail with; back to the platform sender
+    await supabase
+      .from('form_admins')
+      .update({ email_transport: null })
+      .eq('id', adminId)
+      .eq('email_transport', 'gmail');
+
     return {
       statusCode: 200,
       headers,
@@ -527,6 +543,90 @@ const revokeGoogleAccess = async (adminId) => {
   }
 };
 
+// Whether the admin's emails go out through their own Gmail (form_admins.email_transport)
+const isSendingFromGmail = async (adminId) => {
+  const { data: admin } = await supabase
+    .from('form_admins')
+    .select('email_transport')
+    .eq('id', adminId)
+    .maybeSingle();
+
+  return admin?.email_transport === 'gmail';
+};
+
+// Turn "Send from my Gmail" on or off. Turning it on needs a connected
+// account that granted gmail.send; sends that fail to authorize fall back
+// to the platform sender (see utils/email).
+const setSendFromGmail = async (adminId, enabled) => {
+  try {
+    console.log(`📧 ${enabled ? 'Enabling' : 'Disabling'} Gmail sending for admin: ${adminId}`);
+
+    if (!adminId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'adminId is required' })
+      };
+    }
+
+    if (enabled) {
+      const { data: tokenData } = await supabase
+        .from('google_auth_tokens')
+        .select('refresh_token, scope')
+        .eq('admin_id', adminId)
+        .maybeSingle();
+
+      if (!tokenData) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Connect your Google account first' })
+        };
+      }
+
+      if (tokenData.scope && !tokenData.scope.includes(GMAIL_SEND_SCOPE)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Your Google connection does not allow sending email. Disconnect and connect again to grant it.'
+          })
+        };
+      }
+    }
+
+    const { error: updateError } = await supabase
+      .from('form_admins')
+      .update({ email_transport: enabled ? 'gmail' : null })
+      .eq('id', adminId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    console.log(`✅ Gmail sending ${enabled ? 'enabled' : 'disabled'}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, sendFromGmail: !!enabled })
+    };
+
+  } catch (error) {
+    console.error('❌ Error updating Gmail sending:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Failed to update email settings',
+        details: error.message
+      })
+    };
+  }
+};
+
 // Get user info from stored data or Google API
 const getUserInfo = async (adminId) => {
   try {
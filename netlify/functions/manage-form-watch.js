@@ -0,0 +1,89 @@
+// netlify/functions/manage-form-watch.js - Start/stop push notifications for a form
+// Called by the signed-in dashboard when a form is registered, paused, resumed or deleted
+// (delete must run before the form_configs row is removed).
+const { createClient } = require('@supabase/supabase-js');
+const { ensureResponsesWatch, deleteResponsesWatch } = require('./utils/form-watches');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { action, formId, adminId: requestedAdminId } = JSON.parse(event.body || '{}');
+    const adminId = resolveAdminId(auth, requestedAdminId);
+
+    if (!formId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'formId is required' })
+      };
+    }
+
+    // Watches run on the owner's Google account, so the form must belong to this admin
+    const { data: formConfig } = await supabase
+      .from('form_configs')
+      .select('form_id, responses_watch_id')
+      .eq('form_id', formId)
+      .eq('admin_id', adminId)
+      .maybeSingle();
+
+    if (!formConfig) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Form not found' })
+      };
+    }
+
+    switch (action) {
+      case 'create': {
+        const watch = await ensureResponsesWatch(supabase, formId, adminId);
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, watchId: watch.id, expireTime: watch.expireTime })
+        };
+      }
+      case 'delete': {
+        await deleteResponsesWatch(supabase, formId, adminId, formConfig.responses_watch_id);
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true })
+        };
+      }
+      default:
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Invalid action' })
+        };
+    }
+
+  } catch (error) {
+    console.error('❌ Form watch error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
@@ -0,0 +1,33 @@
+// netlify/functions/process-pipeline-jobs.js - Job worker for the response pipeline
+//
+// Scheduled (see netlify.toml) to run every due order-creation / email job.
+// It takes no requests; manual retries from the dashboard go through
+// retry-pipeline-job.js, which needs the form owner's session.
+const { createClient } = require('@supabase/supabase-js');
+const { drainDueJobs } = require('./utils/response-pipeline');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('⚙️ Draining due pipeline jobs...');
+    const summary = await drainDueJobs(supabase);
+    console.log(`📊 Jobs: ${summary.due} due, ${summary.completed} completed, ${summary.retrying} rescheduled, ${summary.failed} failed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Pipeline job worker failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,106 @@
+// netlify/functions/refund-transaction.js - Refund a paid transaction through its gateway
+// Called from the dashboard's transaction list: { transactionId, amount?, reason? }.
+// Omitting amount refunds everything still refundable. Only the signed-in
+// admin who owns the transaction can refund it.
+const { createClient } = require('@supabase/supabase-js');
+const { requestRefund } = require('./utils/refunds');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { transactionId, adminId: requestedAdminId, amount, reason } = JSON.parse(event.body || '{}');
+    const adminId = resolveAdminId(auth, requestedAdminId);
+
+    if (!transactionId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'transactionId is required' })
+      };
+    }
+
+    if (amount != null && !(Number(amount) > 0)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'amount must be a positive number' })
+      };
+    }
+
+    // Another admin's transaction looks the same as a missing one
+    const { data: transaction } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('id', transactionId)
+      .eq('admin_id', adminId)
+      .maybeSingle();
+
+    if (!transaction) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Transaction not found' })
+      };
+    }
+
+    const { refund, transaction: updated } = await requestRefund(supabase, transaction, {
+      amount: amount != null ? Number(amount) : null,
+      reason: reason ? String(reason).slice(0, 500) : null,
+      requestedBy: adminId
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        refund: {
+          id: refund.id,
+          amount: refund.amount,
+          status: refund.status,
+          gatewayRefundId: refund.gateway_refund_id
+        },
+        transaction: {
+          id: updated.id,
+          status: updated.payment_status,
+          amountRefunded: updated.amount_refunded
+        }
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Refund error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
@@ -0,0 +1,116 @@
+// netlify/functions/regenerate-payment-link.js - Reissue a transaction's payment link
+// Called from the dashboard's transaction list: { transactionId, notify? }.
+// Works for pending, expired and cancelled transactions; a still-payable old
+// link is cancelled first. Unless notify is false the customer is emailed the
+// new link. Only the signed-in admin who owns the transaction can do this.
+const { createClient } = require('@supabase/supabase-js');
+const { regeneratePaymentLink } = require('./utils/payment-links');
+const { sendEmail } = require('./utils/email');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { transactionId, adminId: requestedAdminId, notify = true } = JSON.parse(event.body || '{}');
+    const adminId = resolveAdminId(auth, requestedAdminId);
+
+    if (!transactionId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'transactionId is required' })
+      };
+    }
+
+    // Another admin's transaction looks the same as a missing one
+    const { data: transaction } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('id', transactionId)
+      .eq('admin_id', adminId)
+      .maybeSingle();
+
+    if (!transaction) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Transaction not found' })
+      };
+    }
+
+    const { transaction: updated, url } = await regeneratePaymentLink(supabase, transaction);
+
+    // The link is already replaced, so a failed email is reported, not thrown
+    let emailError = null;
+    if (notify) {
+      try {
+        await sendEmail(supabase, {
+          adminId,
+          to: updated.email,
+          template: 'payment_request',
+          data: {
+            customerName: updated.customer_name,
+            productName: updated.product_name,
+            amount: updated.payment_amount,
+            paymentLink: url,
+            orderId: updated.transaction_id
+          }
+        });
+      } catch (error) {
+        console.error(`⚠️ New link email for transaction ${updated.id} failed:`, error.message);
+        emailError = error.message;
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        emailed: notify && !emailError,
+        emailError,
+        transaction: {
+          id: updated.id,
+          transactionId: updated.transaction_id,
+          status: updated.payment_status,
+          paymentUrl: url,
+          linkExpiresAt: updated.payment_link_expires_at
+        }
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Link regeneration error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
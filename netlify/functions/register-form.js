@@ -2,29 +2,34 @@
 // This ensures forms are always properly registered with correct admin_id
 
 const { createClient } = require('@supabase/supabase-js');
+const { withAuth, resolveAdminId } = require('./utils/auth');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
 
   try {
-    const { form_id, form_name, form_url, admin_id } = JSON.parse(event.body || '{}');
+    const body = JSON.parse(event.body || '{}');
+    const { form_id, form_name, form_url } = body;
+
+    // Registered to the signed-in admin (a super admin can name another)
+    const admin_id = resolveAdminId(auth, body.admin_id);
 
-    if (!form_id || !form_name || !admin_id) {
+    if (!form_id || !form_name) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
           success: false,
-          error: 'Missing required fields: form_id, form_name, admin_id'
+          error: 'Missing required fields: form_id, form_name'
         })
       };
     }
@@ -131,4 +136,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+}, { headers });
@@ -0,0 +1,32 @@
+// netlify/functions/renew-form-watches.js - Scheduled renewal of Forms push watches
+// Runs on the schedule in netlify.toml. Watches expire 7 days after creation,
+// so a daily run renews anything expiring within two days (or never created).
+const { createClient } = require('@supabase/supabase-js');
+const { renewExpiringWatches } = require('./utils/form-watches');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('🔄 Renewing Google Forms watches...');
+
+    const summary = await renewExpiringWatches(supabase);
+    console.log(`📊 Watches: ${summary.checked} due, ${summary.renewed} renewed, ${summary.failed} failed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Watch renewal failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -0,0 +1,94 @@
+// netlify/functions/replay-webhook-event.js - Run a stored gateway webhook event again
+// Called from the dashboard's webhook event list by the signed-in admin: { eventId }.
+// The payment status state machine keeps a replay from undoing later changes.
+const { createClient } = require('@supabase/supabase-js');
+const { replayWebhookEvent } = require('./utils/webhook-events');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { eventId, adminId: requestedAdminId } = JSON.parse(event.body || '{}');
+    const adminId = resolveAdminId(auth, requestedAdminId);
+
+    if (!eventId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'eventId is required' })
+      };
+    }
+
+    // Events are attributed to the admin whose transaction they touched
+    const { data: webhookEvent } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('id', eventId)
+      .eq('admin_id', adminId)
+      .maybeSingle();
+
+    if (!webhookEvent) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Webhook event not found' })
+      };
+    }
+
+    if (webhookEvent.status === 'rejected') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Events with an invalid signature cannot be replayed' })
+      };
+    }
+
+    console.log(`🔁 Replaying ${webhookEvent.provider} event ${webhookEvent.id} (${webhookEvent.event_type})`);
+    const result = await replayWebhookEvent(supabase, webhookEvent);
+
+    if (result.status === 'duplicate') {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Event is being processed right now' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: result.status !== 'failed',
+        status: result.status,
+        outcome: result.outcome,
+        error: result.error
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Webhook replay error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
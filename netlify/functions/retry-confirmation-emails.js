@@ -0,0 +1,33 @@
+// netlify/functions/retry-confirmation-emails.js - Scheduled confirmation email retries
+// Runs on the schedule in netlify.toml and sends the payment confirmations
+// that failed (once their backoff is up) or were never sent. See
+// utils/confirmation-email.js.
+const { createClient } = require('@supabase/supabase-js');
+const { retryConfirmationEmails } = require('./utils/confirmation-email');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('📧 Retrying due confirmation emails...');
+
+    const summary = await retryConfirmationEmails(supabase);
+    console.log(`📊 Confirmations: ${summary.due} due, ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Confirmation email retries failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
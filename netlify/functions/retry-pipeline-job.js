@@ -0,0 +1,104 @@
+// netlify/functions/retry-pipeline-job.js - Retry failed form responses by hand
+// Called from the dashboard by the form's owner (or a super admin):
+//   { action: 'retryResponse', form_id, response_id }
+//   { action: 'retryFailed', form_id }   - every failed response of a form
+// A response whose job gave up has that job requeued (requeueJob) and run
+// straight away; see retryFormResponse() in utils/response-pipeline.js.
+const { createClient } = require('@supabase/supabase-js');
+const { retryFormResponse } = require('./utils/response-pipeline');
+const { withAuth } = require('./utils/auth');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+const retryFailedResponses = async (formId) => {
+  const { data: failed, error } = await supabase
+    .from('processed_form_responses')
+    .select('response_id')
+    .eq('form_id', formId)
+    .eq('status', 'failed');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const results = [];
+  for (const row of failed || []) {
+    const result = await retryFormResponse(supabase, formId, row.response_id);
+    results.push({ response_id: row.response_id, status: result.status, error: result.error });
+  }
+
+  return results;
+};
+
+// Only the form's owner (or a super admin) can retry its responses
+const isFormOwner = async (auth, formId) => {
+  if (auth.role === 'super_admin') return true;
+
+  const { data: formConfig } = await supabase
+    .from('form_configs')
+    .select('form_id')
+    .eq('form_id', formId)
+    .eq('admin_id', auth.adminId)
+    .maybeSingle();
+
+  return !!formConfig;
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { action, form_id, response_id } = JSON.parse(event.body || '{}');
+
+    if (!['retryResponse', 'retryFailed'].includes(action) || !form_id || (action === 'retryResponse' && !response_id)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'action (retryResponse or retryFailed), form_id and, for retryResponse, response_id are required' })
+      };
+    }
+
+    if (!(await isFormOwner(auth, form_id))) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Form not found' })
+      };
+    }
+
+    console.log(`🔁 Manual retry (${action}) for form ${form_id}`);
+
+    const results = action === 'retryResponse'
+      ? [{ response_id, ...(await retryFormResponse(supabase, form_id, response_id)) }]
+      : await retryFailedResponses(form_id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, results })
+    };
+
+  } catch (error) {
+    console.error('💥 Manual retry failed:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
@@ -0,0 +1,32 @@
+// netlify/functions/send-monthly-statements.js - Scheduled monthly statements
+// Runs on the schedule in netlify.toml and emails every form admin last
+// month's statement with their transactions attached. See utils/statements.js.
+const { createClient } = require('@supabase/supabase-js');
+const { sendMonthlyStatements } = require('./utils/statements');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('📊 Sending monthly statements...');
+
+    const summary = await sendMonthlyStatements(supabase);
+    console.log(`📊 Statements for ${summary.period}: ${summary.admins} admins, ${summary.sent} sent, ${summary.empty} empty, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Monthly statements failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
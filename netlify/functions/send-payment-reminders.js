@@ -0,0 +1,32 @@
+// netlify/functions/send-payment-reminders.js - Scheduled payment reminders
+// Runs on the schedule in netlify.toml and emails every pending transaction
+// whose next reminder (its form's reminder_schedule) is due. See utils/reminders.js.
+const { createClient } = require('@supabase/supabase-js');
+const { sendDueReminders } = require('./utils/reminders');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+exports.handler = async (event, context) => {
+  try {
+    console.log('⏰ Sending due payment reminders...');
+
+    const summary = await sendDueReminders(supabase);
+    console.log(`📊 Reminders: ${summary.forms} forms, ${summary.due} due, ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Payment reminders failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+};
@@ -1,14 +1,30 @@
-// netlify/functions/dashboard-data.js - Real Dashboard Data Fetcher
+// netlify/functions/super-admin-data.js - Platform-wide figures for the super admin dashboard
+// GET ?granularity=day|week|month (default day) picks the GMV series buckets:
+// the last 30 days, 12 weeks or 12 months, which the gateway mix covers too.
+// Every figure is aggregated in the database by the platform_* functions (see
+// the platform_analytics migration).
 const { createClient } = require('@supabase/supabase-js');
+const { withAuth } = require('./utils/auth');
 
-exports.handler = async (event, context) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each GMV series goes
+const SERIES_WINDOW_DAYS = {
+  day: 30,
+  week: 12 * 7,
+  month: 365
+};
+
+const LEADERBOARD_SIZE = 10;
 
+exports.handler = withAuth(async (event, context, auth) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
@@ -26,163 +42,101 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Get admin_id from query parameters (default to test admin)
-    const adminId = event.queryStringParameters?.admin_id || 'f807a8c3-316b-4df0-90e7-5f7796c86f71';
+    const granularity = event.queryStringParameters?.granularity || 'day';
+    if (!SERIES_WINDOW_DAYS[granularity]) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'granularity must be day, week or month' })
+      };
+    }
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+    const since = new Date(Date.now() - SERIES_WINDOW_DAYS[granularity] * DAY_MS);
 
-    // Fetch dashboard statistics
-    const stats = await fetchDashboardStats(supabase, adminId);
-    
-    // Fetch recent transactions
-    const transactions = await fetchRecentTransactions(supabase, adminId);
-
-    // Fetch commission data
-    const commissions = await fetchCommissionData(supabase, adminId);
+    const [stats, gmvSeries, formAdmins, gateways, funnel] = await Promise.all([
+      fetchOverviewStats(supabase),
+      fetchGmvSeries(supabase, granularity, since),
+      fetchFormAdmins(supabase),
+      fetchGatewayStats(supabase, since),
+      fetchOnboardingFunnel(supabase)
+    ]);
 
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         stats,
-        transactions,
-        commissions,
-        adminId
+        gmvSeries: { granularity, since: since.toISOString(), points: gmvSeries },
+        formAdmins,
+        leaderboard: formAdmins.slice(0, LEADERBOARD_SIZE),
+        gateways,
+        funnel,
+        generatedAt: new Date().toISOString()
       })
     };
 
   } catch (error) {
-    console.error('Dashboard data error:', error);
+    console.error('Super admin data error:', error);
     return {
       statusCode: 500,
       headers,
-      body: JSON.stringify({ error: 'Failed to fetch dashboard data' })
+      body: JSON.stringify({ error: 'Failed to fetch platform data' })
     };
   }
-};
+}, { headers, roles: ['super_admin'] });
 
-async function fetchDashboardStats(supabase, adminId) {
-  try {
-    // Get transaction statistics
-    const { data: allTransactions, error: transactionError } = await supabase
-      .from('transactions')
-      .select('*')
-      .eq('admin_id', adminId);
+// PostgREST returns bigint / numeric columns as numbers or strings depending
+// on size, so everything is normalised to numbers
+const toNumbers = (row, fields) =>
+  fields.reduce((result, field) => ({ ...result, [field]: Number(row[field]) || 0 }), { ...row });
 
-    if (transactionError) throw transactionError;
+const callRpc = async (supabase, name, params) => {
+  const { data, error } = await supabase.rpc(name, params);
 
-    const totalTransactions = allTransactions.length;
-    const paidTransactions = allTransactions.filter(t => t.payment_status === 'paid');
-    const pendingTransactions = allTransactions.filter(t => t.payment_status === 'pending');
-    const failedTransactions = allTransactions.filter(t => t.payment_status === 'failed');
+  if (error) {
+    throw new Error(`${name} failed: ${error.message}`);
+  }
 
-    const totalRevenue = paidTransactions.reduce((sum, t) => sum + (t.payment_amount || 0), 0);
-    const totalCommissions = paidTransactions.reduce((sum, t) => sum + (t.platform_commission || 0), 0);
-    const totalNetEarnings = paidTransactions.reduce((sum, t) => sum + (t.net_amount_to_admin || 0), 0);
+  return data || [];
+};
 
-    return {
-      totalTransactions,
-      paidCount: paidTransactions.length,
-      pendingCount: pendingTransactions.length,
-      failedCount: failedTransactions.length,
-      totalRevenue: totalRevenue.toFixed(2),
-      totalCommissions: totalCommissions.toFixed(2),
-      totalNetEarnings: totalNetEarnings.toFixed(2),
-      averageOrderValue: totalTransactions > 0 ? (totalRevenue / totalTransactions).toFixed(2) : '0.00',
-      conversionRate: totalTransactions > 0 ? ((paidTransactions.length / totalTransactions) * 100).toFixed(1) : '0.0'
-    };
+async function fetchOverviewStats(supabase) {
+  const [row] = await callRpc(supabase, 'platform_overview_stats');
 
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    return {
-      totalTransactions: 0,
-      paidCount: 0,
-      pendingCount: 0,
-      failedCount: 0,
-      totalRevenue: '0.00',
-      totalCommissions: '0.00',
-      totalNetEarnings: '0.00',
-      averageOrderValue: '0.00',
-      conversionRate: '0.0'
-    };
-  }
+  return toNumbers(row || {}, [
+    'today_transactions', 'today_successful', 'today_revenue', 'today_commission',
+    'transactions_30d', 'total_transactions', 'total_revenue', 'total_commission',
+    'active_form_admins', 'new_admins_30d', 'active_forms'
+  ]);
 }
 
-async function fetchRecentTransactions(supabase, adminId) {
-  try {
-    const { data: transactions, error } = await supabase
-      .from('transactions')
-      .select('*')
-      .eq('admin_id', adminId)
-      .order('created_at', { ascending: false })
-      .limit(50);
-
-    if (error) throw error;
-
-    return transactions.map(t => ({
-      id: t.id,
-      transactionId: t.cashfree_payment_id || t.transaction_id || `TXN_${t.id.slice(0, 8)}`,
-      email: t.email,
-      productName: t.product_name || 'Unknown Product',
-      amount: parseFloat(t.payment_amount || 0).toFixed(2),
-      commission: parseFloat(t.platform_commission || 0).toFixed(2),
-      netAmount: parseFloat(t.net_amount_to_admin || 0).toFixed(2),
-      status: t.payment_status || 'pending',
-      paymentMethod: t.payment_method || 'Cashfree',
-      createdAt: t.created_at,
-      formattedDate: new Date(t.created_at).toLocaleDateString('en-IN'),
-      formattedTime: new Date(t.created_at).toLocaleTimeString('en-IN', { 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      })
-    }));
+async function fetchGmvSeries(supabase, granularity, since) {
+  const rows = await callRpc(supabase, 'platform_gmv_series', {
+    p_granularity: granularity,
+    p_since: since.toISOString()
+  });
 
-  } catch (error) {
-    console.error('Error fetching transactions:', error);
-    return [];
-  }
+  return rows.map(row => toNumbers(row, ['transactions', 'gmv', 'commission']));
 }
 
-async function fetchCommissionData(supabase, adminId) {
-  try {
-    const { data: commissions, error } = await supabase
-      .from('platform_commissions')
-      .select('*')
-      .eq('form_admin_id', adminId)
-      .order('created_at', { ascending: false })
-      .limit(20);
+// Every form admin, highest revenue first (the first few are the leaderboard)
+async function fetchFormAdmins(supabase) {
+  const rows = await callRpc(supabase, 'platform_admin_leaderboard', { p_limit: null });
 
-    if (error) throw error;
+  return rows.map(row => toNumbers(row, [
+    'total_transactions', 'successful_transactions', 'total_revenue', 'platform_fees_paid', 'net_earnings'
+  ]));
+}
 
-    const totalCommissionAmount = commissions.reduce((sum, c) => sum + (c.commission_amount || 0), 0);
-    const completedCommissions = commissions.filter(c => c.status === 'completed');
-    const pendingCommissions = commissions.filter(c => c.status === 'pending');
+async function fetchGatewayStats(supabase, since) {
+  const rows = await callRpc(supabase, 'platform_gateway_stats', { p_since: since.toISOString() });
 
-    return {
-      totalCommissions: commissions.length,
-      completedCount: completedCommissions.length,
-      pendingCount: pendingCommissions.length,
-      totalAmount: totalCommissionAmount.toFixed(2),
-      averageCommission: commissions.length > 0 ? (totalCommissionAmount / commissions.length).toFixed(2) : '0.00',
-      recentCommissions: commissions.map(c => ({
-        id: c.id,
-        transactionId: c.transaction_id,
-        amount: parseFloat(c.commission_amount || 0).toFixed(2),
-        status: c.status,
-        createdAt: c.created_at,
-        formattedDate: new Date(c.created_at).toLocaleDateString('en-IN')
-      }))
-    };
+  return rows.map(row => toNumbers(row, ['transactions', 'captured', 'failed', 'gmv', 'gmv_share', 'failure_rate']));
+}
 
-  } catch (error) {
-    console.error('Error fetching commissions:', error);
-    return {
-      totalCommissions: 0,
-      completedCount: 0,
-      pendingCount: 0,
-      totalAmount: '0.00',
-      averageCommission: '0.00',
-      recentCommissions: []
-    };
-  }
+async function fetchOnboardingFunnel(supabase) {
+  const [row] = await callRpc(supabase, 'platform_onboarding_funnel');
+
+  return toNumbers(row || {}, ['signed_up', 'google_connected', 'form_added', 'first_payment']);
 }
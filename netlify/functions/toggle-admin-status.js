@@ -0,0 +1,76 @@
+// netlify/functions/toggle-admin-status.js - Deactivate or reactivate a form admin
+// Called from the super admin dashboard: { adminId, isActive }.
+// Deactivating pauses all the admin's forms; see utils/admin-status.js.
+// Super admins only; the call is audited by withAuth.
+const { createClient } = require('@supabase/supabase-js');
+const { withAuth } = require('./utils/auth');
+const { setAdminStatus } = require('./utils/admin-status');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { adminId, isActive } = JSON.parse(event.body || '{}');
+
+    if (!adminId || typeof isActive !== 'boolean') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: 'adminId and isActive (true/false) are required' })
+      };
+    }
+
+    if (adminId === auth.adminId && !isActive) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ success: false, error: "You can't deactivate your own account" })
+      };
+    }
+
+    const { admin, forms } = await setAdminStatus(supabase, adminId, isActive);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        admin,
+        [isActive ? 'resumedForms' : 'pausedForms']: forms
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Admin status update error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase, roles: ['super_admin'] });
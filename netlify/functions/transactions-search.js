@@ -0,0 +1,74 @@
+// netlify/functions/transactions-search.js - Search an admin's transactions
+// GET with the filters of utils/transaction-search.js (status, form, gateway,
+// from, to, min, max, q, sort, order, limit, cursor, include_test). Returns one
+// page plus nextCursor for the next one; the first page (no cursor) also
+// carries totals for everything matching the filters.
+const { createClient } = require('@supabase/supabase-js');
+const { withAuth, resolveAdminId } = require('./utils/auth');
+const {
+  formatTransaction,
+  loadFormLookup,
+  parseSearchParams,
+  searchTotals,
+  searchTransactions
+} = require('./utils/transaction-search');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// CORS headers
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, auth) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+    const adminId = resolveAdminId(auth, params.admin_id);
+    const filters = parseSearchParams(params);
+
+    const [{ rows, nextCursor }, totals, formLookup] = await Promise.all([
+      searchTransactions(supabase, adminId, filters),
+      filters.cursor ? null : searchTotals(supabase, adminId, filters),
+      loadFormLookup(supabase, adminId)
+    ]);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        transactions: rows.map(t => formatTransaction(t, formLookup[t.form_id])),
+        nextCursor,
+        totals
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Transaction search error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}, { headers, supabase });
@@ -0,0 +1,87 @@
+// netlify/functions/utils/admin-status.js - Deactivate / reactivate a form admin
+//
+// A deactivated admin can't sign in to the admin functions (utils/auth.js)
+// and their active forms are paused, with their push watches removed, the
+// same as pausing them from My Forms. Only the forms paused this way
+// (form_configs.paused_by_admin_status) are resumed on reactivation.
+const { ensureResponsesWatch, deleteResponsesWatch } = require('./form-watches');
+
+const statusError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Watches are an optimisation (polling still runs), so failures are only logged
+const updateWatch = async (supabase, form, adminId, isActive) => {
+  try {
+    if (isActive) {
+      await ensureResponsesWatch(supabase, form.form_id, adminId);
+    } else {
+      await deleteResponsesWatch(supabase, form.form_id, adminId, form.responses_watch_id);
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not ${isActive ? 'create' : 'delete'} watch for form ${form.form_id}:`, error.message);
+  }
+};
+
+const pauseForms = async (supabase, adminId) => {
+  const { data: paused, error } = await supabase
+    .from('form_configs')
+    .update({ is_active: false, paused_by_admin_status: true })
+    .eq('admin_id', adminId)
+    .eq('is_active', true)
+    .select('form_id, responses_watch_id');
+
+  if (error) {
+    throw new Error(`Failed to pause forms: ${error.message}`);
+  }
+
+  return paused || [];
+};
+
+const resumeForms = async (supabase, adminId) => {
+  const { data: resumed, error } = await supabase
+    .from('form_configs')
+    .update({ is_active: true, paused_by_admin_status: false })
+    .eq('admin_id', adminId)
+    .eq('paused_by_admin_status', true)
+    .select('form_id, responses_watch_id');
+
+  if (error) {
+    throw new Error(`Failed to resume forms: ${error.message}`);
+  }
+
+  return resumed || [];
+};
+
+// Returns { admin, forms } - the forms that were paused or resumed
+const setAdminStatus = async (supabase, adminId, isActive) => {
+  const { data: admin, error } = await supabase
+    .from('form_admins')
+    .update({ is_active: isActive, deactivated_at: isActive ? null : new Date().toISOString() })
+    .eq('id', adminId)
+    .select('id, email, name, role, is_active, deactivated_at')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update admin ${adminId}: ${error.message}`);
+  }
+
+  if (!admin) {
+    throw statusError(404, 'Admin not found');
+  }
+
+  const forms = isActive ? await resumeForms(supabase, adminId) : await pauseForms(supabase, adminId);
+
+  for (const form of forms) {
+    await updateWatch(supabase, form, adminId, isActive);
+  }
+
+  console.log(`${isActive ? '✅ Reactivated' : '⛔ Deactivated'} admin ${adminId}, ${isActive ? 'resumed' : 'paused'} ${forms.length} forms`);
+  return { admin, forms: forms.map(form => form.form_id) };
+};
+
+module.exports = {
+  setAdminStatus
+};
@@ -0,0 +1,45 @@
+// netlify/functions/utils/audit.js - Audit log of super-admin actions
+// withAuth() records every call a super admin makes to an admin-facing
+// function; recordAdminAction() is there for anything more specific.
+// Audit failures are logged, never thrown - the action already happened.
+
+// Body fields worth keeping; the rest (bank details, tokens...) stays out of the log
+const DETAIL_FIELDS = ['action', 'formId', 'form_id', 'transactionId', 'eventId', 'isActive', 'reason'];
+
+const recordAdminAction = async (supabase, auth, { action, targetAdminId = null, statusCode = null, details = {} }) => {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert([{
+      actor_id: auth.adminId,
+      actor_email: auth.email,
+      action,
+      target_admin_id: targetAdminId,
+      status_code: statusCode,
+      details
+    }]);
+
+  if (error) {
+    console.error(`⚠️ Failed to audit ${action} by ${auth.adminId}:`, error.message);
+  }
+};
+
+// The safe-to-log parts of a request: { method, ...known body fields }
+const getRequestDetails = (event) => {
+  let body = {};
+  try {
+    body = event.body ? JSON.parse(event.body) : {};
+  } catch (error) {
+    // Not JSON - nothing to pick
+  }
+
+  const details = { method: event.httpMethod };
+  DETAIL_FIELDS.forEach(field => {
+    if (body && body[field] !== undefined) details[field] = body[field];
+  });
+  return details;
+};
+
+module.exports = {
+  getRequestDetails,
+  recordAdminAction
+};
@@ -0,0 +1,165 @@
+// netlify/functions/utils/auth.js - Who is calling an admin-facing function
+//
+// The dashboard sends the admin's Supabase session token as
+// `Authorization: Bearer <jwt>`. authenticateRequest() validates it with
+// Supabase Auth and derives the admin ID (the auth user ID, which is also
+// form_admins.id); the role comes from form_admins.role, and deactivated
+// admins are turned away. An adminId / admin_id in the body or query string is
+// never trusted on its own: withAuth() rejects one that isn't the caller's,
+// unless the caller is a super admin acting for another admin. Super-admin
+// actions go into the audit log (plain GET reads only when they look at
+// another admin's data, so dashboard polling doesn't flood it).
+const { createClient } = require('@supabase/supabase-js');
+const { getHeader } = require('./gateways/signing');
+const { getRequestDetails, recordAdminAction } = require('./audit');
+
+const ROLES = ['form_admin', 'super_admin'];
+
+// Request fields that name the admin a call acts for
+const ADMIN_ID_FIELDS = ['adminId', 'admin_id'];
+
+let serviceClient = null;
+
+const getServiceClient = () => {
+  if (!serviceClient) {
+    serviceClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  }
+  return serviceClient;
+};
+
+const authError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getBearerToken = (event) => {
+  const value = getHeader(event.headers, 'authorization') || '';
+  const match = value.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Role and status from the admin's profile; a user without one yet (sign-up
+// still in progress) is an active form admin
+const loadAdminProfile = async (supabase, userId) => {
+  const { data: profile, error } = await supabase
+    .from('form_admins')
+    .select('role, is_active')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load admin profile: ${error.message}`);
+  }
+
+  return {
+    role: ROLES.includes(profile?.role) ? profile.role : 'form_admin',
+    isActive: profile ? profile.is_active !== false : true
+  };
+};
+
+// Validate the request's session token: { adminId, email, role, user }
+const authenticateRequest = async (supabase, event) => {
+  const token = getBearerToken(event);
+  if (!token) {
+    throw authError(401, 'Missing Authorization bearer token');
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    throw authError(401, 'Invalid or expired session');
+  }
+
+  const { user } = data;
+  const { role, isActive } = await loadAdminProfile(supabase, user.id);
+
+  if (!isActive) {
+    throw authError(403, 'This admin account has been deactivated');
+  }
+
+  return { adminId: user.id, email: user.email, role, user };
+};
+
+// Admin IDs named in the query string and JSON body
+const getRequestedAdminIds = (event) => {
+  const query = event.queryStringParameters || {};
+  let body = {};
+  try {
+    body = event.body ? JSON.parse(event.body) : {};
+  } catch (error) {
+    // Not JSON - the handler reports that itself
+  }
+
+  return ADMIN_ID_FIELDS
+    .flatMap(field => [query[field], body && body[field]])
+    .filter(Boolean);
+};
+
+// The admin a request acts for: the caller, or anyone a super admin names
+const resolveAdminId = (auth, requestedAdminId) => {
+  if (!requestedAdminId || requestedAdminId === auth.adminId) {
+    return auth.adminId;
+  }
+  if (auth.role === 'super_admin') {
+    return requestedAdminId;
+  }
+  throw authError(403, 'adminId does not match the signed-in admin');
+};
+
+// The function being called, for the audit log
+const getFunctionName = (event, context) =>
+  context?.functionName || (event.path || '').split('/').filter(Boolean).pop() || 'unknown';
+
+// Wrap a handler so it only runs for a valid session (with one of `roles`
+// when given) that matches any admin ID in the request. The handler gets the
+// caller as a third argument; CORS preflight passes straight through.
+// Super-admin actions are audited once the handler returns.
+const withAuth = (handler, { headers = {}, roles = ROLES, supabase } = {}) =>
+  async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+      return handler(event, context, null);
+    }
+
+    const client = supabase || getServiceClient();
+    let auth;
+    let targetAdminId;
+    try {
+      auth = await authenticateRequest(client, event);
+
+      if (!roles.includes(auth.role)) {
+        throw authError(403, 'This action needs a different role');
+      }
+
+      getRequestedAdminIds(event).forEach(adminId => {
+        targetAdminId = resolveAdminId(auth, adminId);
+      });
+    } catch (error) {
+      console.warn(`🔒 Rejected ${event.path || 'request'}: ${error.message}`);
+      return {
+        statusCode: error.statusCode || 500,
+        headers,
+        body: JSON.stringify({ success: false, error: error.message })
+      };
+    }
+
+    const response = await handler(event, context, auth);
+
+    const target = targetAdminId || auth.adminId;
+    if (auth.role === 'super_admin' && (event.httpMethod !== 'GET' || target !== auth.adminId)) {
+      await recordAdminAction(client, auth, {
+        action: getFunctionName(event, context),
+        targetAdminId: target,
+        statusCode: response?.statusCode,
+        details: getRequestDetails(event)
+      });
+    }
+
+    return response;
+  };
+
+module.exports = {
+  ROLES,
+  authenticateRequest,
+  resolveAdminId,
+  withAuth
+};
@@ -0,0 +1,138 @@
+// netlify/functions/utils/confirmation-email.js - One payment confirmation email per transaction
+//
+// Both the gateway webhook and the customer's redirect back from checkout
+// confirm a payment, in either order and sometimes at the same moment. Each
+// calls sendConfirmationEmail(); the transaction is claimed with a conditional
+// update on confirmation_email_status (like pipeline jobs) so exactly one of
+// them sends, and a 'sending' claim older than LOCK_TIMEOUT_MS is treated as
+// abandoned. A failed send is marked 'failed' with its attempt count and a
+// next attempt time (the job queue's backoff); retryConfirmationEmails()
+// (scheduled, retry-confirmation-emails.js) sends those again, along with
+// paid transactions nobody has emailed yet, until MAX_ATTEMPTS is reached.
+const { sendEmail } = require('./email');
+const { getBackoffMs } = require('./job-queue');
+
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// Atomically take the transaction's confirmation; null if it's sent or being sent
+const claimConfirmationEmail = async (supabase, transactionId, now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: claimed, error } = await supabase
+    .from('transactions')
+    .update({ confirmation_email_status: 'sending', confirmation_email_locked_at: now.toISOString() })
+    .eq('id', transactionId)
+    .or(`confirmation_email_status.is.null,confirmation_email_status.eq.failed,and(confirmation_email_status.eq.sending,confirmation_email_locked_at.lt.${staleBefore})`)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to claim confirmation email for transaction ${transactionId}: ${error.message}`);
+  }
+
+  return claimed && claimed.length > 0 ? claimed[0] : null;
+};
+
+// Record the outcome of a claimed send; a failure is scheduled for retry
+const finishConfirmationEmail = async (supabase, claimed, errorMessage = null, now = new Date()) => {
+  const attempts = (claimed.confirmation_email_attempts || 0) + 1;
+
+  const { error } = await supabase
+    .from('transactions')
+    .update({
+      confirmation_email_status: errorMessage ? 'failed' : 'sent',
+      confirmation_email_locked_at: null,
+      confirmation_email_attempts: attempts,
+      confirmation_email_last_error: errorMessage,
+      confirmation_email_next_attempt_at: errorMessage && attempts < MAX_ATTEMPTS
+        ? new Date(now.getTime() + getBackoffMs(attempts)).toISOString()
+        : null,
+      ...(!errorMessage && { confirmation_email_sent_at: now.toISOString() })
+    })
+    .eq('id', claimed.id);
+
+  if (error) {
+    console.error(`⚠️ Failed to record confirmation email for transaction ${claimed.id}:`, error.message);
+  }
+};
+
+// Send the confirmation email (template 'confirmation', through the admin's
+// email transport) unless another path already has. `to` and `data` override
+// what's taken from the transaction, e.g. Cashfree's order details.
+// Returns { sent, skipped, error }; never throws for a failed send.
+const sendConfirmationEmail = async (supabase, transaction, { paymentId, to, data = {} } = {}) => {
+  const claimed = await claimConfirmationEmail(supabase, transaction.id);
+
+  if (!claimed) {
+    console.log(`📧 Confirmation for transaction ${transaction.id} already sent or in progress, skipping`);
+    return { sent: false, skipped: true };
+  }
+
+  try {
+    await sendEmail(supabase, {
+      adminId: claimed.admin_id,
+      to: to || claimed.email,
+      template: 'confirmation',
+      data: {
+        customerName: claimed.customer_name,
+        productName: claimed.product_name,
+        amount: claimed.payment_amount,
+        orderId: claimed.transaction_id,
+        paymentId: paymentId || claimed.razorpay_payment_id || claimed.cashfree_payment_id || claimed.transaction_id,
+        ...data
+      }
+    });
+
+    await finishConfirmationEmail(supabase, claimed);
+    console.log(`✅ Confirmation email sent for transaction ${transaction.id}`);
+    return { sent: true, skipped: false };
+
+  } catch (error) {
+    console.error(`⚠️ Confirmation email for transaction ${transaction.id} failed:`, error.message);
+    await finishConfirmationEmail(supabase, claimed, error.message);
+    return { sent: false, skipped: false, error: error.message };
+  }
+};
+
+// Paid transactions whose confirmation is due: never tried, failed and past
+// its next attempt time, or claimed by a send that was abandoned
+const listDueConfirmations = async (supabase, limit, now) => {
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('payment_status', 'paid')
+    .lt('confirmation_email_attempts', MAX_ATTEMPTS)
+    .or(`confirmation_email_status.is.null,and(confirmation_email_status.eq.failed,confirmation_email_next_attempt_at.lte.${now.toISOString()}),and(confirmation_email_status.eq.sending,confirmation_email_locked_at.lt.${staleBefore})`)
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to list due confirmation emails: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Send every confirmation that is due (scheduled sweeper).
+// Returns { due, sent, skipped, failed }.
+const retryConfirmationEmails = async (supabase, { limit = 25, now = new Date() } = {}) => {
+  const transactions = await listDueConfirmations(supabase, limit, now);
+  const summary = { due: transactions.length, sent: 0, skipped: 0, failed: 0 };
+
+  for (const transaction of transactions) {
+    const result = await sendConfirmationEmail(supabase, transaction);
+    if (result.sent) summary.sent++;
+    else if (result.skipped) summary.skipped++;
+    else summary.failed++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryConfirmationEmails,
+  sendConfirmationEmail
+};
@@ -0,0 +1,101 @@
+// netlify/functions/utils/email/index.js - Outgoing email
+//
+// Every email is rendered from a versioned template (./templates) and handed
+// to a transport. Every transport implements:
+//   send({ to, from, replyTo, subject, html, text, attachments, template, version, data, adminId })
+//     -> { messageId }   (throws when the email wasn't accepted)
+// attachments are [{ filename, content (Buffer), contentType }].
+//
+// Transports: 'supabase' (the send-payment-email edge function), 'smtp'
+// (nodemailer) and 'gmail' (the admin's own Google account). Admins pick one
+// in form_admins.email_transport; EMAIL_TRANSPORT is the platform default
+// (supabase). Only an authorization failure of the admin's transport (an
+// error with authFailure set, e.g. a revoked Gmail grant) falls back to it;
+// any other error is thrown, since the email may already have gone out, and
+// the caller's retries take it from there.
+const { renderTemplate, EMAIL_TEMPLATES } = require('./templates');
+const { createSupabaseFunctionTransport } = require('./transports/supabase-function');
+const { createSmtpTransport } = require('./transports/smtp');
+const { createGmailTransport } = require('./transports/gmail');
+
+const TRANSPORTS = {
+  supabase: (options) => createSupabaseFunctionTransport(options),
+  smtp: (options) => createSmtpTransport(options),
+  gmail: (options) => createGmailTransport(options)
+};
+
+const EMAIL_TRANSPORTS = Object.keys(TRANSPORTS);
+
+const getDefaultEmailTransport = () => process.env.EMAIL_TRANSPORT || 'supabase';
+
+const getEmailTransport = (name, options = {}) => {
+  const factory = TRANSPORTS[name];
+
+  if (!factory) {
+    throw new Error(`Unsupported email transport: ${name}`);
+  }
+
+  return factory(options);
+};
+
+// The admin's chosen transport, or the platform default
+const resolveEmailTransport = async (supabase, adminId) => {
+  const fallback = getDefaultEmailTransport();
+  if (!supabase || !adminId) return fallback;
+
+  const { data: admin, error } = await supabase
+    .from('form_admins')
+    .select('email_transport')
+    .eq('id', adminId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`⚠️ Could not read email transport for admin ${adminId}:`, error.message);
+    return fallback;
+  }
+
+  const chosen = admin?.email_transport;
+  if (chosen && !TRANSPORTS[chosen]) {
+    console.warn(`⚠️ Admin ${adminId} has unknown email transport "${chosen}", using ${fallback}`);
+    return fallback;
+  }
+
+  return chosen || fallback;
+};
+
+// Render `template` with `data` and send it as (or on behalf of) the admin.
+// `transport` forces a transport instead of the admin's choice.
+// Returns { messageId, transport, template, version }.
+const sendEmail = async (supabase, { adminId, to, template, version, data = {}, replyTo, transport, attachments }) => {
+  const rendered = renderTemplate(template, data, { version });
+  const message = { ...rendered, to, replyTo, data, adminId, attachments };
+
+  let transportName = transport || await resolveEmailTransport(supabase, adminId);
+  let result;
+
+  try {
+    result = await getEmailTransport(transportName, { supabase, adminId }).send(message);
+  } catch (error) {
+    const fallback = getDefaultEmailTransport();
+    if (!error.authFailure || transport || transportName === fallback) {
+      throw error;
+    }
+
+    console.error(`⚠️ ${transportName} email failed, falling back to ${fallback}:`, error.message);
+    transportName = fallback;
+    result = await getEmailTransport(fallback, { supabase, adminId }).send(message);
+  }
+
+  console.log(`📧 ${template} v${rendered.version} sent to ${to} via ${transportName}`);
+  return { messageId: result.messageId, transport: transportName, template, version: rendered.version };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  EMAIL_TRANSPORTS,
+  getDefaultEmailTransport,
+  getEmailTransport,
+  renderTemplate,
+  resolveEmailTransport,
+  sendEmail
+};
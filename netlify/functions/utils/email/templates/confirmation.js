@@ -0,0 +1,33 @@
+// netlify/functions/utils/email/templates/confirmation.js - Receipt for a completed payment
+// data: { customerName, productName, amount, paymentId, orderId }
+const { escapeHtml, formatAmount, renderDetails, renderLayout, renderTextDetails } = require('./layout');
+
+const details = (data) => [
+  ['Product', data.productName],
+  ['Amount paid', formatAmount(data.amount)],
+  ['Order', data.orderId],
+  ['Payment ID', data.paymentId]
+];
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (data) => `Payment Confirmed - ${data.productName}`,
+      html: (data) => renderLayout({
+        title: '🎉 Payment Successful!',
+        color: '#10b981',
+        body: `
+    <p>Hi ${escapeHtml(data.customerName || 'there')},</p>
+    <p>We've received your payment. Keep this email as your receipt.</p>
+    ${renderDetails(details(data))}`
+      }),
+      text: (data) => `Hi ${data.customerName || 'there'},
+
+We've received your payment. Keep this email as your receipt.
+
+${renderTextDetails(details(data))}
+`
+    }
+  }
+};
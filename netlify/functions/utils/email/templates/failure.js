@@ -0,0 +1,34 @@
+// netlify/functions/utils/email/templates/failure.js - A payment attempt didn't go through
+// data: { customerName, productName, amount, orderId, failureReason, paymentLink (to retry, optional) }
+const { escapeHtml, formatAmount, renderButton, renderDetails, renderLayout, renderTextDetails } = require('./layout');
+
+const details = (data) => [
+  ['Product', data.productName],
+  ['Amount', formatAmount(data.amount)],
+  ['Order', data.orderId],
+  ['Reason', data.failureReason]
+];
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (data) => `Payment Failed - ${data.productName}`,
+      html: (data) => renderLayout({
+        title: '❌ Payment Failed',
+        color: '#dc2626',
+        body: `
+    <p>Hi ${escapeHtml(data.customerName || 'there')},</p>
+    <p>Your payment didn't go through and you have not been charged. ${data.paymentLink ? 'You can try again below.' : ''}</p>
+    ${renderDetails(details(data))}
+    ${data.paymentLink ? renderButton(data.paymentLink, 'Try Again', '#dc2626') : ''}`
+      }),
+      text: (data) => `Hi ${data.customerName || 'there'},
+
+Your payment didn't go through and you have not been charged.
+
+${renderTextDetails(details(data))}
+${data.paymentLink ? `\nTry again: ${data.paymentLink}\n` : ''}`
+    }
+  }
+};
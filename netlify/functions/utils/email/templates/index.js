@@ -0,0 +1,42 @@
+// netlify/functions/utils/email/templates/index.js - Versioned email templates
+//
+// Each template module lists its versions ({ subject, html, text }, each a
+// function of the template data) and which one is current. Old versions stay
+// so an email can be re-rendered exactly as it was first sent; change a
+// template by adding a version, not by editing one that has gone out.
+const TEMPLATES = {
+  payment_request: require('./payment-request'),
+  confirmation: require('./confirmation'),
+  reminder: require('./reminder'),
+  failure: require('./failure'),
+  statement: require('./statement')
+};
+
+// Returns { template, version, subject, html, text }
+const renderTemplate = (name, data = {}, { version } = {}) => {
+  const template = TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const selectedVersion = version || template.current;
+  const definition = template.versions[selectedVersion];
+
+  if (!definition) {
+    throw new Error(`Email template ${name} has no version ${selectedVersion}`);
+  }
+
+  return {
+    template: name,
+    version: selectedVersion,
+    subject: definition.subject(data),
+    html: definition.html(data),
+    text: definition.text(data)
+  };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES: Object.keys(TEMPLATES),
+  renderTemplate
+};
@@ -0,0 +1,60 @@
+// netlify/functions/utils/email/templates/layout.js - Shared pieces for email templates
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount) => `₹${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: 'Asia/Kolkata'
+});
+
+// Centered card with a colored heading, used by every HTML template
+const renderLayout = ({ title, color, body, footer }) => `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #f9fafb;">
+  <div style="text-align: center; background: white; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+    <h1 style="color: ${color}; font-size: 24px; margin: 0;">${title}</h1>
+  </div>
+  <div style="background: white; padding: 25px; border-radius: 10px; color: #374151; font-size: 15px; line-height: 1.6;">
+    ${body}
+  </div>
+  <p style="text-align: center; color: #9ca3af; font-size: 12px; margin-top: 20px;">
+    ${footer || 'Sent by PayForm on behalf of the form owner.'}
+  </p>
+</div>`;
+
+const renderButton = (url, label, color = '#2563eb') => `
+<p style="text-align: center; margin: 25px 0;">
+  <a href="${escapeHtml(url)}" style="background: ${color}; color: white; padding: 12px 28px; border-radius: 6px; text-decoration: none; font-weight: bold;">${escapeHtml(label)}</a>
+</p>`;
+
+// Label/value rows for order details
+const renderDetails = (rows) => `
+<table style="width: 100%; border-collapse: collapse; margin: 15px 0;">
+  ${rows.filter(([, value]) => value != null && value !== '').map(([label, value]) => `
+  <tr>
+    <td style="padding: 6px 0; color: #6b7280;">${escapeHtml(label)}</td>
+    <td style="padding: 6px 0; text-align: right; font-weight: bold;">${escapeHtml(value)}</td>
+  </tr>`).join('')}
+</table>`;
+
+const renderTextDetails = (rows) => rows
+  .filter(([, value]) => value != null && value !== '')
+  .map(([label, value]) => `${label}: ${value}`)
+  .join('\n');
+
+module.exports = {
+  escapeHtml,
+  formatAmount,
+  formatDate,
+  renderButton,
+  renderDetails,
+  renderLayout,
+  renderTextDetails
+};
@@ -0,0 +1,37 @@
+// netlify/functions/utils/email/templates/payment-request.js - Payment link for a new order
+// data: { customerName, productName, amount, paymentLink, orderId, expiresAt }
+const { escapeHtml, formatAmount, formatDate, renderButton, renderDetails, renderLayout, renderTextDetails } = require('./layout');
+
+const details = (data) => [
+  ['Product', data.productName],
+  ['Amount', formatAmount(data.amount)],
+  ['Order', data.orderId],
+  ['Link expires', data.expiresAt && formatDate(data.expiresAt)]
+];
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (data) => `Complete Your Payment - ${data.productName}`,
+      html: (data) => renderLayout({
+        title: '💳 Complete Your Payment',
+        color: '#2563eb',
+        body: `
+    <p>Hi ${escapeHtml(data.customerName || 'there')},</p>
+    <p>Thanks for your order. Please complete the payment below to confirm it.</p>
+    ${renderDetails(details(data))}
+    ${renderButton(data.paymentLink, `Pay ${formatAmount(data.amount)}`)}
+    <p style="font-size: 13px; color: #6b7280;">If the button doesn't work, open this link: ${escapeHtml(data.paymentLink)}</p>`
+      }),
+      text: (data) => `Hi ${data.customerName || 'there'},
+
+Thanks for your order. Please complete the payment to confirm it.
+
+${renderTextDetails(details(data))}
+
+Pay here: ${data.paymentLink}
+`
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// netlify/functions/utils/email/templates/reminder.js - Nudge for an unpaid payment link
+// data: { customerName, productName, amount, paymentLink, orderId, expiresAt }
+const { escapeHtml, formatAmount, formatDate, renderButton, renderDetails, renderLayout, renderTextDetails } = require('./layout');
+
+const details = (data) => [
+  ['Product', data.productName],
+  ['Amount due', formatAmount(data.amount)],
+  ['Order', data.orderId],
+  ['Link expires', data.expiresAt && formatDate(data.expiresAt)]
+];
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (data) => `Reminder: Payment Pending - ${data.productName}`,
+      html: (data) => renderLayout({
+        title: '⏰ Your Payment Is Still Pending',
+        color: '#d97706',
+        body: `
+    <p>Hi ${escapeHtml(data.customerName || 'there')},</p>
+    <p>Your order is waiting for payment. You can complete it any time before the link expires.</p>
+    ${renderDetails(details(data))}
+    ${renderButton(data.paymentLink, `Pay ${formatAmount(data.amount)}`, '#d97706')}`
+      }),
+      text: (data) => `Hi ${data.customerName || 'there'},
+
+Your order is waiting for payment. You can complete it any time before the link expires.
+
+${renderTextDetails(details(data))}
+
+Pay here: ${data.paymentLink}
+`
+    }
+  }
+};
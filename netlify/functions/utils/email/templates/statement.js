@@ -0,0 +1,38 @@
+// netlify/functions/utils/email/templates/statement.js - Monthly statement for a form admin
+// data: { adminName, period, transactionCount, paidCount, totalRevenue, totalRefunded, totalCommissions, totalNetEarnings, filename }
+const { escapeHtml, formatAmount, renderDetails, renderLayout, renderTextDetails } = require('./layout');
+
+const details = (data) => [
+  ['Transactions', data.transactionCount],
+  ['Successful payments', data.paidCount],
+  ['Revenue', formatAmount(data.totalRevenue)],
+  ['Refunded', formatAmount(data.totalRefunded)],
+  ['Platform fees', formatAmount(data.totalCommissions)],
+  ['Your earnings', formatAmount(data.totalNetEarnings)]
+];
+
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (data) => `Your PayForm statement for ${data.period}`,
+      html: (data) => renderLayout({
+        title: `📊 Statement for ${escapeHtml(data.period)}`,
+        color: '#2563eb',
+        body: `
+    <p>Hi ${escapeHtml(data.adminName || 'there')},</p>
+    <p>Here is a summary of your PayForm payments for ${escapeHtml(data.period)}. Every transaction is in the attached spreadsheet (${escapeHtml(data.filename)}).</p>
+    ${renderDetails(details(data))}`,
+        footer: 'Sent by PayForm once a month. Test payments are not included.'
+      }),
+      text: (data) => `Hi ${data.adminName || 'there'},
+
+Here is a summary of your PayForm payments for ${data.period}. Every transaction is in the attached spreadsheet (${data.filename}).
+
+${renderTextDetails(details(data))}
+
+Test payments are not included.
+`
+    }
+  }
+};
@@ -0,0 +1,78 @@
+// netlify/functions/utils/email/transports/gmail.js - The admin's own Gmail account
+//
+// Sends with the gmail.send scope granted in google-oauth.js, using the
+// tokens in google_auth_tokens, so the customer sees the admin's address.
+// Errors from missing, revoked or under-scoped tokens are marked authFailure;
+// sendEmail() then sends through the platform transport instead.
+const { google } = require('googleapis');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { initGoogleAuthForAdmin } = require('../../google-auth');
+
+const GMAIL_SEND_SCOPE = 'https://www.googleapis.com/auth/gmail.send';
+
+// invalid_grant: refresh token revoked or expired; 401/403: bad token or missing scope
+const isAuthError = (error) => {
+  const status = error.code || error.response?.status;
+  return status === 401 || status === 403 ||
+    error.response?.data?.error === 'invalid_grant' ||
+    /invalid_grant|No Google OAuth tokens|no refresh token/i.test(error.message || '');
+};
+
+const authFailure = (error) => {
+  const wrapped = new Error(`Gmail authorization failed: ${error.message}`);
+  wrapped.authFailure = true;
+  return wrapped;
+};
+
+const createGmailTransport = ({ supabase, adminId }) => ({
+  name: 'gmail',
+
+  send: async (message) => {
+    if (!supabase || !adminId) {
+      throw new Error('Gmail transport needs the sending admin');
+    }
+
+    let auth;
+    try {
+      // Refreshes the access token first if it has expired
+      auth = await initGoogleAuthForAdmin(supabase, adminId);
+    } catch (error) {
+      throw authFailure(error);
+    }
+
+    const { data: tokenRow } = await supabase
+      .from('google_auth_tokens')
+      .select('user_email, scope')
+      .eq('admin_id', adminId)
+      .maybeSingle();
+
+    // Accounts connected before gmail.send was requested have to reconnect
+    if (tokenRow?.scope && !tokenRow.scope.includes(GMAIL_SEND_SCOPE)) {
+      throw authFailure(new Error('gmail.send was not granted'));
+    }
+
+    // Gmail only sends as the authorized account; without a known address it fills in From itself
+    const raw = await new MailComposer({
+      ...(tokenRow?.user_email && { from: tokenRow.user_email }),
+      to: message.to,
+      replyTo: message.replyTo,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments
+    }).compile().build();
+
+    try {
+      const { data } = await google.gmail({ version: 'v1', auth }).users.messages.send({
+        userId: 'me',
+        requestBody: { raw: raw.toString('base64url') }
+      });
+
+      return { messageId: data.id };
+    } catch (error) {
+      throw isAuthError(error) ? authFailure(error) : error;
+    }
+  }
+});
+
+module.exports = { GMAIL_SEND_SCOPE, createGmailTransport };
@@ -0,0 +1,48 @@
+// netlify/functions/utils/email/transports/smtp.js - Any SMTP server through nodemailer
+//
+// SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM.
+// For local testing point it at the sink: `npm run smtp-sink` and
+// SMTP_HOST=localhost SMTP_PORT=1025 (no auth).
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.SMTP_FROM || 'PayForm <no-reply@payform.app>'
+} = {}) => {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+
+    send: async (message) => {
+      if (!host) {
+        throw new Error('SMTP not configured (SMTP_HOST)');
+      }
+
+      transporter = transporter || nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+      });
+
+      const info = await transporter.sendMail({
+        from: message.from || from,
+        to: message.to,
+        replyTo: message.replyTo,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: message.attachments
+      });
+
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,57 @@
+// netlify/functions/utils/email/transports/supabase-function.js - Supabase send-payment-email edge function
+//
+// The edge function predates the templates here and still reads its old
+// fields (productName, paymentLink, isConfirmation, ...), so those go along
+// with the rendered subject, html and text. Attachments are sent with their
+// content base64 encoded.
+
+const createSupabaseFunctionTransport = ({
+  url = process.env.SUPABASE_URL,
+  serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY,
+  http = fetch
+} = {}) => ({
+  name: 'supabase',
+
+  send: async (message) => {
+    const response = await http(`${url}/functions/v1/send-payment-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${serviceRoleKey}`
+      },
+      body: JSON.stringify({
+        ...message.data,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        ...(message.attachments?.length && {
+          attachments: message.attachments.map(attachment => ({
+            filename: attachment.filename,
+            contentType: attachment.contentType,
+            content: Buffer.from(attachment.content).toString('base64')
+          }))
+        }),
+        template: message.template,
+        templateVersion: message.version,
+        adminId: message.adminId,
+        isConfirmation: message.template === 'confirmation'
+      })
+    });
+
+    let result = null;
+    try {
+      result = await response.json();
+    } catch (parseError) {
+      result = null;
+    }
+
+    if (!response.ok || !result?.success) {
+      throw new Error(`send-payment-email failed (${response.status}): ${result?.error || response.statusText}`);
+    }
+
+    return { messageId: result.messageId || null };
+  }
+});
+
+module.exports = { createSupabaseFunctionTransport };
@@ -0,0 +1,120 @@
+// netlify/functions/utils/form-watches.js - Google Forms push notification watches
+//
+// A RESPONSES watch makes Google publish a Pub/Sub message every time a form
+// is submitted; the push subscription delivers it to forms-push.js. Watches
+// expire 7 days after they are created or renewed, so renew-form-watches.js
+// renews them well before that. The watch ID and expiry are kept on
+// form_configs (responses_watch_id / responses_watch_expires_at).
+const { google } = require('googleapis');
+const { initGoogleAuthForAdmin } = require('./google-auth');
+
+// Renew watches that expire within this window
+const RENEW_BEFORE_MS = 2 * 24 * 60 * 60 * 1000;
+
+const getFormsClient = async (supabase, adminId) => {
+  const authClient = await initGoogleAuthForAdmin(supabase, adminId);
+  return google.forms({ version: 'v1', auth: authClient });
+};
+
+const saveWatch = async (supabase, formId, watch) => {
+  const { error } = await supabase
+    .from('form_configs')
+    .update({
+      responses_watch_id: watch ? watch.id : null,
+      responses_watch_expires_at: watch ? watch.expireTime : null
+    })
+    .eq('form_id', formId);
+
+  if (error) {
+    throw new Error(`Failed to save watch for form ${formId}: ${error.message}`);
+  }
+};
+
+// Create (or renew, if Google already has one for this project) the RESPONSES
+// watch for a form. Google allows one watch per event type per form per project.
+const ensureResponsesWatch = async (supabase, formId, adminId) => {
+  const topicName = process.env.GOOGLE_FORMS_PUBSUB_TOPIC;
+  if (!topicName) {
+    throw new Error('GOOGLE_FORMS_PUBSUB_TOPIC is not configured');
+  }
+
+  const forms = await getFormsClient(supabase, adminId);
+
+  const { data: existing } = await forms.forms.watches.list({ formId });
+  const current = (existing.watches || []).find(w => w.eventType === 'RESPONSES');
+
+  let watch;
+  if (current) {
+    console.log(`🔄 Renewing existing watch ${current.id} for form ${formId}`);
+    ({ data: watch } = await forms.forms.watches.renew({ formId, watchId: current.id }));
+  } else {
+    console.log(`👀 Creating RESPONSES watch for form ${formId}`);
+    ({ data: watch } = await forms.forms.watches.create({
+      formId,
+      requestBody: {
+        watch: {
+          eventType: 'RESPONSES',
+          target: { topic: { topicName } }
+        }
+      }
+    }));
+  }
+
+  await saveWatch(supabase, formId, watch);
+  console.log(`✅ Watch ${watch.id} active until ${watch.expireTime}`);
+  return watch;
+};
+
+// Delete the form's watch so Google stops publishing for it
+const deleteResponsesWatch = async (supabase, formId, adminId, watchId) => {
+  if (watchId) {
+    const forms = await getFormsClient(supabase, adminId);
+
+    try {
+      await forms.forms.watches.delete({ formId, watchId });
+      console.log(`🗑️ Deleted watch ${watchId} for form ${formId}`);
+    } catch (error) {
+      // Already expired or removed on Google's side - nothing left to delete
+      if (error.code !== 404) throw error;
+      console.log(`⚠️ Watch ${watchId} for form ${formId} no longer exists`);
+    }
+  }
+
+  await saveWatch(supabase, formId, null);
+};
+
+// Renew every active form's watch that is missing or close to expiry
+const renewExpiringWatches = async (supabase, now = new Date()) => {
+  const renewBefore = new Date(now.getTime() + RENEW_BEFORE_MS).toISOString();
+
+  const { data: forms, error } = await supabase
+    .from('form_configs')
+    .select('form_id, form_name, admin_id, responses_watch_expires_at')
+    .eq('is_active', true)
+    .or(`responses_watch_expires_at.is.null,responses_watch_expires_at.lt.${renewBefore}`);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  let renewed = 0;
+  let failed = 0;
+
+  for (const form of forms || []) {
+    try {
+      await ensureResponsesWatch(supabase, form.form_id, form.admin_id);
+      renewed++;
+    } catch (watchError) {
+      console.error(`❌ Could not renew watch for form ${form.form_name}:`, watchError.message);
+      failed++;
+    }
+  }
+
+  return { checked: (forms || []).length, renewed, failed };
+};
+
+module.exports = {
+  ensureResponsesWatch,
+  deleteResponsesWatch,
+  renewExpiringWatches
+};
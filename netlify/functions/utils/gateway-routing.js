@@ -0,0 +1,111 @@
+// netlify/functions/utils/gateway-routing.js - Which payment gateway a form uses
+//
+// Admins pick a preferred gateway (form_admins.preferred_gateway, Cashfree by
+// default). Razorpay is only used once the admin's Route linked account is
+// activated and auto splits are enabled; otherwise the order falls back to
+// Cashfree and the reason is reported so it can be stored on the transaction.
+//
+// Cashfree orders go to sandbox or production: the admin's cashfree
+// provider_configs row can set config_data.environment, otherwise the
+// platform default (CASHFREE_ENVIRONMENT) applies.
+const { CASHFREE_ENVIRONMENTS, getDefaultCashfreeEnvironment } = require('./gateways');
+
+const RAZORPAY_COMMISSION_RATE = 3.0;
+
+// Resolve the gateway for an active form. Returns null when the form is not
+// registered or not active.
+const resolveGatewayForForm = async (supabase, formId) => {
+  const { data: formConfig, error: formError } = await supabase
+    .from('form_configs')
+    .select(`
+      *,
+      form_admins (
+        id,
+        email,
+        name,
+        preferred_gateway,
+        auto_splits_enabled,
+        gateway_setup_status,
+        razorpay_account_id
+      )
+    `)
+    .eq('form_id', formId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (formError) {
+    throw new Error(`Database error: ${formError.message}`);
+  }
+
+  if (!formConfig || !formConfig.form_admins) {
+    return null;
+  }
+
+  const formAdmin = formConfig.form_admins;
+  const preferredGateway = formAdmin.preferred_gateway || 'cashfree';
+
+  const route = {
+    formConfig,
+    formAdmin,
+    preferredGateway,
+    gateway: 'cashfree',
+    autoSplits: false,
+    accountId: null,
+    commissionRate: null,
+    fallbackReason: null
+  };
+
+  if (preferredGateway === 'razorpay') {
+    // Check if Razorpay Route is ready
+    const { data: razorpayAccount } = await supabase
+      .from('razorpay_linked_accounts')
+      .select('razorpay_account_id')
+      .eq('form_admin_id', formAdmin.id)
+      .eq('account_status', 'activated')
+      .maybeSingle();
+
+    if (razorpayAccount && formAdmin.auto_splits_enabled) {
+      route.gateway = 'razorpay';
+      route.autoSplits = true;
+      route.accountId = razorpayAccount.razorpay_account_id;
+      route.commissionRate = RAZORPAY_COMMISSION_RATE;
+    } else {
+      route.fallbackReason = razorpayAccount ? 'razorpay_auto_splits_disabled' : 'razorpay_not_activated';
+      console.log(`⚠️ Razorpay not ready for form ${formId} (${route.fallbackReason}), falling back to Cashfree`);
+    }
+  }
+
+  return route;
+};
+
+// 'sandbox' or 'production' for an admin's Cashfree orders
+const resolveCashfreeEnvironment = async (supabase, adminId) => {
+  const platformEnvironment = getDefaultCashfreeEnvironment();
+  if (!adminId) return platformEnvironment;
+
+  const { data: providerConfig, error } = await supabase
+    .from('provider_configs')
+    .select('config_data')
+    .eq('admin_id', adminId)
+    .eq('provider_name', 'cashfree')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const environment = providerConfig?.config_data?.environment;
+  if (!environment) return platformEnvironment;
+
+  if (!CASHFREE_ENVIRONMENTS.includes(environment)) {
+    console.log(`⚠️ Ignoring unknown Cashfree environment "${environment}" for admin ${adminId}`);
+    return platformEnvironment;
+  }
+
+  return environment;
+};
+
+module.exports = {
+  resolveGatewayForForm,
+  resolveCashfreeEnvironment
+};
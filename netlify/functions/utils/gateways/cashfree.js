@@ -0,0 +1,200 @@
+// netlify/functions/utils/gateways/cashfree.js - Cashfree adapter (Payment Links API)
+const { requestJson } = require('./http');
+const { hmac, safeEqual, getHeader } = require('./signing');
+
+const BASE_URLS = {
+  sandbox: 'https://sandbox.cashfree.com/pg',
+  production: 'https://api.cashfree.com/pg'
+};
+const CASHFREE_ENVIRONMENTS = Object.keys(BASE_URLS);
+const API_VERSION = '2023-08-01';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Link, order and payment statuses -> PayForm payment_status
+const STATUS_MAP = {
+  ACTIVE: 'pending',
+  PENDING: 'pending',
+  NOT_ATTEMPTED: 'pending',
+  PARTIALLY_PAID: 'pending',
+  PAID: 'paid',
+  SUCCESS: 'paid',
+  FAILED: 'failed',
+  USER_DROPPED: 'failed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  TERMINATED: 'cancelled',
+  VOID: 'cancelled'
+};
+
+// Refund statuses -> refunds.status
+const REFUND_STATUS_MAP = {
+  SUCCESS: 'processed',
+  PENDING: 'pending',
+  ONHOLD: 'pending'
+};
+
+const createCashfreeAdapter = ({ appId, secretKey, webhookSecret, environment = 'sandbox', baseUrl = BASE_URLS[environment], http = fetch }) => {
+  if (!BASE_URLS[environment]) {
+    throw new Error(`Unknown Cashfree environment: ${environment}`);
+  }
+
+  const headers = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+    'x-api-version': API_VERSION,
+    'x-client-id': appId,
+    'x-client-secret': secretKey
+  };
+
+  const api = (path, options = {}) => {
+    if (!appId || !secretKey) {
+      throw new Error(`Cashfree credentials not configured (${environment})`);
+    }
+
+    return requestJson(http, `${baseUrl}${path}`, {
+      ...options,
+      headers,
+      body: options.body && JSON.stringify(options.body)
+    });
+  };
+
+  const normalizeStatus = (status) => STATUS_MAP[(status || '').toUpperCase()] || 'pending';
+  const normalizeRefundStatus = (status) => REFUND_STATUS_MAP[(status || '').toUpperCase()] || 'failed';
+
+  // x-webhook-signature: base64 HMAC-SHA256 of "<x-webhook-timestamp><raw body>".
+  // Returns { valid, reason } so callers can log why a delivery was refused.
+  const inspectWebhook = ({ rawBody, headers: requestHeaders, now = Date.now() }) => {
+    const signature = getHeader(requestHeaders, 'x-webhook-signature');
+    const timestamp = getHeader(requestHeaders, 'x-webhook-timestamp');
+
+    if (!webhookSecret) return { valid: false, reason: 'webhook secret not configured' };
+    if (!signature) return { valid: false, reason: 'missing x-webhook-signature header' };
+    if (!timestamp || !/^\d+$/.test(timestamp)) return { valid: false, reason: 'missing or malformed x-webhook-timestamp header' };
+
+    // Cashfree sends epoch milliseconds; accept seconds too
+    const sentAtMs = timestamp.length > 10 ? Number(timestamp) : Number(timestamp) * 1000;
+    if (Math.abs(now - sentAtMs) > SIGNATURE_TOLERANCE_SECONDS * 1000) {
+      return { valid: false, reason: `timestamp outside ${SIGNATURE_TOLERANCE_SECONDS}s tolerance` };
+    }
+
+    if (!safeEqual(hmac(webhookSecret, `${timestamp}${rawBody}`, 'base64'), signature)) {
+      return { valid: false, reason: 'signature mismatch' };
+    }
+
+    return { valid: true, reason: null };
+  };
+
+  // Look up by link_id; references from before links were used are order ids
+  const fetchPayment = async (id) => {
+    let link;
+    try {
+      link = await api(`/links/${id}`);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    if (link) {
+      // A paid link has one paid order behind it - that's what refunds target
+      let paidOrder = null;
+      if (link.link_status === 'PAID') {
+        const orders = await api(`/links/${id}/orders`);
+        paidOrder = (orders || []).find(o => o.order_status === 'PAID') || null;
+      }
+
+      return {
+        id: link.link_id,
+        status: normalizeStatus(link.link_status),
+        amount: link.link_amount,
+        amountPaid: link.link_amount_paid || 0,
+        currency: link.link_currency,
+        paymentId: paidOrder ? String(paidOrder.cf_order_id) : null,
+        orderId: paidOrder ? paidOrder.order_id : null,
+        customer: {
+          name: link.customer_details?.customer_name,
+          email: link.customer_details?.customer_email
+        },
+        raw: link
+      };
+    }
+
+    const order = await api(`/orders/${id}`);
+    return {
+      id: order.order_id,
+      status: normalizeStatus(order.order_status),
+      amount: order.order_amount,
+      amountPaid: order.order_status === 'PAID' ? order.order_amount : 0,
+      currency: order.order_currency,
+      paymentId: String(order.cf_order_id),
+      orderId: order.order_id,
+      customer: {
+        name: order.customer_details?.customer_name,
+        email: order.customer_details?.customer_email
+      },
+      raw: order
+    };
+  };
+
+  return {
+    name: 'cashfree',
+    environment,
+    normalizeStatus,
+    normalizeRefundStatus,
+    fetchPayment,
+
+    // orderId becomes the link_id, so the return URL and webhooks can find it again
+    createPaymentLink: async ({ orderId, amount, currency = 'INR', description, customer = {}, notes = {}, returnUrl, expiresAt }) => {
+      const link = await api('/links', {
+        method: 'POST',
+        body: {
+          link_id: orderId,
+          link_amount: amount,
+          link_currency: currency,
+          link_purpose: description,
+          customer_details: {
+            customer_name: customer.name || (customer.email || '').split('@')[0],
+            customer_email: customer.email,
+            customer_phone: customer.phone || '9999999999'
+          },
+          link_partial_payments: false,
+          ...(expiresAt && { link_expiry_time: new Date(expiresAt).toISOString() }),
+          link_notes: notes,
+          link_auto_reminders: true,
+          link_notify: {
+            send_sms: false,
+            send_email: false // We handle our own emails
+          },
+          link_meta: {
+            ...(returnUrl && { return_url: returnUrl }),
+            upi_intent: true
+          }
+        }
+      });
+
+      return { id: link.link_id, url: link.link_url, status: normalizeStatus(link.link_status), raw: link };
+    },
+
+    cancelPaymentLink: async (linkId) => {
+      const link = await api(`/links/${linkId}/cancel`, { method: 'POST' });
+      return { id: link.link_id, status: normalizeStatus(link.link_status), raw: link };
+    },
+
+    inspectWebhook,
+    verifyWebhook: (delivery) => inspectWebhook(delivery).valid,
+
+    // Refunds are raised against the paid order (see fetchPayment().orderId)
+    refund: async ({ orderId, amount, refundId, reason }) => {
+      const refund = await api(`/orders/${orderId}/refunds`, {
+        method: 'POST',
+        body: {
+          refund_amount: amount,
+          refund_id: refundId || `refund_${Date.now()}`,
+          ...(reason && { refund_note: reason })
+        }
+      });
+
+      return { id: refund.refund_id, status: normalizeRefundStatus(refund.refund_status), amount: refund.refund_amount, raw: refund };
+    }
+  };
+};
+
+module.exports = { createCashfreeAdapter, CASHFREE_ENVIRONMENTS };
@@ -0,0 +1,48 @@
+// netlify/functions/utils/gateways/http.js - JSON requests for gateway adapters
+//
+// Adapters never call fetch directly: they receive an `http` function with
+// fetch's signature, so a recorded-HTTP fake can stand in for the provider.
+
+// Send a request and parse the JSON reply; non-2xx responses throw with the
+// provider's error body attached as `details`
+const requestJson = async (http, url, { method = 'GET', headers = {}, body } = {}) => {
+  const response = await http(url, { method, headers, body });
+  const text = await response.text();
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (parseError) {
+    data = { raw: text };
+  }
+
+  if (!response.ok) {
+    const message = data?.error?.description || data?.error?.message || data?.message || text || response.statusText;
+    const error = new Error(`${method} ${url} failed (${response.status}): ${message}`);
+    error.statusCode = response.status;
+    error.details = data;
+    throw error;
+  }
+
+  return data;
+};
+
+// Encode nested objects the way Stripe expects: a[b][c]=value
+const toFormBody = (value, prefix = '', pairs = []) => {
+  if (value === undefined || value === null) return pairs;
+
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      toFormBody(child, prefix ? `${prefix}[${key}]` : key, pairs);
+    });
+  } else {
+    pairs.push(`${encodeURIComponent(prefix)}=${encodeURIComponent(String(value))}`);
+  }
+
+  return pairs;
+};
+
+module.exports = {
+  requestJson,
+  toFormBody: (value) => toFormBody(value).join('&')
+};
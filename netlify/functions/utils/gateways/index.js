@@ -0,0 +1,100 @@
+// netlify/functions/utils/gateways/index.js - Payment gateway adapters
+//
+// Every adapter implements the same interface (amounts in major units, e.g. ₹):
+//   createPaymentLink({ orderId, amount, currency, description, customer, notes, returnUrl, expiresAt })
+//     -> { id, url, status, raw }
+//   fetchPayment(reference)  -> { id, status, amount, amountPaid, currency, paymentId, orderId, raw }
+//   cancelPaymentLink(linkId) -> { id, status, raw }   (the link can no longer be paid)
+//   verifyWebhook({ rawBody, headers }) -> boolean
+//     (Cashfree also has inspectWebhook() -> { valid, reason } and
+//     normalizeRefundStatus() for its refund webhooks)
+//   refund({ paymentId, orderId, amount, reason }) -> { id, status: pending|processed|failed, amount, raw }
+//   normalizeStatus(providerStatus) -> pending|paid|failed|expired|cancelled|refunded
+//   environment -> sandbox|production (stored on transactions as is_test)
+//
+// Adding a gateway means writing one adapter and registering it below.
+// Credentials come from the environment; tests can pass `http` (a fetch
+// replacement that replays recorded responses) and explicit config.
+//
+// Cashfree runs against sandbox or production per call. CASHFREE_ENVIRONMENT
+// is the platform default; CASHFREE_SANDBOX_* / CASHFREE_PRODUCTION_* keys
+// take precedence over CASHFREE_APP_ID / CASHFREE_SECRET_KEY for their environment.
+// Cashfree signs webhooks with the secret key unless CASHFREE_WEBHOOK_SECRET is set.
+const { createRazorpayAdapter } = require('./razorpay');
+const { createCashfreeAdapter, CASHFREE_ENVIRONMENTS } = require('./cashfree');
+const { createStripeAdapter } = require('./stripe');
+
+const ADAPTERS = {
+  razorpay: (options) => createRazorpayAdapter({
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    ...options
+  }),
+  cashfree: ({ environment = getDefaultCashfreeEnvironment(), ...options }) => {
+    const prefix = `CASHFREE_${environment.toUpperCase()}_`;
+    const secretKey = process.env[`${prefix}SECRET_KEY`] || process.env.CASHFREE_SECRET_KEY;
+    return createCashfreeAdapter({
+      environment,
+      appId: process.env[`${prefix}APP_ID`] || process.env.CASHFREE_APP_ID,
+      secretKey,
+      webhookSecret: process.env.CASHFREE_WEBHOOK_SECRET || secretKey,
+      ...options
+    });
+  },
+  stripe: (options) => createStripeAdapter({
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    ...options
+  })
+};
+
+// transactions.payment_provider values that aren't plain gateway names
+// (the SQL function transaction_gateway() folds the same ones)
+const PROVIDER_ALIASES = {
+  razorpay_link: 'razorpay',
+  razorpay_route: 'razorpay'
+};
+
+const getDefaultCashfreeEnvironment = () => process.env.CASHFREE_ENVIRONMENT || 'sandbox';
+
+const getGateway = (name, options = {}) => {
+  const key = PROVIDER_ALIASES[name] || name;
+  const factory = ADAPTERS[key];
+
+  if (!factory) {
+    throw new Error(`Unsupported payment gateway: ${name}`);
+  }
+
+  return factory(options);
+};
+
+// Gateway (adapter name) that created a transaction
+const getGatewayName = (transaction) => {
+  const name = transaction.gateway_used || transaction.payment_provider;
+  return PROVIDER_ALIASES[name] || name;
+};
+
+// Every name a gateway is stored under: razorpay -> ['razorpay', 'razorpay_link', 'razorpay_route']
+const getProviderNames = (gateway) => [
+  gateway,
+  ...Object.keys(PROVIDER_ALIASES).filter(alias => PROVIDER_ALIASES[alias] === gateway)
+];
+
+// The adapter that created a transaction, in the environment it was created in
+const getGatewayForTransaction = (transaction, options) =>
+  getGateway(getGatewayName(transaction), {
+    ...(typeof transaction.is_test === 'boolean' && {
+      environment: transaction.is_test ? 'sandbox' : 'production'
+    }),
+    ...options
+  });
+
+module.exports = {
+  CASHFREE_ENVIRONMENTS,
+  getDefaultCashfreeEnvironment,
+  getGateway,
+  getGatewayForTransaction,
+  getGatewayName,
+  getProviderNames
+};
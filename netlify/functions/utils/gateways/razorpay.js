@@ -0,0 +1,136 @@
+// netlify/functions/utils/gateways/razorpay.js - Razorpay adapter (Payment Links API)
+const { requestJson } = require('./http');
+const { hmac, safeEqual, getHeader } = require('./signing');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Payment and payment link statuses -> PayForm payment_status
+const STATUS_MAP = {
+  created: 'pending',
+  issued: 'pending',
+  authorized: 'pending',
+  partially_paid: 'pending',
+  pending: 'pending',
+  captured: 'paid',
+  paid: 'paid',
+  failed: 'failed',
+  refunded: 'refunded',
+  expired: 'expired',
+  cancelled: 'cancelled'
+};
+
+const createRazorpayAdapter = ({ keyId, keySecret, webhookSecret, http = fetch }) => {
+  const headers = {
+    'Authorization': `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+    'Content-Type': 'application/json'
+  };
+
+  const api = (path, options = {}) =>
+    requestJson(http, `${API_BASE}${path}`, {
+      ...options,
+      headers,
+      body: options.body && JSON.stringify(options.body)
+    });
+
+  const normalizeStatus = (status) => STATUS_MAP[(status || '').toLowerCase()] || 'pending';
+
+  // Payment link ids start with plink_, payment ids with pay_
+  const fetchPayment = async (id) => {
+    if (id.startsWith('plink_')) {
+      const link = await api(`/payment_links/${id}`);
+      const payment = (link.payments || []).find(p => p.status === 'captured') || (link.payments || [])[0];
+
+      return {
+        id: link.id,
+        status: normalizeStatus(link.status),
+        amount: link.amount / 100,
+        amountPaid: (link.amount_paid || 0) / 100,
+        currency: link.currency,
+        paymentId: payment ? payment.payment_id : null,
+        orderId: link.id,
+        raw: link
+      };
+    }
+
+    const payment = await api(`/payments/${id}`);
+    return {
+      id: payment.id,
+      status: normalizeStatus(payment.status),
+      amount: payment.amount / 100,
+      amountPaid: payment.status === 'captured' ? payment.amount / 100 : 0,
+      currency: payment.currency,
+      paymentId: payment.id,
+      orderId: payment.order_id || payment.notes?.payment_link_id || null,
+      raw: payment
+    };
+  };
+
+  return {
+    name: 'razorpay',
+    environment: (keyId || '').startsWith('rzp_test_') ? 'sandbox' : 'production',
+    normalizeStatus,
+    fetchPayment,
+
+    createPaymentLink: async ({ amount, currency = 'INR', description, customer = {}, notes = {}, returnUrl, expiresAt }) => {
+      const link = await api('/payment_links', {
+        method: 'POST',
+        body: {
+          amount: Math.round(amount * 100), // Convert to paise
+          currency,
+          description,
+          customer: {
+            name: customer.name || 'Customer',
+            email: customer.email,
+            ...(customer.phone && { contact: customer.phone })
+          },
+          notify: {
+            sms: false,
+            email: false // We send our own email
+          },
+          reminder_enable: false, // Reminders are ours too (utils/reminders.js)
+          ...(returnUrl && { callback_url: returnUrl, callback_method: 'get' }),
+          ...(expiresAt && { expire_by: Math.floor(new Date(expiresAt).getTime() / 1000) }),
+          notes
+        }
+      });
+
+      return { id: link.id, url: link.short_url, status: normalizeStatus(link.status), raw: link };
+    },
+
+    cancelPaymentLink: async (linkId) => {
+      const link = await api(`/payment_links/${linkId}/cancel`, { method: 'POST' });
+      return { id: link.id, status: normalizeStatus(link.status), raw: link };
+    },
+
+    // X-Razorpay-Signature: hex HMAC-SHA256 of the raw body with the webhook secret
+    verifyWebhook: ({ rawBody, headers: requestHeaders }) => {
+      if (!webhookSecret) return false;
+      const signature = getHeader(requestHeaders, 'x-razorpay-signature');
+      return safeEqual(hmac(webhookSecret, rawBody), signature);
+    },
+
+    // Checkout callback signature for Orders: hex HMAC of "order_id|payment_id" with the key secret
+    verifyPaymentSignature: (orderId, paymentId, signature) =>
+      safeEqual(hmac(keySecret, `${orderId}|${paymentId}`), signature),
+
+    // Payment link callback signature: hex HMAC of
+    // "payment_link_id|payment_link_reference_id|payment_link_status|payment_id" with the key secret
+    verifyPaymentLinkSignature: ({ paymentLinkId, referenceId = '', status, paymentId }, signature) =>
+      safeEqual(hmac(keySecret, `${paymentLinkId}|${referenceId}|${status}|${paymentId}`), signature),
+
+    refund: async ({ paymentId, amount, reason, notes = {} }) => {
+      const refund = await api(`/payments/${paymentId}/refund`, {
+        method: 'POST',
+        body: {
+          ...(amount && { amount: Math.round(amount * 100) }),
+          notes: { ...notes, ...(reason && { reason }) }
+        }
+      });
+
+      // Refund status is already pending / processed / failed
+      return { id: refund.id, status: refund.status, amount: refund.amount / 100, raw: refund };
+    }
+  };
+};
+
+module.exports = { createRazorpayAdapter };
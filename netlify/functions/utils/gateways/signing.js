@@ -0,0 +1,23 @@
+// netlify/functions/utils/gateways/signing.js - HMAC helpers for webhook checks
+const crypto = require('crypto');
+
+const hmac = (secret, payload, encoding = 'hex') =>
+  crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+
+// Constant-time string comparison (false for missing or different-length input)
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+// Header lookup that ignores case (Netlify lowercases, local tools may not)
+const getHeader = (headers, name) => {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name.toLowerCase());
+  return match ? headers[match] : undefined;
+};
+
+module.exports = {
+  hmac,
+  safeEqual,
+  getHeader
+};
@@ -0,0 +1,126 @@
+// netlify/functions/utils/gateways/stripe.js - Stripe adapter (Checkout Sessions)
+const { requestJson, toFormBody } = require('./http');
+const { hmac, safeEqual, getHeader } = require('./signing');
+
+const API_BASE = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Checkout session / payment intent statuses -> PayForm payment_status
+const STATUS_MAP = {
+  open: 'pending',
+  unpaid: 'pending',
+  processing: 'pending',
+  requires_payment_method: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  paid: 'paid',
+  no_payment_required: 'paid',
+  succeeded: 'paid',
+  complete: 'paid',
+  expired: 'expired',
+  canceled: 'cancelled'
+};
+
+const createStripeAdapter = ({ secretKey, webhookSecret, http = fetch }) => {
+  const api = (path, { method = 'GET', body } = {}) =>
+    requestJson(http, `${API_BASE}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: body && toFormBody(body)
+    });
+
+  const normalizeStatus = (status) => STATUS_MAP[(status || '').toLowerCase()] || 'pending';
+
+  return {
+    name: 'stripe',
+    environment: (secretKey || '').startsWith('sk_test_') ? 'sandbox' : 'production',
+    normalizeStatus,
+
+    // Stripe amounts are in the currency's minor unit
+    createPaymentLink: async ({ orderId, amount, currency = 'INR', description, customer = {}, notes = {}, returnUrl, cancelUrl, expiresAt }) => {
+      const session = await api('/checkout/sessions', {
+        method: 'POST',
+        body: {
+          mode: 'payment',
+          client_reference_id: orderId,
+          customer_email: customer.email,
+          line_items: [{
+            quantity: 1,
+            price_data: {
+              currency: currency.toLowerCase(),
+              unit_amount: Math.round(amount * 100),
+              product_data: { name: description }
+            }
+          }],
+          success_url: returnUrl,
+          cancel_url: cancelUrl || returnUrl,
+          ...(expiresAt && { expires_at: Math.floor(new Date(expiresAt).getTime() / 1000) }),
+          metadata: notes
+        }
+      });
+
+      return { id: session.id, url: session.url, status: normalizeStatus(session.payment_status), raw: session };
+    },
+
+    fetchPayment: async (sessionId) => {
+      const session = await api(`/checkout/sessions/${sessionId}`);
+      const status = session.status === 'expired' ? 'expired' : normalizeStatus(session.payment_status);
+
+      return {
+        id: session.id,
+        status,
+        amount: session.amount_total / 100,
+        amountPaid: status === 'paid' ? session.amount_total / 100 : 0,
+        currency: session.currency,
+        paymentId: session.payment_intent,
+        orderId: session.client_reference_id,
+        customer: {
+          name: session.customer_details?.name,
+          email: session.customer_details?.email || session.customer_email
+        },
+        raw: session
+      };
+    },
+
+    // Checkout sessions can't be cancelled, only expired early
+    cancelPaymentLink: async (sessionId) => {
+      const session = await api(`/checkout/sessions/${sessionId}/expire`, { method: 'POST' });
+      return { id: session.id, status: 'expired', raw: session };
+    },
+
+    // Stripe-Signature: t=<timestamp>,v1=<hex HMAC of "<timestamp>.<raw body>">
+    verifyWebhook: ({ rawBody, headers, now = Date.now() }) => {
+      if (!webhookSecret) return false;
+
+      const parts = (getHeader(headers, 'stripe-signature') || '').split(',').map(p => p.split('='));
+      const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+      const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+      if (!timestamp || Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+        return false;
+      }
+
+      const expected = hmac(webhookSecret, `${timestamp}.${rawBody}`);
+      return signatures.some(signature => safeEqual(expected, signature));
+    },
+
+    refund: async ({ paymentId, amount, reason }) => {
+      const refund = await api('/refunds', {
+        method: 'POST',
+        body: {
+          payment_intent: paymentId,
+          ...(amount && { amount: Math.round(amount * 100) }),
+          ...(reason && { metadata: { reason } })
+        }
+      });
+
+      const status = { succeeded: 'processed', pending: 'pending', requires_action: 'pending' }[refund.status] || 'failed';
+      return { id: refund.id, status, amount: refund.amount / 100, raw: refund };
+    }
+  };
+};
+
+module.exports = { createStripeAdapter };
@@ -0,0 +1,78 @@
+// netlify/functions/utils/google-auth.js - Google OAuth clients for form owners
+//
+// Forms API calls (responses.list, watches.*) run as the admin who owns the
+// form, using the tokens stored by google-oauth.js.
+const { google } = require('googleapis');
+
+// Initialize Google Forms API with admin's OAuth token
+const initGoogleAuthForAdmin = async (supabase, adminId) => {
+  try {
+    console.log(`🔐 Initializing Google auth for admin: ${adminId}`);
+
+    // Get admin's stored OAuth tokens
+    const { data: tokenData, error: tokenError } = await supabase
+      .from('google_auth_tokens')
+      .select('access_token, refresh_token, token_expires_at')
+      .eq('admin_id', adminId)
+      .single();
+
+    if (tokenError || !tokenData) {
+      throw new Error(`No Google OAuth tokens found for admin ${adminId}`);
+    }
+
+    console.log('✅ Found OAuth tokens for admin');
+
+    // Check if token is expired
+    const now = new Date();
+    const expiresAt = new Date(tokenData.token_expires_at);
+
+    const oauth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      `${process.env.URL}/.netlify/functions/google-oauth-callback`
+    );
+
+    if (expiresAt <= now) {
+      console.log('⚠️ Access token expired, refreshing...');
+      
+      if (!tokenData.refresh_token) {
+        throw new Error('Token expired and no refresh token available');
+      }
+
+      oauth2Client.setCredentials({
+        refresh_token: tokenData.refresh_token
+      });
+
+      const { credentials } = await oauth2Client.refreshAccessToken();
+      console.log('✅ Token refreshed successfully');
+
+      // Update database with new token
+      await supabase
+        .from('google_auth_tokens')
+        .update({
+          access_token: credentials.access_token,
+          token_expires_at: new Date(credentials.expiry_date).toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('admin_id', adminId);
+
+      console.log('✅ Updated token in database');
+    } else {
+      console.log('✅ Using valid OAuth token');
+      oauth2Client.setCredentials({ 
+        access_token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token
+      });
+    }
+
+    return oauth2Client;
+
+  } catch (error) {
+    console.error(`❌ Error initializing Google auth for admin ${adminId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  initGoogleAuthForAdmin
+};
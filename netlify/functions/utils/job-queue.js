@@ -0,0 +1,155 @@
+// netlify/functions/utils/job-queue.js - Durable jobs stored in pipeline_jobs
+//
+// Each step that talks to an outside service (payment order creation, email
+// send) runs as a job. A failed job is rescheduled with exponential backoff
+// until it runs out of attempts, then parked as 'failed' until someone
+// requeues it. Jobs are claimed with a conditional update so two workers
+// never run the same job; a 'running' job whose lock is older than
+// LOCK_TIMEOUT_MS is treated as abandoned and can be claimed again.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 60 * 1000;          // 1 min, 2 min, 4 min, ...
+const MAX_BACKOFF_MS = 60 * 60 * 1000;      // capped at 1 hour
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Delay before the next attempt after `attempts` failures
+const getBackoffMs = (attempts) =>
+  Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+
+const enqueueJob = async (supabase, { jobType, formId, responseId, payload, maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  const { data: job, error } = await supabase
+    .from('pipeline_jobs')
+    .insert({
+      job_type: jobType,
+      form_id: formId,
+      response_id: responseId,
+      payload: payload || {},
+      status: 'pending',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      next_run_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to enqueue ${jobType} job: ${error.message}`);
+  }
+
+  console.log(`📥 Queued ${jobType} job ${job.id} for response ${responseId}`);
+  return job;
+};
+
+// Atomically take a job; returns null if another worker already has it
+const claimJob = async (supabase, jobId, now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: claimed, error } = await supabase
+    .from('pipeline_jobs')
+    .update({ status: 'running', locked_at: now.toISOString(), updated_at: now.toISOString() })
+    .eq('id', jobId)
+    .or(`status.eq.pending,and(status.eq.running,locked_at.lt.${staleBefore})`)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to claim job ${jobId}: ${error.message}`);
+  }
+
+  return claimed && claimed.length > 0 ? claimed[0] : null;
+};
+
+const completeJob = async (supabase, job) => {
+  const now = new Date().toISOString();
+
+  await supabase
+    .from('pipeline_jobs')
+    .update({
+      status: 'completed',
+      attempts: job.attempts + 1,
+      last_error: null,
+      locked_at: null,
+      completed_at: now,
+      updated_at: now
+    })
+    .eq('id', job.id);
+};
+
+// Record a failed attempt; reschedules with backoff or parks the job as 'failed'
+const failJob = async (supabase, job, errorMessage, now = new Date()) => {
+  const attempts = job.attempts + 1;
+  const exhausted = attempts >= job.max_attempts;
+  const nextRunAt = new Date(now.getTime() + getBackoffMs(attempts)).toISOString();
+
+  await supabase
+    .from('pipeline_jobs')
+    .update({
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      last_error: errorMessage,
+      next_run_at: exhausted ? null : nextRunAt,
+      locked_at: null,
+      updated_at: now.toISOString()
+    })
+    .eq('id', job.id);
+
+  if (exhausted) {
+    console.error(`❌ Job ${job.id} (${job.job_type}) failed after ${attempts} attempts: ${errorMessage}`);
+  } else {
+    console.log(`🔁 Job ${job.id} (${job.job_type}) attempt ${attempts} failed, retrying at ${nextRunAt}`);
+  }
+
+  return { status: exhausted ? 'failed' : 'pending', attempts, nextRunAt: exhausted ? null : nextRunAt };
+};
+
+// Jobs that are due now (including abandoned 'running' ones), oldest first
+const listDueJobs = async (supabase, limit = 25, now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: jobs, error } = await supabase
+    .from('pipeline_jobs')
+    .select('*')
+    .or(`and(status.eq.pending,next_run_at.lte.${now.toISOString()}),and(status.eq.running,locked_at.lt.${staleBefore})`)
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to list due jobs: ${error.message}`);
+  }
+
+  return jobs || [];
+};
+
+// Manual retry: give a failed job a fresh set of attempts, due immediately
+const requeueJob = async (supabase, jobId) => {
+  const now = new Date().toISOString();
+
+  const { data: job, error } = await supabase
+    .from('pipeline_jobs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_run_at: now,
+      locked_at: null,
+      updated_at: now
+    })
+    .eq('id', jobId)
+    .eq('status', 'failed')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to requeue job ${jobId}: ${error.message}`);
+  }
+
+  return job;
+};
+
+module.exports = {
+  getBackoffMs,
+  enqueueJob,
+  claimJob,
+  completeJob,
+  failJob,
+  listDueJobs,
+  requeueJob
+};
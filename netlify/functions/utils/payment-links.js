@@ -0,0 +1,252 @@
+// netlify/functions/utils/payment-links.js - A transaction's payment link
+//
+// Links are created by create-razorpay-order / create-cashfree-order and stay
+// payable for the form's link_expiry_hours; the expiry is kept on the
+// transaction (payment_link_expires_at). expireOverdueLinks() (scheduled,
+// expire-payment-links.js) cancels links past it at the gateway and marks
+// their transactions 'expired'.
+//
+// regeneratePaymentLink() replaces a pending, expired or cancelled
+// transaction's link with a new one for the same amount and customer. The
+// transaction's gateway references move to the new link so the return URL,
+// webhooks and verify functions find the same transaction; an old link that
+// could still be paid is cancelled first.
+const { getGatewayForTransaction, getGatewayName } = require('./gateways');
+const { transitionTransaction } = require('./payment-status');
+
+const DEFAULT_LINK_EXPIRY_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+const REGENERATABLE_STATUSES = ['pending', 'expired', 'cancelled'];
+
+const linkError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// How long a new link for the form stays payable
+const getLinkExpiryHours = async (supabase, formId) => {
+  const { data: form } = await supabase
+    .from('form_configs')
+    .select('link_expiry_hours')
+    .eq('form_id', formId)
+    .maybeSingle();
+
+  return form?.link_expiry_hours || DEFAULT_LINK_EXPIRY_HOURS;
+};
+
+// Expiry for a link created now for the form
+const getLinkExpiry = async (supabase, formId, now = new Date()) =>
+  new Date(now.getTime() + (await getLinkExpiryHours(supabase, formId)) * HOUR_MS);
+
+// The gateway's reference for the transaction's current link
+const getLinkReference = (transaction) =>
+  getGatewayName(transaction) === 'cashfree'
+    ? transaction.cashfree_link_id || transaction.transaction_id
+    : transaction.razorpay_order_id || transaction.transaction_id;
+
+// Ask the gateway about the current link: { status, url }
+const fetchPaymentLink = async (transaction) => {
+  const link = await getGatewayForTransaction(transaction).fetchPayment(getLinkReference(transaction));
+
+  return {
+    status: link.status,
+    url: transaction.payment_url || link.raw?.short_url || link.raw?.link_url || null
+  };
+};
+
+const cancelPaymentLink = (transaction) =>
+  getGatewayForTransaction(transaction).cancelPaymentLink(getLinkReference(transaction));
+
+const createRazorpayLink = async (gateway, transaction, expiresAt) => {
+  const link = await gateway.createPaymentLink({
+    amount: parseFloat(transaction.payment_amount),
+    currency: transaction.payment_currency || 'INR',
+    description: transaction.product_name,
+    customer: { name: transaction.customer_name || 'Customer', email: transaction.email },
+    returnUrl: `${process.env.URL}/.netlify/functions/verify-razorpay-payment`,
+    expiresAt,
+    notes: {
+      form_id: transaction.form_id,
+      admin_id: transaction.admin_id,
+      product_name: transaction.product_name,
+      product_sku: transaction.product_sku,
+      regenerated_from: transaction.transaction_id
+    }
+  });
+
+  return {
+    url: link.url,
+    fields: { transaction_id: link.id, razorpay_order_id: link.id }
+  };
+};
+
+const createCashfreeLink = async (gateway, transaction, expiresAt) => {
+  // The link ID doubles as our order ID and has to be new
+  const orderId = `payform_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const link = await gateway.createPaymentLink({
+    orderId,
+    amount: parseFloat(transaction.payment_amount),
+    currency: transaction.payment_currency || 'INR',
+    description: `Payment for ${transaction.product_name}`,
+    customer: { name: transaction.customer_name, email: transaction.email },
+    notes: { form_id: transaction.form_id, regenerated_from: transaction.transaction_id },
+    returnUrl: `${process.env.URL}/.netlify/functions/verify-cashfree-payment?order_id=${orderId}&form_id=${transaction.form_id}&email=${encodeURIComponent(transaction.email)}`,
+    expiresAt
+  });
+
+  return {
+    url: link.url,
+    fields: { transaction_id: orderId, cashfree_order_id: orderId, cashfree_link_id: link.id }
+  };
+};
+
+const LINK_CREATORS = {
+  razorpay: createRazorpayLink,
+  cashfree: createCashfreeLink
+};
+
+// Whether regeneratePaymentLink() can reissue this transaction's link
+const canRegenerateLink = (transaction) =>
+  REGENERATABLE_STATUSES.includes(transaction.payment_status || 'pending') &&
+  !!LINK_CREATORS[getGatewayName(transaction)];
+
+// Point the form response the link was emailed for at the new link
+const moveResponseToLink = async (supabase, previousId, fields, url) => {
+  const { error } = await supabase
+    .from('processed_form_responses')
+    .update({
+      order_id: fields.transaction_id,
+      payment_url: url,
+      ...(fields.razorpay_order_id && { razorpay_order_id: fields.razorpay_order_id })
+    })
+    .eq('order_id', previousId);
+
+  if (error) {
+    console.error(`⚠️ Failed to move response from ${previousId} to the new link:`, error.message);
+  }
+};
+
+// Replace a transaction's link with a fresh one and make it pending again.
+// `linkStatus` is the current link's gateway status when the caller already
+// has it. Errors carry a statusCode for the caller.
+// Returns { transaction, url, previousId }.
+const regeneratePaymentLink = async (supabase, transaction, { linkStatus } = {}) => {
+  if (!REGENERATABLE_STATUSES.includes(transaction.payment_status)) {
+    throw linkError(400, `A ${transaction.payment_status} transaction can't get a new payment link`);
+  }
+
+  const provider = getGatewayName(transaction);
+  const createLink = LINK_CREATORS[provider];
+  const previousId = transaction.transaction_id;
+
+  if (!createLink) {
+    throw linkError(400, `Payment links can't be regenerated for ${provider} transactions`);
+  }
+
+  // The old link mustn't stay payable next to the new one
+  if (transaction.payment_status === 'pending') {
+    const status = linkStatus || (await fetchPaymentLink(transaction)).status;
+
+    if (status === 'paid') {
+      throw linkError(409, 'The current link has already been paid');
+    }
+
+    if (status === 'pending') {
+      await cancelPaymentLink(transaction);
+      console.log(`🚫 Cancelled ${provider} link ${previousId}`);
+    }
+  }
+
+  const expiresAt = await getLinkExpiry(supabase, transaction.form_id);
+  const { url, fields } = await createLink(getGatewayForTransaction(transaction), transaction, expiresAt);
+  const now = new Date().toISOString();
+
+  const { data: updated, error } = await supabase
+    .from('transactions')
+    .update({
+      ...fields,
+      payment_status: 'pending',
+      payment_url: url,
+      payment_link_expires_at: expiresAt.toISOString(),
+      link_regenerated_at: now,
+      link_regeneration_count: (transaction.link_regeneration_count || 0) + 1,
+      updated_at: now
+    })
+    .eq('id', transaction.id)
+    .eq('transaction_id', previousId)
+    .in('payment_status', REGENERATABLE_STATUSES)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to store regenerated link: ${error.message}`);
+  }
+
+  if (!updated || updated.length === 0) {
+    throw linkError(409, `Transaction ${transaction.id} changed while its link was being regenerated`);
+  }
+
+  await moveResponseToLink(supabase, previousId, fields, url);
+
+  console.log(`🔗 Regenerated ${provider} link for transaction ${transaction.id}: ${previousId} -> ${fields.transaction_id}`);
+  return { transaction: updated[0], url, previousId };
+};
+
+// Cancel one overdue link at the gateway and mark its transaction expired.
+// Returns { status: expired|skipped|failed, reason?, error? }.
+const expirePaymentLink = async (supabase, transaction) => {
+  try {
+    const { status } = await fetchPaymentLink(transaction);
+
+    // Paid just before it expired - the webhook or the redirect will mark it
+    if (status === 'paid') {
+      return { status: 'skipped', reason: 'paid_at_gateway' };
+    }
+
+    if (status === 'pending') {
+      await cancelPaymentLink(transaction);
+    }
+
+    const result = await transitionTransaction(supabase, { id: transaction.id }, 'expired');
+    return result.changed ? { status: 'expired' } : { status: 'skipped', reason: `already_${result.from}` };
+
+  } catch (error) {
+    console.error(`⚠️ Could not expire link for transaction ${transaction.id}:`, error.message);
+    return { status: 'failed', error: error.message };
+  }
+};
+
+// Expire every pending transaction whose link is past its expiry (scheduled sweeper)
+const expireOverdueLinks = async (supabase, { now = new Date(), limit = 100 } = {}) => {
+  const { data: overdue, error } = await supabase
+    .from('transactions')
+    .select('id, transaction_id, form_id, payment_status, payment_provider, gateway_used, is_test, razorpay_order_id, cashfree_link_id, payment_url, payment_link_expires_at')
+    .eq('payment_status', 'pending')
+    .lte('payment_link_expires_at', now.toISOString())
+    .order('payment_link_expires_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load overdue links: ${error.message}`);
+  }
+
+  const summary = { due: (overdue || []).length, expired: 0, skipped: 0, failed: 0 };
+
+  for (const transaction of overdue || []) {
+    const result = await expirePaymentLink(supabase, transaction);
+    summary[result.status]++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REGENERATABLE_STATUSES,
+  canRegenerateLink,
+  expireOverdueLinks,
+  fetchPaymentLink,
+  getLinkExpiry,
+  regeneratePaymentLink
+};
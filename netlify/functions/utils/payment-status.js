@@ -0,0 +1,99 @@
+// netlify/functions/utils/payment-status.js - transactions.payment_status state machine
+//
+// Gateways deliver events late, more than once and out of order, so a
+// transaction only moves forward: once paid it can't fall back to pending,
+// failed or expired, and a full refund is final. After payment a transaction
+// can be partially refunded or disputed. A lost dispute counts as refunded;
+// a won one returns it to paid, which only the dispute handler may do (it
+// passes alsoFrom: ['disputed']) so a late payment confirmation can't clear a
+// dispute. Writing the same status again is allowed (it
+// may carry new fields) but doesn't count as a change.
+
+const SETTLED = ['paid', 'partially_refunded', 'disputed'];
+
+// Target status -> statuses it may be reached from
+const ALLOWED_FROM = {
+  pending: ['pending'],
+  failed: ['pending', 'failed'],
+  expired: ['pending', 'expired'],
+  cancelled: ['pending', 'cancelled'],
+  paid: ['pending', 'failed', 'expired', 'cancelled', 'paid'],
+  partially_refunded: SETTLED,
+  disputed: SETTLED,
+  refunded: [...SETTLED, 'refunded']
+};
+
+const statusesAllowedBefore = (to) => ALLOWED_FROM[to] || [];
+
+const canTransition = (from, to, alsoFrom = []) =>
+  [...statusesAllowedBefore(to), ...alsoFrom].includes(from || 'pending');
+
+const MAX_ATTEMPTS = 3;
+
+// Move the transaction matching `match` (column -> value) to `to`, updating
+// `fields` alongside; `alsoFrom` widens the allowed starting statuses. The
+// update is conditional on the status that was read, so a concurrent change
+// is re-read instead of overwritten.
+// Returns { transaction, from, changed, allowed }; transaction is null when
+// nothing matches (or there's no match to look for).
+const transitionTransaction = async (supabase, match, to, fields = {}, { alsoFrom = [] } = {}) => {
+  if (!match) {
+    return { transaction: null, from: null, changed: false, allowed: false };
+  }
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    let query = supabase.from('transactions').select('*');
+    Object.entries(match).forEach(([column, value]) => {
+      query = query.eq(column, value);
+    });
+
+    const { data: transaction, error } = await query.limit(1).maybeSingle();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!transaction) {
+      return { transaction: null, from: null, changed: false, allowed: false };
+    }
+
+    const from = transaction.payment_status || 'pending';
+
+    if (!canTransition(from, to, alsoFrom)) {
+      console.log(`⏭️ Transaction ${transaction.id}: ignoring ${from} → ${to}`);
+      return { transaction, from, changed: false, allowed: false };
+    }
+
+    let update = supabase
+      .from('transactions')
+      .update({ ...fields, payment_status: to, updated_at: new Date().toISOString() })
+      .eq('id', transaction.id);
+
+    update = transaction.payment_status
+      ? update.eq('payment_status', transaction.payment_status)
+      : update.is('payment_status', null);
+
+    const { data: updated, error: updateError } = await update.select('*');
+
+    if (updateError) {
+      throw new Error(`Failed to update transaction ${transaction.id}: ${updateError.message}`);
+    }
+
+    if (updated && updated.length > 0) {
+      if (from !== to) {
+        console.log(`🔀 Transaction ${transaction.id}: ${from} → ${to}`);
+      }
+      return { transaction: updated[0], from, changed: from !== to, allowed: true };
+    }
+
+    console.log(`🔁 Transaction ${transaction.id} changed while updating, re-reading`);
+  }
+
+  throw new Error(`Transaction status kept changing while moving to ${to}`);
+};
+
+module.exports = {
+  canTransition,
+  statusesAllowedBefore,
+  transitionTransaction
+};
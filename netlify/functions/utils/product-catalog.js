@@ -0,0 +1,199 @@
+// netlify/functions/utils/product-catalog.js - Per-form product catalog lookups
+//
+// Prices come from the form_products table (price_paise), never from the
+// request body. Forms that have no catalog yet keep the legacy behaviour of
+// parsing the price from the option label, but only for labels the response
+// pipeline read from Google Forms itself - the public order endpoints re-price
+// those from the pipeline's queued create_order job (priceOrderRequest).
+
+// Normalise a choice label so "Course - ₹2999 " matches "Course - ₹2999"
+const normalizeLabel = (label) => (label || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Parse a price out of a product label (format: "Product Name - ₹Price")
+const parsePriceFromLabel = (label) => {
+  const pricePatterns = [
+    /₹(\d+)/,           // Match ₹1999
+    /-\s*₹(\d+)/,       // Match - ₹1999  
+    /Rs\.?\s*(\d+)/i,   // Match Rs 1999
+    /(\d{3,})/          // Match any 3+ digit number as fallback
+  ];
+
+  for (const pattern of pricePatterns) {
+    const match = (label || '').match(pattern);
+    if (match && match[1]) {
+      const extracted = parseInt(match[1]);
+      if (extracted > 10) { // Only accept prices > ₹10
+        console.log(`✅ Extracted price: ₹${extracted} from: ${label}`);
+        return extracted;
+      }
+    }
+  }
+
+  return 0;
+};
+
+// Load the active catalog for a Google Form (empty array when none is configured
+// or the form isn't registered in form_configs yet)
+const getFormCatalog = async (supabase, formId) => {
+  const { data: formConfig, error: formError } = await supabase
+    .from('form_configs')
+    .select('id')
+    .eq('form_id', formId)
+    .maybeSingle();
+
+  if (formError) {
+    throw new Error(`Failed to load form configuration: ${formError.message}`);
+  }
+
+  if (!formConfig) {
+    return [];
+  }
+
+  const { data: products, error: productsError } = await supabase
+    .from('form_products')
+    .select('id, sku, label, price_paise, currency, is_active')
+    .eq('form_config_id', formConfig.id)
+    .eq('is_active', true);
+
+  if (productsError) {
+    throw new Error(`Failed to load product catalog: ${productsError.message}`);
+  }
+
+  return products || [];
+};
+
+// Price the selected items of an order. Each item is { label, quantity }.
+// Forms without a catalog are refused unless allowLabelPrices is set, which
+// only callers holding labels read from Google Forms may do.
+// Returns { ok, error, lineItems, total, currency } with amounts in rupees.
+const priceLineItems = async (supabase, formId, items, { allowLabelPrices = false } = {}) => {
+  if (!items || items.length === 0) {
+    return { ok: false, error: 'No products selected', lineItems: [], total: 0, currency: 'INR' };
+  }
+
+  const catalog = await getFormCatalog(supabase, formId);
+  const lineItems = [];
+
+  for (const item of items) {
+    const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { ok: false, error: `Invalid quantity for ${item.label}: ${item.quantity}`, lineItems: [], total: 0, currency: 'INR' };
+    }
+
+    let sku = null;
+    let label = item.label;
+    let unitPrice;
+    let currency = 'INR';
+
+    if (catalog.length > 0) {
+      const product = catalog.find(p => normalizeLabel(p.label) === normalizeLabel(item.label));
+
+      if (!product) {
+        console.log(`⚠️ Choice "${item.label}" is not in the catalog for form ${formId}`);
+        return { ok: false, error: `Product not in catalog: ${item.label}`, lineItems: [], total: 0, currency: 'INR' };
+      }
+
+      sku = product.sku;
+      label = product.label;
+      unitPrice = product.price_paise / 100;
+      currency = product.currency || 'INR';
+    } else if (allowLabelPrices) {
+      // Legacy forms: parse the price from the Google Forms option label
+      unitPrice = parsePriceFromLabel(item.label);
+    } else {
+      console.log(`⚠️ Form ${formId} has no product catalog, refusing to price "${item.label}"`);
+      return { ok: false, error: 'This form has no product catalog', lineItems: [], total: 0, currency: 'INR' };
+    }
+
+    if (!unitPrice) {
+      return { ok: false, error: `No price found for ${item.label}`, lineItems: [], total: 0, currency: 'INR' };
+    }
+
+    lineItems.push({
+      sku,
+      label,
+      quantity,
+      unit_price: unitPrice,
+      amount: Number((unitPrice * quantity).toFixed(2)),
+      currency
+    });
+  }
+
+  const currencies = new Set(lineItems.map(li => li.currency));
+  if (currencies.size > 1) {
+    return { ok: false, error: 'Products in one order must share a currency', lineItems: [], total: 0, currency: 'INR' };
+  }
+
+  const total = Number(lineItems.reduce((sum, li) => sum + li.amount, 0).toFixed(2));
+
+  return { ok: true, error: null, lineItems, total, currency: lineItems[0].currency };
+};
+
+// Price an order sent to a public order endpoint. Orders for a form response
+// (responseId set) are priced from the line items the pipeline queued for it,
+// so legacy forms can still use label prices; anything else is priced from the
+// catalog alone. Prices in the request body are never used.
+const priceOrderRequest = async (supabase, formId, { responseId, items }) => {
+  if (!responseId) {
+    return priceLineItems(supabase, formId, items);
+  }
+
+  const { data: job, error } = await supabase
+    .from('pipeline_jobs')
+    .select('payload')
+    .eq('job_type', 'create_order')
+    .eq('form_id', formId)
+    .eq('response_id', responseId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load order for response ${responseId}: ${error.message}`);
+  }
+
+  if (!job) {
+    console.log(`⚠️ No queued order for response ${responseId} on form ${formId}`);
+    return { ok: false, error: 'Unknown form response', lineItems: [], total: 0, currency: 'INR' };
+  }
+
+  const queuedItems = (job.payload?.line_items || []).map(li => ({ label: li.label, quantity: li.quantity }));
+  return priceLineItems(supabase, formId, queuedItems, { allowLabelPrices: true });
+};
+
+// Short human readable summary, e.g. "Course A × 2, Workbook"
+const describeLineItems = (lineItems) =>
+  lineItems
+    .map(li => (li.quantity > 1 ? `${li.label} × ${li.quantity}` : li.label))
+    .join(', ');
+
+// Store the priced line items against a transaction
+const saveLineItems = async (supabase, transactionId, lineItems) => {
+  const { error } = await supabase
+    .from('transaction_line_items')
+    .insert(lineItems.map(li => ({
+      transaction_id: transactionId,
+      sku: li.sku,
+      label: li.label,
+      quantity: li.quantity,
+      unit_price: li.unit_price,
+      amount: li.amount
+    })));
+
+  if (error) {
+    console.error('⚠️ Failed to save line items:', error);
+    return false;
+  }
+
+  console.log(`✅ Saved ${lineItems.length} line items for transaction ${transactionId}`);
+  return true;
+};
+
+module.exports = {
+  normalizeLabel,
+  parsePriceFromLabel,
+  getFormCatalog,
+  priceLineItems,
+  priceOrderRequest,
+  describeLineItems,
+  saveLineItems
+};
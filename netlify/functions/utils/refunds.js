@@ -0,0 +1,297 @@
+// netlify/functions/utils/refunds.js - Refunds (refunds table) and their effect on transactions
+//
+// A refund row is written before the gateway is called and carries our ID to
+// the gateway (Razorpay notes.refund_id, Cashfree refund_id), so the refund
+// webhook updates the same row instead of recording the refund twice. Refunds
+// made on a gateway's own dashboard arrive only through the webhook and get a
+// row then.
+// transactions.amount_refunded and the commission reversal are recomputed from
+// totals rather than incremented, so the API response and the webhook for the
+// same refund can both apply it.
+const { getGatewayForTransaction, getGatewayName } = require('./gateways');
+const { transitionTransaction } = require('./payment-status');
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+const REFUND_PROVIDERS = ['razorpay', 'cashfree', 'stripe'];
+
+// Refund status -> statuses it may be reached from; a processed refund is final
+const REFUND_ALLOWED_FROM = {
+  pending: ['pending'],
+  failed: ['pending', 'failed'],
+  processed: ['pending', 'failed', 'processed']
+};
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+const refundError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sumRefunds = async (supabase, transactionId, statuses) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('id, amount')
+    .eq('transaction_id', transactionId)
+    .in('status', statuses);
+
+  if (error) {
+    throw new Error(`Failed to load refunds: ${error.message}`);
+  }
+
+  return roundAmount((data || []).reduce((sum, r) => sum + (parseFloat(r.amount) || 0), 0));
+};
+
+// What can still be refunded: the payment less what's refunded or in flight
+const getRefundableAmount = async (supabase, transaction) => {
+  const pending = await sumRefunds(supabase, transaction.id, ['pending']);
+  return Math.max(0, roundAmount(
+    (parseFloat(transaction.payment_amount) || 0) - (parseFloat(transaction.amount_refunded) || 0) - pending
+  ));
+};
+
+// Give back the refunded share of the transaction's platform commission
+const reverseCommission = async (supabase, transaction) => {
+  const paymentAmount = parseFloat(transaction.payment_amount) || 0;
+  if (paymentAmount <= 0) return;
+
+  const share = Math.min(1, (parseFloat(transaction.amount_refunded) || 0) / paymentAmount);
+
+  const { data: commissions, error } = await supabase
+    .from('platform_commissions')
+    .select('id, commission_amount, status')
+    .eq('transaction_id', transaction.id);
+
+  if (error) {
+    throw new Error(`Failed to load commission: ${error.message}`);
+  }
+
+  for (const commission of commissions || []) {
+    const { error: updateError } = await supabase
+      .from('platform_commissions')
+      .update({
+        reversed_amount: roundAmount((parseFloat(commission.commission_amount) || 0) * share),
+        ...(share >= 1 && { status: 'reversed', processed_at: new Date().toISOString() })
+      })
+      .eq('id', commission.id);
+
+    if (updateError) {
+      throw new Error(`Failed to reverse commission: ${updateError.message}`);
+    }
+  }
+
+  console.log(`↩️ Commission for transaction ${transaction.id}: ${(share * 100).toFixed(0)}% reversed`);
+};
+
+// Bring transactions.amount_refunded (and payment_status) up to the processed
+// refunds. `gatewayTotal` is the gateway's own running total when it reports
+// one; it also covers refunds from before the refunds table.
+// Returns transitionTransaction()'s result.
+const syncRefundedAmount = async (supabase, transaction, { gatewayTotal = 0 } = {}) => {
+  const processed = await sumRefunds(supabase, transaction.id, ['processed']);
+  const amountRefunded = roundAmount(Math.max(
+    processed,
+    gatewayTotal,
+    parseFloat(transaction.amount_refunded) || 0
+  ));
+  const status = amountRefunded >= (parseFloat(transaction.payment_amount) || 0) ? 'refunded' : 'partially_refunded';
+
+  const result = await transitionTransaction(supabase, { id: transaction.id }, status, {
+    amount_refunded: amountRefunded
+  });
+
+  if (result.allowed) {
+    await reverseCommission(supabase, result.transaction);
+  }
+
+  return result;
+};
+
+// Record a refund reported by a gateway (refund API reply or webhook) against
+// our row - found by our ID when the gateway echoes it, else by the gateway's
+// refund ID - or add a row for a refund made outside PayForm.
+// Returns the refund row, or null when the update isn't allowed (e.g. a late
+// 'pending' for a processed refund).
+const recordGatewayRefund = async (supabase, transaction, {
+  provider,
+  refundId,
+  gatewayRefundId,
+  amount,
+  status,
+  failureReason,
+  raw
+}) => {
+  let lookup = supabase.from('refunds').select('*');
+  lookup = refundId
+    ? lookup.eq('id', refundId)
+    : lookup.eq('provider', provider).eq('gateway_refund_id', gatewayRefundId);
+
+  const { data: existing, error } = await lookup.maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load refund: ${error.message}`);
+  }
+
+  const now = new Date().toISOString();
+  const fields = {
+    status,
+    ...(gatewayRefundId && { gateway_refund_id: gatewayRefundId }),
+    ...(failureReason && { failure_reason: failureReason }),
+    ...(raw && { gateway_response: raw }),
+    ...(status === 'processed' && { processed_at: now }),
+    updated_at: now
+  };
+
+  if (existing) {
+    const { data: updated, error: updateError } = await supabase
+      .from('refunds')
+      .update(fields)
+      .eq('id', existing.id)
+      .in('status', REFUND_ALLOWED_FROM[status])
+      .select();
+
+    if (updateError) {
+      throw new Error(`Failed to update refund: ${updateError.message}`);
+    }
+
+    return updated && updated.length > 0 ? updated[0] : null;
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('refunds')
+    .insert([{
+      ...fields,
+      transaction_id: transaction.id,
+      admin_id: transaction.admin_id,
+      provider,
+      amount,
+      created_at: now
+    }])
+    .select()
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to record refund: ${insertError.message}`);
+  }
+
+  console.log(`📝 Recorded ${provider} refund ${gatewayRefundId} made outside PayForm`);
+  return inserted;
+};
+
+// What each gateway's refund() needs to find the payment (Stripe: the payment intent)
+const getRefundTarget = async (provider, gateway, transaction) => {
+  switch (provider) {
+    case 'razorpay':
+      return {
+        paymentId: transaction.razorpay_payment_id ||
+          (await gateway.fetchPayment(transaction.razorpay_order_id)).paymentId
+      };
+    case 'cashfree':
+      // Refunds go to the paid order behind the payment link
+      return {
+        orderId: (await gateway.fetchPayment(transaction.cashfree_link_id || transaction.transaction_id)).orderId
+      };
+    default:
+      return { paymentId: transaction.transaction_id };
+  }
+};
+
+// Refund all of a transaction (amount omitted) or part of it through the
+// gateway that took the payment. Errors carry a statusCode for the caller.
+// Returns { refund, transaction }.
+const requestRefund = async (supabase, transaction, { amount, reason, requestedBy }) => {
+  if (!REFUNDABLE_STATUSES.includes(transaction.payment_status)) {
+    throw refundError(400, `A ${transaction.payment_status || 'pending'} transaction can't be refunded`);
+  }
+
+  const provider = getGatewayName(transaction);
+  if (!REFUND_PROVIDERS.includes(provider)) {
+    throw refundError(400, `Refunds are not supported for ${provider} payments`);
+  }
+
+  const refundable = await getRefundableAmount(supabase, transaction);
+  const refundAmount = roundAmount(amount == null ? refundable : amount);
+
+  if (!(refundAmount > 0)) {
+    throw refundError(400, 'Refund amount must be greater than zero');
+  }
+
+  if (refundAmount > refundable) {
+    throw refundError(400, `Refund amount exceeds the refundable ₹${refundable.toFixed(2)}`);
+  }
+
+  const { data: refund, error: insertError } = await supabase
+    .from('refunds')
+    .insert([{
+      transaction_id: transaction.id,
+      admin_id: transaction.admin_id,
+      provider,
+      amount: refundAmount,
+      reason: reason || null,
+      status: 'pending',
+      requested_by: requestedBy || null
+    }])
+    .select()
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to record refund: ${insertError.message}`);
+  }
+
+  // Two requests at once could both have passed the check above; this row
+  // is now counted, so recheck
+  const inFlight = await sumRefunds(supabase, transaction.id, ['pending']);
+  if (inFlight > roundAmount((parseFloat(transaction.payment_amount) || 0) - (parseFloat(transaction.amount_refunded) || 0))) {
+    await recordGatewayRefund(supabase, transaction, {
+      provider, refundId: refund.id, status: 'failed', failureReason: 'Another refund was requested at the same time'
+    });
+    throw refundError(409, 'Another refund for this transaction is in progress');
+  }
+
+  console.log(`↩️ Refunding ₹${refundAmount} of transaction ${transaction.id} via ${provider}`);
+
+  let result;
+  try {
+    const gateway = getGatewayForTransaction(transaction);
+    const target = await getRefundTarget(provider, gateway, transaction);
+    result = await gateway.refund({
+      ...target,
+      amount: refundAmount,
+      reason,
+      refundId: refund.id,
+      notes: { refund_id: refund.id, transaction_id: transaction.transaction_id }
+    });
+  } catch (gatewayError) {
+    console.error(`❌ ${provider} refund failed:`, gatewayError.message);
+    await recordGatewayRefund(supabase, transaction, {
+      provider, refundId: refund.id, status: 'failed', failureReason: gatewayError.message
+    });
+    throw refundError(502, `Refund failed: ${gatewayError.message}`);
+  }
+
+  const updated = await recordGatewayRefund(supabase, transaction, {
+    provider,
+    refundId: refund.id,
+    gatewayRefundId: result.id,
+    status: result.status,
+    raw: result.raw
+  }) || refund;
+
+  let updatedTransaction = transaction;
+  if (result.status === 'processed') {
+    updatedTransaction = (await syncRefundedAmount(supabase, transaction)).transaction || transaction;
+  }
+
+  console.log(`✅ Refund ${refund.id}: ${updated.status}`);
+  return { refund: updated, transaction: updatedTransaction };
+};
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  getRefundableAmount,
+  recordGatewayRefund,
+  requestRefund,
+  reverseCommission,
+  syncRefundedAmount
+};
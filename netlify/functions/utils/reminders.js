@@ -0,0 +1,256 @@
+// netlify/functions/utils/reminders.js - Payment reminders for unpaid links
+//
+// A form's reminder_schedule lists hours after the transaction was created,
+// e.g. [6, 24, 72]. sendDueReminders() (scheduled, send-payment-reminders.js)
+// emails the 'reminder' template for every unpaid transaction whose next step
+// is due. A transaction that has expired (expire-payment-links), or whose
+// link has expired at the gateway, gets a new link first and is pending again.
+// Steps that were already overdue when a reminder goes out are skipped, so a
+// customer never gets several at once. Every attempt is logged in
+// payment_reminders.
+//
+// Transactions are claimed with a conditional update on payment_status
+// (like pipeline jobs), and the status is checked again right before
+// sending, so reminders stop as soon as a payment is verified.
+const { sendEmail } = require('./email');
+const { fetchPaymentLink, regeneratePaymentLink } = require('./payment-links');
+
+const HOUR_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS_PER_STEP = 3;
+
+// Expired transactions are still reminded, with a new link
+const REMINDABLE_STATUSES = ['pending', 'expired'];
+
+// Reminders stop this long after the last step is due
+const GRACE_MS = 24 * HOUR_MS;
+
+const TRANSACTION_COLUMNS = 'id, transaction_id, form_id, admin_id, email, customer_name, product_name, product_sku, ' +
+  'payment_amount, payment_currency, payment_status, payment_provider, gateway_used, is_test, ' +
+  'razorpay_order_id, cashfree_order_id, cashfree_link_id, payment_url, payment_link_expires_at, link_regeneration_count, reminders_sent, created_at';
+
+// Sorted positive whole hours; anything else is dropped
+const normalizeSchedule = (schedule) =>
+  [...new Set((schedule || []).map(Number).filter(h => Number.isInteger(h) && h > 0))].sort((a, b) => a - b);
+
+// How many steps of the schedule are due for a transaction created at `createdAt`
+const countDueSteps = (schedule, createdAt, now) => {
+  const age = now.getTime() - new Date(createdAt).getTime();
+  return schedule.filter(hours => hours * HOUR_MS <= age).length;
+};
+
+const listFormsWithReminders = async (supabase) => {
+  const { data, error } = await supabase
+    .from('form_configs')
+    .select('form_id, form_name, admin_id, reminder_schedule')
+    .eq('is_active', true)
+    .neq('reminder_schedule', '{}');
+
+  if (error) {
+    throw new Error(`Failed to load reminder schedules: ${error.message}`);
+  }
+
+  return (data || [])
+    .map(form => ({ ...form, schedule: normalizeSchedule(form.reminder_schedule) }))
+    .filter(form => form.schedule.length > 0);
+};
+
+// Unpaid transactions of a form with a step due that hasn't been sent
+const listDueTransactions = async (supabase, form, now) => {
+  const { schedule } = form;
+  const newest = new Date(now.getTime() - schedule[0] * HOUR_MS).toISOString();
+  const oldest = new Date(now.getTime() - schedule[schedule.length - 1] * HOUR_MS - GRACE_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('transactions')
+    .select(TRANSACTION_COLUMNS)
+    .eq('form_id', form.form_id)
+    .in('payment_status', REMINDABLE_STATUSES)
+    .lte('created_at', newest)
+    .gte('created_at', oldest);
+
+  if (error) {
+    throw new Error(`Failed to load pending transactions: ${error.message}`);
+  }
+
+  return (data || [])
+    .map(transaction => ({ transaction, dueSteps: countDueSteps(schedule, transaction.created_at, now) }))
+    .filter(({ transaction, dueSteps }) => dueSteps > (transaction.reminders_sent || 0));
+};
+
+// Atomically take an unpaid transaction's next reminder; null if it's paid,
+// already reminded or another run has it
+const claimReminder = async (supabase, transaction, now) => {
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: claimed, error } = await supabase
+    .from('transactions')
+    .update({ reminder_locked_at: now.toISOString() })
+    .eq('id', transaction.id)
+    .in('payment_status', REMINDABLE_STATUSES)
+    .eq('reminders_sent', transaction.reminders_sent || 0)
+    .or(`reminder_locked_at.is.null,reminder_locked_at.lt.${staleBefore}`)
+    .select(TRANSACTION_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to claim reminder for transaction ${transaction.id}: ${error.message}`);
+  }
+
+  return claimed && claimed.length > 0 ? claimed[0] : null;
+};
+
+const releaseReminder = async (supabase, transactionId, fields = {}) => {
+  const { error } = await supabase
+    .from('transactions')
+    .update({ ...fields, reminder_locked_at: null })
+    .eq('id', transactionId);
+
+  if (error) {
+    console.error(`⚠️ Failed to release reminder for transaction ${transactionId}:`, error.message);
+  }
+};
+
+const logReminder = async (supabase, reminder) => {
+  const { error } = await supabase
+    .from('payment_reminders')
+    .insert([reminder]);
+
+  if (error) {
+    console.error(`⚠️ Failed to log reminder for transaction ${reminder.transaction_id}:`, error.message);
+  }
+};
+
+const countFailedAttempts = async (supabase, transactionId, sequence) => {
+  const { data } = await supabase
+    .from('payment_reminders')
+    .select('id')
+    .eq('transaction_id', transactionId)
+    .eq('sequence', sequence)
+    .eq('status', 'failed');
+
+  return (data || []).length;
+};
+
+const isStillPending = async (supabase, transactionId) => {
+  const { data } = await supabase
+    .from('transactions')
+    .select('payment_status')
+    .eq('id', transactionId)
+    .maybeSingle();
+
+  return data?.payment_status === 'pending';
+};
+
+// Send step `dueSteps` of the schedule to one transaction.
+// Returns { status: sent|skipped|failed, reason?, error? }.
+const sendReminder = async (supabase, transaction, dueSteps, now = new Date()) => {
+  const claimed = await claimReminder(supabase, transaction, now);
+  if (!claimed) {
+    return { status: 'skipped', reason: 'not_claimed' };
+  }
+
+  const sequence = dueSteps;
+  let current = claimed;
+  let regeneratedFrom = null;
+
+  try {
+    let url = null;
+    let linkStatus = 'expired';
+
+    if (claimed.payment_status === 'pending') {
+      ({ status: linkStatus, url } = await fetchPaymentLink(claimed));
+    }
+
+    // Paid but not verified yet - the webhook or the redirect will mark it
+    if (linkStatus === 'paid') {
+      await releaseReminder(supabase, claimed.id);
+      return { status: 'skipped', reason: 'paid_at_gateway' };
+    }
+
+    if (linkStatus === 'expired' || linkStatus === 'cancelled') {
+      ({ transaction: current, url, previousId: regeneratedFrom } = await regeneratePaymentLink(supabase, claimed, { linkStatus }));
+    }
+
+    if (!url) {
+      throw new Error('No payment link to send');
+    }
+
+    if (!(await isStillPending(supabase, claimed.id))) {
+      await releaseReminder(supabase, claimed.id);
+      return { status: 'skipped', reason: 'payment_verified' };
+    }
+
+    const email = await sendEmail(supabase, {
+      adminId: current.admin_id,
+      to: current.email,
+      template: 'reminder',
+      data: {
+        customerName: current.customer_name,
+        productName: current.product_name,
+        amount: current.payment_amount,
+        paymentLink: url,
+        orderId: current.transaction_id,
+        expiresAt: current.payment_link_expires_at
+      }
+    });
+
+    await logReminder(supabase, {
+      transaction_id: claimed.id,
+      admin_id: claimed.admin_id,
+      sequence,
+      status: 'sent',
+      payment_url: url,
+      regenerated_from: regeneratedFrom,
+      email_transport: email.transport,
+      message_id: email.messageId
+    });
+
+    await releaseReminder(supabase, claimed.id, { reminders_sent: dueSteps, last_reminder_at: now.toISOString() });
+    console.log(`⏰ Reminder ${sequence} sent for transaction ${claimed.id}${regeneratedFrom ? ' (new link)' : ''}`);
+    return { status: 'sent' };
+
+  } catch (error) {
+    console.error(`⚠️ Reminder ${sequence} for transaction ${claimed.id} failed:`, error.message);
+
+    await logReminder(supabase, {
+      transaction_id: claimed.id,
+      admin_id: claimed.admin_id,
+      sequence,
+      status: 'failed',
+      regenerated_from: regeneratedFrom,
+      error_message: error.message
+    });
+
+    // Retried on the next runs, then this step is given up
+    const attempts = await countFailedAttempts(supabase, claimed.id, sequence);
+    await releaseReminder(supabase, claimed.id,
+      attempts >= MAX_ATTEMPTS_PER_STEP ? { reminders_sent: dueSteps } : {});
+
+    return { status: 'failed', error: error.message };
+  }
+};
+
+// Send every reminder that is due (scheduled worker)
+const sendDueReminders = async (supabase, now = new Date()) => {
+  const forms = await listFormsWithReminders(supabase);
+  const summary = { forms: forms.length, due: 0, sent: 0, skipped: 0, failed: 0 };
+
+  for (const form of forms) {
+    const due = await listDueTransactions(supabase, form, now);
+    summary.due += due.length;
+
+    for (const { transaction, dueSteps } of due) {
+      const result = await sendReminder(supabase, transaction, dueSteps, now);
+      summary[result.status]++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  countDueSteps,
+  normalizeSchedule,
+  sendDueReminders,
+  sendReminder
+};
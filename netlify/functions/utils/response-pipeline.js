@@ -0,0 +1,685 @@
+// netlify/functions/utils/response-pipeline.js - Per-form response processing
+//
+// Shared by the polling monitor (monitor-form-responses.js) and the Forms push
+// receiver (forms-push.js): fetch new responses for one form, extract the
+// order and price it. Creating the payment link (through the gateway picked by
+// gateway-routing.js) and emailing it (through ./email) run as durable jobs
+// (see job-queue.js) so a transient failure is retried.
+const { google } = require('googleapis');
+const { initGoogleAuthForAdmin } = require('./google-auth');
+const { priceLineItems, describeLineItems } = require('./product-catalog');
+const { resolveGatewayForForm } = require('./gateway-routing');
+const { enqueueJob, claimJob, completeJob, failJob, listDueJobs, requeueJob } = require('./job-queue');
+const { sendEmail } = require('./email');
+
+// Columns processFormResponses needs from form_configs
+const FORM_COLUMNS = 'form_id, form_name, admin_id, created_at, last_response_submitted_at';
+
+// A response left 'processing' this long, with no job queued, was abandoned
+// by a run that died mid-intake and can be claimed again
+const RESPONSE_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Read every text value of an answer (checkbox questions return one value per ticked box)
+const getAnswerValues = (answer) =>
+  (answer?.textAnswers?.answers || [])
+    .map(a => (a.value || '').trim())
+    .filter(Boolean);
+
+// Look up an answer by the question ID stored in form_field_mappings
+// (legacy "entry.<itemId>" IDs are migrated by getFieldMapping first)
+const getMappedAnswers = (answers, fieldId) => {
+  if (!fieldId) return [];
+  return getAnswerValues(answers[fieldId]);
+};
+
+const getMappedAnswer = (answers, fieldId) => getMappedAnswers(answers, fieldId)[0] || '';
+
+// Parse a quantity answer; empty means 1, anything that isn't a positive whole number is NaN
+const parseQuantity = (value) => {
+  if (!value) return 1;
+  const quantity = Number(value.replace(/[^\d.]/g, ''));
+  return Number.isInteger(quantity) && quantity > 0 ? quantity : NaN;
+};
+
+const MAPPING_FIELDS = ['email_field_id', 'product_field_id', 'name_field_id', 'phone_field_id', 'quantity_field_id'];
+
+// Mappings saved before answers were looked up by question ID hold
+// "entry.<itemId>". Translate those through the form's structure (item ID ->
+// question ID) and save the result, so each mapping is migrated once.
+// Throws on Google API errors like the rest of the run.
+const migrateLegacyMapping = async (supabase, forms, formId, adminId, mapping) => {
+  const legacyFields = MAPPING_FIELDS.filter(field => (mapping[field] || '').startsWith('entry.'));
+  if (legacyFields.length === 0) {
+    return mapping;
+  }
+
+  const { data: structure } = await forms.forms.get({ formId });
+  const questionIds = {};
+  (structure.items || []).forEach(item => {
+    const questionId = item.questionItem?.question?.questionId;
+    if (questionId) questionIds[item.itemId] = questionId;
+  });
+  const knownQuestionIds = new Set(Object.values(questionIds));
+
+  const updates = {};
+  legacyFields.forEach(field => {
+    const id = mapping[field].slice('entry.'.length);
+    const questionId = questionIds[id] || (knownQuestionIds.has(id) ? id : null);
+
+    if (questionId) {
+      updates[field] = questionId;
+    } else {
+      console.log(`⚠️ ${field} "${mapping[field]}" matches no question on form ${formId}`);
+    }
+  });
+
+  if (Object.keys(updates).length === 0) {
+    return mapping;
+  }
+
+  const { error } = await supabase
+    .from('form_field_mappings')
+    .update(updates)
+    .eq('form_id', formId)
+    .eq('admin_id', adminId);
+
+  if (error) {
+    console.error(`⚠️ Could not save migrated field mapping for form ${formId}:`, error.message);
+  } else {
+    console.log(`🔁 Migrated legacy field mapping for form ${formId}:`, updates);
+  }
+
+  return { ...mapping, ...updates };
+};
+
+// Load the admin's saved field mapping for a form (null when none was saved).
+// `forms` (Google Forms API client) is used to migrate legacy question IDs.
+const getFieldMapping = async (supabase, formId, adminId, forms) => {
+  const { data: mapping, error } = await supabase
+    .from('form_field_mappings')
+    .select('email_field_id, product_field_id, name_field_id, phone_field_id, quantity_field_id')
+    .eq('form_id', formId)
+    .eq('admin_id', adminId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`⚠️ Could not load field mapping for form ${formId}:`, error.message);
+    return null;
+  }
+
+  if (!mapping || !mapping.email_field_id || !mapping.product_field_id) {
+    return null;
+  }
+
+  return migrateLegacyMapping(supabase, forms, formId, adminId, mapping);
+};
+
+// Extract form data using the admin's explicit question mapping.
+// The quantity question (if mapped) applies to every selected product.
+const extractMappedFormData = (response, mapping) => {
+  const answers = response.answers || {};
+
+  const email = getMappedAnswer(answers, mapping.email_field_id);
+  const name = getMappedAnswer(answers, mapping.name_field_id);
+  const phone = getMappedAnswer(answers, mapping.phone_field_id);
+  const quantity = parseQuantity(getMappedAnswer(answers, mapping.quantity_field_id));
+  const items = getMappedAnswers(answers, mapping.product_field_id).map(label => ({ label, quantity }));
+
+  const result = { email, name: name || 'Customer', phone, items, strategy: 'field_mapping' };
+  console.log(`🔍 Extracted data via field mapping:`, result);
+  return result;
+};
+
+// Extract form data by guessing from answer values (used when no mapping exists)
+const extractHeuristicFormData = (response) => {
+  const answers = response.answers || {};
+  let email = '', name = '';
+  const items = [];
+
+  console.log(`🔍 DEBUG - Response ID: ${response.responseId}`);
+  console.log(`🔍 DEBUG - Total answers: ${Object.keys(answers).length}`);
+
+  // Extract data from form answers
+  Object.values(answers).forEach(answer => {
+    getAnswerValues(answer).forEach(value => {
+      // DEBUG: Log each value being processed
+      console.log(`🔍 Processing form value: "${value}"`);
+
+      // Email detection
+      if (value.includes('@') && value.includes('.')) {
+        email = value;
+        console.log(`✅ Found email: ${email}`);
+      }
+
+      // Product and price detection (format: "Product Name - ₹Price")
+      if (value.includes('₹') || value.includes('Rs') || value.includes('INR')) {
+        items.push({ label: value, quantity: 1 });
+        console.log(`✅ Found product string: ${value}`);
+      }
+
+      // Name detection (if no @ symbol and not a product)
+      if (!value.includes('@') && !value.includes('₹') && !value.includes('Rs') && value.length > 2) {
+        if (!name) {
+          name = value;
+          console.log(`✅ Found name: ${name}`);
+        }
+      }
+    });
+  });
+
+  const result = { email, name: name || 'Customer', phone: '', items, strategy: 'heuristic' };
+  console.log(`🔍 Final extracted data:`, result);
+  return result;
+};
+
+// Extract form data from Google Forms response - mapping first, heuristics as fallback
+const extractFormData = (response, mapping) => {
+  if (mapping) {
+    return extractMappedFormData(response, mapping);
+  }
+
+  console.log('⚠️ No field mapping saved for this form, falling back to heuristic extraction');
+  return extractHeuristicFormData(response);
+};
+
+// Fetch every response submitted at or after the form's cursor, following nextPageToken
+const listResponsesSince = async (forms, formId, since) => {
+  const responses = [];
+  let pageToken;
+
+  do {
+    const page = await forms.forms.responses.list({
+      formId,
+      filter: `timestamp >= ${since}`,
+      pageToken
+    });
+
+    responses.push(...(page.data.responses || []));
+    pageToken = page.data.nextPageToken;
+  } while (pageToken);
+
+  // Oldest first, so the cursor only ever moves forward
+  return responses.sort((a, b) => new Date(a.lastSubmittedTime) - new Date(b.lastSubmittedTime));
+};
+
+// Persist the newest lastSubmittedTime seen for a form. The cursor only moves
+// forward, so an overlapping run that saw fewer responses can't pull it back.
+const advanceResponseCursor = async (supabase, formId, lastSubmittedTime) => {
+  const { error } = await supabase
+    .from('form_configs')
+    .update({ last_response_submitted_at: lastSubmittedTime })
+    .eq('form_id', formId)
+    .or(`last_response_submitted_at.is.null,last_response_submitted_at.lt.${lastSubmittedTime}`);
+
+  if (error) {
+    console.error(`⚠️ Failed to advance response cursor for form ${formId}:`, error.message);
+  }
+};
+
+const updateResponseRecord = (supabase, formId, responseId, fields) =>
+  supabase
+    .from('processed_form_responses')
+    .update(fields)
+    .eq('response_id', responseId)
+    .eq('form_id', formId);
+
+// Ask the form's gateway for a payment link. Both order functions price the
+// line items again server-side from this response's create_order job and
+// store the transaction.
+const createGatewayOrder = async (route, formId, responseId, payload) => {
+  const isRazorpay = route.gateway === 'razorpay';
+  const endpoint = isRazorpay ? 'create-razorpay-order' : 'create-cashfree-order';
+
+  const body = isRazorpay
+    ? {
+        form_id: formId,
+        response_id: responseId,
+        customer_email: payload.customer_email,
+        customer_name: payload.customer_name,
+        product_name: payload.product_name,
+        product_price: payload.product_price,
+        line_items: payload.line_items,
+        admin_id: payload.admin_id,
+        auto_splits: route.autoSplits
+      }
+    : {
+        form_id: formId,
+        response_id: responseId,
+        email: payload.customer_email,
+        customer_name: payload.customer_name,
+        product_name: payload.product_name,
+        product_price: payload.product_price,
+        line_items: payload.line_items,
+        form_admin_id: payload.admin_id,
+        gateway_fallback_reason: route.fallbackReason
+      };
+
+  const orderResponse = await fetch(`${process.env.URL}/.netlify/functions/${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  return orderResponse.json();
+};
+
+// Job: create the payment link through the form's gateway, then queue the email
+const runCreateOrderJob = async (supabase, job) => {
+  const { form_id: formId, response_id: responseId, payload } = job;
+
+  // An earlier attempt may have created the link and failed afterwards - reuse it
+  const { data: record } = await supabase
+    .from('processed_form_responses')
+    .select('payment_gateway, order_id, razorpay_order_id, payment_url')
+    .eq('response_id', responseId)
+    .eq('form_id', formId)
+    .maybeSingle();
+
+  const existingOrderId = record && (record.order_id || record.razorpay_order_id);
+  let order = existingOrderId && record.payment_url
+    ? { gateway: record.payment_gateway || 'razorpay', order_id: existingOrderId, checkout_url: record.payment_url }
+    : null;
+
+  if (!order) {
+    const route = await resolveGatewayForForm(supabase, formId);
+    if (!route) {
+      throw new Error('Form is no longer active');
+    }
+
+    console.log(`🔀 Routing form ${formId} to ${route.gateway}${route.fallbackReason ? ` (fallback: ${route.fallbackReason})` : ''}`);
+
+    const orderData = await createGatewayOrder(route, formId, responseId, payload);
+
+    if (!orderData.success || !orderData.checkout_url) {
+      throw new Error(`Payment order creation failed (${route.gateway}): ${orderData.error}`);
+    }
+
+    order = { gateway: route.gateway, order_id: orderData.order_id, checkout_url: orderData.checkout_url };
+    console.log(`💳 ${route.gateway} order created:`, order.order_id);
+
+    await updateResponseRecord(supabase, formId, responseId, {
+      payment_gateway: order.gateway,
+      order_id: order.order_id,
+      payment_url: order.checkout_url,
+      ...(order.gateway === 'razorpay' && { razorpay_order_id: order.order_id })
+    });
+  }
+
+  return {
+    jobType: 'send_payment_email',
+    formId,
+    responseId,
+    payload: { ...payload, ...order }
+  };
+};
+
+// Job: email the payment link to the customer
+const runSendPaymentEmailJob = async (supabase, job) => {
+  const { form_id: formId, response_id: responseId, payload } = job;
+
+  // Throws when the email isn't accepted, so the job is retried
+  const emailResult = await sendEmail(supabase, {
+    adminId: payload.admin_id,
+    to: payload.customer_email,
+    template: 'payment_request',
+    data: {
+      customerName: payload.customer_name,
+      productName: payload.product_name,
+      amount: payload.product_price,
+      paymentLink: payload.checkout_url,
+      orderId: payload.order_id
+    }
+  });
+
+  console.log(`📧 Payment email sent to ${payload.customer_email}`);
+
+  await updateResponseRecord(supabase, formId, responseId, {
+    status: 'completed',
+    error_message: null,
+    email_sent: true,
+    email_message_id: emailResult.messageId
+  });
+
+  return null;
+};
+
+const JOB_HANDLERS = {
+  create_order: runCreateOrderJob,
+  send_payment_email: runSendPaymentEmailJob
+};
+
+// Claim and run one job. A successful job's follow-up is queued and run straight
+// away; a failure is rescheduled with backoff and reflected on the response row.
+const runJob = async (supabase, job) => {
+  const claimed = await claimJob(supabase, job.id);
+  if (!claimed) {
+    return { status: 'skipped' };
+  }
+
+  const handler = JOB_HANDLERS[claimed.job_type];
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${claimed.job_type}`);
+    }
+
+    const nextJob = await handler(supabase, claimed);
+    await completeJob(supabase, claimed);
+
+    if (nextJob) {
+      return runJob(supabase, await enqueueJob(supabase, nextJob));
+    }
+
+    return { status: 'completed', jobType: claimed.job_type };
+
+  } catch (error) {
+    const result = await failJob(supabase, claimed, error.message);
+
+    await updateResponseRecord(supabase, claimed.form_id, claimed.response_id, {
+      status: result.status === 'failed' ? 'failed' : 'retrying',
+      error_message: error.message
+    });
+
+    return { status: result.status, jobType: claimed.job_type, error: error.message };
+  }
+};
+
+// Run every job that is due (scheduled worker)
+const drainDueJobs = async (supabase, limit) => {
+  const jobs = await listDueJobs(supabase, limit);
+  const summary = { due: jobs.length, completed: 0, retrying: 0, failed: 0 };
+
+  for (const job of jobs) {
+    const result = await runJob(supabase, job);
+    if (result.status === 'completed') summary.completed++;
+    if (result.status === 'pending') summary.retrying++;
+    if (result.status === 'failed') summary.failed++;
+  }
+
+  return summary;
+};
+
+// Atomically claim a response. processed_form_responses is unique on
+// (form_id, response_id) and the insert skips on conflict, so when monitor
+// runs and push deliveries overlap exactly one of them gets the row back.
+// Returns 'claimed', 'busy' (another run is processing it right now) or
+// 'done' (handled, or owned by the job queue).
+const claimResponse = async (supabase, formId, responseId, now = new Date()) => {
+  const { data: claimed, error } = await supabase
+    .from('processed_form_responses')
+    .upsert(
+      {
+        response_id: responseId,
+        form_id: formId,
+        status: 'processing',
+        processed_at: now.toISOString()
+      },
+      { onConflict: 'form_id,response_id', ignoreDuplicates: true }
+    )
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim response ${responseId}: ${error.message}`);
+  }
+
+  if (claimed.length > 0) {
+    return 'claimed';
+  }
+
+  return claimStaleResponse(supabase, formId, responseId, now);
+};
+
+// Take over a response whose claim is older than RESPONSE_LOCK_TIMEOUT_MS and
+// that never reached the job queue: the run that claimed it died mid-intake.
+// Once a job is queued the job worker (with its own lock) owns the response.
+const claimStaleResponse = async (supabase, formId, responseId, now) => {
+  const { data: record, error } = await supabase
+    .from('processed_form_responses')
+    .select('status, processed_at')
+    .eq('response_id', responseId)
+    .eq('form_id', formId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read response ${responseId}: ${error.message}`);
+  }
+
+  if (!record || record.status !== 'processing') {
+    return 'done';
+  }
+
+  if (new Date(record.processed_at).getTime() > now.getTime() - RESPONSE_LOCK_TIMEOUT_MS) {
+    return 'busy';
+  }
+
+  const { data: jobs } = await supabase
+    .from('pipeline_jobs')
+    .select('id')
+    .eq('form_id', formId)
+    .eq('response_id', responseId)
+    .limit(1);
+
+  if (jobs && jobs.length > 0) {
+    return 'done';
+  }
+
+  // Conditional on the old claim time, so only one run takes it over
+  const { data: reclaimed, error: claimError } = await updateResponseRecord(supabase, formId, responseId, {
+    status: 'processing',
+    error_message: null,
+    processed_at: now.toISOString()
+  })
+    .eq('status', 'processing')
+    .eq('processed_at', record.processed_at)
+    .select('id');
+
+  if (claimError) {
+    throw new Error(`Failed to claim response ${responseId}: ${claimError.message}`);
+  }
+
+  if (reclaimed.length === 0) {
+    return 'busy';
+  }
+
+  console.log(`♻️ Reclaimed abandoned response ${responseId}`);
+  return 'claimed';
+};
+
+// Claim a failed response for a manual retry (failed -> processing), same guarantee
+const claimFailedResponse = async (supabase, formId, responseId) => {
+  const { data: claimed, error } = await updateResponseRecord(supabase, formId, responseId, {
+    status: 'processing',
+    error_message: null,
+    processed_at: new Date().toISOString()
+  })
+    .eq('status', 'failed')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim response ${responseId}: ${error.message}`);
+  }
+
+  return claimed.length > 0;
+};
+
+// Extract and price one claimed response, then hand it to the job queue.
+// Throws if it fails before a job is queued; the caller marks the row failed.
+const intakeResponse = async (supabase, form, response, fieldMapping) => {
+  const responseId = response.responseId;
+
+  // Extract form data using the saved field mapping (or heuristics)
+  const formData = extractFormData(response, fieldMapping);
+
+  await updateResponseRecord(supabase, form.form_id, responseId, { extraction_strategy: formData.strategy });
+
+  if (!formData.email || formData.items.length === 0) {
+    console.log('⚠️ Incomplete form data, skipping:', formData);
+    await updateResponseRecord(supabase, form.form_id, responseId, { status: 'failed', error_message: 'Incomplete form data' });
+    return { status: 'failed' };
+  }
+
+  // Price every selected item from the form's product catalog (or, for forms
+  // without one, from the option labels Google Forms returned)
+  const pricing = await priceLineItems(supabase, form.form_id, formData.items, { allowLabelPrices: true });
+
+  if (!pricing.ok) {
+    console.log(`⚠️ Could not price order: ${pricing.error}`);
+    await updateResponseRecord(supabase, form.form_id, responseId, { status: 'failed', error_message: pricing.error });
+    return { status: 'failed' };
+  }
+
+  const job = await enqueueJob(supabase, {
+    jobType: 'create_order',
+    formId: form.form_id,
+    responseId,
+    payload: {
+      admin_id: form.admin_id,
+      customer_email: formData.email,
+      customer_name: formData.name,
+      product_name: describeLineItems(pricing.lineItems),
+      product_price: pricing.total,
+      line_items: pricing.lineItems
+    }
+  });
+
+  // Run the chain now; anything that fails is picked up by the job worker later
+  try {
+    return await runJob(supabase, job);
+  } catch (error) {
+    console.error(`⚠️ Job ${job.id} left for the job worker:`, error.message);
+    return { status: 'pending', jobType: job.job_type, error: error.message };
+  }
+};
+
+// Intake one claimed response; any error before a job is queued fails the
+// row (it can be retried from the dashboard) instead of leaving it 'processing'
+const intakeClaimedResponse = async (supabase, form, response, fieldMapping) => {
+  try {
+    return await intakeResponse(supabase, form, response, fieldMapping);
+  } catch (error) {
+    console.error(`❌ Response ${response.responseId} failed:`, error.message);
+    await updateResponseRecord(supabase, form.form_id, response.responseId, { status: 'failed', error_message: error.message });
+    return { status: 'failed', error: error.message };
+  }
+};
+
+// Process every new response for one form and move its cursor forward.
+// Throws on Google auth / API errors so the caller can decide how to report them.
+// `forms` is a Google Forms API client (defaults to one for the form's admin).
+const processFormResponses = async (supabase, form, { forms } = {}) => {
+  let processed = 0;
+  let emailsSent = 0;
+  let errors = 0;
+
+  // Initialize Google Forms API with admin's OAuth token
+  if (!forms) {
+    const authClient = await initGoogleAuthForAdmin(supabase, form.admin_id);
+    forms = google.forms({ version: 'v1', auth: authClient });
+  }
+
+  // Load the admin's field mapping once per form
+  const fieldMapping = await getFieldMapping(supabase, form.form_id, form.admin_id, forms);
+
+  // Only ask Google for responses since the last one we saw. A form that has
+  // never been polled starts from its registration time, so responses
+  // submitted before it was connected to PayForm are never charged.
+  const cursor = new Date(form.last_response_submitted_at || form.created_at).toISOString();
+  const responses = await listResponsesSince(forms, form.form_id, cursor);
+  console.log(`📝 Found ${responses.length} responses since ${cursor} for form ${form.form_name}`);
+
+  // The first response another run is still processing: the cursor stops
+  // there so it is listed again (and reclaimed if that run died)
+  let heldAt = null;
+
+  // Process each response
+  for (const response of responses) {
+    const responseId = response.responseId;
+
+    const claim = await claimResponse(supabase, form.form_id, responseId);
+    if (claim !== 'claimed') {
+      if (claim === 'busy' && !heldAt) heldAt = response.lastSubmittedTime;
+      continue;
+    }
+
+    console.log(`🆕 Processing new response: ${responseId}`);
+
+    const result = await intakeClaimedResponse(supabase, form, response, fieldMapping);
+
+    if (result.status === 'completed') {
+      emailsSent++;
+    } else {
+      errors++;
+    }
+
+    processed++;
+
+  } // End response processing loop
+
+  // Every response up to here has been handled, queued for retry or marked
+  // failed (retried from the dashboard), so move the cursor forward - up to
+  // the first one still being processed elsewhere
+  if (responses.length > 0) {
+    await advanceResponseCursor(supabase, form.form_id, heldAt || responses[responses.length - 1].lastSubmittedTime);
+  }
+
+  return { processed, emailsSent, errors };
+};
+
+// Manual retry of a failed response. If one of its jobs gave up, that job is
+// requeued; if it failed before reaching the queue (bad data, unknown product),
+// the response is fetched from Google again and re-extracted with the current
+// field mapping and catalog.
+const retryFormResponse = async (supabase, formId, responseId) => {
+  if (!(await claimFailedResponse(supabase, formId, responseId))) {
+    return { status: 'skipped', error: 'Only failed responses can be retried' };
+  }
+
+  try {
+    const { data: failedJob } = await supabase
+      .from('pipeline_jobs')
+      .select('id')
+      .eq('form_id', formId)
+      .eq('response_id', responseId)
+      .eq('status', 'failed')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (failedJob) {
+      const job = await requeueJob(supabase, failedJob.id);
+      await updateResponseRecord(supabase, formId, responseId, { status: 'retrying' });
+      return await runJob(supabase, job);
+    }
+
+    const { data: form, error: formError } = await supabase
+      .from('form_configs')
+      .select(FORM_COLUMNS)
+      .eq('form_id', formId)
+      .single();
+
+    if (formError || !form) {
+      throw new Error('Form not found');
+    }
+
+    const authClient = await initGoogleAuthForAdmin(supabase, form.admin_id);
+    const forms = google.forms({ version: 'v1', auth: authClient });
+    const { data: response } = await forms.forms.responses.get({ formId, responseId });
+    const fieldMapping = await getFieldMapping(supabase, formId, form.admin_id, forms);
+
+    return await intakeResponse(supabase, form, response, fieldMapping);
+
+  } catch (error) {
+    // Hand the row back as failed so it can be retried again
+    await updateResponseRecord(supabase, formId, responseId, { status: 'failed', error_message: error.message });
+    return { status: 'failed', error: error.message };
+  }
+};
+
+module.exports = {
+  FORM_COLUMNS,
+  RESPONSE_LOCK_TIMEOUT_MS,
+  claimResponse,
+  processFormResponses,
+  drainDueJobs,
+  retryFormResponse
+};
@@ -0,0 +1,204 @@
+// netlify/functions/utils/statements.js - Monthly statements for form admins
+//
+// sendMonthlyStatements() (scheduled, send-monthly-statements.js) emails every
+// active form admin a summary of last month's transactions (India time, test
+// payments left out) with all of them attached as XLSX. It runs daily: the
+// first run of a month sends the statements and later runs retry the ones
+// that failed, up to MAX_ATTEMPTS. Each admin and month has one row in
+// admin_statements, claimed before sending so two runs never both send it.
+// Admins with no transactions that month get no email (status 'empty').
+const { sendEmail, getDefaultEmailTransport } = require('./email');
+const { parseSearchParams, searchTotals } = require('./transaction-search');
+const { buildTransactionExport, exportFilename } = require('./transaction-export');
+
+const MAX_ATTEMPTS = 3;
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// The calendar month before `now` in India time:
+// { start: '2026-09-01', end: '2026-09-30', label: 'September 2026', key: '2026-09' }
+const previousMonth = (now) => {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCMonth() === 0 ? ist.getUTCFullYear() - 1 : ist.getUTCFullYear();
+  const month = ist.getUTCMonth() === 0 ? 12 : ist.getUTCMonth();
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return {
+    start: `${year}-${pad(month)}-01`,
+    end: `${year}-${pad(month)}-${pad(lastDay)}`,
+    label: new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+    key: `${year}-${pad(month)}`
+  };
+};
+
+const listActiveAdmins = async (supabase) => {
+  const { data, error } = await supabase
+    .from('form_admins')
+    .select('id, email, name, company_name, is_active')
+    .eq('role', 'form_admin');
+
+  if (error) {
+    throw new Error(`Failed to load form admins: ${error.message}`);
+  }
+
+  return (data || []).filter(admin => admin.is_active !== false && admin.email);
+};
+
+// admin_id -> statement row for the period
+const loadStatements = async (supabase, period) => {
+  const { data, error } = await supabase
+    .from('admin_statements')
+    .select('id, admin_id, status, attempts, locked_at')
+    .eq('period_start', period.start);
+
+  if (error) {
+    throw new Error(`Failed to load statements for ${period.key}: ${error.message}`);
+  }
+
+  return Object.fromEntries((data || []).map(statement => [statement.admin_id, statement]));
+};
+
+// Whether a statement still has to be (re)sent
+const isDue = (statement, now) => {
+  if (!statement) return true;
+  if (statement.status === 'sent' || statement.status === 'empty') return false;
+  if (statement.attempts >= MAX_ATTEMPTS) return false;
+  if (statement.status === 'sending') {
+    return new Date(statement.locked_at).getTime() < now.getTime() - LOCK_TIMEOUT_MS;
+  }
+  return true;
+};
+
+// Atomically take an admin's statement for the period; null if another run has it
+const claimStatement = async (supabase, adminId, period, existing, now) => {
+  const claim = { status: 'sending', locked_at: now.toISOString(), attempts: (existing?.attempts || 0) + 1 };
+
+  if (!existing) {
+    const { data, error } = await supabase
+      .from('admin_statements')
+      .insert([{ admin_id: adminId, period_start: period.start, ...claim }])
+      .select('id');
+
+    // Unique (admin_id, period_start): another run inserted it first
+    if (error?.code === '23505') return null;
+    if (error) {
+      throw new Error(`Failed to claim statement for admin ${adminId}: ${error.message}`);
+    }
+    return data[0];
+  }
+
+  const { data, error } = await supabase
+    .from('admin_statements')
+    .update(claim)
+    .eq('id', existing.id)
+    .eq('attempts', existing.attempts)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim statement for admin ${adminId}: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+const finishStatement = async (supabase, statementId, fields) => {
+  const { error } = await supabase
+    .from('admin_statements')
+    .update({ ...fields, locked_at: null })
+    .eq('id', statementId);
+
+  if (error) {
+    console.error(`⚠️ Failed to update statement ${statementId}:`, error.message);
+  }
+};
+
+// Build and email one admin's statement. Returns { status: sent|empty|skipped|failed, error? }.
+const sendStatement = async (supabase, admin, period, existing, now = new Date()) => {
+  const claimed = await claimStatement(supabase, admin.id, period, existing, now);
+  if (!claimed) {
+    return { status: 'skipped' };
+  }
+
+  try {
+    const filters = parseSearchParams({ from: period.start, to: period.end, include_test: 'false', sort: 'date', order: 'asc' });
+    const totals = await searchTotals(supabase, admin.id, filters);
+
+    if (totals.count === 0) {
+      await finishStatement(supabase, claimed.id, { status: 'empty', transaction_count: 0 });
+      return { status: 'empty' };
+    }
+
+    const filename = exportFilename('xlsx', period.key);
+    const { body, contentType } = await buildTransactionExport(supabase, admin.id, filters, 'xlsx', { sheetName: period.label });
+
+    const result = await sendEmail(supabase, {
+      adminId: admin.id,
+      to: admin.email,
+      template: 'statement',
+      transport: getDefaultEmailTransport(),
+      data: {
+        adminName: admin.name || admin.company_name,
+        period: period.label,
+        transactionCount: totals.count,
+        paidCount: totals.paidCount,
+        totalRevenue: totals.totalRevenue,
+        totalRefunded: totals.totalRefunded,
+        totalCommissions: totals.totalCommissions,
+        totalNetEarnings: totals.totalNetEarnings,
+        filename
+      },
+      attachments: [{ filename, content: body, contentType }]
+    });
+
+    await finishStatement(supabase, claimed.id, {
+      status: 'sent',
+      transaction_count: totals.count,
+      total_revenue: totals.totalRevenue,
+      net_earnings: totals.totalNetEarnings,
+      message_id: result.messageId,
+      last_error: null,
+      sent_at: new Date().toISOString()
+    });
+
+    return { status: 'sent' };
+
+  } catch (error) {
+    console.error(`❌ Statement for admin ${admin.id} (${period.key}) failed:`, error.message);
+    await finishStatement(supabase, claimed.id, { status: 'failed', last_error: error.message });
+    return { status: 'failed', error: error.message };
+  }
+};
+
+// Send last month's statement to every admin who hasn't had it yet.
+// Returns { period, admins, sent, empty, skipped, failed }.
+const sendMonthlyStatements = async (supabase, now = new Date()) => {
+  const period = previousMonth(now);
+  const [admins, statements] = await Promise.all([
+    listActiveAdmins(supabase),
+    loadStatements(supabase, period)
+  ]);
+
+  const summary = { period: period.key, admins: admins.length, sent: 0, empty: 0, skipped: 0, failed: 0 };
+
+  // One at a time: each builds a spreadsheet in memory
+  for (const admin of admins) {
+    if (!isDue(statements[admin.id], now)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const { status } = await sendStatement(supabase, admin, period, statements[admin.id], now);
+    summary[status]++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  previousMonth,
+  sendMonthlyStatements,
+  sendStatement
+};
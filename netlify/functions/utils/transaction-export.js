@@ -0,0 +1,279 @@
+// netlify/functions/utils/transaction-export.js - Transaction exports (CSV / XLSX)
+//
+// Every transaction matching the search filters (utils/transaction-search.js),
+// read from the database in keyset pages rather than in one query, with the
+// gateway IDs, fees, commission and net amount of each. Used by
+// export-transactions.js and the monthly statements (utils/statements.js).
+//
+// Function responses are capped at 6 MB, so export-transactions only returns
+// up to MAX_INLINE_EXPORT_ROWS directly. Larger exports are queued in
+// transaction_exports, built by build-transaction-export-background into the
+// transaction-exports storage bucket and downloaded through a signed URL
+// until the file expires.
+const { CONTENT_TYPES, toCsv, toXlsx } = require('./spreadsheet');
+const { decodeCursor, loadFormLookup, searchTransactions } = require('./transaction-search');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const BATCH_SIZE = 1000;
+
+const MAX_INLINE_EXPORT_ROWS = 10000;
+
+const EXPORT_BUCKET = 'transaction-exports';
+
+// Built files are kept for a day; download links work for 10 minutes
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+const DOWNLOAD_URL_TTL_SECONDS = 10 * 60;
+
+// Background functions run for at most 15 minutes
+const BUILD_TIMEOUT_MS = 15 * 60 * 1000;
+
+const exportColumns = (formLookup) => [
+  { header: 'Date', value: t => t.created_at, type: 'date', width: 18 },
+  { header: 'Transaction ID', value: t => t.transaction_id || t.id, width: 24 },
+  { header: 'Gateway', value: t => t.gateway_used || t.payment_provider, width: 10 },
+  { header: 'Gateway Order ID', value: t => t.order_id || t.razorpay_order_id || t.cashfree_order_id, width: 24 },
+  { header: 'Razorpay Order ID', value: t => t.razorpay_order_id, width: 24 },
+  { header: 'Razorpay Payment ID', value: t => t.razorpay_payment_id, width: 24 },
+  { header: 'Cashfree Order ID', value: t => t.cashfree_order_id, width: 24 },
+  { header: 'Cashfree Payment ID', value: t => t.cashfree_payment_id, width: 24 },
+  { header: 'Form', value: t => formLookup[t.form_id]?.name || t.form_id, width: 24 },
+  { header: 'Customer Name', value: t => t.customer_name, width: 20 },
+  { header: 'Email', value: t => t.email, width: 28 },
+  { header: 'Product', value: t => t.product_name, width: 24 },
+  { header: 'SKU', value: t => t.product_sku, width: 12 },
+  { header: 'Status', value: t => t.payment_status || 'pending', width: 14 },
+  { header: 'Test', value: t => (t.is_test ? 'Yes' : 'No'), width: 6 },
+  { header: 'Currency', value: t => t.payment_currency || 'INR', width: 9 },
+  { header: 'Amount', value: t => t.payment_amount || 0, type: 'number', decimals: true, width: 12 },
+  { header: 'Gateway Fee', value: t => t.gateway_fee || 0, type: 'number', decimals: true, width: 12 },
+  { header: 'Platform Commission', value: t => t.platform_commission || 0, type: 'number', decimals: true, width: 12 },
+  { header: 'Refunded', value: t => t.amount_refunded || 0, type: 'number', decimals: true, width: 12 },
+  { header: 'Net Amount', value: t => t.net_amount_to_admin || 0, type: 'number', decimals: true, width: 12 },
+  { header: 'Payment Method', value: t => t.payment_method, width: 14 }
+];
+
+const exportError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const checkExportFormat = (format) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw exportError('format must be csv or xlsx', 400);
+  }
+};
+
+// Every matching row, page by page in the filters' sort order
+const fetchAllMatching = async (supabase, adminId, filters) => {
+  const rows = [];
+  let cursor = filters.cursor;
+
+  do {
+    const page = await searchTransactions(supabase, adminId, { ...filters, cursor, limit: BATCH_SIZE });
+    rows.push(...page.rows);
+    cursor = decodeCursor(page.nextCursor);
+  } while (cursor);
+
+  return rows;
+};
+
+// { body (Buffer), contentType, rowCount } for format csv or xlsx
+const buildTransactionExport = async (supabase, adminId, filters, format, { sheetName = 'Transactions' } = {}) => {
+  checkExportFormat(format);
+
+  const [rows, formLookup] = await Promise.all([
+    fetchAllMatching(supabase, adminId, filters),
+    loadFormLookup(supabase, adminId)
+  ]);
+
+  const columns = exportColumns(formLookup);
+  const body = format === 'xlsx' ? toXlsx(columns, rows, { sheetName }) : toCsv(columns, rows);
+
+  return { body, contentType: CONTENT_TYPES[format], rowCount: rows.length };
+};
+
+// payform-transactions-2026-10-19.csv
+const exportFilename = (format, label = new Date().toISOString().split('T')[0]) =>
+  `payform-transactions-${label}.${format}`;
+
+// ---- Background exports ----
+
+const EXPORT_COLUMNS = 'id, admin_id, format, filters, status, row_count, storage_path, file_name, last_error, locked_at, completed_at, expires_at, created_at';
+
+// Queue an export of every transaction matching `filters` (parsed, no cursor)
+const queueTransactionExport = async (supabase, adminId, filters, format) => {
+  checkExportFormat(format);
+
+  const { data, error } = await supabase
+    .from('transaction_exports')
+    .insert([{ admin_id: adminId, format, filters: { ...filters, cursor: null }, status: 'pending' }])
+    .select(EXPORT_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to queue export: ${error.message}`);
+  }
+
+  return data[0];
+};
+
+const finishExport = async (supabase, exportId, fields) => {
+  const { error } = await supabase
+    .from('transaction_exports')
+    .update({ ...fields, locked_at: null })
+    .eq('id', exportId);
+
+  if (error) {
+    console.error(`⚠️ Failed to update export ${exportId}:`, error.message);
+  }
+};
+
+const failTransactionExport = (supabase, exportId, message) =>
+  finishExport(supabase, exportId, { status: 'failed', last_error: message });
+
+// Remove the admin's files past their expiry
+const removeExpiredExports = async (supabase, adminId, now = new Date()) => {
+  const { data: expired, error } = await supabase
+    .from('transaction_exports')
+    .select('id, storage_path')
+    .eq('admin_id', adminId)
+    .eq('status', 'ready')
+    .lt('expires_at', now.toISOString());
+
+  if (error || !expired || expired.length === 0) {
+    return 0;
+  }
+
+  const { error: removeError } = await supabase.storage
+    .from(EXPORT_BUCKET)
+    .remove(expired.map(row => row.storage_path));
+
+  if (removeError) {
+    console.error(`⚠️ Failed to remove expired exports for admin ${adminId}:`, removeError.message);
+    return 0;
+  }
+
+  await Promise.all(expired.map(row => finishExport(supabase, row.id, { status: 'expired' })));
+  return expired.length;
+};
+
+// Build a queued export and store the file. Returns { status: ready|skipped|failed, error? }.
+const buildQueuedExport = async (supabase, adminId, exportId, now = new Date()) => {
+  // Claim it; a pending row is only ever built once
+  const { data: claimed, error: claimError } = await supabase
+    .from('transaction_exports')
+    .update({ status: 'building', locked_at: now.toISOString() })
+    .eq('id', exportId)
+    .eq('admin_id', adminId)
+    .eq('status', 'pending')
+    .select(EXPORT_COLUMNS);
+
+  if (claimError) {
+    throw new Error(`Failed to claim export ${exportId}: ${claimError.message}`);
+  }
+
+  if (!claimed || claimed.length === 0) {
+    return { status: 'skipped' };
+  }
+
+  const [queued] = claimed;
+
+  try {
+    const { body, contentType, rowCount } = await buildTransactionExport(supabase, adminId, queued.filters, queued.format);
+    const storagePath = `${adminId}/${exportId}.${queued.format}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(EXPORT_BUCKET)
+      .upload(storagePath, body, { contentType, upsert: true });
+
+    if (uploadError) {
+      throw new Error(`Upload failed: ${uploadError.message}`);
+    }
+
+    await finishExport(supabase, exportId, {
+      status: 'ready',
+      row_count: rowCount,
+      storage_path: storagePath,
+      file_name: exportFilename(queued.format, new Date(queued.created_at).toISOString().split('T')[0]),
+      last_error: null,
+      completed_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + EXPORT_TTL_MS).toISOString()
+    });
+
+    return { status: 'ready', rowCount };
+
+  } catch (error) {
+    console.error(`❌ Export ${exportId} failed:`, error.message);
+    await failTransactionExport(supabase, exportId, error.message);
+    return { status: 'failed', error: error.message };
+  }
+};
+
+// An admin's export with a download link once it is ready; null if there is none
+const getTransactionExport = async (supabase, adminId, exportId, now = new Date()) => {
+  const { data: row, error } = await supabase
+    .from('transaction_exports')
+    .select(EXPORT_COLUMNS)
+    .eq('id', exportId)
+    .eq('admin_id', adminId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load export ${exportId}: ${error.message}`);
+  }
+
+  if (!row) {
+    return null;
+  }
+
+  let { status, last_error: lastError } = row;
+  let downloadUrl = null;
+
+  // The background function that claimed it is past its time limit
+  if (status === 'building' && new Date(row.locked_at).getTime() < now.getTime() - BUILD_TIMEOUT_MS) {
+    status = 'failed';
+    lastError = 'The export timed out';
+    await failTransactionExport(supabase, row.id, lastError);
+  }
+
+  if (status === 'ready' && new Date(row.expires_at).getTime() <= now.getTime()) {
+    status = 'expired';
+  }
+
+  if (status === 'ready') {
+    const { data: signed, error: signError } = await supabase.storage
+      .from(EXPORT_BUCKET)
+      .createSignedUrl(row.storage_path, DOWNLOAD_URL_TTL_SECONDS, { download: row.file_name });
+
+    if (signError) {
+      throw new Error(`Failed to sign export ${exportId}: ${signError.message}`);
+    }
+    downloadUrl = signed.signedUrl;
+  }
+
+  return {
+    id: row.id,
+    status,
+    format: row.format,
+    rowCount: row.row_count,
+    fileName: row.file_name,
+    error: status === 'failed' ? lastError : null,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    downloadUrl
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_INLINE_EXPORT_ROWS,
+  buildQueuedExport,
+  buildTransactionExport,
+  checkExportFormat,
+  exportFilename,
+  failTransactionExport,
+  getTransactionExport,
+  queueTransactionExport,
+  removeExpiredExports
+};
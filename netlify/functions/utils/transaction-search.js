@@ -0,0 +1,269 @@
+// netlify/functions/utils/transaction-search.js - Filtered, paginated transaction lists
+//
+// parseSearchParams() turns query string parameters into filters,
+// searchTransactions() returns one page of an admin's matching transactions
+// and searchTotals() the aggregates of the whole filtered set (the
+// transaction_search_totals RPC, which applies the same filters in SQL).
+//
+// Pages use keyset (cursor) pagination on the sort column plus id, so pages
+// stay stable while new transactions come in. The cursor is opaque to callers.
+const { REFUNDABLE_STATUSES } = require('./refunds');
+const { canRegenerateLink } = require('./payment-links');
+const { getProviderNames } = require('./gateways');
+
+const STATUSES = ['pending', 'paid', 'failed', 'expired', 'cancelled', 'partially_refunded', 'refunded', 'disputed'];
+const GATEWAYS = ['razorpay', 'cashfree', 'stripe'];
+const SORT_COLUMNS = { date: 'created_at', amount: 'payment_amount' };
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Dates without a time are days in India time
+const IST_OFFSET = '+05:30';
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const searchError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseDate = (value, name, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(DATE_ONLY.test(value) ? `${value}T00:00:00${IST_OFFSET}` : value);
+  if (isNaN(date.getTime())) {
+    throw searchError(`${name} must be a date (YYYY-MM-DD) or timestamp`);
+  }
+  // A date-only upper bound includes that whole day
+  return new Date(date.getTime() + (endOfDay && DATE_ONLY.test(value) ? DAY_MS : 0)).toISOString();
+};
+
+const parseAmount = (value, name) => {
+  if (value == null || value === '') return null;
+  const amount = Number(value);
+  if (!(amount >= 0)) {
+    throw searchError(`${name} must be a non-negative number`);
+  }
+  return amount;
+};
+
+// PostgREST filter syntax uses these characters, so they can't be searched for
+const cleanSearchTerm = (value) => (value || '').replace(/[,()*%\\"]/g, ' ').trim() || null;
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (id == null) throw new Error('missing id');
+    return { value: v, id };
+  } catch (error) {
+    throw searchError('Invalid cursor');
+  }
+};
+
+// Query string parameters -> filters. Throws (statusCode 400) on bad input.
+//   status=paid,pending form=<form_id> gateway=razorpay from/to=YYYY-MM-DD
+//   min/max=<amount> q=<email or name> sort=date|amount order=asc|desc
+//   limit=1..100 cursor=<from the previous page> include_test=false
+const parseSearchParams = (params = {}) => {
+  const statuses = params.status ? params.status.split(',').map(s => s.trim()).filter(Boolean) : [];
+  const invalidStatus = statuses.find(status => !STATUSES.includes(status));
+  if (invalidStatus) {
+    throw searchError(`Unknown status: ${invalidStatus}`);
+  }
+
+  if (params.gateway && !GATEWAYS.includes(params.gateway)) {
+    throw searchError(`Unknown gateway: ${params.gateway}`);
+  }
+
+  const sort = params.sort || 'date';
+  if (!SORT_COLUMNS[sort]) {
+    throw searchError('sort must be date or amount');
+  }
+
+  const order = params.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw searchError('order must be asc or desc');
+  }
+
+  const limit = params.limit ? parseInt(params.limit, 10) : DEFAULT_LIMIT;
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+    throw searchError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  return {
+    statuses,
+    formId: params.form || null,
+    gateway: params.gateway || null,
+    from: parseDate(params.from, 'from'),
+    to: parseDate(params.to, 'to', true),
+    minAmount: parseAmount(params.min, 'min'),
+    maxAmount: parseAmount(params.max, 'max'),
+    search: cleanSearchTerm(params.q),
+    includeTest: params.include_test !== 'false',
+    sort,
+    order,
+    limit,
+    cursor: decodeCursor(params.cursor)
+  };
+};
+
+const applyFilters = (query, adminId, filters) => {
+  query = query.eq('admin_id', adminId);
+
+  if (!filters.includeTest) query = query.eq('is_test', false);
+  if (filters.statuses.length > 0) query = query.in('payment_status', filters.statuses);
+  if (filters.formId) query = query.eq('form_id', filters.formId);
+  if (filters.gateway) {
+    // Older transactions only have payment_provider, which may be an alias (razorpay_link)
+    const names = getProviderNames(filters.gateway).join(',');
+    query = query.or(`gateway_used.in.(${names}),and(gateway_used.is.null,payment_provider.in.(${names}))`);
+  }
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lt('created_at', filters.to);
+  if (filters.minAmount != null) query = query.gte('payment_amount', filters.minAmount);
+  if (filters.maxAmount != null) query = query.lte('payment_amount', filters.maxAmount);
+  if (filters.search) {
+    query = query.or(`email.ilike.%${filters.search}%,customer_name.ilike.%${filters.search}%`);
+  }
+
+  return query;
+};
+
+// Rows after the cursor in the current sort order
+const applyCursor = (query, column, ascending, cursor) => {
+  if (!cursor) return query;
+
+  const op = ascending ? 'gt' : 'lt';
+  const value = column === 'created_at' ? `"${cursor.value}"` : cursor.value;
+  return query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${cursor.id})`);
+};
+
+// One page of the admin's matching transactions: { rows, nextCursor }
+const searchTransactions = async (supabase, adminId, filters) => {
+  const column = SORT_COLUMNS[filters.sort];
+  const ascending = filters.order === 'asc';
+
+  let query = supabase
+    .from('transactions')
+    .select('*, transaction_line_items(sku, label, quantity, unit_price, amount)');
+
+  query = applyCursor(applyFilters(query, adminId, filters), column, ascending, filters.cursor);
+
+  // One extra row tells whether there is another page
+  const { data, error } = await query
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(filters.limit + 1);
+
+  if (error) {
+    throw new Error(`Transaction search failed: ${error.message}`);
+  }
+
+  const rows = (data || []).slice(0, filters.limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = data && data.length > filters.limit && last ? encodeCursor(last[column], last.id) : null;
+
+  return { rows, nextCursor };
+};
+
+// Counts and amounts for every transaction matching the filters (not just one page)
+const searchTotals = async (supabase, adminId, filters) => {
+  const { data, error } = await supabase.rpc('transaction_search_totals', {
+    p_admin_id: adminId,
+    p_filters: {
+      statuses: filters.statuses.length > 0 ? filters.statuses : null,
+      form_id: filters.formId,
+      gateway: filters.gateway,
+      from: filters.from,
+      to: filters.to,
+      min_amount: filters.minAmount,
+      max_amount: filters.maxAmount,
+      search: filters.search,
+      include_test: filters.includeTest
+    }
+  });
+
+  if (error) {
+    throw new Error(`Transaction totals failed: ${error.message}`);
+  }
+
+  const row = (data && data[0]) || {};
+  const toNumber = (value) => Number(value) || 0;
+
+  return {
+    count: toNumber(row.transactions),
+    paidCount: toNumber(row.paid_count),
+    pendingCount: toNumber(row.pending_count),
+    failedCount: toNumber(row.failed_count),
+    refundedCount: toNumber(row.refunded_count),
+    disputedCount: toNumber(row.disputed_count),
+    totalAmount: toNumber(row.total_amount).toFixed(2),
+    totalRevenue: toNumber(row.total_revenue).toFixed(2),
+    totalRefunded: toNumber(row.total_refunded).toFixed(2),
+    totalCommissions: toNumber(row.total_commission).toFixed(2),
+    totalNetEarnings: toNumber(row.total_net_earnings).toFixed(2)
+  };
+};
+
+// form_id -> { name, url } for the admin's forms, for formatTransaction()
+const loadFormLookup = async (supabase, adminId) => {
+  const { data: forms } = await supabase
+    .from('form_configs')
+    .select('form_id, form_name, form_url')
+    .eq('admin_id', adminId);
+
+  return Object.fromEntries((forms || []).map(form => [form.form_id, { name: form.form_name, url: form.form_url }]));
+};
+
+// A transaction row as the dashboard shows it; formInfo is { name, url } of its form
+const formatTransaction = (t, formInfo = {}) => ({
+  id: t.id,
+  transactionId: t.cashfree_payment_id || t.transaction_id || `TXN_${t.id.toString().slice(0, 8)}`,
+  email: t.email,
+  customerName: t.customer_name || 'Unknown',
+  productName: t.product_name || 'Unknown Product',
+  formName: formInfo.name || 'Unknown Form',
+  formUrl: formInfo.url || null,
+  amount: parseFloat(t.payment_amount || 0).toFixed(2),
+  commission: parseFloat(t.platform_commission || 0).toFixed(2),
+  netAmount: parseFloat(t.net_amount_to_admin || 0).toFixed(2),
+  gatewayFee: parseFloat(t.gateway_fee || 0).toFixed(2),
+  amountRefunded: parseFloat(t.amount_refunded || 0).toFixed(2),
+  canRefund: REFUNDABLE_STATUSES.includes(t.payment_status),
+  canRegenerateLink: canRegenerateLink(t),
+  linkExpiresAt: t.payment_link_expires_at || null,
+  status: t.payment_status || 'pending',
+  disputeStatus: t.dispute_status || null,
+  gateway: t.gateway_used || t.payment_provider || null,
+  paymentMethod: t.payment_method || 'Cashfree',
+  isTest: !!t.is_test,
+  createdAt: t.created_at,
+  formattedDate: new Date(t.created_at).toLocaleDateString('en-IN'),
+  formattedTime: new Date(t.created_at).toLocaleTimeString('en-IN', {
+    hour: '2-digit',
+    minute: '2-digit'
+  }),
+  formId: t.form_id,
+  lineItems: (t.transaction_line_items || []).map(li => ({
+    sku: li.sku,
+    label: li.label,
+    quantity: li.quantity,
+    unitPrice: parseFloat(li.unit_price || 0).toFixed(2),
+    amount: parseFloat(li.amount || 0).toFixed(2)
+  }))
+});
+
+module.exports = {
+  STATUSES,
+  decodeCursor,
+  formatTransaction,
+  loadFormLookup,
+  parseSearchParams,
+  searchTotals,
+  searchTransactions
+};
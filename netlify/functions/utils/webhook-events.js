@@ -0,0 +1,197 @@
+// netlify/functions/utils/webhook-events.js - Gateway webhook event log (webhook_events)
+//
+// Every delivery is stored before it's applied, keyed by the provider's event
+// ID. A retried delivery of an event that was already processed or ignored is
+// acknowledged without running it again; one that failed runs again. Events
+// are claimed with a conditional update like pipeline jobs, so two deliveries
+// of the same event never run side by side, and a 'processing' event whose
+// lock is older than LOCK_TIMEOUT_MS is treated as abandoned.
+// Deliveries whose signature didn't verify are stored as 'rejected' and never applied.
+const crypto = require('crypto');
+const { getWebhookHandler } = require('./webhooks');
+
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Provider event ID, or a hash of the body for providers that don't send one
+const getEventId = (handler, headers, payload, rawBody) =>
+  (payload && handler.getEventId(headers, payload)) ||
+  `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+const findTransaction = async (supabase, match) => {
+  let query = supabase.from('transactions').select('transaction_id, admin_id');
+  Object.entries(match).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  const { data } = await query.limit(1).maybeSingle();
+  return data;
+};
+
+// Store a delivery. Returns the event row - the existing one when this is a
+// retry of an event that was already stored.
+const recordWebhookEvent = async (supabase, { provider, headers, rawBody, signatureValid, rejectionReason }) => {
+  const handler = getWebhookHandler(provider);
+
+  let payload = null;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (parseError) {
+    console.log(`⚠️ ${provider} webhook body is not JSON`);
+  }
+
+  // Only a verified signature is accepted; an unchecked one counts as invalid
+  const rejected = signatureValid !== true;
+  const row = {
+    provider,
+    event_id: rejected ? null : getEventId(handler, headers, payload, rawBody),
+    event_type: payload ? handler.getEventType(payload) : null,
+    raw_body: rawBody,
+    payload,
+    signature_valid: signatureValid,
+    status: rejected ? 'rejected' : 'received',
+    ...(rejected && { last_error: rejectionReason || 'invalid signature' })
+  };
+
+  // Attribute the event to its transaction (and admin) up front, so even an
+  // event that fails shows up on the admin's dashboard
+  const transactionRef = !rejected && payload && handler.getTransactionRef(payload);
+  if (transactionRef) {
+    const transaction = await findTransaction(supabase, transactionRef);
+    if (transaction) {
+      row.transaction_id = transaction.transaction_id;
+      row.admin_id = transaction.admin_id;
+    }
+  }
+
+  if (rejected) {
+    const { data: event, error } = await supabase
+      .from('webhook_events')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record webhook event: ${error.message}`);
+    }
+
+    return event;
+  }
+
+  const { data: inserted, error } = await supabase
+    .from('webhook_events')
+    .upsert(row, { onConflict: 'provider,event_id', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to record webhook event: ${error.message}`);
+  }
+
+  if (inserted && inserted.length > 0) {
+    return inserted[0];
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('provider', provider)
+    .eq('event_id', row.event_id)
+    .single();
+
+  if (existingError) {
+    throw new Error(`Failed to load webhook event: ${existingError.message}`);
+  }
+
+  console.log(`🔁 ${provider} event ${row.event_id} already received (${existing.status})`);
+  return existing;
+};
+
+// Atomically take an event; returns null when it's done or another delivery
+// has it. A replay may also take events that were processed or ignored.
+const claimWebhookEvent = async (supabase, eventId, { replay = false } = {}, now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+  const claimable = replay ? 'received,failed,processed,ignored' : 'received,failed';
+
+  const { data: claimed, error } = await supabase
+    .from('webhook_events')
+    .update({ status: 'processing', locked_at: now.toISOString(), updated_at: now.toISOString() })
+    .eq('id', eventId)
+    .or(`status.in.(${claimable}),and(status.eq.processing,locked_at.lt.${staleBefore})`)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to claim webhook event ${eventId}: ${error.message}`);
+  }
+
+  return claimed && claimed.length > 0 ? claimed[0] : null;
+};
+
+// Apply a stored event with its provider's handler and record the outcome.
+// Returns { status: processed|ignored|failed|duplicate|rejected, outcome, error, event }
+const processWebhookEvent = async (supabase, event, { replay = false } = {}) => {
+  if (event.status === 'rejected') {
+    return { status: 'rejected', event };
+  }
+
+  const claimed = await claimWebhookEvent(supabase, event.id, { replay });
+
+  if (!claimed) {
+    return { status: 'duplicate', outcome: event.outcome, event };
+  }
+
+  const now = new Date().toISOString();
+  const attempt = {
+    attempts: claimed.attempts + 1,
+    locked_at: null,
+    updated_at: now,
+    ...(replay && { replay_count: claimed.replay_count + 1, replayed_at: now })
+  };
+
+  try {
+    const result = claimed.payload
+      ? await getWebhookHandler(claimed.provider).handleEvent(supabase, claimed.payload)
+      : { status: 'ignored', outcome: 'invalid_payload' };
+
+    await supabase
+      .from('webhook_events')
+      .update({
+        ...attempt,
+        status: result.status,
+        outcome: result.outcome,
+        last_error: null,
+        processed_at: now,
+        ...(result.transactionId && { transaction_id: result.transactionId }),
+        ...(result.adminId && { admin_id: result.adminId })
+      })
+      .eq('id', claimed.id);
+
+    console.log(`✅ ${claimed.provider} ${claimed.event_type} event ${claimed.id}: ${result.status} (${result.outcome})`);
+    return { status: result.status, outcome: result.outcome, event: claimed };
+
+  } catch (error) {
+    console.error(`❌ ${claimed.provider} ${claimed.event_type} event ${claimed.id} failed:`, error.message);
+
+    await supabase
+      .from('webhook_events')
+      .update({ ...attempt, status: 'failed', last_error: error.message })
+      .eq('id', claimed.id);
+
+    return { status: 'failed', error: error.message, event: claimed };
+  }
+};
+
+// Store and apply one delivery
+const receiveWebhook = async (supabase, delivery) => {
+  const event = await recordWebhookEvent(supabase, delivery);
+  return processWebhookEvent(supabase, event);
+};
+
+// Run a stored event again (from the dashboard)
+const replayWebhookEvent = (supabase, event) =>
+  processWebhookEvent(supabase, event, { replay: true });
+
+module.exports = {
+  recordWebhookEvent,
+  processWebhookEvent,
+  receiveWebhook,
+  replayWebhookEvent
+};
@@ -0,0 +1,125 @@
+// netlify/functions/utils/webhooks/cashfree.js - Applies Cashfree webhook events
+const { getGateway } = require('../gateways');
+const { transitionTransaction } = require('../payment-status');
+const { recordGatewayRefund, syncRefundedAmount } = require('../refunds');
+const { onTransactionPaid, transitionResult } = require('./shared');
+
+const PAYMENT_EVENTS = ['PAYMENT_SUCCESS_WEBHOOK', 'PAYMENT_FAILED_WEBHOOK'];
+
+const REFUND_EVENT = 'REFUND_STATUS_WEBHOOK';
+
+// Cashfree sends no event ID header; a payment event type is delivered once
+// per payment, a refund event once per refund status
+const getEventId = (headers, payload) => {
+  const refund = payload?.data?.refund;
+  if (refund) {
+    return refund.cf_refund_id ? `${payload.type}:${refund.cf_refund_id}:${refund.refund_status}` : null;
+  }
+
+  const paymentId = (payload?.data?.payment || payload?.data)?.cf_payment_id;
+  return payload?.type && paymentId ? `${payload.type}:${paymentId}` : null;
+};
+
+const getEventType = (payload) => payload.type;
+
+// Refunds are raised against the paid order behind a link, so refund events
+// are matched through the refunds table instead (see handleRefundEvent)
+const getTransactionRef = (payload) => {
+  const data = payload.data || {};
+  if (data.refund) {
+    return null;
+  }
+
+  const orderId = data.order?.order_id || (data.payment || data).order_id;
+  return orderId ? { transaction_id: orderId } : null;
+};
+
+const handlePaymentEvent = async (supabase, payload) => {
+  const data = payload.data || {};
+  const payment = data.payment || data;
+  const {
+    cf_payment_id,
+    payment_status,
+    payment_method,
+    payment_time
+  } = payment;
+  const status = getGateway('cashfree').normalizeStatus(payment_status);
+
+  const result = await transitionTransaction(supabase, getTransactionRef(payload), status, {
+    cashfree_payment_id: cf_payment_id,
+    payment_method,
+    ...(payment_time && { payment_completed_at: payment_time })
+  });
+
+  if (result.allowed && status === 'paid') {
+    await onTransactionPaid(supabase, result.transaction);
+  }
+
+  return transitionResult(result, `payment_${status}`);
+};
+
+// Refund status updates; PayForm's refund_id is its refunds row ID
+const handleRefundEvent = async (supabase, payload) => {
+  const refund = payload.data.refund;
+
+  const { data: refundRow } = await supabase
+    .from('refunds')
+    .select('transaction_id')
+    .eq('id', refund.refund_id)
+    .maybeSingle();
+
+  if (!refundRow) {
+    // Refunds made on the Cashfree dashboard aren't tied to a transaction we can find
+    return { status: 'ignored', outcome: 'refund_not_found' };
+  }
+
+  const { data: transaction, error } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('id', refundRow.transaction_id)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load transaction: ${error.message}`);
+  }
+
+  const status = getGateway('cashfree').normalizeRefundStatus(refund.refund_status);
+  const updated = await recordGatewayRefund(supabase, transaction, {
+    provider: 'cashfree',
+    refundId: refund.refund_id,
+    gatewayRefundId: refund.refund_id,
+    status,
+    ...(status === 'failed' && { failureReason: refund.status_description || `Refund ${refund.refund_status}` }),
+    raw: refund
+  });
+
+  if (!updated || status !== 'processed') {
+    return {
+      status: 'processed',
+      outcome: updated ? `refund_${status}` : 'refund_status_unchanged',
+      transactionId: transaction.transaction_id,
+      adminId: transaction.admin_id
+    };
+  }
+
+  const result = await syncRefundedAmount(supabase, transaction);
+  return transitionResult(result, result.transaction?.payment_status || 'refund_processed');
+};
+
+const handleEvent = async (supabase, payload) => {
+  if (PAYMENT_EVENTS.includes(payload.type)) {
+    return handlePaymentEvent(supabase, payload);
+  }
+  if (payload.type === REFUND_EVENT) {
+    return handleRefundEvent(supabase, payload);
+  }
+
+  return { status: 'ignored', outcome: 'unhandled_event' };
+};
+
+module.exports = {
+  getEventId,
+  getEventType,
+  getTransactionRef,
+  handleEvent
+};
@@ -0,0 +1,30 @@
+// netlify/functions/utils/webhooks/index.js - Webhook event handlers per gateway
+//
+// Every handler module implements:
+//   getEventId(headers, payload) -> provider event ID (null if it has none)
+//   getEventType(payload)        -> event name stored on webhook_events
+//   getTransactionRef(payload)   -> transactions column -> value match, or null
+//   handleEvent(supabase, payload)
+//     -> { status: processed|ignored, outcome, transactionId, adminId }
+//        (throws when the event should be retried)
+const razorpay = require('./razorpay');
+const cashfree = require('./cashfree');
+
+const HANDLERS = {
+  razorpay,
+  cashfree
+};
+
+const getWebhookHandler = (provider) => {
+  const handler = HANDLERS[provider];
+
+  if (!handler) {
+    throw new Error(`No webhook handler for ${provider}`);
+  }
+
+  return handler;
+};
+
+module.exports = {
+  getWebhookHandler
+};
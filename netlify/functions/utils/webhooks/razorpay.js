@@ -0,0 +1,270 @@
+// netlify/functions/utils/webhooks/razorpay.js - Applies Razorpay webhook events
+//
+// Event -> transactions.payment_status (through ../payment-status):
+//   payment.captured, payment_link.paid              -> paid
+//   payment.failed                                   -> failed
+//   payment_link.expired / payment_link.cancelled    -> expired / cancelled
+//   refund.processed                                 -> refunded / partially_refunded
+//   payment.dispute.created|under_review|action_required -> disputed
+//   payment.dispute.won / payment.dispute.lost       -> paid (or partially_refunded) / refunded
+// refund.created (not yet processed), refund.failed and payment.dispute.closed
+// don't change the status; refund.* also update the refunds table (../refunds)
+// and transfer.* the platform commission.
+const { getGateway } = require('../gateways');
+const { getHeader } = require('../gateways/signing');
+const { transitionTransaction } = require('../payment-status');
+const { recordGatewayRefund, reverseCommission, syncRefundedAmount } = require('../refunds');
+const { onTransactionPaid, transitionResult } = require('./shared');
+
+// X-Razorpay-Event-Id is the same on every retry of an event
+const getEventId = (headers) => getHeader(headers, 'x-razorpay-event-id') || null;
+
+const getEventType = (payload) => payload.event;
+
+const toRupees = (paise) => Number(((paise || 0) / 100).toFixed(2));
+
+// Transactions are stored under the order or payment link that created them.
+// Refunds, disputes and transfers come after payment, so they're matched on
+// the payment ID instead.
+const getTransactionRef = (payload) => {
+  const entities = payload.payload || {};
+
+  const paymentId = entities.refund?.entity.payment_id ||
+    entities.dispute?.entity.payment_id ||
+    entities.transfer?.entity.source;
+  if (paymentId) {
+    return { razorpay_payment_id: paymentId };
+  }
+
+  if (entities.payment_link) {
+    return { razorpay_order_id: entities.payment_link.entity.id };
+  }
+
+  const payment = entities.payment?.entity;
+  const orderId = payment && (payment.order_id || payment.notes?.payment_link_id);
+  return orderId ? { razorpay_order_id: orderId } : null;
+};
+
+const findTransaction = async (supabase, match) => {
+  let query = supabase.from('transactions').select('id, transaction_id, admin_id, payment_amount, amount_refunded, payment_status');
+  Object.entries(match).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  const { data, error } = await query.limit(1).maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Result for an event that's logged against its transaction without a status change
+const loggedResult = (transaction, outcome) => ({
+  status: transaction ? 'processed' : 'ignored',
+  outcome: transaction ? outcome : 'transaction_not_found',
+  transactionId: transaction?.transaction_id || null,
+  adminId: transaction?.admin_id || null
+});
+
+// Payment captured / failed
+const handlePaymentEvent = async (supabase, payload, payment) => {
+  const status = getGateway('razorpay').normalizeStatus(payment.status);
+
+  const result = await transitionTransaction(supabase, getTransactionRef(payload), status, {
+    razorpay_payment_id: payment.id,
+    gateway_response: payment,
+    ...(status === 'failed' && { failure_reason: payment.error_description || 'Payment failed' })
+  });
+
+  if (result.allowed && status === 'paid') {
+    await onTransactionPaid(supabase, result.transaction);
+  }
+
+  return transitionResult(result, `payment_${status}`);
+};
+
+// payment_link.paid / partially_paid / expired / cancelled
+const handlePaymentLinkEvent = async (supabase, payload) => {
+  const entities = payload.payload;
+  const paymentLink = entities.payment_link.entity;
+  const payment = entities.payment?.entity;
+  const status = getGateway('razorpay').normalizeStatus(paymentLink.status);
+
+  // Our links don't accept partial payments, so there's nothing to move yet
+  if (status === 'pending') {
+    return { status: 'ignored', outcome: `payment_link_${paymentLink.status}` };
+  }
+
+  const result = await transitionTransaction(supabase, getTransactionRef(payload), status,
+    payment ? { razorpay_payment_id: payment.id } : {});
+
+  if (result.allowed && status === 'paid') {
+    await onTransactionPaid(supabase, result.transaction);
+  }
+
+  return transitionResult(result, `payment_link_${paymentLink.status}`);
+};
+
+// refund.created / processed / failed: kept in the refunds table. Refunds
+// made from PayForm carry their refunds row ID in notes.refund_id.
+const REFUND_EVENT_STATUS = {
+  'refund.created': 'pending',
+  'refund.processed': 'processed',
+  'refund.failed': 'failed'
+};
+
+const handleRefundEvent = async (supabase, payload) => {
+  const entities = payload.payload;
+  const refund = entities.refund.entity;
+  const transaction = await findTransaction(supabase, getTransactionRef(payload));
+
+  if (!transaction) {
+    return loggedResult(null);
+  }
+
+  // refund.created arrives with the refund already processed for instant refunds
+  const status = refund.status === 'processed' ? 'processed' : REFUND_EVENT_STATUS[payload.event];
+  const refundRow = await recordGatewayRefund(supabase, transaction, {
+    provider: 'razorpay',
+    refundId: refund.notes?.refund_id,
+    gatewayRefundId: refund.id,
+    amount: toRupees(refund.amount),
+    status,
+    ...(status === 'failed' && { failureReason: refund.error_description || 'Refund failed' }),
+    raw: refund
+  });
+
+  if (!refundRow || status !== 'processed') {
+    return loggedResult(transaction, refundRow ? `refund_${status}` : 'refund_status_unchanged');
+  }
+
+  // The payment carries the running total of everything refunded on it
+  const payment = entities.payment?.entity ||
+    (await getGateway('razorpay').fetchPayment(refund.payment_id)).raw;
+
+  const result = await syncRefundedAmount(supabase, transaction, {
+    gatewayTotal: toRupees(payment.amount_refunded)
+  });
+
+  return transitionResult(result, result.transaction?.payment_status || 'refund_processed');
+};
+
+// payment.dispute.*
+const handleDisputeEvent = async (supabase, payload) => {
+  const dispute = payload.payload.dispute.entity;
+  const ref = getTransactionRef(payload);
+  const stage = payload.event.replace('payment.dispute.', '');
+  const fields = { dispute_status: dispute.status || stage };
+
+  switch (stage) {
+    case 'created':
+    case 'under_review':
+    case 'action_required':
+      return transitionResult(
+        await transitionTransaction(supabase, ref, 'disputed', fields),
+        `dispute_${stage}`
+      );
+    case 'won': {
+      // Back to where it was before the dispute
+      const transaction = await findTransaction(supabase, ref);
+      const status = parseFloat(transaction?.amount_refunded) > 0 ? 'partially_refunded' : 'paid';
+      return transitionResult(
+        await transitionTransaction(supabase, ref, status, fields, { alsoFrom: ['disputed'] }),
+        'dispute_won'
+      );
+    }
+    case 'lost': {
+      // The chargeback comes on top of anything refunded before the dispute
+      const transaction = await findTransaction(supabase, ref);
+      const refundedBefore = parseFloat(transaction?.amount_refunded) || 0;
+      const result = await transitionTransaction(supabase, ref, 'refunded', {
+        ...fields,
+        amount_refunded: Math.min(
+          Number((refundedBefore + toRupees(dispute.amount)).toFixed(2)),
+          parseFloat(transaction?.payment_amount) || Infinity
+        )
+      });
+
+      if (result.allowed) {
+        await reverseCommission(supabase, result.transaction);
+      }
+
+      return transitionResult(result, 'dispute_lost');
+    }
+    default: {
+      // closed: the outcome already arrived as won or lost
+      const transaction = await findTransaction(supabase, ref);
+      if (transaction) {
+        const { error } = await supabase
+          .from('transactions')
+          .update({ ...fields, updated_at: new Date().toISOString() })
+          .eq('id', transaction.id);
+
+        if (error) {
+          throw new Error(`Failed to update transaction: ${error.message}`);
+        }
+      }
+      return loggedResult(transaction, `dispute_${stage}`);
+    }
+  }
+};
+
+// Route transfer status -> platform_commissions.status
+const TRANSFER_STATUS = {
+  'transfer.processed': 'completed',
+  'transfer.failed': 'failed',
+  'transfer.reversed': 'reversed'
+};
+
+// A transfer's source is the payment it was split from
+const handleTransferEvent = async (supabase, payload) => {
+  const transaction = await findTransaction(supabase, getTransactionRef(payload));
+
+  if (!transaction) {
+    return loggedResult(null);
+  }
+
+  const status = TRANSFER_STATUS[payload.event];
+  const { error } = await supabase
+    .from('platform_commissions')
+    .update({ status, processed_at: new Date().toISOString() })
+    .eq('transaction_id', transaction.id);
+
+  if (error) {
+    throw new Error(`Failed to update commission: ${error.message}`);
+  }
+
+  return loggedResult(transaction, `commission_${status}`);
+};
+
+const handleEvent = async (supabase, payload) => {
+  const event = payload.event || '';
+
+  if (event === 'payment.captured' || event === 'payment.failed') {
+    return handlePaymentEvent(supabase, payload, payload.payload.payment.entity);
+  }
+  if (event.startsWith('payment_link.')) {
+    return handlePaymentLinkEvent(supabase, payload);
+  }
+  if (event.startsWith('refund.')) {
+    return handleRefundEvent(supabase, payload);
+  }
+  if (event.startsWith('payment.dispute.')) {
+    return handleDisputeEvent(supabase, payload);
+  }
+  if (TRANSFER_STATUS[event]) {
+    return handleTransferEvent(supabase, payload);
+  }
+
+  // order.paid is covered by payment.captured, payment.authorized by the capture that follows it
+  return { status: 'ignored', outcome: 'unhandled_event' };
+};
+
+module.exports = {
+  getEventId,
+  getEventType,
+  getTransactionRef,
+  handleEvent
+};
@@ -0,0 +1,73 @@
+// netlify/functions/utils/webhooks/shared.js - Helpers shared by the webhook handlers
+//
+// Side effects of a payment (onTransactionPaid) run whenever an event leaves
+// the transaction paid and are idempotent, so a retried or replayed event
+// finishes whatever an earlier one didn't without repeating the rest.
+const { sendConfirmationEmail } = require('../confirmation-email');
+
+// Event log result for a transitionTransaction() outcome
+const transitionResult = (result, outcome) => ({
+  status: result.allowed ? 'processed' : 'ignored',
+  outcome: !result.transaction ? 'transaction_not_found'
+    : !result.allowed ? `status_unchanged:${result.from}`
+    : outcome,
+  transactionId: result.transaction?.transaction_id || null,
+  adminId: result.transaction?.admin_id || null
+});
+
+// Mark the transaction's pending commission completed, recording it if the
+// order function didn't. Safe to repeat: one commission row per transaction
+// (unique transaction_id), and a completed or reversed one is left alone.
+const completeCommission = async (supabase, transaction) => {
+  const now = new Date().toISOString();
+
+  if (transaction.platform_commission != null) {
+    const { error: insertError } = await supabase
+      .from('platform_commissions')
+      .upsert([{
+        transaction_id: transaction.id,
+        form_admin_id: transaction.admin_id,
+        commission_amount: transaction.platform_commission,
+        commission_rate: 3.0,
+        platform_fee: transaction.platform_commission,
+        gateway_fee: transaction.gateway_fee,
+        net_amount_to_admin: transaction.net_amount_to_admin,
+        status: 'completed',
+        processed_at: now,
+        created_at: now
+      }], { onConflict: 'transaction_id', ignoreDuplicates: true });
+
+    if (insertError) {
+      throw new Error(`Failed to record commission: ${insertError.message}`);
+    }
+  }
+
+  const { data: updated, error } = await supabase
+    .from('platform_commissions')
+    .update({ status: 'completed', processed_at: now })
+    .eq('transaction_id', transaction.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to update commission: ${error.message}`);
+  }
+
+  if (updated && updated.length > 0) {
+    console.log('✅ Commission completed');
+  }
+};
+
+// Everything that has to happen once a transaction is paid. Runs on every
+// event (and redirect) that leaves the transaction paid, not just the one that
+// flipped it, so a step that threw is retried by the next delivery; both steps
+// are idempotent. `emailOptions` go to sendConfirmationEmail().
+const onTransactionPaid = async (supabase, transaction, emailOptions = {}) => {
+  await completeCommission(supabase, transaction);
+  await sendConfirmationEmail(supabase, transaction, emailOptions);
+};
+
+module.exports = {
+  onTransactionPaid,
+  transitionResult
+};
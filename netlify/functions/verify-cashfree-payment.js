@@ -1,5 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
-const nodemailer = require('nodemailer'); // Add this line if missing
+const { getGateway, getGatewayForTransaction } = require('./utils/gateways');
+const { statusesAllowedBefore } = require('./utils/payment-status');
+const { sendConfirmationEmail } = require('./utils/confirmation-email');
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -36,24 +38,33 @@ exports.handler = async (event, context) => {
     }
 
     // Environment variables
-    const CASHFREE_APP_ID = process.env.CASHFREE_APP_ID;
-    const CASHFREE_SECRET_KEY = process.env.CASHFREE_SECRET_KEY;
     const SUPABASE_URL = process.env.SUPABASE_URL;
     const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-    console.log('🔍 Verifying payment with Cashfree...');
+    const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
+      ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
+      : null;
+
+    // Verify against the Cashfree environment the order was created in
+    let transaction = null;
+    if (supabase) {
+      const { data } = await supabase
+        .from('transactions')
+        .select('gateway_used, payment_provider, is_test')
+        .eq('transaction_id', order_id)
+        .maybeSingle();
+      transaction = data;
+    }
 
-    // Get order details from Cashfree
-    const orderResponse = await fetch(`https://sandbox.cashfree.com/pg/orders/${order_id}`, {
-      method: 'GET',
-      headers: {
-        'x-client-id': CASHFREE_APP_ID,
-        'x-client-secret': CASHFREE_SECRET_KEY,
-        'x-api-version': '2023-08-01'
-      }
-    });
+    const cashfree = transaction ? getGatewayForTransaction(transaction) : getGateway('cashfree');
+    console.log(`🔍 Verifying payment with Cashfree (${cashfree.environment})...`);
 
-    if (!orderResponse.ok) {
+    // Get link (or legacy order) details from Cashfree
+    let payment;
+    try {
+      payment = await cashfree.fetchPayment(order_id);
+    } catch (fetchError) {
+      console.error('❌ Cashfree lookup failed:', fetchError.message);
       return {
         statusCode: 500,
         headers,
@@ -61,18 +72,25 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const orderData = await orderResponse.json();
-    console.log('✅ Order status:', orderData.order_status);
-    console.log('📊 Full order data:', JSON.stringify(orderData, null, 2));
+    // Order-shaped view used by the email and page templates below
+    const orderData = {
+      order_id: payment.id,
+      cf_order_id: payment.paymentId || payment.id,
+      order_status: payment.raw.link_status || payment.raw.order_status,
+      order_amount: payment.amount,
+      customer_details: {
+        customer_name: payment.customer.name,
+        customer_email: payment.customer.email
+      }
+    };
+    console.log('✅ Order status:', orderData.order_status, `(${payment.status})`);
 
-    // Handle both PAID and ACTIVE status as successful
-    if (orderData.order_status === 'PAID' || orderData.order_status === 'ACTIVE') {
+    if (payment.status === 'paid') {
       console.log('✅ Payment confirmed, updating database...');
 
       // Update transaction in database - SINGLE CLEAN IMPLEMENTATION
-      if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-        const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-        
+      let paidTransaction = null;
+      if (supabase) {
         console.log('🔍 Looking for transaction with order_id:', order_id);
         
 // Strategy 1: Try matching by cashfree_order_id first
@@ -85,6 +103,7 @@ let { data: updatedData, error: updateError } = await supabase
     updated_at: new Date().toISOString()
   })
   .eq('cashfree_order_id', order_id)
+  .in('payment_status', statusesAllowedBefore('paid'))
   .select();
         
         console.log('📊 Update result by cashfree_order_id:', updatedData?.length || 0, 'rows affected');
@@ -101,6 +120,7 @@ let { data: updatedData, error: updateError } = await supabase
               updated_at: new Date().toISOString()
             })
             .eq('transaction_id', order_id)
+            .in('payment_status', statusesAllowedBefore('paid'))
             .select();
 
           if (transactionError) {
@@ -141,11 +161,24 @@ let { data: updatedData, error: updateError } = await supabase
         if (updateError && !updatedData) {
           console.error('❌ All database update attempts failed:', updateError);
         }
+
+        // Nothing updated when the webhook marked it paid first
+        paidTransaction = updatedData?.[0] || null;
+        if (!paidTransaction) {
+          const { data: alreadyPaid } = await supabase
+            .from('transactions')
+            .select('*')
+            .or(`transaction_id.eq.${order_id},cashfree_order_id.eq.${order_id}`)
+            .eq('payment_status', 'paid')
+            .limit(1)
+            .maybeSingle();
+          paidTransaction = alreadyPaid;
+        }
       }
 
-// Send confirmation email to customer
+// Send confirmation email to customer, unless the webhook already has
 try {
-  await sendCustomerConfirmationEmail(orderData, email, form_id);
+  await sendCustomerConfirmationEmail(supabase, paidTransaction, orderData, email, form_id);
   console.log('✅ Confirmation email process completed');
 } catch (emailError) {
   console.error('❌ Confirmation email failed:', emailError);
@@ -177,212 +210,35 @@ return {
   }
 };
 
-// Send customer confirmation email
-// REPLACE the sendCustomerConfirmationEmail function with this updated version
-
-const sendCustomerConfirmationEmail = async (orderData, email, formId) => {
-  try {
-    console.log(`📧 Sending confirmation email to ${email}`);
-
-    // Get form and admin info
-    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-    
-    const { data: formData, error: formError } = await supabase
-      .from('form_configs')
-      .select(`
-        form_name,
-        admin_id,
-        form_admins (
-          name,
-          email
-        )
-      `)
-      .eq('form_id', formId)
-      .single();
-
-    const adminInfo = formData?.form_admins?.[0] || { name: 'PayForm Team' };
-    const formName = formData?.form_name || 'Your Form';
-    const adminId = formData?.admin_id;
-
-    // Send confirmation email using the UPDATED edge function
-    const emailResponse = await fetch(`${process.env.SUPABASE_URL}/functions/v1/send-payment-email`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`
-      },
-      body: JSON.stringify({
-        to: email,
-        subject: `Payment Confirmed - Order #${orderData.cf_order_id}`,
-        customerName: orderData.customer_details?.customer_name || 'Customer',
-        amount: orderData.order_amount,
-        adminId: adminId || 'default',
-        
-        // NEW FIELDS for confirmation email
-        isConfirmation: true,
-        orderData: orderData,
-        productName: formName
-      })
-    });
-
-    const emailResult = await emailResponse.json();
-    console.log('📧 Email API response:', emailResult);
-    
-    if (emailResult.success) {
-      console.log(`✅ Confirmation email sent to ${email} (Type: ${emailResult.emailType})`);
-      return true;
-    } else {
-      console.error(`❌ Failed to send confirmation email:`, emailResult.error);
-      return false;
-    }
-
-  } catch (error) {
-    console.error('❌ Error sending confirmation email:', error);
+// Send customer confirmation email (once per transaction, shared with the webhook)
+const sendCustomerConfirmationEmail = async (supabase, transaction, orderData, email, formId) => {
+  if (!transaction) {
+    console.log(`⚠️ No paid transaction found for ${email}, skipping confirmation email`);
     return false;
   }
-};
-
-// Simple confirmation email HTML (fallback)
-const generateSimpleConfirmationHtml = (orderData, email) => {
-  const amount = orderData.order_amount;
-  const orderId = orderData.cf_order_id;
-  const customerName = orderData.customer_details?.customer_name || 'Customer';
-  
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: #f9fafb;">
-      
-      <div style="text-align: center; background: white; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
-        <h1 style="color: #10b981; font-size: 24px; margin: 0 0 10px 0;">🎉 Payment Successful!</h1>
-        <p style="color: #666; font-size: 16px; margin: 0;">Thank you for your payment, ${customerName}</p>
-      </div>
-      
-      <div style="background: white; border-radius: 10px; padding: 25px; margin-bottom: 20px;">
-        <h3 style="color: #065f46; margin: 0 0 15px 0; border-bottom: 2px solid #10b981; padding-bottom: 8px;">📋 Payment Receipt</h3>
-        
-        <table style="width: 100%; border-collapse: collapse;">
-          <tr>
-            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb;"><strong>Transaction ID:</strong></td>
-            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb; text-align: right;">${orderId}</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb;"><strong>Amount Paid:</strong></td>
-            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb; text-align: right; color: #10b981; font-weight: bold;">₹${amount}</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb;"><strong>Customer:</strong></td>
-            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb; text-align: right;">${customerName}</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px 0;"><strong>Email:</strong></td>
-            <td style="padding: 8px 0; text-align: right;">${email}</td>
-          </tr>
-        </table>
-      </div>
-      
-      <div style="background: #ecfdf5; border: 2px solid #10b981; border-radius: 10px; padding: 20px; text-align: center;">
-        <h3 style="color: #065f46; margin: 0 0 8px 0;">✅ Payment Status: CONFIRMED</h3>
-        <p style="margin: 0; color: #047857;">Your transaction has been processed successfully.</p>
-      </div>
-      
-      <p style="text-align: center; margin-top: 20px; color: #666; font-size: 12px;">
-        Payment processed securely by Cashfree • Powered by PayForm
-      </p>
-    </div>
-  `;
-};
 
-// Generate customer confirmation email template
-const generateConfirmationEmailTemplate = (orderData, email, formName, adminInfo) => {
-  const amount = orderData.order_amount;
-  const orderId = orderData.cf_order_id;
-  const customerName = orderData.customer_details?.customer_name || 'Customer';
-  const paymentTime = new Date().toLocaleString('en-IN', { 
-    timeZone: 'Asia/Kolkata',
-    dateStyle: 'full',
-    timeStyle: 'short'
+  // Get form info
+  const { data: formData } = await supabase
+    .from('form_configs')
+    .select('form_name')
+    .eq('form_id', formId)
+    .single();
+
+  const result = await sendConfirmationEmail(supabase, transaction, {
+    paymentId: orderData.cf_order_id,
+    to: email,
+    data: {
+      customerName: orderData.customer_details?.customer_name || transaction.customer_name || 'Customer',
+      amount: orderData.order_amount,
+      orderId: orderData.order_id,
+      orderData: orderData,
+      productName: transaction.product_name || formData?.form_name || 'Your Form'
+    }
   });
-  
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333; background: #f9fafb; padding: 20px;">
-      
-      <!-- Success Header -->
-      <div style="text-align: center; background: white; padding: 40px 20px; border-radius: 12px; margin-bottom: 20px; box-shadow: 0 2px 10px rgba(0,0,0,0.05);">
-        <div style="font-size: 64px; margin-bottom: 20px;">🎉</div>
-        <h1 style="color: #10b981; margin: 0 0 10px 0; font-size: 28px;">Payment Successful!</h1>
-        <p style="color: #666; font-size: 18px; margin: 0;">Thank you for your payment, ${customerName}</p>
-      </div>
-      
-      <!-- Payment Details Card -->
-      <div style="background: white; border-radius: 12px; padding: 30px; margin-bottom: 20px; box-shadow: 0 2px 10px rgba(0,0,0,0.05);">
-        <h2 style="color: #065f46; margin: 0 0 20px 0; font-size: 20px; border-bottom: 2px solid #10b981; padding-bottom: 10px;">📋 Payment Receipt</h2>
-        
-        <table style="width: 100%; border-collapse: collapse;">
-          <tr>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;"><strong>Transaction ID:</strong></td>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb; text-align: right; font-family: monospace; color: #4b5563;">${orderId}</td>
-          </tr>
-          <tr>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;"><strong>Amount Paid:</strong></td>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb; text-align: right; color: #10b981; font-weight: bold; font-size: 18px;">₹${amount}</td>
-          </tr>
-          <tr>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;"><strong>Customer:</strong></td>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb; text-align: right;">${customerName}</td>
-          </tr>
-          <tr>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;"><strong>Email:</strong></td>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb; text-align: right;">${email}</td>
-          </tr>
-          <tr>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;"><strong>Form:</strong></td>
-            <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb; text-align: right;">${formName}</td>
-          </tr>
-          <tr>
-            <td style="padding: 12px 0;"><strong>Payment Date:</strong></td>
-            <td style="padding: 12px 0; text-align: right;">${paymentTime}</td>
-          </tr>
-        </table>
-      </div>
-      
-      <!-- Status Confirmation -->
-      <div style="background: #ecfdf5; border: 2px solid #10b981; border-radius: 12px; padding: 20px; margin-bottom: 20px; text-align: center;">
-        <h3 style="color: #065f46; margin: 0 0 10px 0; font-size: 18px;">✅ Payment Status: CONFIRMED</h3>
-        <p style="margin: 0; color: #047857; font-size: 16px;">
-          Your transaction has been processed successfully and payment is complete.
-        </p>
-      </div>
-      
-      <!-- Important Notes -->
-      <div style="background: white; border-radius: 12px; padding: 20px; margin-bottom: 20px; box-shadow: 0 2px 10px rgba(0,0,0,0.05);">
-        <h3 style="color: #1f2937; margin: 0 0 15px 0;">📝 Important Information:</h3>
-        <ul style="margin: 0; padding-left: 20px; color: #4b5563; line-height: 1.6;">
-          <li>Keep this email as your payment receipt</li>
-          <li>Your transaction ID is: <strong>${orderId}</strong></li>
-          <li>Payment processed securely by Cashfree</li>
-          <li>If you have questions, reply to this email</li>
-        </ul>
-      </div>
-      
-      <!-- Contact Information -->
-      <div style="text-align: center; background: white; padding: 20px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.05);">
-        <p style="color: #6b7280; margin: 0 0 10px 0;">Need help or have questions?</p>
-        <p style="color: #374151; margin: 0; font-weight: 500;">
-          📧 Reply to this email<br>
-          💬 Contact: ${adminInfo?.name || 'PayForm Team'}
-        </p>
-      </div>
-      
-      <!-- Footer -->
-      <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
-        <p style="font-size: 12px; color: #9ca3af; margin: 0;">
-          This payment confirmation was sent by ${adminInfo?.name || 'PayForm Team'}<br>
-          Powered by PayForm • Secured by Cashfree Payments
-        </p>
-      </div>
-      
-    </div>
-  `;
+
+  return result.sent;
 };
+
 // Add these helper functions to the END of your verify-cashfree-payment.js file
 
 // Helper function to generate success page
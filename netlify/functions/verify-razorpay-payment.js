@@ -1,7 +1,9 @@
 // netlify/functions/verify-razorpay-payment.js - FIXED FOR PAYMENT LINKS
 const { createClient } = require('@supabase/supabase-js');
-const crypto = require('crypto');
-const Razorpay = require('razorpay');
+const { getGateway } = require('./utils/gateways');
+const { transitionTransaction } = require('./utils/payment-status');
+const { onTransactionPaid } = require('./utils/webhooks/shared');
+const { receiveWebhook } = require('./utils/webhook-events');
 
 // Initialize Supabase
 const supabase = createClient(
@@ -9,11 +11,7 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+const razorpay = getGateway('razorpay');
 
 exports.handler = async (event, context) => {
   // CORS headers
@@ -44,6 +42,7 @@ exports.handler = async (event, context) => {
       razorpay_order_id, 
       razorpay_payment_link_id,
       razorpay_payment_link_reference_id,
+      razorpay_payment_link_status,
       razorpay_signature 
     } = queryParams;
 
@@ -63,56 +62,81 @@ exports.handler = async (event, context) => {
 
     console.log(`🔍 Verifying payment: ${razorpay_payment_id} for order/link: ${orderId}`);
 
-// Verify signature (handle both order and payment link formats)
-const isPaymentLink = !!razorpay_payment_link_id;
-let isValidSignature = true;
-
-if (!isPaymentLink) {
-  // Only verify signature for regular orders, not payment links
-  isValidSignature = verifyRazorpaySignature(
-    orderId,
-    razorpay_payment_id,
-    razorpay_signature
-  );
-  
-  if (!isValidSignature) {
-    console.log('❌ Invalid payment signature');
-    return {
-      statusCode: 400,
-      headers,
-      body: generateErrorPage('Payment verification failed. Invalid signature.')
-    };
-  }
-} else {
-  console.log('ℹ️ Skipping signature verification for Payment Link (verified by Razorpay)');
-}
-    // Fetch payment details from Razorpay
-    const payment = await razorpay.payments.fetch(razorpay_payment_id);
-    console.log('💳 Payment status:', payment.status);
-
-    if (payment.status !== 'captured') {
-      console.log('❌ Payment not captured:', payment.status);
+    // Verify signature (handle both order and payment link formats)
+    const isPaymentLink = !!razorpay_payment_link_id;
+    const isValidSignature = isPaymentLink
+      ? razorpay.verifyPaymentLinkSignature({
+          paymentLinkId: razorpay_payment_link_id,
+          referenceId: referenceId || '',
+          status: razorpay_payment_link_status,
+          paymentId: razorpay_payment_id
+        }, razorpay_signature)
+      : razorpay.verifyPaymentSignature(orderId, razorpay_payment_id, razorpay_signature);
+
+    if (!isValidSignature) {
+      console.log(`❌ Invalid ${isPaymentLink ? 'payment link' : 'payment'} signature for ${orderId}`);
       return {
         statusCode: 400,
         headers,
-        body: generateIncompletePaymentPage(payment.status)
+        body: generateErrorPage('Payment verification failed. Invalid signature.')
       };
     }
 
-    // Update transaction in database (handle both order and payment link IDs)
-    const { data: transaction, error: updateError } = await supabase
+    // The order or link must be one of ours
+    const { data: existingTransaction } = await supabase
       .from('transactions')
-      .update({
-        payment_status: 'paid',
-        razorpay_payment_id: razorpay_payment_id,
-        updated_at: new Date().toISOString()
-      })
-      .eq('razorpay_order_id', orderId)
       .select('*')
-      .single();
+      .eq('razorpay_order_id', orderId)
+      .maybeSingle();
+
+    if (!existingTransaction) {
+      console.log('❌ No transaction for order/link:', orderId);
+      return {
+        statusCode: 404,
+        headers,
+        body: generateErrorPage('We could not find this payment. Please contact support.')
+      };
+    }
+
+    // Fetch payment (and link) details from Razorpay
+    const payment = await razorpay.fetchPayment(razorpay_payment_id);
+    const paymentLink = isPaymentLink ? await razorpay.fetchPayment(razorpay_payment_link_id) : null;
+    console.log('💳 Payment status:', payment.raw.status);
+
+    if (payment.status !== 'paid') {
+      console.log('❌ Payment not captured:', payment.raw.status);
+      return {
+        statusCode: 400,
+        headers,
+        body: generateIncompletePaymentPage(payment.raw.status)
+      };
+    }
+
+    // Signed parameters only prove Razorpay sent them; make sure they're for this order
+    const mismatch = findPaymentMismatch(existingTransaction, payment, paymentLink);
+
+    if (mismatch) {
+      console.log(`❌ Payment ${razorpay_payment_id} does not match transaction ${existingTransaction.id}: ${mismatch}`);
+      return {
+        statusCode: 400,
+        headers,
+        body: generateErrorPage('Payment verification failed. The payment does not match this order.')
+      };
+    }
+
+    // Update transaction in database (handle both order and payment link IDs);
+    // a transaction that was already refunded stays refunded
+    let transaction;
+    let isPaid = false;
+    try {
+      ({ transaction, allowed: isPaid } = await transitionTransaction(supabase, { razorpay_order_id: orderId }, 'paid', {
+        razorpay_payment_id: razorpay_payment_id
+      }));
+    } catch (updateError) {
+      console.error('❌ Database update error:', updateError.message);
+    }
 
-    if (updateError) {
-      console.error('❌ Database update error:', updateError);
+    if (!transaction) {
       return {
         statusCode: 500,
         headers,
@@ -120,54 +144,17 @@ if (!isPaymentLink) {
       };
     }
 
-    // Add this after the database update
-console.log('✅ Transaction updated successfully');
-
-// Send confirmation email
-try {
-  console.log('📧 Sending confirmation email...');
-  const confirmationEmailResponse = await fetch(`${process.env.SUPABASE_URL}/functions/v1/send-payment-email`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`
-    },
-    body: JSON.stringify({
-      to: transaction.email,
-      subject: `Payment Confirmed - ${transaction.product_name}`,
-      productName: transaction.product_name,
-      amount: transaction.payment_amount,
-      customerName: transaction.customer_name,
-      paymentId: razorpay_payment_id,
-      adminId: transaction.admin_id,
-      isConfirmation: true // This tells the email service to send confirmation instead of payment request
-    })
-  });
-
-  if (confirmationEmailResponse.ok) {
-    const emailResult = await confirmationEmailResponse.json();
-    console.log('📧 Confirmation email result:', emailResult);
-    
-    if (emailResult.success) {
-      console.log('✅ Confirmation email sent successfully');
-    } else {
-      console.error('⚠️ Confirmation email failed:', emailResult.error);
+    console.log('✅ Transaction updated successfully');
+
+    // Complete the commission and send the confirmation email, unless the
+    // webhook already has; a failure here is retried by the webhook
+    if (isPaid) {
+      try {
+        await onTransactionPaid(supabase, transaction, { paymentId: razorpay_payment_id });
+      } catch (sideEffectError) {
+        console.error('⚠️ Post-payment update failed, leaving it to the webhook:', sideEffectError.message);
+      }
     }
-  } else {
-    console.error('⚠️ Confirmation email request failed:', confirmationEmailResponse.status);
-  }
-} catch (emailError) {
-  console.error('⚠️ Confirmation email error (non-critical):', emailError.message);
-}
-    
-    // Update commission status to completed (use orderId)
-    await supabase
-      .from('platform_commissions')
-      .update({
-        status: 'completed',
-        processed_at: new Date().toISOString()
-      })
-      .eq('transaction_id', orderId);
 
     console.log('✅ Payment verification completed successfully');
 
@@ -187,16 +174,49 @@ try {
   }
 };
 
-// Webhook handler for automatic payment updates
+// Why a captured payment can't be accepted for this transaction (null if it can)
+function findPaymentMismatch(transaction, payment, paymentLink) {
+  const expectedPaise = Math.round(parseFloat(transaction.payment_amount) * 100);
+
+  if (Math.round(payment.amount * 100) !== expectedPaise) {
+    return `amount ₹${payment.amount}, expected ₹${transaction.payment_amount}`;
+  }
+
+  if (!paymentLink) {
+    return payment.orderId === transaction.razorpay_order_id ? null : `order ${payment.orderId}`;
+  }
+
+  if (paymentLink.id !== transaction.razorpay_order_id) {
+    return `payment link ${paymentLink.id}`;
+  }
+
+  if (paymentLink.status !== 'paid' || Math.round(paymentLink.amountPaid * 100) !== expectedPaise) {
+    return `payment link is ${paymentLink.raw.status} with ₹${paymentLink.amountPaid} paid`;
+  }
+
+  if (!(paymentLink.raw.payments || []).some(p => p.payment_id === payment.id)) {
+    return 'payment is not one of the link\'s payments';
+  }
+
+  return null;
+}
+
+// Webhook handler for automatic payment updates (same event log as razorpay-webhook)
 async function handleWebhook(event, headers) {
   try {
     console.log('📢 Processing Razorpay webhook...');
-    
-    const webhookSignature = event.headers['x-razorpay-signature'];
-    const webhookBody = event.body;
 
-    // Verify webhook signature
-    if (!verifyWebhookSignature(webhookBody, webhookSignature)) {
+    // Verify signature (a missing signature or secret fails verification)
+    const signatureValid = razorpay.verifyWebhook({ rawBody: event.body, headers: event.headers });
+
+    const result = await receiveWebhook(supabase, {
+      provider: 'razorpay',
+      headers: event.headers,
+      rawBody: event.body,
+      signatureValid
+    });
+
+    if (result.status === 'rejected') {
       console.log('❌ Invalid webhook signature');
       return {
         statusCode: 400,
@@ -205,37 +225,18 @@ async function handleWebhook(event, headers) {
       };
     }
 
-    const webhookData = JSON.parse(webhookBody);
-    const eventType = webhookData.event;
-    const payload = webhookData.payload;
-
-    console.log(`📨 Webhook event: ${eventType}`);
-
-    switch (eventType) {
-      case 'payment.captured':
-        await handlePaymentCaptured(payload.payment.entity);
-        break;
-      
-      case 'transfer.processed':
-        await handleTransferProcessed(payload.transfer.entity);
-        break;
-      
-      case 'transfer.failed':
-        await handleTransferFailed(payload.transfer.entity);
-        break;
-
-      case 'payment_link.paid':
-        await handlePaymentLinkPaid(payload.payment_link.entity, payload.payment.entity);
-        break;
-
-      default:
-        console.log(`ℹ️ Unhandled webhook event: ${eventType}`);
+    if (result.status === 'failed') {
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: result.error })
+      };
     }
 
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ success: true })
+      body: JSON.stringify({ success: true, status: result.status })
     };
 
   } catch (error) {
@@ -248,99 +249,6 @@ async function handleWebhook(event, headers) {
   }
 }
 
-// Handle payment captured webhook
-async function handlePaymentCaptured(payment) {
-  console.log(`💳 Payment captured: ${payment.id}`);
-  
-  // Handle both order_id and payment link scenarios
-  const orderId = payment.order_id || payment.notes?.payment_link_id;
-  
-  await supabase
-    .from('transactions')
-    .update({
-      payment_status: 'paid',
-      razorpay_payment_id: payment.id,
-      updated_at: new Date().toISOString()
-    })
-    .eq('razorpay_order_id', orderId);
-
-  console.log('✅ Transaction updated for captured payment');
-}
-
-// Handle payment link paid webhook
-async function handlePaymentLinkPaid(paymentLink, payment) {
-  console.log(`💳 Payment link paid: ${paymentLink.id}`);
-  
-  await supabase
-    .from('transactions')
-    .update({
-      payment_status: 'paid',
-      razorpay_payment_id: payment.id,
-      updated_at: new Date().toISOString()
-    })
-    .eq('razorpay_order_id', paymentLink.id);
-
-  console.log('✅ Transaction updated for payment link');
-}
-
-// Handle transfer processed webhook
-async function handleTransferProcessed(transfer) {
-  console.log(`💸 Transfer processed: ${transfer.id}`);
-  
-  // Update commission status to completed
-  await supabase
-    .from('platform_commissions')
-    .update({
-      status: 'completed',
-      processed_at: new Date().toISOString()
-    })
-    .eq('transaction_id', transfer.source);
-
-  console.log('✅ Commission updated for processed transfer');
-}
-
-// Handle transfer failed webhook
-async function handleTransferFailed(transfer) {
-  console.log(`❌ Transfer failed: ${transfer.id}`);
-  
-  // Update commission status to failed
-  await supabase
-    .from('platform_commissions')
-    .update({
-      status: 'failed',
-      processed_at: new Date().toISOString()
-    })
-    .eq('transaction_id', transfer.source);
-
-  console.log('⚠️ Commission marked as failed for transfer failure');
-}
-
-// Verify Razorpay payment signature (works for both orders and payment links)
-// Verify Razorpay payment signature (for regular orders only)
-function verifyRazorpaySignature(orderId, paymentId, signature) {
-  const text = orderId + '|' + paymentId;
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-    .update(text)
-    .digest('hex');
-  
-  return expectedSignature === signature;
-}
-// Verify webhook signature
-function verifyWebhookSignature(body, signature) {
-  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
-    console.log('⚠️ No webhook secret configured, skipping verification');
-    return true;
-  }
-
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-    .update(body)
-    .digest('hex');
-  
-  return expectedSignature === signature;
-}
-
 // Generate success page
 function generateSuccessPage(payment, transaction) {
   return `
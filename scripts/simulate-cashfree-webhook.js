@@ -0,0 +1,61 @@
+// scripts/simulate-cashfree-webhook.js - Post a signed Cashfree payment webhook
+//
+// Signs a PAYMENT_SUCCESS_WEBHOOK delivery the way Cashfree does (base64
+// HMAC-SHA256 of timestamp + raw body) and posts it to cashfree-webhook.js
+// under `netlify dev`. The mode exercises the signature check:
+//   valid    - correctly signed, current timestamp (expect 200)
+//   tampered - body changed after signing (expect 401)
+//   stale    - signed 10 minutes ago (expect 401)
+//
+//   CASHFREE_SECRET_KEY=... npm run simulate:cashfree-webhook -- <orderId> [valid|tampered|stale]
+//
+// CASHFREE_WEBHOOK_SECRET is used instead of the secret key when set.
+// FUNCTIONS_URL defaults to the netlify dev server (http://localhost:8888).
+import crypto from 'crypto';
+
+const [orderId, mode = 'valid'] = process.argv.slice(2);
+const secret = process.env.CASHFREE_WEBHOOK_SECRET || process.env.CASHFREE_SECRET_KEY;
+
+if (!orderId || !['valid', 'tampered', 'stale'].includes(mode) || !secret) {
+  console.error('Usage: CASHFREE_SECRET_KEY=... npm run simulate:cashfree-webhook -- <orderId> [valid|tampered|stale]');
+  process.exit(1);
+}
+
+const baseUrl = process.env.FUNCTIONS_URL || 'http://localhost:8888';
+
+const payload = {
+  type: 'PAYMENT_SUCCESS_WEBHOOK',
+  event_time: new Date().toISOString(),
+  data: {
+    order: { order_id: orderId, order_currency: 'INR' },
+    payment: {
+      cf_payment_id: Date.now(),
+      payment_status: 'SUCCESS',
+      payment_time: new Date().toISOString(),
+      payment_group: 'upi'
+    }
+  }
+};
+
+const rawBody = JSON.stringify(payload);
+const timestamp = String(mode === 'stale' ? Date.now() - 10 * 60 * 1000 : Date.now());
+const signature = crypto.createHmac('sha256', secret).update(`${timestamp}${rawBody}`).digest('base64');
+const body = mode === 'tampered' ? rawBody.replace('"SUCCESS"', '"FAILED"') : rawBody;
+
+console.log(`📨 Posting ${mode} Cashfree webhook for order ${orderId} to ${baseUrl}`);
+
+const response = await fetch(`${baseUrl}/.netlify/functions/cashfree-webhook`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'x-webhook-signature': signature,
+    'x-webhook-timestamp': timestamp
+  },
+  body
+});
+
+console.log(`↩️  ${response.status} ${response.statusText}`);
+console.log(await response.text());
+
+const expected = mode === 'valid' ? 200 : 401;
+process.exit(response.status === expected ? 0 : 1);
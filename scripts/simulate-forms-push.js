@@ -0,0 +1,43 @@
+// scripts/simulate-forms-push.js - Post a synthetic Google Forms push message
+//
+// Stands in for Pub/Sub when running `netlify dev`, so forms-push.js can be
+// exercised without a real watch or subscription:
+//
+//   FORMS_PUSH_TOKEN=... npm run simulate:forms-push -- <formId> [eventType] [watchId]
+//
+// FUNCTIONS_URL defaults to the netlify dev server (http://localhost:8888).
+
+const [formId, eventType = 'RESPONSES', watchId = 'local-watch'] = process.argv.slice(2);
+
+if (!formId) {
+  console.error('Usage: npm run simulate:forms-push -- <formId> [eventType] [watchId]');
+  process.exit(1);
+}
+
+const baseUrl = process.env.FUNCTIONS_URL || 'http://localhost:8888';
+const token = process.env.FORMS_PUSH_TOKEN || '';
+const endpoint = `${baseUrl}/.netlify/functions/forms-push?token=${encodeURIComponent(token)}`;
+
+// Same envelope a Pub/Sub push subscription delivers
+const payload = {
+  message: {
+    attributes: { formId, watchId, eventType },
+    data: '',
+    messageId: `local-${Date.now()}`,
+    publishTime: new Date().toISOString()
+  },
+  subscription: 'projects/local/subscriptions/forms-push'
+};
+
+console.log(`📨 Posting ${eventType} push for form ${formId} to ${baseUrl}`);
+
+const response = await fetch(endpoint, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(payload)
+});
+
+console.log(`↩️  ${response.status} ${response.statusText}`);
+console.log(await response.text());
+
+process.exit(response.ok ? 0 : 1);
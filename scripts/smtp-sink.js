@@ -0,0 +1,106 @@
+// scripts/smtp-sink.js - Local SMTP server that accepts and prints every email
+//
+// For trying the SMTP email transport without a real mail server:
+//   npm run smtp-sink
+//   EMAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 netlify dev
+//
+// Messages are printed and, when SMTP_SINK_DIR is set, saved there as .eml
+// files. SMTP_SINK_PORT changes the port (default 1025). No auth, no TLS.
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+
+const port = Number(process.env.SMTP_SINK_PORT || 1025);
+const outputDir = process.env.SMTP_SINK_DIR;
+
+if (outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+}
+
+let received = 0;
+
+const saveMessage = (envelope, data) => {
+  received += 1;
+  const subject = (data.match(/^Subject: (.*)$/mi) || [])[1] || '(no subject)';
+  console.log(`📨 #${received} from ${envelope.from} to ${envelope.to.join(', ')}: ${subject}`);
+
+  if (outputDir) {
+    const file = path.join(outputDir, `${Date.now()}-${received}.eml`);
+    fs.writeFileSync(file, data);
+    console.log(`   saved ${file}`);
+  } else {
+    console.log(data.split('\r\n\r\n')[0].split('\r\n').map(line => `   ${line}`).join('\n'));
+  }
+};
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 payform-smtp-sink ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    while (buffer.length > 0) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+
+        // Undo dot-stuffing
+        saveMessage(envelope, buffer.slice(0, end).replace(/^\.\./gm, '.'));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        envelope = { from: null, to: [] };
+        reply('250 OK: queued');
+        continue;
+      }
+
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd === -1) return;
+
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO') {
+        reply('250-payform-smtp-sink');
+        reply('250-8BITMIME');
+        reply('250 SMTPUTF8');
+      } else if (command === 'HELO') {
+        reply('250 payform-smtp-sink');
+      } else if (command === 'MAIL') {
+        envelope.from = (line.match(/<(.*)>/) || [])[1] || '';
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push((line.match(/<(.*)>/) || [])[1] || '');
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+        return;
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.error('⚠️ Connection error:', error.message));
+});
+
+server.on('error', (error) => {
+  console.error(`❌ SMTP sink could not start: ${error.message}`);
+  process.exit(1);
+});
+
+server.listen(port, () => {
+  console.log(`📭 SMTP sink listening on localhost:${port}`);
+});
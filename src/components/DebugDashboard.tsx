@@ -1,6 +1,6 @@
 // src/components/DebugDashboard.tsx
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../lib/supabase';
+import { supabase, authFetch } from '../lib/supabase';
 import { useAuth } from '../hooks/useAuth';
 
 interface DebugInfo {
@@ -107,7 +107,7 @@ const DebugDashboard: React.FC = () => {
 
       // 6. Test the dashboard function endpoint
       try {
-        const response = await fetch('/.netlify/functions/dashboard-data');
+        const response = await authFetch('/.netlify/functions/dashboard-data');
         const dashboardData = await response.json();
         debug.dashboardEndpoint = dashboardData;
         debug.dashboardEndpointStatus = response.status;
@@ -1,12 +1,16 @@
 // src/components/RealDashboard.tsx - Dashboard with Real Data
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { authFetch } from '../lib/supabase';
 
 interface DashboardStats {
   totalTransactions: number;
   paidCount: number;
   pendingCount: number;
   failedCount: number;
+  refundedCount?: number;
+  disputedCount?: number;
   totalRevenue: string;
+  totalRefunded?: string;
   totalCommissions: string;
   totalNetEarnings: string;
   averageOrderValue: string;
@@ -22,23 +26,131 @@ interface Transaction {
   commission: string;
   netAmount: string;
   status: string;
+  amountRefunded?: string;
+  canRefund?: boolean;
+  canRegenerateLink?: boolean;
+  linkExpiresAt?: string | null;
+  disputeStatus?: string | null;
   paymentMethod: string;
+  isTest?: boolean;
   formattedDate: string;
   formattedTime: string;
+  lineItems?: LineItem[];
+}
+
+interface LineItem {
+  sku: string | null;
+  label: string;
+  quantity: number;
+  unitPrice: string;
+  amount: string;
+}
+
+interface WebhookEvent {
+  id: string;
+  provider: string;
+  eventType: string | null;
+  status: string;
+  outcome: string | null;
+  lastError: string | null;
+  transactionId: string | null;
+  attempts: number;
+  replayCount: number;
+  formattedDate: string;
 }
 
 interface DashboardData {
   stats: DashboardStats;
   transactions: Transaction[];
+  forms?: { form_id: string; form_name: string }[];
   commissions: any;
+  webhookEvents?: WebhookEvent[];
   adminId: string;
 }
 
+// Totals of every transaction matching the search, not just the loaded pages
+interface SearchTotals {
+  count: number;
+  paidCount: number;
+  totalRevenue: string;
+  totalRefunded: string;
+  totalNetEarnings: string;
+}
+
+// Transaction table filters, kept in the page URL so a filtered view can be
+// bookmarked or shared. Names are the transactions-search query parameters.
+interface TransactionFilters {
+  status: string;
+  form: string;
+  gateway: string;
+  from: string;
+  to: string;
+  min: string;
+  max: string;
+  q: string;
+  sort: string;
+  order: string;
+}
+
+const DEFAULT_FILTERS: TransactionFilters = {
+  status: '',
+  form: '',
+  gateway: '',
+  from: '',
+  to: '',
+  min: '',
+  max: '',
+  q: '',
+  sort: 'date',
+  order: 'desc'
+};
+
+const FILTER_KEYS = Object.keys(DEFAULT_FILTERS) as (keyof TransactionFilters)[];
+
+const PAGE_SIZE = 25;
+
+const readFiltersFromUrl = (): TransactionFilters => {
+  const params = new URLSearchParams(window.location.search);
+  return FILTER_KEYS.reduce(
+    (filters, key) => ({ ...filters, [key]: params.get(key) || DEFAULT_FILTERS[key] }),
+    DEFAULT_FILTERS
+  );
+};
+
+// Only filters that differ from the defaults go in the URL; other parameters are left alone
+const writeFiltersToUrl = (filters: TransactionFilters) => {
+  const params = new URLSearchParams(window.location.search);
+  FILTER_KEYS.forEach(key => {
+    if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) {
+      params.set(key, filters[key]);
+    } else {
+      params.delete(key);
+    }
+  });
+
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
+
 export const RealDashboard: React.FC = () => {
   const [data, setData] = useState<DashboardData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [hideTestPayments, setHideTestPayments] = useState(false);
+  const [replayingEventId, setReplayingEventId] = useState<string | null>(null);
+  const [refundingTransactionId, setRefundingTransactionId] = useState<string | null>(null);
+  const [regeneratingTransactionId, setRegeneratingTransactionId] = useState<string | null>(null);
+  const [filters, setFilters] = useState<TransactionFilters>(readFiltersFromUrl);
+  const [transactions, setTransactions] = useState<Transaction[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [searchTotals, setSearchTotals] = useState<SearchTotals | null>(null);
+  const [searching, setSearching] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const [exportingFormat, setExportingFormat] = useState<'csv' | 'xlsx' | null>(null);
+  // Answers to superseded searches are dropped
+  const searchRequestRef = useRef(0);
 
   useEffect(() => {
     fetchDashboardData();
@@ -46,13 +158,24 @@ export const RealDashboard: React.FC = () => {
     // Auto-refresh every 30 seconds
     const interval = setInterval(fetchDashboardData, 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [hideTestPayments]);
+
+  useEffect(() => {
+    writeFiltersToUrl(filters);
+
+    // Wait for typing in the search and amount boxes to settle
+    const timeout = setTimeout(() => searchTransactions(), 300);
+    return () => clearTimeout(timeout);
+  }, [filters, hideTestPayments]);
 
   const fetchDashboardData = async () => {
     try {
       if (!loading) setRefreshing(true);
       
-      const response = await fetch('/.netlify/functions/dashboard-data?admin_id=f807a8c3-316b-4df0-90e7-5f7796c86f71');
+      // dashboard-data answers for the signed-in admin
+      const response = await authFetch(
+        `/.netlify/functions/dashboard-data${hideTestPayments ? '?include_test=false' : ''}`
+      );
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -70,40 +193,230 @@ export const RealDashboard: React.FC = () => {
     }
   };
 
-  const exportTransactions = () => {
-    if (!data?.transactions.length) return;
-
-    const csvContent = [
-      ['Transaction ID', 'Email', 'Product', 'Amount', 'Commission', 'Net Amount', 'Status', 'Date', 'Time'].join(','),
-      ...data.transactions.map(t => [
-        t.transactionId,
-        t.email,
-        `"${t.productName}"`,
-        t.amount,
-        t.commission,
-        t.netAmount,
-        t.status,
-        t.formattedDate,
-        t.formattedTime
-      ].join(','))
-    ].join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `payform-transactions-${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
+  // First page of the table (cursor: the next page, appended to what's shown)
+  const searchTransactions = async (cursor?: string) => {
+    const requestId = ++searchRequestRef.current;
+
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    FILTER_KEYS.forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+    if (hideTestPayments) params.set('include_test', 'false');
+    if (cursor) params.set('cursor', cursor);
+
+    try {
+      if (cursor) setLoadingMore(true);
+      else setSearching(true);
+
+      const response = await authFetch(`/.netlify/functions/transactions-search?${params.toString()}`);
+      const result = await response.json();
+
+      if (requestId !== searchRequestRef.current) return;
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setTransactions(previous => cursor ? [...previous, ...result.transactions] : result.transactions);
+      setNextCursor(result.nextCursor);
+      if (result.totals) setSearchTotals(result.totals);
+      setSearchError(null);
+    } catch (err) {
+      if (requestId !== searchRequestRef.current) return;
+      console.error('Error searching transactions:', err);
+      setSearchError(err instanceof Error ? err.message : 'Failed to search transactions');
+    } finally {
+      if (requestId === searchRequestRef.current) {
+        setSearching(false);
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  const updateFilter = (key: keyof TransactionFilters, value: string) => {
+    setFilters(previous => ({ ...previous, [key]: value }));
+  };
+
+  const hasActiveFilters = FILTER_KEYS.some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+  const refreshAll = () => {
+    fetchDashboardData();
+    searchTransactions();
+  };
+
+  const replayWebhookEvent = async (eventId: string) => {
+    if (!data) return;
+
+    try {
+      setReplayingEventId(eventId);
+      const response = await authFetch('/.netlify/functions/replay-webhook-event', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ eventId })
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Replay failed: ${result.error || result.status}`);
+      }
+
+      await fetchDashboardData();
+    } catch (err) {
+      console.error('Error replaying webhook event:', err);
+      alert('Replay failed. Please try again.');
+    } finally {
+      setReplayingEventId(null);
+    }
+  };
+
+  const refundTransaction = async (transaction: Transaction) => {
+    if (!data) return;
+
+    const remaining = (parseFloat(transaction.amount) - parseFloat(transaction.amountRefunded || '0')).toFixed(2);
+    const amountInput = window.prompt(`Refund amount for ${transaction.email} (up to ₹${remaining}):`, remaining);
+    if (amountInput === null) return;
+
+    const amount = parseFloat(amountInput);
+    if (!(amount > 0) || amount > parseFloat(remaining)) {
+      alert(`Enter an amount between ₹0.01 and ₹${remaining}`);
+      return;
+    }
+
+    const reason = window.prompt('Reason for the refund (optional):', '');
+    if (reason === null) return;
+
+    if (!window.confirm(`Refund ₹${amount.toFixed(2)} to ${transaction.email}? This can't be undone.`)) return;
+
+    try {
+      setRefundingTransactionId(transaction.id);
+      const response = await authFetch('/.netlify/functions/refund-transaction', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transactionId: transaction.id, amount, reason })
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Refund failed: ${result.error}`);
+      } else if (result.refund.status === 'pending') {
+        alert('Refund requested. The gateway is still processing it.');
+      }
+
+      await Promise.all([fetchDashboardData(), searchTransactions()]);
+    } catch (err) {
+      console.error('Error refunding transaction:', err);
+      alert('Refund failed. Please try again.');
+    } finally {
+      setRefundingTransactionId(null);
+    }
+  };
+
+  const regenerateLink = async (transaction: Transaction) => {
+    if (!data) return;
+
+    if (!window.confirm(`Issue a new payment link for ${transaction.email}? Their current link will stop working.`)) return;
+    const notify = window.confirm('Email the new link to the customer?');
+
+    try {
+      setRegeneratingTransactionId(transaction.id);
+      const response = await authFetch('/.netlify/functions/regenerate-payment-link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transactionId: transaction.id, notify })
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        alert(`Could not create a new link: ${result.error}`);
+      } else if (notify && !result.emailed) {
+        alert(`New link created, but the email failed: ${result.emailError}\n\n${result.transaction.paymentUrl}`);
+      } else if (!notify) {
+        window.prompt('New payment link:', result.transaction.paymentUrl);
+      }
+
+      await Promise.all([fetchDashboardData(), searchTransactions()]);
+    } catch (err) {
+      console.error('Error regenerating payment link:', err);
+      alert('Could not create a new link. Please try again.');
+    } finally {
+      setRegeneratingTransactionId(null);
+    }
+  };
+
+  // Poll a background export until its file is ready; resolves to the download URL
+  const waitForExport = async (exportId: string): Promise<string> => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, 3000));
+
+      const response = await authFetch(`/.netlify/functions/export-transactions?export_id=${encodeURIComponent(exportId)}`);
+      const result = await response.json().catch(() => null);
+      if (!response.ok || !result?.export) {
+        throw new Error(result?.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const { status, downloadUrl, error } = result.export;
+      if (status === 'ready' && downloadUrl) return downloadUrl;
+      if (status === 'failed' || status === 'expired') {
+        throw new Error(error || `The export ${status === 'expired' ? 'has expired' : 'failed'}`);
+      }
+    }
+  };
+
+  // Every transaction matching the table's filters, built by export-transactions
+  const exportTransactions = async (format: 'csv' | 'xlsx') => {
+    const params = new URLSearchParams({ format });
+    FILTER_KEYS.forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+    if (hideTestPayments) params.set('include_test', 'false');
+
+    try {
+      setExportingFormat(format);
+      const response = await authFetch(`/.netlify/functions/export-transactions?${params.toString()}`);
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => null);
+        throw new Error(result?.error || `HTTP error! status: ${response.status}`);
+      }
+
+      // Too many rows to send back directly: built in the background, then downloaded from storage
+      if (response.status === 202) {
+        const { export: queued } = await response.json();
+        const downloadUrl = await waitForExport(queued.id);
+        window.location.assign(downloadUrl);
+        return;
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+        || `payform-transactions-${new Date().toISOString().split('T')[0]}.${format}`;
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting transactions:', err);
+      alert(`Export failed: ${err instanceof Error ? err.message : 'Please try again.'}`);
+    } finally {
+      setExportingFormat(null);
+    }
   };
 
   const getStatusBadge = (status: string) => {
     const statusConfig = {
       paid: { bg: 'bg-green-100', text: 'text-green-800', icon: '✅', label: 'Paid' },
       pending: { bg: 'bg-yellow-100', text: 'text-yellow-800', icon: '⏳', label: 'Pending' },
-      failed: { bg: 'bg-red-100', text: 'text-red-800', icon: '❌', label: 'Failed' }
+      failed: { bg: 'bg-red-100', text: 'text-red-800', icon: '❌', label: 'Failed' },
+      refunded: { bg: 'bg-gray-100', text: 'text-gray-800', icon: '↩️', label: 'Refunded' },
+      partially_refunded: { bg: 'bg-blue-100', text: 'text-blue-800', icon: '↩️', label: 'Partially Refunded' },
+      disputed: { bg: 'bg-orange-100', text: 'text-orange-800', icon: '⚠️', label: 'Disputed' },
+      expired: { bg: 'bg-gray-100', text: 'text-gray-600', icon: '⌛', label: 'Expired' },
+      cancelled: { bg: 'bg-gray-100', text: 'text-gray-600', icon: '🚫', label: 'Cancelled' }
     };
 
     const config = statusConfig[status as keyof typeof statusConfig] || statusConfig.pending;
@@ -168,19 +481,38 @@ export const RealDashboard: React.FC = () => {
                 {refreshing && <span className="ml-2 text-blue-600">• Refreshing...</span>}
               </p>
             </div>
-            <div className="flex space-x-2">
+            <div className="flex items-center space-x-2">
+              <label className="flex items-center text-sm text-gray-700 mr-2">
+                <input
+                  type="checkbox"
+                  checked={hideTestPayments}
+                  onChange={(e) => setHideTestPayments(e.target.checked)}
+                  className="mr-2"
+                />
+                Hide test payments
+              </label>
               <button
-                onClick={fetchDashboardData}
+                onClick={refreshAll}
                 disabled={refreshing}
                 className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-2 rounded-lg text-sm font-medium transition-colors"
               >
                 {refreshing ? '🔄' : '↻'} Refresh
               </button>
               <button
-                onClick={exportTransactions}
-                className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+                onClick={() => exportTransactions('csv')}
+                disabled={exportingFormat !== null}
+                title="Every transaction matching the filters below"
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                {exportingFormat === 'csv' ? '🔄 Exporting...' : '📥 Export CSV'}
+              </button>
+              <button
+                onClick={() => exportTransactions('xlsx')}
+                disabled={exportingFormat !== null}
+                title="Every transaction matching the filters below"
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-3 py-2 rounded-lg text-sm font-medium transition-colors"
               >
-                📥 Export CSV
+                {exportingFormat === 'xlsx' ? '🔄 Exporting...' : '📥 Export Excel'}
               </button>
             </div>
           </div>
@@ -243,7 +575,7 @@ export const RealDashboard: React.FC = () => {
       {/* Status Summary */}
       <div className="bg-white shadow rounded-lg p-6">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Transaction Status Summary</h3>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div className="text-center p-4 bg-green-50 rounded-lg">
             <div className="text-2xl font-bold text-green-600">{data.stats.paidCount}</div>
             <div className="text-sm text-gray-600">Successful Payments</div>
@@ -256,20 +588,139 @@ export const RealDashboard: React.FC = () => {
             <div className="text-2xl font-bold text-red-600">{data.stats.failedCount}</div>
             <div className="text-sm text-gray-600">Failed Payments</div>
           </div>
+          <div className="text-center p-4 bg-gray-50 rounded-lg">
+            <div className="text-2xl font-bold text-gray-600">{data.stats.refundedCount || 0}</div>
+            <div className="text-sm text-gray-600">Refunded (₹{data.stats.totalRefunded || '0.00'})</div>
+          </div>
+          <div className="text-center p-4 bg-orange-50 rounded-lg">
+            <div className="text-2xl font-bold text-orange-600">{data.stats.disputedCount || 0}</div>
+            <div className="text-sm text-gray-600">Disputed</div>
+          </div>
         </div>
       </div>
 
-      {/* Recent Transactions Table */}
+      {/* Transactions Table */}
       <div className="bg-white shadow rounded-lg">
         <div className="px-6 py-4 border-b border-gray-200">
-          <h3 className="text-lg font-medium text-gray-900">Recent Transactions</h3>
-          <p className="text-sm text-gray-600">
-            Showing {data.transactions.length} most recent transactions
-          </p>
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Transactions</h3>
+              <p className="text-sm text-gray-600">
+                {searchTotals
+                  ? `Showing ${transactions.length} of ${searchTotals.count} ${hasActiveFilters ? 'matching ' : ''}transactions`
+                  : 'Loading transactions...'}
+                {searching && searchTotals && <span className="ml-2 text-blue-600">• Searching...</span>}
+              </p>
+            </div>
+            {hasActiveFilters && (
+              <button
+                onClick={() => setFilters(DEFAULT_FILTERS)}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                ✕ Clear filters
+              </button>
+            )}
+          </div>
+
+          {/* Filters */}
+          <div className="mt-4 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3 text-sm">
+            <input
+              type="search"
+              value={filters.q}
+              onChange={(e) => updateFilter('q', e.target.value)}
+              placeholder="Search email or name"
+              className="col-span-2 border border-gray-300 rounded-md px-3 py-2"
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => updateFilter('status', e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2"
+            >
+              <option value="">All statuses</option>
+              <option value="paid">Paid</option>
+              <option value="pending">Pending</option>
+              <option value="failed">Failed</option>
+              <option value="refunded,partially_refunded">Refunded</option>
+              <option value="disputed">Disputed</option>
+              <option value="expired">Expired</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+            <select
+              value={filters.form}
+              onChange={(e) => updateFilter('form', e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2"
+            >
+              <option value="">All forms</option>
+              {(data.forms || []).map(form => (
+                <option key={form.form_id} value={form.form_id}>{form.form_name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.gateway}
+              onChange={(e) => updateFilter('gateway', e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2"
+            >
+              <option value="">All gateways</option>
+              <option value="razorpay">Razorpay</option>
+              <option value="cashfree">Cashfree</option>
+              <option value="stripe">Stripe</option>
+            </select>
+            <select
+              value={`${filters.sort}:${filters.order}`}
+              onChange={(e) => {
+                const [sort, order] = e.target.value.split(':');
+                setFilters(previous => ({ ...previous, sort, order }));
+              }}
+              className="border border-gray-300 rounded-md px-3 py-2"
+            >
+              <option value="date:desc">Newest first</option>
+              <option value="date:asc">Oldest first</option>
+              <option value="amount:desc">Highest amount</option>
+              <option value="amount:asc">Lowest amount</option>
+            </select>
+            <label className="flex items-center text-gray-600">
+              <span className="mr-2">From</span>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-2 py-2"
+              />
+            </label>
+            <label className="flex items-center text-gray-600">
+              <span className="mr-2">To</span>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-2 py-2"
+              />
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={filters.min}
+              onChange={(e) => updateFilter('min', e.target.value)}
+              placeholder="Min ₹"
+              className="border border-gray-300 rounded-md px-3 py-2"
+            />
+            <input
+              type="number"
+              min="0"
+              value={filters.max}
+              onChange={(e) => updateFilter('max', e.target.value)}
+              placeholder="Max ₹"
+              className="border border-gray-300 rounded-md px-3 py-2"
+            />
+          </div>
+
+          {searchError && (
+            <p className="mt-3 text-sm text-red-600">⚠️ {searchError}</p>
+          )}
         </div>
         
         <div className="overflow-x-auto">
-          {data.transactions.length > 0 ? (
+          {transactions.length > 0 ? (
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
@@ -294,10 +745,11 @@ export const RealDashboard: React.FC = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Date
                   </th>
+                  <th className="px-6 py-3"></th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {data.transactions.map((transaction) => (
+                {transactions.map((transaction) => (
                   <tr key={transaction.id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
                       {transaction.transactionId}
@@ -306,25 +758,76 @@ export const RealDashboard: React.FC = () => {
                       {transaction.email}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {transaction.productName}
+                      {transaction.lineItems && transaction.lineItems.length > 1 ? (
+                        transaction.lineItems.map((item, index) => (
+                          <div key={index} className="text-xs">
+                            {item.label} × {item.quantity} <span className="text-gray-500">₹{item.amount}</span>
+                          </div>
+                        ))
+                      ) : (
+                        transaction.productName
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                       ₹{transaction.amount}
+                      {parseFloat(transaction.amountRefunded || '0') > 0 && (
+                        <div className="text-xs text-gray-500">₹{transaction.amountRefunded} refunded</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-green-600">
                       ₹{transaction.netAmount}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       {getStatusBadge(transaction.status)}
+                      {transaction.isTest && (
+                        <span className="ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          🧪 Test
+                        </span>
+                      )}
+                      {transaction.status === 'pending' && transaction.linkExpiresAt && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Link expires {new Date(transaction.linkExpiresAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       <div>{transaction.formattedDate}</div>
                       <div className="text-xs text-gray-500">{transaction.formattedTime}</div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {transaction.canRefund && (
+                        <button
+                          onClick={() => refundTransaction(transaction)}
+                          disabled={refundingTransactionId !== null}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50 font-medium"
+                        >
+                          {refundingTransactionId === transaction.id ? '🔄 Refunding...' : '↩️ Refund'}
+                        </button>
+                      )}
+                      {transaction.canRegenerateLink && (
+                        <button
+                          onClick={() => regenerateLink(transaction)}
+                          disabled={regeneratingTransactionId !== null}
+                          className="text-blue-600 hover:text-blue-800 disabled:opacity-50 font-medium"
+                        >
+                          {regeneratingTransactionId === transaction.id ? '🔄 Creating...' : '🔗 New link'}
+                        </button>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
             </table>
+          ) : searching ? (
+            <div className="text-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+            </div>
+          ) : hasActiveFilters ? (
+            <div className="text-center py-12">
+              <div className="text-gray-400 text-4xl mb-4">🔍</div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No Matching Transactions</h3>
+              <p className="text-gray-600">Try different filters or clear them to see every transaction.</p>
+            </div>
           ) : (
             <div className="text-center py-12">
               <div className="text-gray-400 text-4xl mb-4">💳</div>
@@ -335,26 +838,113 @@ export const RealDashboard: React.FC = () => {
             </div>
           )}
         </div>
+
+        {nextCursor && (
+          <div className="px-6 py-3 border-t text-center">
+            <button
+              onClick={() => searchTransactions(nextCursor)}
+              disabled={loadingMore}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50 text-sm font-medium"
+            >
+              {loadingMore ? '🔄 Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
         
-        {/* Footer with Summary */}
-        {data.transactions.length > 0 && (
+        {/* Footer with totals of everything matching the filters */}
+        {searchTotals && searchTotals.count > 0 && (
           <div className="px-6 py-4 bg-gray-50 border-t">
             <div className="flex justify-between items-center text-sm">
               <div className="text-gray-600">
-                Total: {data.stats.totalTransactions} transactions • Success Rate: {data.stats.conversionRate}%
+                Total: {searchTotals.count} transactions • {searchTotals.paidCount} paid
+                {parseFloat(searchTotals.totalRefunded) > 0 && ` • ₹${searchTotals.totalRefunded} refunded`}
               </div>
               <div className="flex items-center space-x-6 text-gray-700">
                 <div>
-                  <span className="font-medium">Total Revenue:</span> ₹{data.stats.totalRevenue}
+                  <span className="font-medium">Total Revenue:</span> ₹{searchTotals.totalRevenue}
                 </div>
                 <div className="text-green-600 font-medium">
-                  <span>Your Earnings:</span> ₹{data.stats.totalNetEarnings}
+                  <span>Your Earnings:</span> ₹{searchTotals.totalNetEarnings}
                 </div>
               </div>
             </div>
           </div>
         )}
       </div>
+
+      {/* Webhook Events */}
+      {data.webhookEvents && data.webhookEvents.length > 0 && (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Payment Gateway Events</h3>
+            <p className="text-sm text-gray-600">
+              Webhooks received from your payment gateways. Replay an event to apply it again.
+            </p>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Event
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Transaction ID
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Result
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Received
+                  </th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {data.webhookEvents.map((webhookEvent) => (
+                  <tr key={webhookEvent.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <div className="font-medium capitalize">{webhookEvent.provider}</div>
+                      <div className="text-xs text-gray-500 font-mono">{webhookEvent.eventType || 'unknown'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                      {webhookEvent.transactionId || '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      <div className={webhookEvent.status === 'failed' ? 'text-red-600 font-medium' : ''}>
+                        {webhookEvent.status}
+                        {webhookEvent.outcome && <span className="text-gray-500"> · {webhookEvent.outcome}</span>}
+                      </div>
+                      {webhookEvent.lastError && (
+                        <div className="text-xs text-red-500">{webhookEvent.lastError}</div>
+                      )}
+                      <div className="text-xs text-gray-500">
+                        {webhookEvent.attempts} attempt{webhookEvent.attempts === 1 ? '' : 's'}
+                        {webhookEvent.replayCount > 0 && ` · replayed ${webhookEvent.replayCount}×`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {webhookEvent.formattedDate}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {webhookEvent.status !== 'rejected' && (
+                        <button
+                          onClick={() => replayWebhookEvent(webhookEvent.id)}
+                          disabled={replayingEventId !== null}
+                          className="text-blue-600 hover:text-blue-800 disabled:opacity-50 font-medium"
+                        >
+                          {replayingEventId === webhookEvent.id ? '🔄 Replaying...' : '↻ Replay'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
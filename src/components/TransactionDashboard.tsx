@@ -1,5 +1,6 @@
 // src/components/TransactionDashboard.tsx - Transaction Dashboard Component
 import React, { useState, useEffect } from 'react';
+import { authFetch } from '../lib/supabase';
 import { DashboardStats } from './dashboard/DashboardStats';
 import { TransactionTable } from './dashboard/TransactionTable';
 import { ExportTools } from './dashboard/ExportTools';
@@ -29,7 +30,7 @@ export const TransactionDashboard: React.FC = () => {
   const fetchDashboardData = async () => {
     try {
       // This will call our Netlify function
-      const response = await fetch('/.netlify/functions/dashboard-data');
+      const response = await authFetch('/.netlify/functions/dashboard-data');
       const result = await response.json();
       setData(result);
     } catch (error) {
@@ -1,6 +1,8 @@
 // src/components/admin/SuperAdminDashboard.tsx - Platform Owner Dashboard
 import React, { useState, useEffect } from 'react';
-import { useAuth, UserRoleBadge } from '../auth/AuthSystem';
+import { authFetch } from '../../lib/supabase';
+import { UserRoleBadge } from '../auth/AuthSystem';
+import { useAuth } from '../../hooks/useAuth';
 
 interface PlatformStats {
   today_transactions: number;
@@ -13,6 +15,33 @@ interface PlatformStats {
   total_commission: number;
   new_admins_30d: number;
   transactions_30d: number;
+  active_forms: number;
+}
+
+type Granularity = 'day' | 'week' | 'month';
+
+interface GmvPoint {
+  period_start: string;
+  transactions: number;
+  gmv: number;
+  commission: number;
+}
+
+interface GatewayStat {
+  gateway: string;
+  transactions: number;
+  captured: number;
+  failed: number;
+  gmv: number;
+  gmv_share: number;
+  failure_rate: number;
+}
+
+interface OnboardingFunnel {
+  signed_up: number;
+  google_connected: number;
+  form_added: number;
+  first_payment: number;
 }
 
 interface FormAdmin {
@@ -30,27 +59,45 @@ interface FormAdmin {
 }
 
 export const SuperAdminDashboard: React.FC = () => {
-  const { user, signOut } = useAuth();
+  const { user, signOut, isSuperAdmin } = useAuth();
   const [stats, setStats] = useState<PlatformStats | null>(null);
   const [formAdmins, setFormAdmins] = useState<FormAdmin[]>([]);
+  const [leaderboard, setLeaderboard] = useState<FormAdmin[]>([]);
+  const [gmvSeries, setGmvSeries] = useState<GmvPoint[]>([]);
+  const [gateways, setGateways] = useState<GatewayStat[]>([]);
+  const [funnel, setFunnel] = useState<OnboardingFunnel | null>(null);
+  const [granularity, setGranularity] = useState<Granularity>('day');
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState<'overview' | 'admins' | 'transactions' | 'analytics'>('overview');
 
   useEffect(() => {
+    if (!isSuperAdmin) {
+      setLoading(false);
+      return;
+    }
+
     fetchPlatformData();
     
     // Auto-refresh every 30 seconds
     const interval = setInterval(fetchPlatformData, 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [isSuperAdmin, granularity]);
 
   const fetchPlatformData = async () => {
     try {
-      const response = await fetch('/.netlify/functions/super-admin-data');
+      const response = await authFetch(`/.netlify/functions/super-admin-data?granularity=${granularity}`);
       const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
       
       setStats(data.stats);
       setFormAdmins(data.formAdmins);
+      setLeaderboard(data.leaderboard);
+      setGmvSeries(data.gmvSeries.points);
+      setGateways(data.gateways);
+      setFunnel(data.funnel);
     } catch (error) {
       console.error('Error fetching platform data:', error);
     } finally {
@@ -59,8 +106,10 @@ export const SuperAdminDashboard: React.FC = () => {
   };
 
   const toggleAdminStatus = async (adminId: string, isActive: boolean) => {
+    if (isActive && !window.confirm('Deactivate this admin? All of their forms will be paused.')) return;
+
     try {
-      const response = await fetch('/.netlify/functions/toggle-admin-status', {
+      const response = await authFetch('/.netlify/functions/toggle-admin-status', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ adminId, isActive: !isActive })
@@ -68,12 +117,29 @@ export const SuperAdminDashboard: React.FC = () => {
 
       if (response.ok) {
         await fetchPlatformData(); // Refresh data
+      } else {
+        const result = await response.json();
+        alert(`Could not update admin: ${result.error}`);
       }
     } catch (error) {
       console.error('Error toggling admin status:', error);
     }
   };
 
+  // Longest bar in the GMV chart
+  const maxGmv = Math.max(1, ...gmvSeries.map(point => point.gmv));
+
+  if (!isSuperAdmin) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔒</div>
+          <p className="text-gray-600">This page is only available to super admins.</p>
+        </div>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen">
@@ -96,7 +162,7 @@ export const SuperAdminDashboard: React.FC = () => {
               <span className="ml-3 text-sm text-gray-500">Platform Management</span>
             </div>
             <div className="flex items-center space-x-4">
-              <UserRoleBadge role={user?.role || 'super_admin'} />
+              <UserRoleBadge role="super_admin" />
               <div className="text-sm text-gray-700">
                 Welcome, {user?.name || user?.email}
               </div>
@@ -185,7 +251,7 @@ export const SuperAdminDashboard: React.FC = () => {
                   <div>
                     <p className="text-orange-100">Total Transactions</p>
                     <p className="text-2xl font-bold">{stats?.total_transactions || 0}</p>
-                    <p className="text-orange-100 text-sm">{stats?.transactions_30d || 0} last 30 days</p>
+                    <p className="text-orange-100 text-sm">{stats?.transactions_30d || 0} last 30 days · {stats?.active_forms || 0} active forms</p>
                   </div>
                   <div className="text-orange-200 text-3xl">📊</div>
                 </div>
@@ -240,7 +306,7 @@ export const SuperAdminDashboard: React.FC = () => {
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
-                    {formAdmins.slice(0, 5).map((admin) => (
+                    {leaderboard.map((admin) => (
                       <tr key={admin.id} className="hover:bg-gray-50">
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div>
@@ -366,12 +432,102 @@ export const SuperAdminDashboard: React.FC = () => {
 
         {activeTab === 'analytics' && (
           <div className="space-y-6">
+            {/* GMV and commission over time */}
             <div className="bg-white shadow rounded-lg p-6">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Platform Analytics</h3>
-              <div className="text-center text-gray-500">
-                <div className="text-4xl mb-4">📊</div>
-                <p>Advanced analytics dashboard coming soon...</p>
-                <p className="text-sm">Revenue trends, growth metrics, user acquisition, etc.</p>
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-medium text-gray-900">GMV & Commission</h3>
+                <div className="flex space-x-2">
+                  {(['day', 'week', 'month'] as Granularity[]).map((option) => (
+                    <button
+                      key={option}
+                      onClick={() => setGranularity(option)}
+                      className={`px-3 py-1 rounded text-xs font-medium ${
+                        granularity === option
+                          ? 'bg-purple-600 text-white'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      By {option}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {gmvSeries.length === 0 ? (
+                <p className="text-sm text-gray-500">No payments in this period.</p>
+              ) : (
+                <div className="space-y-2">
+                  {gmvSeries.map((point) => (
+                    <div key={point.period_start} className="flex items-center text-sm">
+                      <div className="w-28 text-gray-600">{new Date(point.period_start).toLocaleDateString('en-IN')}</div>
+                      <div className="flex-1 mx-3 bg-gray-100 rounded h-4">
+                        <div className="bg-purple-500 h-4 rounded" style={{ width: `${(point.gmv / maxGmv) * 100}%` }}></div>
+                      </div>
+                      <div className="w-56 text-right text-gray-900">
+                        ₹{point.gmv.toFixed(2)} <span className="text-purple-600">(₹{point.commission.toFixed(2)})</span>
+                        <span className="text-gray-500"> · {point.transactions} txns</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Gateway mix and failure rates */}
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-medium text-gray-900">Gateways</h3>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Gateway', 'Transactions', 'GMV', 'Share of GMV', 'Failure Rate'].map((label) => (
+                        <th key={label} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {gateways.map((gateway) => (
+                      <tr key={gateway.gateway}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 capitalize">{gateway.gateway}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <div>{gateway.transactions}</div>
+                          <div className="text-gray-500">{gateway.captured} paid · {gateway.failed} failed</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">₹{gateway.gmv.toFixed(2)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{(gateway.gmv_share * 100).toFixed(1)}%</td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${
+                          gateway.failure_rate > 0.1 ? 'text-red-600' : 'text-green-600'
+                        }`}>
+                          {(gateway.failure_rate * 100).toFixed(1)}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Onboarding funnel */}
+            <div className="bg-white shadow rounded-lg p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Onboarding Funnel</h3>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                {[
+                  { label: 'Signed up', value: funnel?.signed_up || 0 },
+                  { label: 'Google connected', value: funnel?.google_connected || 0 },
+                  { label: 'Form added', value: funnel?.form_added || 0 },
+                  { label: 'First payment', value: funnel?.first_payment || 0 }
+                ].map((step) => (
+                  <div key={step.label} className="text-center p-4 bg-purple-50 rounded-lg">
+                    <div className="text-2xl font-bold text-purple-600">{step.value}</div>
+                    <div className="text-sm text-gray-600">{step.label}</div>
+                    <div className="text-xs text-gray-500">
+                      {funnel?.signed_up ? ((step.value / funnel.signed_up) * 100).toFixed(0) : 0}% of sign-ups
+                    </div>
+                  </div>
+                ))}
               </div>
             </div>
           </div>
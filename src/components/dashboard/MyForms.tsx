@@ -1,27 +1,32 @@
 // src/components/dashboard/MyForms.tsx - UPDATED VERSION with Setup Guide and Logout
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { supabase } from '../../lib/supabase';
+import { supabase, authFetch, FormProduct } from '../../lib/supabase';
 import { useAuth } from '../../hooks/useAuth';
 // ADD these imports after your existing imports:
 import { 
   fetchGoogleFormStructure, 
   testGoogleFormAccess, 
-  extractGoogleFormId 
+  extractGoogleFormId,
+  manageFormWatch
 } from '../../lib/supabase';
 import { useGoogleFormIntegration } from '../../hooks/useData';
 
 interface FormConfig {
   id: string;
   form_id: string;
+  admin_id: string;
   form_name: string;
   form_url: string;
   is_active: boolean;
   created_at: string;
+  reminder_schedule?: number[];
+  link_expiry_hours?: number;
   stats?: {
     total_transactions: number;
     successful_transactions: number;
     total_revenue: number;
     conversion_rate: number;
+    failed_responses: number;
   };
 }
 
@@ -47,10 +52,13 @@ export const MyForms: React.FC = React.memo(() => {
         .select(`
           id,
           form_id,
+          admin_id,
           form_name,
           form_url,
           is_active,
-          created_at
+          created_at,
+          reminder_schedule,
+          link_expiry_hours
         `)
         .eq('admin_id', user.id)
         .order('created_at', { ascending: false });
@@ -73,13 +81,21 @@ export const MyForms: React.FC = React.memo(() => {
               .reduce((sum, t) => sum + (t.payment_amount || 0), 0) || 0;
             const conversionRate = totalTransactions > 0 ? (successfulTransactions / totalTransactions) * 100 : 0;
 
+            // Responses whose payment link or email gave up after all retries
+            const { count: failedResponses } = await supabase
+              .from('processed_form_responses')
+              .select('id', { count: 'exact', head: true })
+              .eq('form_id', form.form_id)
+              .eq('status', 'failed');
+
             return {
               ...form,
               stats: {
                 total_transactions: totalTransactions,
                 successful_transactions: successfulTransactions,
                 total_revenue: totalRevenue,
-                conversion_rate: conversionRate
+                conversion_rate: conversionRate,
+                failed_responses: failedResponses || 0
               }
             };
           })
@@ -117,7 +133,7 @@ export const MyForms: React.FC = React.memo(() => {
       setLoading(true);
       
       // Call logout API
-      const response = await fetch('/.netlify/functions/google-oauth', {
+      const response = await authFetch('/.netlify/functions/google-oauth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -339,6 +355,32 @@ const FormCard: React.FC<{
   onEdit: (form: FormConfig) => void;
 }> = ({ form, onRefresh, onEdit }) => {
   const [showDetails, setShowDetails] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+
+  const retryFailedResponses = async () => {
+    setRetrying(true);
+    try {
+      const response = await authFetch('/.netlify/functions/retry-pipeline-job', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'retryFailed', form_id: form.form_id })
+      });
+
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+
+      const stillFailing = result.results.filter((r: { status: string }) => r.status !== 'completed').length;
+      alert(stillFailing > 0
+        ? `Retried ${result.results.length} responses, ${stillFailing} still failing.`
+        : `Retried ${result.results.length} responses successfully.`);
+      onRefresh();
+    } catch (error) {
+      console.error('Error retrying failed responses:', error);
+      alert('Failed to retry responses');
+    } finally {
+      setRetrying(false);
+    }
+  };
 
   const toggleFormStatus = async () => {
     try {
@@ -346,6 +388,9 @@ const FormCard: React.FC<{
         .from('form_configs')
         .update({ is_active: !form.is_active })
         .eq('id', form.id);
+
+      // Paused forms stop receiving push notifications; resumed forms get a new watch
+      await manageFormWatch(form.is_active ? 'delete' : 'create', form.form_id, form.admin_id);
       
       onRefresh();
     } catch (error) {
@@ -359,6 +404,9 @@ const FormCard: React.FC<{
   }
   
   try {
+    // Remove the push watch while the form row (and its watch ID) still exists
+    await manageFormWatch('delete', form.form_id, form.admin_id);
+
     const { error } = await supabase
       .from('form_configs')
       .delete()
@@ -427,6 +475,20 @@ const FormCard: React.FC<{
           </div>
         )}
 
+        {/* Failed responses (payment link or email never went out) */}
+        {form.stats && form.stats.failed_responses > 0 && (
+          <div className="mb-4 p-3 bg-red-50 rounded-lg text-xs text-red-700 flex items-center justify-between">
+            <span><strong>⚠️ {form.stats.failed_responses} failed</strong> response{form.stats.failed_responses > 1 ? 's' : ''} did not get a payment email.</span>
+            <button
+              onClick={retryFailedResponses}
+              disabled={retrying}
+              className="ml-2 bg-red-100 hover:bg-red-200 px-2 py-1 rounded font-medium disabled:opacity-50"
+            >
+              {retrying ? 'Retrying...' : '🔁 Retry'}
+            </button>
+          </div>
+        )}
+
         {/* ✅ FIX 3: Removed Products section - products come from form responses */}
 
 {/* ✅ FIX 2: Enhanced Actions with Edit and Delete buttons */}
@@ -517,6 +579,24 @@ const URLFormatHelper: React.FC = () => (
   </div>
 );
 
+// Product catalog row being edited in the mapping step (price in rupees)
+interface CatalogRow {
+  sku: string;
+  label: string;
+  price: string;
+  is_active: boolean;
+}
+
+// Build a default SKU from a choice label, e.g. "Premium Course - ₹2999" -> "PREMIUM-COURSE"
+const toSku = (label: string) =>
+  label
+    .replace(/[-–]?\s*(₹|Rs\.?|INR)\s*[\d,]+(\.\d+)?/gi, '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32) || 'ITEM';
+
 // REPLACE the existing AddFormModal component in MyForms.tsx with this:
 const AddFormModal: React.FC<{ onClose: () => void; onSuccess: () => void }> = ({ onClose, onSuccess }) => {
   const { user } = useAuth();
@@ -528,7 +608,7 @@ const AddFormModal: React.FC<{ onClose: () => void; onSuccess: () => void }> = (
     console.log('🔍 AddFormModal - User email:', user?.email);
   }, [user]);
   
-  const { saveFieldMapping } = useGoogleFormIntegration(user?.id);
+  const { saveFieldMapping, saveFormProducts } = useGoogleFormIntegration(user?.id);
   
   // Form state
   const [step, setStep] = useState<'url' | 'mapping' | 'review'>('url');
@@ -541,11 +621,39 @@ const AddFormModal: React.FC<{ onClose: () => void; onSuccess: () => void }> = (
     emailField: '',
     productField: '',
     nameField: '',
-    phoneField: ''
+    phoneField: '',
+    quantityField: ''
   });
+  const [catalog, setCatalog] = useState<CatalogRow[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // Import the choices of the mapped product question into the catalog
+  const importProductChoices = () => {
+    const productQuestion = formStructure?.questions?.find((q: any) => q.questionId === fieldMappings.productField);
+    const choices: string[] = productQuestion?.choices || [];
+
+    if (choices.length === 0) {
+      setError('The selected product field has no choices to import. Use a multiple choice or dropdown question.');
+      return;
+    }
+
+    setError('');
+    setCatalog(prev => choices.map(choice => {
+      const existing = prev.find(row => row.label === choice);
+      return existing || {
+        label: choice,
+        sku: toSku(choice),
+        price: '',
+        is_active: true
+      };
+    }));
+  };
+
+  const updateCatalogRow = (index: number, changes: Partial<CatalogRow>) => {
+    setCatalog(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
   // Step 1: Analyze Google Form URL
   const handleUrlSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -636,12 +744,24 @@ const structure = await fetchGoogleFormStructure(formId, user.id);
       return;
     }
 
+    // Every active catalog entry needs a price and a unique SKU
+    const activeRows = catalog.filter(row => row.is_active);
+    if (activeRows.some(row => !(parseFloat(row.price) > 0))) {
+      setError('Please enter a price for every active product.');
+      return;
+    }
+    const skus = catalog.map(row => row.sku.trim());
+    if (skus.some(sku => !sku) || new Set(skus).size !== skus.length) {
+      setError('Every product needs a unique SKU.');
+      return;
+    }
+
     setLoading(true);
     try {
       const formId = extractGoogleFormId(formData.form_url)!;
 
       // Save form config
-      const { error: formError } = await supabase
+      const { data: newFormConfig, error: formError } = await supabase
         .from('form_configs')
         .insert({
           form_id: formId,
@@ -653,7 +773,9 @@ const structure = await fetchGoogleFormStructure(formId, user.id);
             currency: 'INR',
             integration_type: 'google_forms_api'
           }
-        });
+        })
+        .select('id')
+        .single();
 
       if (formError) throw formError;
 
@@ -663,6 +785,22 @@ const structure = await fetchGoogleFormStructure(formId, user.id);
         throw new Error(mappingResult.error);
       }
 
+      // Save product catalog (prices are stored in paise)
+      if (catalog.length > 0) {
+        const products: FormProduct[] = catalog.map(row => ({
+          sku: row.sku.trim(),
+          label: row.label,
+          price_paise: Math.round((parseFloat(row.price) || 0) * 100),
+          currency: 'INR',
+          is_active: row.is_active
+        }));
+
+        const productsResult = await saveFormProducts(newFormConfig.id, products.filter(p => p.price_paise > 0));
+        if (!productsResult.success) {
+          throw new Error(productsResult.error);
+        }
+      }
+
       // Save payment config for backward compatibility
       await supabase
         .from('payment_configs')
@@ -674,6 +812,9 @@ const structure = await fetchGoogleFormStructure(formId, user.id);
           is_active: true
         });
 
+      // Get notified by Google on every new response instead of waiting for the next poll
+      await manageFormWatch('create', formId, user?.id || '');
+
       setStep('review');
       
     } catch (error: any) {
@@ -865,10 +1006,78 @@ const structure = await fetchGoogleFormStructure(formId, user.id);
                   ))}
                 </select>
                 <p className="text-xs text-gray-500 mt-1">
-                  Field should contain format like "Course - ₹2999" or "Premium Package - ₹5000"
+                  Import the choices below and set a price for each one. Responses with a choice that is not in the catalog are rejected.
                 </p>
               </div>
 
+              {/* Product Catalog */}
+              <div className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-center mb-3">
+                  <div>
+                    <h5 className="text-sm font-medium text-gray-900">Product Catalog</h5>
+                    <p className="text-xs text-gray-500">Customers are charged these prices, not the text of the choice.</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={importProductChoices}
+                    disabled={!fieldMappings.productField}
+                    className="px-3 py-1 text-xs bg-blue-50 text-blue-700 hover:bg-blue-100 rounded disabled:opacity-50"
+                  >
+                    📥 Import Choices
+                  </button>
+                </div>
+
+                {catalog.length > 0 ? (
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500">
+                        <th className="py-1 pr-2">Choice</th>
+                        <th className="py-1 pr-2">SKU</th>
+                        <th className="py-1 pr-2">Price (₹)</th>
+                        <th className="py-1">Active</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {catalog.map((row, index) => (
+                        <tr key={row.label} className="border-t border-gray-100">
+                          <td className="py-2 pr-2 text-gray-900">{row.label}</td>
+                          <td className="py-2 pr-2">
+                            <input
+                              type="text"
+                              value={row.sku}
+                              onChange={(e) => updateCatalogRow(index, { sku: e.target.value })}
+                              className="w-28 px-2 py-1 border border-gray-300 rounded text-xs"
+                            />
+                          </td>
+                          <td className="py-2 pr-2">
+                            <input
+                              type="number"
+                              min="1"
+                              step="0.01"
+                              value={row.price}
+                              onChange={(e) => updateCatalogRow(index, { price: e.target.value })}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded text-xs"
+                            />
+                          </td>
+                          <td className="py-2">
+                            <input
+                              type="checkbox"
+                              checked={row.is_active}
+                              onChange={(e) => updateCatalogRow(index, { is_active: e.target.checked })}
+                              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="text-xs text-gray-500">
+                    No products yet. Select the product field above and click "Import Choices".
+                  </p>
+                )}
+              </div>
+
               {/* Name Field Mapping */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -906,6 +1115,28 @@ const structure = await fetchGoogleFormStructure(formId, user.id);
                   ))}
                 </select>
               </div>
+
+              {/* Quantity Field Mapping */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Quantity Field (Optional)
+                </label>
+                <select
+                  value={fieldMappings.quantityField}
+                  onChange={(e) => setFieldMappings(prev => ({ ...prev, quantityField: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">No quantity question (quantity 1)</option>
+                  {formStructure.questions?.map((q: any) => (
+                    <option key={q.questionId} value={q.questionId}>
+                      {q.title} {q.required ? '(Required)' : '(Optional)'}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Applies to every product selected in the product field. Checkbox product questions create one line item per ticked choice.
+                </p>
+              </div>
             </div>
 
             <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
@@ -986,7 +1217,9 @@ const EditFormModal: React.FC<{
   const [formData, setFormData] = useState({
     form_name: form.form_name,
     form_url: form.form_url,
-    is_active: form.is_active
+    is_active: form.is_active,
+    reminder_schedule: (form.reminder_schedule || []).join(', '),
+    link_expiry_hours: String(form.link_expiry_hours || 24)
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -994,6 +1227,25 @@ const EditFormModal: React.FC<{
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
+
+    // "6, 24, 72" -> [6, 24, 72]; empty turns reminders off
+    const reminderHours = formData.reminder_schedule
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(Number);
+
+    if (reminderHours.some(hours => !Number.isInteger(hours) || hours <= 0 || hours > 720)) {
+      setError('Reminder times must be whole hours between 1 and 720, separated by commas.');
+      return;
+    }
+
+    const linkExpiryHours = Number(formData.link_expiry_hours);
+    if (!Number.isInteger(linkExpiryHours) || linkExpiryHours < 1 || linkExpiryHours > 720) {
+      setError('Link expiry must be a whole number of hours between 1 and 720.');
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -1003,12 +1255,18 @@ const EditFormModal: React.FC<{
           form_name: formData.form_name,
           form_url: formData.form_url,
           is_active: formData.is_active,
+          reminder_schedule: [...new Set(reminderHours)].sort((a, b) => a - b),
+          link_expiry_hours: linkExpiryHours,
           updated_at: new Date().toISOString()
         })
         .eq('id', form.id);
 
       if (updateError) throw updateError;
 
+      if (formData.is_active !== form.is_active) {
+        await manageFormWatch(formData.is_active ? 'create' : 'delete', form.form_id, form.admin_id);
+      }
+
       onSuccess();
     } catch (error) {
       console.error('Error updating form:', error);
@@ -1074,6 +1332,39 @@ const EditFormModal: React.FC<{
             </label>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Payment link expiry (hours)
+            </label>
+            <input
+              type="number"
+              min={1}
+              max={720}
+              value={formData.link_expiry_hours}
+              onChange={(e) => setFormData(prev => ({ ...prev, link_expiry_hours: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Unpaid links are cancelled after this and the payment is marked expired. Applies to new links.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Payment reminders
+            </label>
+            <input
+              type="text"
+              value={formData.reminder_schedule}
+              onChange={(e) => setFormData(prev => ({ ...prev, reminder_schedule: e.target.value }))}
+              placeholder="e.g. 6, 24, 72"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Hours after the payment link is sent to remind unpaid customers. Expired links are replaced automatically. Leave empty for no reminders.
+            </p>
+          </div>
+
           <div className="flex justify-end space-x-3 pt-4 border-t">
             <button
               type="button"
@@ -1383,7 +1674,7 @@ const GoogleAuthButton: React.FC<{ adminId: string; onAuthSuccess: () => void }>
 
   const checkAuthStatus = async () => {
     try {
-      const response = await fetch('/.netlify/functions/google-oauth', {
+      const response = await authFetch('/.netlify/functions/google-oauth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ action: 'checkAuth', adminId })
@@ -1407,7 +1698,7 @@ const connectGoogleAccount = async () => {
   try {
     setLoading(true);
     
-    const response = await fetch('/.netlify/functions/google-oauth', {
+    const response = await authFetch('/.netlify/functions/google-oauth', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ action: 'getAuthUrl', adminId })
@@ -1474,6 +1765,8 @@ const GoogleConnectionStatus: React.FC<{
 }> = ({ adminId, onLogoutSuccess }) => {
   const [isConnected, setIsConnected] = useState<boolean | null>(null);
   const [googleEmail, setGoogleEmail] = useState<string>(''); // 🆕 Add Google email state
+  const [sendFromGmail, setSendFromGmail] = useState(false);
+  const [savingEmailSetting, setSavingEmailSetting] = useState(false);
   const [loading, setLoading] = useState(false);
 
   // Check connection status on mount and when adminId changes
@@ -1485,7 +1778,7 @@ const GoogleConnectionStatus: React.FC<{
     if (!adminId) return;
     
     try {
-      const response = await fetch('/.netlify/functions/google-oauth', {
+      const response = await authFetch('/.netlify/functions/google-oauth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ action: 'checkAuth', adminId })
@@ -1494,6 +1787,7 @@ const GoogleConnectionStatus: React.FC<{
       const result = await response.json();
       const connected = result.success && result.authenticated;
       setIsConnected(connected);
+      setSendFromGmail(connected && !!result.sendFromGmail);
       
       // 🆕 Fetch Google account email if connected
       if (connected) {
@@ -1511,7 +1805,7 @@ const GoogleConnectionStatus: React.FC<{
   // 🆕 New function to fetch Google account details
   const fetchGoogleAccountInfo = async () => {
     try {
-      const response = await fetch('/.netlify/functions/google-oauth', {
+      const response = await authFetch('/.netlify/functions/google-oauth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ action: 'getUserInfo', adminId })
@@ -1545,7 +1839,7 @@ const GoogleConnectionStatus: React.FC<{
       setLoading(true);
       console.log('🚪 Starting Google logout process...');
       
-      const response = await fetch('/.netlify/functions/google-oauth', {
+      const response = await authFetch('/.netlify/functions/google-oauth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1577,11 +1871,37 @@ const GoogleConnectionStatus: React.FC<{
     }
   };
 
+  // Payment request and confirmation emails go out from the connected Gmail account
+  const handleSendFromGmailChange = async (enabled: boolean) => {
+    try {
+      setSavingEmailSetting(true);
+
+      const response = await authFetch('/.netlify/functions/google-oauth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'setSendFromGmail', adminId, enabled })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setSendFromGmail(result.sendFromGmail);
+      } else {
+        throw new Error(result.error || 'Failed to update email settings');
+      }
+    } catch (error) {
+      console.error('Error updating Gmail sending:', error);
+      alert(`❌ ${error instanceof Error ? error.message : 'Failed to update email settings'}`);
+    } finally {
+      setSavingEmailSetting(false);
+    }
+  };
+
   const handleConnect = async () => {
     try {
       setLoading(true);
       
-      const response = await fetch('/.netlify/functions/google-oauth', {
+      const response = await authFetch('/.netlify/functions/google-oauth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ action: 'getAuthUrl', adminId })
@@ -1624,6 +1944,19 @@ const GoogleConnectionStatus: React.FC<{
               {googleEmail}
             </span>
           )}
+          <label
+            className="flex items-center mt-1 text-xs text-green-700 cursor-pointer"
+            title="Send payment request and confirmation emails from this Gmail account instead of the PayForm address"
+          >
+            <input
+              type="checkbox"
+              checked={sendFromGmail}
+              disabled={savingEmailSetting}
+              onChange={(e) => handleSendFromGmailChange(e.target.checked)}
+              className="mr-1 h-3 w-3"
+            />
+            {savingEmailSetting ? 'Saving...' : 'Send from my Gmail'}
+          </label>
         </div>
         <button
           onClick={handleLogout}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../../lib/supabase';
+import { supabase, authFetch } from '../../lib/supabase';
 
 interface RazorpayRouteConfigData {
   bank_account_number: string;
@@ -122,14 +122,13 @@ export const PaymentSetup: React.FC<PaymentSetupProps> = ({ adminId = 'default'
         return;
       }
 
-      // Create Razorpay linked account first
-      const linkedAccountResponse = await fetch('/.netlify/functions/create-razorpay-linked-account', {
+      // Create Razorpay linked account first (for the signed-in admin)
+      const linkedAccountResponse = await authFetch('/.netlify/functions/create-razorpay-linked-account', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          admin_id: adminId,
           account_details: {
             name: config.account_holder_name,
             email: 'admin@example.com', // Replace with actual admin email
@@ -1,6 +1,6 @@
 // src/components/setup/RazorpayConfig.tsx - FOLLOWING CASHFREE PATTERN
 import React, { useState, useEffect } from 'react';
-import { supabase } from '../../lib/supabase';
+import { supabase, authFetch } from '../../lib/supabase';
 import { useAuth } from '../../hooks/useAuth';
 
 interface RazorpayConfigData {
@@ -127,7 +127,7 @@ export const RazorpayConfig: React.FC = () => {
       }
 
       // Step 1: Create linked account
-      const linkedAccountResponse = await fetch('/.netlify/functions/create-razorpay-linked-account', {
+      const linkedAccountResponse = await authFetch('/.netlify/functions/create-razorpay-linked-account', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -145,7 +145,7 @@ export const RazorpayConfig: React.FC = () => {
       setMessage({ type: 'info', text: 'Adding bank details for instant payouts...' });
 
       // Step 2: Add bank account
-      const bankResponse = await fetch('/.netlify/functions/add-bank-to-razorpay-account', {
+      const bankResponse = await authFetch('/.netlify/functions/add-bank-to-razorpay-account', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
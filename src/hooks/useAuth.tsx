@@ -1,6 +1,6 @@
 // src/hooks/useAuth.tsx - EMERGENCY SIMPLIFIED VERSION
 import { useState, useEffect, createContext, useContext, ReactNode } from 'react';
-import { supabase } from '../lib/supabase';
+import { supabase, authFetch } from '../lib/supabase';
 import type { User, Session } from '@supabase/supabase-js';
 
 interface AuthUser extends User {
@@ -69,7 +69,7 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
       const { data: profile, error } = await Promise.race([
         supabase
           .from('form_admins')
-          .select('id, email, name, company_name, is_active')
+          .select('id, email, name, company_name, is_active, role')
           .eq('id', userId)
           .single(),
         new Promise((_, reject) => 
@@ -79,9 +79,10 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
 
       if (!error && profile) {
         console.log('✅ Profile loaded from database:', profile.email);
+        // form_admins.role is set by the platform (the admin functions check it too)
         return {
           ...profile,
-          role: 'form_admin',
+          role: profile.role || 'form_admin',
           aud: 'authenticated',
           created_at: new Date().toISOString(),
           app_metadata: {},
@@ -314,7 +315,7 @@ const connectGoogleAccount = async () => {
     setGoogleAuthLoading(true);
     console.log('🔐 Initiating Google OAuth for admin:', user.id);
 
-    const response = await fetch('/.netlify/functions/google-oauth', {
+    const response = await authFetch('/.netlify/functions/google-oauth', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
@@ -347,7 +348,7 @@ const checkGoogleAuth = async () => {
   }
 
   try {
-    const response = await fetch('/.netlify/functions/google-oauth', {
+    const response = await authFetch('/.netlify/functions/google-oauth', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
@@ -377,7 +378,7 @@ const value: AuthContextType = {
   signOut,
   refreshProfile,
   isFormAdmin: true,
-  isSuperAdmin: user?.email === 'admin@payform.com',
+  isSuperAdmin: user?.role === 'super_admin',
   // 🆕 Add Google OAuth functions
   connectGoogleAccount,
   checkGoogleAuth,
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../lib/supabase';
+import { supabase, FormProduct } from '../lib/supabase';
 
 // Add these missing functions before the useDashboardData hook:
 export const fetchAdmin = async (userId: string) => {
@@ -497,6 +497,7 @@ export const useGoogleFormIntegration = (adminId?: string) => {
           product_field_id: mappings.productField,
           name_field_id: mappings.nameField,
           phone_field_id: mappings.phoneField,
+          quantity_field_id: mappings.quantityField || null,
           updated_at: new Date().toISOString()
         })
         .select()
@@ -542,11 +543,55 @@ export const useGoogleFormIntegration = (adminId?: string) => {
     }
   };
 
+  // Replace the product catalog for a form (prices in paise)
+  const saveFormProducts = async (formConfigId: string, products: FormProduct[]) => {
+    if (!adminId) {
+      return { success: false, error: 'No admin ID provided' };
+    }
+
+    try {
+      setLoading(true);
+
+      const { error: deleteError } = await supabase
+        .from('form_products')
+        .delete()
+        .eq('form_config_id', formConfigId);
+
+      if (deleteError) throw deleteError;
+
+      if (products.length === 0) {
+        return { success: true, data: [] };
+      }
+
+      const { data, error } = await supabase
+        .from('form_products')
+        .insert(products.map(p => ({
+          form_config_id: formConfigId,
+          sku: p.sku,
+          label: p.label,
+          price_paise: p.price_paise,
+          currency: p.currency || 'INR',
+          is_active: p.is_active
+        })))
+        .select();
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error: any) {
+      console.error('Error saving form products:', error);
+      return { success: false, error: error.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return {
     fieldMappings,
     loading,
     saveFieldMapping,
-    getFieldMapping
+    getFieldMapping,
+    saveFormProducts
   };
 };
 
@@ -12,6 +12,19 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   }
 });
 
+// fetch() for the admin-facing Netlify functions: adds the signed-in user's
+// session token (Authorization: Bearer <jwt>), which those functions require
+export const authFetch = async (input: string, init: RequestInit = {}): Promise<Response> => {
+  const { data: { session } } = await supabase.auth.getSession();
+  const headers = new Headers(init.headers);
+
+  if (session?.access_token) {
+    headers.set('Authorization', `Bearer ${session.access_token}`);
+  }
+
+  return fetch(input, { ...init, headers });
+};
+
 // Enhanced Types for Razorpay Route Integration
 export interface Transaction {
   id: number;
@@ -234,6 +247,37 @@ export interface RazorpayRoutePaymentResponse {
   created_at: number;
 }
 
+// Per-form product catalog (price_paise is the amount charged, label matches the form choice)
+export interface FormProduct {
+  id?: string;
+  form_config_id?: string;
+  sku: string;
+  label: string;
+  price_paise: number;
+  currency: string;
+  is_active: boolean;
+  created_at?: string;
+  updated_at?: string;
+}
+
+// Google Form structure returned by google-forms-api getFormStructure
+export interface GoogleFormQuestion {
+  questionId: string;
+  itemId?: string;
+  title: string;
+  type: string;
+  required: boolean;
+  description: string;
+  choices: string[];
+}
+
+export interface GoogleFormStructure {
+  formId: string;
+  title: string;
+  description: string;
+  questions: GoogleFormQuestion[];
+}
+
 // Utility Functions
 export const testSupabaseConnection = async () => {
   try {
@@ -363,18 +407,55 @@ export const extractGoogleFormId = (url: string): string | null => {
   }
 };
 
-// Fetch Google Form structure (placeholder - needs Google APIs)
-export const fetchGoogleFormStructure = async (formId: string) => {
-  // This function would typically use Google Forms API
-  // For now, return a placeholder structure
-  return {
-    title: 'Form Title',
-    fields: [
-      { title: 'Email', type: 'email', required: true },
-      { title: 'Name', type: 'text', required: true },
-      { title: 'Product', type: 'multiple_choice', required: true }
-    ]
-  };
+// Fetch Google Form structure (questions and choice options) via google-forms-api
+export const fetchGoogleFormStructure = async (formId: string, adminId?: string): Promise<GoogleFormStructure | null> => {
+  try {
+    const response = await authFetch('/.netlify/functions/google-forms-api', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        action: 'getFormStructure',
+        formId,
+        adminId
+      })
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error('Error fetching form structure:', result.error);
+      return null;
+    }
+
+    return result.data;
+  } catch (error) {
+    console.error('Error fetching form structure:', error);
+    return null;
+  }
+};
+
+// Start ('create') or stop ('delete') Google Forms push notifications for a form.
+// Polling still picks up responses if this fails, so callers only log errors.
+export const manageFormWatch = async (action: 'create' | 'delete', formId: string, adminId: string): Promise<boolean> => {
+  try {
+    const response = await authFetch('/.netlify/functions/manage-form-watch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, formId, adminId })
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error(`Error (${action}) form watch:`, result.error);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`Error (${action}) form watch:`, error);
+    return false;
+  }
 };
 
 // Test Google Form access (placeholder)
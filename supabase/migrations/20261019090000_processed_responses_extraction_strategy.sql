@@ -0,0 +1,5 @@
+-- Record how the monitor extracted customer data from each form response:
+-- 'field_mapping' (admin's saved form_field_mappings) or 'heuristic' (value guessing)
+ALTER TABLE processed_form_responses
+  ADD COLUMN IF NOT EXISTS extraction_strategy TEXT
+  CHECK (extraction_strategy IN ('field_mapping', 'heuristic'));
@@ -0,0 +1,22 @@
+-- Per-form product catalog. The label must match the Google Forms choice text;
+-- the price charged to the customer comes from price_paise, not the label.
+CREATE TABLE IF NOT EXISTS form_products (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  form_config_id UUID NOT NULL REFERENCES form_configs(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL,
+  label TEXT NOT NULL,
+  price_paise INTEGER NOT NULL CHECK (price_paise > 0),
+  currency TEXT NOT NULL DEFAULT 'INR',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (form_config_id, sku),
+  UNIQUE (form_config_id, label)
+);
+
+CREATE INDEX IF NOT EXISTS form_products_form_config_id_idx
+  ON form_products (form_config_id)
+  WHERE is_active;
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS product_sku TEXT;
@@ -0,0 +1,18 @@
+-- Orders built from a single form response can contain several products
+-- (checkbox questions) and a quantity (separate quantity question).
+CREATE TABLE IF NOT EXISTS transaction_line_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id BIGINT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  sku TEXT,
+  label TEXT NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price NUMERIC(12, 2) NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS transaction_line_items_transaction_id_idx
+  ON transaction_line_items (transaction_id);
+
+ALTER TABLE form_field_mappings
+  ADD COLUMN IF NOT EXISTS quantity_field_id TEXT;
@@ -0,0 +1,5 @@
+-- High-water mark for incremental response polling: the newest Google Forms
+-- lastSubmittedTime the monitor has handled for this form. NULL means the form
+-- has never been polled and polling starts from created_at.
+ALTER TABLE form_configs
+  ADD COLUMN IF NOT EXISTS last_response_submitted_at TIMESTAMPTZ;
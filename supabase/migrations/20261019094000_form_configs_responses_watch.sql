@@ -0,0 +1,9 @@
+-- Google Forms push notifications: the RESPONSES watch created for each active
+-- form and when Google will expire it (7 days after create/renew).
+ALTER TABLE form_configs
+  ADD COLUMN IF NOT EXISTS responses_watch_id TEXT,
+  ADD COLUMN IF NOT EXISTS responses_watch_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_form_configs_watch_expiry
+  ON form_configs (responses_watch_expires_at)
+  WHERE is_active = true;
@@ -0,0 +1,33 @@
+-- Durable jobs for the response -> payment order -> email pipeline.
+-- status: pending (waiting for next_run_at), running (claimed, locked_at set),
+-- completed, failed (out of attempts; requeue by hand).
+CREATE TABLE IF NOT EXISTS pipeline_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_type TEXT NOT NULL CHECK (job_type IN ('create_order', 'send_payment_email')),
+  form_id TEXT NOT NULL,
+  response_id TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_run_at TIMESTAMPTZ DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_jobs_due
+  ON pipeline_jobs (next_run_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_jobs_response
+  ON pipeline_jobs (form_id, response_id);
+
+-- Keep the payment link so a retried job can resend it without creating a new one
+ALTER TABLE processed_form_responses
+  ADD COLUMN IF NOT EXISTS payment_url TEXT;
+
+-- processed_form_responses.status gains 'retrying': a job failed and is
+-- scheduled to run again.
@@ -0,0 +1,13 @@
+-- One row per Google Forms response. The pipeline claims a response by
+-- inserting its row with ON CONFLICT DO NOTHING, so overlapping monitor runs
+-- and push deliveries can never both create a payment link for it.
+
+-- Keep the earliest row for any response that was already double-processed
+DELETE FROM processed_form_responses p
+USING processed_form_responses earlier
+WHERE p.form_id = earlier.form_id
+  AND p.response_id = earlier.response_id
+  AND (COALESCE(p.processed_at, 'epoch'), p.id::text) > (COALESCE(earlier.processed_at, 'epoch'), earlier.id::text);
+
+ALTER TABLE processed_form_responses
+  ADD CONSTRAINT processed_form_responses_form_response_key UNIQUE (form_id, response_id);
@@ -0,0 +1,12 @@
+-- Per-form gateway routing: which gateway created each order and, when the
+-- admin's preferred gateway wasn't usable, why it fell back.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS gateway_used TEXT,
+  ADD COLUMN IF NOT EXISTS auto_split_enabled BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS gateway_fallback_reason TEXT;
+
+-- Gateway-neutral order reference for pipeline retries
+-- (razorpay_order_id is still filled for Razorpay orders)
+ALTER TABLE processed_form_responses
+  ADD COLUMN IF NOT EXISTS payment_gateway TEXT,
+  ADD COLUMN IF NOT EXISTS order_id TEXT;
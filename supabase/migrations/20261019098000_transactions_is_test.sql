@@ -0,0 +1,12 @@
+-- Test vs live payments: transactions record whether they were created
+-- against a gateway sandbox so dashboards can leave test data out.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS is_test BOOLEAN NOT NULL DEFAULT false;
+
+-- Cashfree orders were always created against the sandbox until now
+UPDATE transactions
+SET is_test = true
+WHERE COALESCE(gateway_used, payment_provider) = 'cashfree';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_admin_is_test
+  ON transactions (admin_id, is_test);
@@ -0,0 +1,33 @@
+-- Every gateway webhook delivery, keyed by the provider's event ID so
+-- retried deliveries are recognised and applied once.
+-- status: received (stored, not yet applied), processing (claimed, locked_at
+-- set), processed, ignored (nothing to do, e.g. unhandled event type or a
+-- status change the state machine refused), failed (handler error; the
+-- provider's retry or a replay runs it again), rejected (bad signature).
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL,
+  -- NULL for rejected deliveries so a forged event can't claim a real event's ID
+  event_id TEXT,
+  event_type TEXT,
+  raw_body TEXT NOT NULL,
+  payload JSONB,
+  -- NULL when the signature wasn't checked (no secret configured)
+  signature_valid BOOLEAN,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed', 'rejected')),
+  outcome TEXT,
+  last_error TEXT,
+  transaction_id TEXT,
+  admin_id UUID,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  locked_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  replayed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_admin
+  ON webhook_events (admin_id, received_at DESC);
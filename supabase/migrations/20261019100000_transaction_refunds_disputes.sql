@@ -0,0 +1,9 @@
+-- Refunds and disputes: gateway webhooks can now move a transaction past
+-- 'paid'. payment_status also takes 'refunded', 'partially_refunded',
+-- 'disputed', 'expired' and 'cancelled' (see netlify/functions/utils/payment-status.js).
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dispute_status TEXT;
+
+COMMENT ON COLUMN transactions.amount_refunded IS 'Rupees refunded so far, including chargebacks from lost disputes';
+COMMENT ON COLUMN transactions.dispute_status IS 'Latest gateway dispute status (open, under_review, won, lost, closed), NULL if never disputed';
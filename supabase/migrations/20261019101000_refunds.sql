@@ -0,0 +1,30 @@
+-- Refunds issued from the dashboard (refund-transaction) or reported by a
+-- gateway webhook. status: pending (requested, gateway still processing),
+-- processed (money returned), failed.
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id BIGINT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  admin_id UUID NOT NULL,
+  provider TEXT NOT NULL,
+  -- The gateway's refund ID; NULL until the gateway has accepted the request
+  gateway_refund_id TEXT,
+  amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+  failure_reason TEXT,
+  -- NULL for refunds made directly on the gateway dashboard
+  requested_by UUID,
+  gateway_response JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, gateway_refund_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_transaction
+  ON refunds (transaction_id);
+
+-- The share of a commission given back on refunded payments; the commission
+-- row keeps its original amount
+ALTER TABLE platform_commissions
+  ADD COLUMN IF NOT EXISTS reversed_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
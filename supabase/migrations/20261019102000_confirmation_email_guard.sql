@@ -0,0 +1,15 @@
+-- Payment confirmation emails: the webhook and the redirect both try to send
+-- one, so the transaction records who claimed it.
+-- confirmation_email_status: sending (claimed, locked_at set), sent, failed
+-- (a later path may try again). NULL means nobody has tried yet.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS confirmation_email_status TEXT
+    CHECK (confirmation_email_status IN ('sending', 'sent', 'failed')),
+  ADD COLUMN IF NOT EXISTS confirmation_email_locked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS confirmation_email_sent_at TIMESTAMPTZ;
+
+-- Payments confirmed before this were emailed on the redirect
+UPDATE transactions
+SET confirmation_email_status = 'sent'
+WHERE payment_status IN ('paid', 'partially_refunded', 'refunded', 'disputed')
+  AND confirmation_email_status IS NULL;
@@ -0,0 +1,6 @@
+-- How each admin's customer emails are sent: 'supabase' (send-payment-email
+-- edge function), 'smtp' or 'gmail' (the admin's connected Google account).
+-- NULL uses the platform default (EMAIL_TRANSPORT).
+ALTER TABLE form_admins
+  ADD COLUMN IF NOT EXISTS email_transport TEXT
+    CHECK (email_transport IN ('supabase', 'smtp', 'gmail'));
@@ -0,0 +1,40 @@
+-- Payment reminders for unpaid links (send-payment-reminders, scheduled).
+-- form_configs.reminder_schedule: hours after the transaction was created at
+-- which to remind the customer, e.g. {6,24,72}; empty turns reminders off.
+ALTER TABLE form_configs
+  ADD COLUMN IF NOT EXISTS reminder_schedule INTEGER[] NOT NULL DEFAULT '{}';
+
+-- reminders_sent: how many steps of the schedule are done (sent, or skipped
+-- because they were already overdue). reminder_locked_at is set while a
+-- worker is sending one.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS payment_url TEXT,
+  ADD COLUMN IF NOT EXISTS reminders_sent INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_reminder_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reminder_locked_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN transactions.payment_url IS 'Current payment link; replaced when an expired link is regenerated';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_reminders
+  ON transactions (form_id, created_at)
+  WHERE payment_status = 'pending';
+
+-- One row per reminder attempt. status: sent, failed.
+CREATE TABLE IF NOT EXISTS payment_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id BIGINT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  admin_id UUID,
+  -- 1-based step of the form's reminder_schedule
+  sequence INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  payment_url TEXT,
+  -- The link that had expired, when this reminder came with a new one
+  regenerated_from TEXT,
+  email_transport TEXT,
+  message_id TEXT,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reminders_transaction
+  ON payment_reminders (transaction_id, sequence);
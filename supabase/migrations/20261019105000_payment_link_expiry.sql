@@ -0,0 +1,25 @@
+-- Payment link expiry. form_configs.link_expiry_hours is how long a new link
+-- can be paid; the transaction keeps the link's expiry, and
+-- expire-payment-links (scheduled) cancels overdue links at the gateway and
+-- marks their transactions 'expired'.
+ALTER TABLE form_configs
+  ADD COLUMN IF NOT EXISTS link_expiry_hours INTEGER NOT NULL DEFAULT 24
+    CHECK (link_expiry_hours BETWEEN 1 AND 720);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS payment_link_expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS link_regenerated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS link_regeneration_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN transactions.payment_link_expires_at IS 'When the current payment link stops accepting payment; NULL for links created without an expiry';
+
+-- Cashfree links were always created with a 24 hour expiry
+UPDATE transactions
+SET payment_link_expires_at = created_at + INTERVAL '24 hours'
+WHERE payment_status = 'pending'
+  AND gateway_used = 'cashfree'
+  AND payment_link_expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_link_expiry
+  ON transactions (payment_link_expires_at)
+  WHERE payment_status = 'pending';
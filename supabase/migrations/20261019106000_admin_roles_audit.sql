@@ -0,0 +1,59 @@
+-- Admin roles, deactivation and the super-admin audit log.
+-- form_admins.role is what the Netlify auth middleware (utils/auth.js) and the
+-- dashboard (useAuth.loadUserProfile) read; only the service role can change it.
+ALTER TABLE form_admins
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'form_admin'
+    CHECK (role IN ('form_admin', 'super_admin')),
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+-- The platform owner account the dashboard used to recognise by email
+UPDATE form_admins SET role = 'super_admin' WHERE email = 'admin@payform.com';
+
+DO $$
+BEGIN
+  IF to_regclass('public.super_admins') IS NOT NULL THEN
+    UPDATE form_admins SET role = 'super_admin'
+    WHERE id IN (SELECT user_id FROM super_admins);
+  END IF;
+END $$;
+
+-- Admins can insert and edit their own row from the dashboard, so keep them
+-- from granting themselves a role
+CREATE OR REPLACE FUNCTION protect_form_admin_role()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE(auth.role(), 'service_role') <> 'service_role'
+     AND NEW.role IS DISTINCT FROM (CASE WHEN TG_OP = 'INSERT' THEN 'form_admin' ELSE OLD.role END) THEN
+    RAISE EXCEPTION 'form_admins.role can only be changed by the platform';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS form_admins_protect_role ON form_admins;
+CREATE TRIGGER form_admins_protect_role
+  BEFORE INSERT OR UPDATE OF role ON form_admins
+  FOR EACH ROW EXECUTE FUNCTION protect_form_admin_role();
+
+-- Forms paused because their admin was deactivated (resumed on reactivation;
+-- forms the admin had paused themselves stay paused)
+ALTER TABLE form_configs
+  ADD COLUMN IF NOT EXISTS paused_by_admin_status BOOLEAN NOT NULL DEFAULT false;
+
+-- One row per super-admin action
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id UUID NOT NULL,
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  target_admin_id UUID,
+  status_code INTEGER,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor
+  ON admin_audit_log (actor_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target
+  ON admin_audit_log (target_admin_id, created_at DESC);
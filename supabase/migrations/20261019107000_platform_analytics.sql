@@ -0,0 +1,193 @@
+-- Platform-wide analytics for super-admin-data. Everything is aggregated here
+-- so the function never loads transactions into memory.
+--
+-- Test (sandbox) transactions are left out. A transaction counts towards GMV
+-- once it is captured (paid, partially refunded, disputed or refunded); GMV
+-- and commission are net of refunds (commission is reversed by the refunded
+-- share, as utils/refunds.js does). Periods are bucketed in India time.
+
+-- Overview cards: today, last 30 days and all time
+CREATE OR REPLACE FUNCTION platform_overview_stats()
+RETURNS TABLE (
+  today_transactions BIGINT,
+  today_successful BIGINT,
+  today_revenue NUMERIC,
+  today_commission NUMERIC,
+  transactions_30d BIGINT,
+  total_transactions BIGINT,
+  total_revenue NUMERIC,
+  total_commission NUMERIC,
+  active_form_admins BIGINT,
+  new_admins_30d BIGINT,
+  active_forms BIGINT
+) AS $$
+  WITH tx AS (
+    SELECT
+      (created_at AT TIME ZONE 'Asia/Kolkata')::date = (NOW() AT TIME ZONE 'Asia/Kolkata')::date AS is_today,
+      created_at >= NOW() - INTERVAL '30 days' AS is_recent,
+      payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded') AS is_captured,
+      COALESCE(payment_amount, 0) - COALESCE(amount_refunded, 0) AS net_amount,
+      COALESCE(platform_commission, 0)
+        * (1 - LEAST(1, COALESCE(amount_refunded, 0) / NULLIF(payment_amount, 0))) AS net_commission
+    FROM transactions
+    WHERE is_test IS NOT TRUE
+  )
+  SELECT
+    COUNT(*) FILTER (WHERE is_today),
+    COUNT(*) FILTER (WHERE is_today AND is_captured),
+    COALESCE(SUM(net_amount) FILTER (WHERE is_today AND is_captured), 0),
+    COALESCE(SUM(net_commission) FILTER (WHERE is_today AND is_captured), 0),
+    COUNT(*) FILTER (WHERE is_recent),
+    COUNT(*),
+    COALESCE(SUM(net_amount) FILTER (WHERE is_captured), 0),
+    COALESCE(SUM(net_commission) FILTER (WHERE is_captured), 0),
+    (SELECT COUNT(*) FROM form_admins WHERE is_active IS NOT FALSE AND role = 'form_admin'),
+    (SELECT COUNT(*) FROM form_admins WHERE created_at >= NOW() - INTERVAL '30 days' AND role = 'form_admin'),
+    (SELECT COUNT(*) FROM form_configs WHERE is_active)
+  FROM tx;
+$$ LANGUAGE sql STABLE;
+
+-- GMV and commission per day, week or month since p_since
+CREATE OR REPLACE FUNCTION platform_gmv_series(p_granularity TEXT, p_since TIMESTAMPTZ)
+RETURNS TABLE (period_start DATE, transactions BIGINT, gmv NUMERIC, commission NUMERIC) AS $$
+BEGIN
+  IF p_granularity NOT IN ('day', 'week', 'month') THEN
+    RAISE EXCEPTION 'granularity must be day, week or month, not %', p_granularity;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    date_trunc(p_granularity, t.created_at AT TIME ZONE 'Asia/Kolkata')::date,
+    COUNT(*),
+    SUM(COALESCE(t.payment_amount, 0) - COALESCE(t.amount_refunded, 0)),
+    SUM(COALESCE(t.platform_commission, 0)
+      * (1 - LEAST(1, COALESCE(t.amount_refunded, 0) / NULLIF(t.payment_amount, 0))))
+  FROM transactions t
+  WHERE t.is_test IS NOT TRUE
+    AND t.payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')
+    AND t.created_at >= p_since
+  GROUP BY 1
+  ORDER BY 1;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Every form admin with their totals, highest net revenue first (NULL p_limit: all)
+CREATE OR REPLACE FUNCTION platform_admin_leaderboard(p_limit INTEGER DEFAULT NULL)
+RETURNS TABLE (
+  id UUID,
+  email TEXT,
+  name TEXT,
+  company_name TEXT,
+  is_active BOOLEAN,
+  created_at TIMESTAMPTZ,
+  total_transactions BIGINT,
+  successful_transactions BIGINT,
+  total_revenue NUMERIC,
+  platform_fees_paid NUMERIC,
+  net_earnings NUMERIC
+) AS $$
+  WITH totals AS (
+    SELECT
+      admin_id,
+      COUNT(*) AS total_transactions,
+      COUNT(*) FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')) AS successful_transactions,
+      COALESCE(SUM(COALESCE(payment_amount, 0) - COALESCE(amount_refunded, 0))
+        FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')), 0) AS total_revenue,
+      COALESCE(SUM(COALESCE(platform_commission, 0)
+        * (1 - LEAST(1, COALESCE(amount_refunded, 0) / NULLIF(payment_amount, 0))))
+        FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')), 0) AS platform_fees_paid
+    FROM transactions
+    WHERE is_test IS NOT TRUE
+    GROUP BY admin_id
+  )
+  SELECT
+    a.id,
+    a.email::TEXT,
+    a.name::TEXT,
+    a.company_name::TEXT,
+    a.is_active IS NOT FALSE,
+    a.created_at,
+    COALESCE(t.total_transactions, 0),
+    COALESCE(t.successful_transactions, 0),
+    COALESCE(t.total_revenue, 0),
+    COALESCE(t.platform_fees_paid, 0),
+    COALESCE(t.total_revenue, 0) - COALESCE(t.platform_fees_paid, 0)
+  FROM form_admins a
+  LEFT JOIN totals t ON t.admin_id = a.id
+  WHERE a.role = 'form_admin'
+  ORDER BY COALESCE(t.total_revenue, 0) DESC, a.created_at
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Per gateway: volume, share of GMV and failure rate (failed out of
+-- attempts that finished, i.e. failed or captured)
+CREATE OR REPLACE FUNCTION platform_gateway_stats(p_since TIMESTAMPTZ DEFAULT NULL)
+RETURNS TABLE (
+  gateway TEXT,
+  transactions BIGINT,
+  captured BIGINT,
+  failed BIGINT,
+  gmv NUMERIC,
+  gmv_share NUMERIC,
+  failure_rate NUMERIC
+) AS $$
+  WITH per_gateway AS (
+    SELECT
+      LOWER(COALESCE(gateway_used, payment_provider, 'unknown')) AS gateway,
+      COUNT(*) AS transactions,
+      COUNT(*) FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')) AS captured,
+      COUNT(*) FILTER (WHERE payment_status = 'failed') AS failed,
+      COALESCE(SUM(COALESCE(payment_amount, 0) - COALESCE(amount_refunded, 0))
+        FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')), 0) AS gmv
+    FROM transactions
+    WHERE is_test IS NOT TRUE
+      AND (p_since IS NULL OR created_at >= p_since)
+    GROUP BY 1
+  )
+  SELECT
+    gateway,
+    transactions,
+    captured,
+    failed,
+    gmv,
+    ROUND(gmv / NULLIF(SUM(gmv) OVER (), 0), 4),
+    ROUND(failed::NUMERIC / NULLIF(failed + captured, 0), 4)
+  FROM per_gateway
+  ORDER BY gmv DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Form admins at each onboarding step; an admin only counts at a step if
+-- they also reached every earlier one
+CREATE OR REPLACE FUNCTION platform_onboarding_funnel()
+RETURNS TABLE (signed_up BIGINT, google_connected BIGINT, form_added BIGINT, first_payment BIGINT) AS $$
+  WITH steps AS (
+    SELECT
+      EXISTS (SELECT 1 FROM google_auth_tokens g WHERE g.admin_id = a.id) AS has_google,
+      EXISTS (SELECT 1 FROM form_configs f WHERE f.admin_id = a.id) AS has_form,
+      EXISTS (
+        SELECT 1 FROM transactions t
+        WHERE t.admin_id = a.id
+          AND t.is_test IS NOT TRUE
+          AND t.payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')
+      ) AS has_payment
+    FROM form_admins a
+    WHERE a.role = 'form_admin'
+  )
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE has_google),
+    COUNT(*) FILTER (WHERE has_google AND has_form),
+    COUNT(*) FILTER (WHERE has_google AND has_form AND has_payment)
+  FROM steps;
+$$ LANGUAGE sql STABLE;
+
+-- Platform figures are for the service role (super-admin-data) only
+REVOKE EXECUTE ON FUNCTION platform_overview_stats() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION platform_gmv_series(TEXT, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION platform_admin_leaderboard(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION platform_gateway_stats(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION platform_onboarding_funnel() FROM PUBLIC, anon, authenticated;
+
+-- For the per-period GMV series
+CREATE INDEX IF NOT EXISTS idx_transactions_created_at
+  ON transactions (created_at);
@@ -0,0 +1,69 @@
+-- Totals for transactions-search (and the dashboard stats): counts and amounts
+-- of every transaction of an admin matching the filters, computed here rather
+-- than by loading the rows. The filters are applied exactly as
+-- utils/transaction-search.js applies them to the page query:
+--   statuses (text[]), form_id, gateway, from / to (created_at, to exclusive),
+--   min_amount / max_amount, search (email or customer name), include_test
+-- Revenue is what was collected less refunds; commission and net earnings
+-- leave fully refunded transactions out, as the dashboard always has.
+CREATE OR REPLACE FUNCTION transaction_search_totals(p_admin_id UUID, p_filters JSONB DEFAULT '{}')
+RETURNS TABLE (
+  transactions BIGINT,
+  paid_count BIGINT,
+  pending_count BIGINT,
+  failed_count BIGINT,
+  refunded_count BIGINT,
+  disputed_count BIGINT,
+  total_amount NUMERIC,
+  total_revenue NUMERIC,
+  total_refunded NUMERIC,
+  total_commission NUMERIC,
+  total_net_earnings NUMERIC
+) AS $$
+  WITH matching AS (
+    SELECT
+      t.payment_status,
+      COALESCE(t.payment_amount, 0) AS amount,
+      COALESCE(t.amount_refunded, 0) AS refunded,
+      COALESCE(t.platform_commission, 0) AS commission,
+      COALESCE(t.net_amount_to_admin, 0) AS net_amount,
+      t.payment_status IN ('paid', 'partially_refunded', 'refunded', 'disputed') AS is_collected
+    FROM transactions t
+    WHERE t.admin_id = p_admin_id
+      AND (COALESCE((p_filters->>'include_test')::BOOLEAN, true) OR t.is_test IS NOT TRUE)
+      AND (jsonb_typeof(p_filters->'statuses') IS DISTINCT FROM 'array'
+        OR t.payment_status IN (SELECT jsonb_array_elements_text(p_filters->'statuses')))
+      AND (p_filters->>'form_id' IS NULL OR t.form_id = p_filters->>'form_id')
+      AND (p_filters->>'gateway' IS NULL OR COALESCE(t.gateway_used, t.payment_provider) = p_filters->>'gateway')
+      AND (p_filters->>'from' IS NULL OR t.created_at >= (p_filters->>'from')::TIMESTAMPTZ)
+      AND (p_filters->>'to' IS NULL OR t.created_at < (p_filters->>'to')::TIMESTAMPTZ)
+      AND (p_filters->>'min_amount' IS NULL OR t.payment_amount >= (p_filters->>'min_amount')::NUMERIC)
+      AND (p_filters->>'max_amount' IS NULL OR t.payment_amount <= (p_filters->>'max_amount')::NUMERIC)
+      AND (p_filters->>'search' IS NULL
+        OR t.email ILIKE '%' || (p_filters->>'search') || '%'
+        OR t.customer_name ILIKE '%' || (p_filters->>'search') || '%')
+  )
+  SELECT
+    COUNT(*),
+    COUNT(*) FILTER (WHERE payment_status = 'paid'),
+    COUNT(*) FILTER (WHERE payment_status = 'pending'),
+    COUNT(*) FILTER (WHERE payment_status = 'failed'),
+    COUNT(*) FILTER (WHERE payment_status IN ('refunded', 'partially_refunded')),
+    COUNT(*) FILTER (WHERE payment_status = 'disputed'),
+    COALESCE(SUM(amount), 0),
+    COALESCE(SUM(amount - refunded) FILTER (WHERE is_collected), 0),
+    COALESCE(SUM(refunded) FILTER (WHERE is_collected), 0),
+    COALESCE(SUM(commission) FILTER (WHERE is_collected AND payment_status <> 'refunded'), 0),
+    COALESCE(SUM(net_amount) FILTER (WHERE is_collected AND payment_status <> 'refunded'), 0)
+  FROM matching;
+$$ LANGUAGE sql STABLE;
+
+-- Called by the Netlify functions with the service role only
+REVOKE EXECUTE ON FUNCTION transaction_search_totals(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Keyset pages: an admin's transactions by date or by amount, id breaking ties
+CREATE INDEX IF NOT EXISTS idx_transactions_admin_created
+  ON transactions (admin_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_admin_amount
+  ON transactions (admin_id, payment_amount, id);
@@ -0,0 +1,24 @@
+-- Monthly statements emailed to form admins (send-monthly-statements, scheduled).
+-- One row per admin and month. status: sending (claimed by a run, locked_at
+-- set), sent, empty (no transactions that month, nothing emailed) or failed
+-- (retried by the next run until attempts reaches the limit in utils/statements.js).
+CREATE TABLE IF NOT EXISTS admin_statements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID NOT NULL REFERENCES form_admins(id) ON DELETE CASCADE,
+  -- First day of the month the statement covers (India time)
+  period_start DATE NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sending', 'sent', 'empty', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  transaction_count INTEGER,
+  total_revenue NUMERIC(12,2),
+  net_earnings NUMERIC(12,2),
+  message_id TEXT,
+  last_error TEXT,
+  locked_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (admin_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_statements_period
+  ON admin_statements (period_start);
@@ -0,0 +1,15 @@
+-- One platform commission per transaction. The payment webhooks and the
+-- redirect record it whenever a transaction ends up paid (see
+-- utils/webhooks/shared.js), so repeating that must not add a second row.
+-- Duplicates left by earlier concurrent inserts keep the oldest row.
+DELETE FROM platform_commissions
+WHERE ctid IN (
+  SELECT ctid FROM (
+    SELECT ctid, ROW_NUMBER() OVER (PARTITION BY transaction_id ORDER BY created_at) AS n
+    FROM platform_commissions
+  ) ranked
+  WHERE n > 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_platform_commissions_transaction
+  ON platform_commissions (transaction_id);
@@ -0,0 +1,18 @@
+-- Retries for payment confirmation emails (retry-confirmation-emails,
+-- scheduled). A failed send records its attempt count, error and when to try
+-- again (exponential backoff); after 5 attempts it stays 'failed'.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS confirmation_email_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS confirmation_email_last_error TEXT,
+  ADD COLUMN IF NOT EXISTS confirmation_email_next_attempt_at TIMESTAMPTZ;
+
+-- Confirmations that already failed are due straight away
+UPDATE transactions
+SET confirmation_email_next_attempt_at = NOW()
+WHERE confirmation_email_status = 'failed'
+  AND payment_status = 'paid';
+
+CREATE INDEX IF NOT EXISTS idx_transactions_confirmation_due
+  ON transactions (updated_at)
+  WHERE payment_status = 'paid'
+    AND (confirmation_email_status IS NULL OR confirmation_email_status <> 'sent');
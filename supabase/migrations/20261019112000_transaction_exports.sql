@@ -0,0 +1,34 @@
+-- Transaction exports too large to return from export-transactions directly.
+-- The request is queued here and build-transaction-export-background writes
+-- the file to the private transaction-exports storage bucket. status: pending,
+-- building (claimed, locked_at set), ready (file stored until expires_at),
+-- failed or expired (file removed). See utils/transaction-export.js.
+CREATE TABLE IF NOT EXISTS transaction_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_id UUID NOT NULL REFERENCES form_admins(id) ON DELETE CASCADE,
+  format TEXT NOT NULL CHECK (format IN ('csv', 'xlsx')),
+  -- Parsed transactions-search filters (utils/transaction-search.js)
+  filters JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'building', 'ready', 'failed', 'expired')),
+  row_count INTEGER,
+  storage_path TEXT,
+  file_name TEXT,
+  last_error TEXT,
+  locked_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_exports_admin
+  ON transaction_exports (admin_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_exports_open
+  ON transaction_exports (created_at)
+  WHERE status IN ('pending', 'building', 'ready');
+
+-- Files are only handed out through signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('transaction-exports', 'transaction-exports', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,51 @@
+-- The gateway a transaction went through, as getGatewayName() in
+-- netlify/functions/utils/gateways/index.js reports it: gateway_used, or
+-- payment_provider for older rows, with the provider aliases
+-- (razorpay_link, razorpay_route) folded into their gateway.
+CREATE OR REPLACE FUNCTION transaction_gateway(p_gateway_used TEXT, p_payment_provider TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE LOWER(COALESCE(p_gateway_used, p_payment_provider, 'unknown'))
+    WHEN 'razorpay_link' THEN 'razorpay'
+    WHEN 'razorpay_route' THEN 'razorpay'
+    ELSE LOWER(COALESCE(p_gateway_used, p_payment_provider, 'unknown'))
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Per gateway: volume, share of GMV and failure rate (failed out of
+-- attempts that finished, i.e. failed or captured)
+CREATE OR REPLACE FUNCTION platform_gateway_stats(p_since TIMESTAMPTZ DEFAULT NULL)
+RETURNS TABLE (
+  gateway TEXT,
+  transactions BIGINT,
+  captured BIGINT,
+  failed BIGINT,
+  gmv NUMERIC,
+  gmv_share NUMERIC,
+  failure_rate NUMERIC
+) AS $$
+  WITH per_gateway AS (
+    SELECT
+      transaction_gateway(gateway_used, payment_provider) AS gateway,
+      COUNT(*) AS transactions,
+      COUNT(*) FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')) AS captured,
+      COUNT(*) FILTER (WHERE payment_status = 'failed') AS failed,
+      COALESCE(SUM(COALESCE(payment_amount, 0) - COALESCE(amount_refunded, 0))
+        FILTER (WHERE payment_status IN ('paid', 'partially_refunded', 'disputed', 'refunded')), 0) AS gmv
+    FROM transactions
+    WHERE is_test IS NOT TRUE
+      AND (p_since IS NULL OR created_at >= p_since)
+    GROUP BY 1
+  )
+  SELECT
+    gateway,
+    transactions,
+    captured,
+    failed,
+    gmv,
+    ROUND(gmv / NULLIF(SUM(gmv) OVER (), 0), 4),
+    ROUND(failed::NUMERIC / NULLIF(failed + captured, 0), 4)
+  FROM per_gateway
+  ORDER BY gmv DESC;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION platform_gateway_stats(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
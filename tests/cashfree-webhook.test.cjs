@@ -0,0 +1,101 @@
+// tests/cashfree-webhook.test.cjs - Cashfree webhook signature checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const supabaseJs = require('@supabase/supabase-js');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+
+const WEBHOOK_SECRET = 'cf_webhook_secret';
+
+process.env.CASHFREE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.SUPABASE_URL = 'https://supabase.test';
+
+// The handler creates its Supabase client per request; hand it the test's database
+let database = null;
+test.mock.method(supabaseJs, 'createClient', () => database);
+
+const { handler } = require('../netlify/functions/cashfree-webhook');
+const { getGateway } = require('../netlify/functions/utils/gateways');
+
+const body = JSON.stringify({
+  type: 'PAYMENT_SUCCESS_WEBHOOK',
+  data: {
+    order: { order_id: 'payform_1' },
+    payment: { cf_payment_id: 'cf_pay_1', payment_status: 'SUCCESS', payment_method: { upi: {} } }
+  }
+});
+
+// Headers Cashfree sends: base64 HMAC-SHA256 of "<timestamp><raw body>"
+const sign = (rawBody, timestamp = String(Date.now())) => ({
+  'x-webhook-timestamp': timestamp,
+  'x-webhook-signature': crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}${rawBody}`).digest('base64')
+});
+
+const createDatabase = () => createFakeSupabase({
+  transactions: [{
+    id: 1,
+    transaction_id: 'payform_1',
+    admin_id: 'admin-1',
+    email: 'customer@example.com',
+    payment_amount: 2999,
+    payment_status: 'pending',
+    confirmation_email_status: 'sent'
+  }],
+  webhook_events: [],
+  platform_commissions: []
+});
+
+const deliver = (rawBody, headers) =>
+  handler({ httpMethod: 'POST', body: rawBody, headers: { 'content-type': 'application/json', ...headers } });
+
+test('inspectWebhook accepts a fresh, correctly signed delivery', () => {
+  const cashfree = getGateway('cashfree', { environment: 'sandbox' });
+
+  assert.deepEqual(cashfree.inspectWebhook({ rawBody: body, headers: sign(body) }), { valid: true, reason: null });
+  assert.equal(cashfree.verifyWebhook({ rawBody: body, headers: sign(body) }), true);
+});
+
+test('inspectWebhook refuses a tampered body and a stale timestamp', () => {
+  const cashfree = getGateway('cashfree', { environment: 'sandbox' });
+  const tampered = body.replace('SUCCESS_WEBHOOK', 'FAILED_WEBHOOK');
+  const stale = String(Date.now() - 301 * 1000);
+
+  assert.deepEqual(cashfree.inspectWebhook({ rawBody: tampered, headers: sign(body) }), { valid: false, reason: 'signature mismatch' });
+  assert.match(cashfree.inspectWebhook({ rawBody: body, headers: sign(body, stale) }).reason, /tolerance/);
+  assert.equal(cashfree.verifyWebhook({ rawBody: body, headers: sign(body, stale) }), false);
+});
+
+test('a valid delivery is applied and answered with 200', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  database = createDatabase();
+
+  const response = await deliver(body, sign(body));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(database.db.transactions[0].payment_status, 'paid');
+  assert.equal(database.db.webhook_events[0].status, 'processed');
+});
+
+test('a delivery with a tampered body is refused with 401', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  database = createDatabase();
+
+  const response = await deliver(body.replace('payform_1', 'payform_2'), sign(body));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(database.db.transactions[0].payment_status, 'pending');
+  assert.equal(database.db.webhook_events[0].status, 'rejected');
+});
+
+test('a delivery signed more than 300s ago is refused with 401', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  database = createDatabase();
+
+  const response = await deliver(body, sign(body, String(Date.now() - 301 * 1000)));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(database.db.transactions[0].payment_status, 'pending');
+  assert.match(database.db.webhook_events[0].last_error, /tolerance/);
+});
@@ -0,0 +1,92 @@
+// tests/confirmation-email.test.cjs - Payment confirmation emails and their retries
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+const {
+  MAX_ATTEMPTS,
+  retryConfirmationEmails,
+  sendConfirmationEmail
+} = require('../netlify/functions/utils/confirmation-email');
+
+process.env.SUPABASE_URL = 'https://supabase.test';
+
+const makeTransaction = (id, fields = {}) => ({
+  id,
+  transaction_id: `payform_${id}`,
+  admin_id: 'admin-1',
+  email: `customer${id}@example.com`,
+  customer_name: 'Customer',
+  product_name: 'Course',
+  payment_amount: 2999,
+  payment_status: 'paid',
+  confirmation_email_status: null,
+  confirmation_email_attempts: 0,
+  updated_at: '2026-10-19T10:00:00.000Z',
+  ...fields
+});
+
+const createDatabase = (transactions) => createFakeSupabase({
+  transactions,
+  form_admins: [{ id: 'admin-1', email_transport: 'supabase' }]
+});
+
+// Stands in for the send-payment-email edge function; fails while `down` is set
+const stubEmail = (t) => {
+  const state = { down: false, sent: [] };
+  t.mock.method(global, 'fetch', async (url, init) => {
+    if (state.down) {
+      return { ok: false, status: 503, statusText: 'Service Unavailable', json: async () => ({ success: false, error: 'unavailable' }) };
+    }
+    state.sent.push(JSON.parse(init.body).to);
+    return { ok: true, status: 200, json: async () => ({ success: true, messageId: `msg_${state.sent.length}` }) };
+  });
+  return state;
+};
+
+test('a failed confirmation is scheduled for retry and sent by the sweeper once due', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const email = stubEmail(t);
+  const supabase = createDatabase([makeTransaction(1)]);
+  const [transaction] = supabase.db.transactions;
+
+  email.down = true;
+  const first = await sendConfirmationEmail(supabase, transaction);
+
+  assert.equal(first.sent, false);
+  assert.equal(transaction.confirmation_email_status, 'failed');
+  assert.equal(transaction.confirmation_email_attempts, 1);
+  assert.match(transaction.confirmation_email_last_error, /503/);
+
+  // Not due until its backoff is up
+  email.down = false;
+  const early = await retryConfirmationEmails(supabase, { now: new Date() });
+  assert.equal(early.due, 0);
+
+  const later = new Date(Date.parse(transaction.confirmation_email_next_attempt_at) + 1000);
+  const summary = await retryConfirmationEmails(supabase, { now: later });
+
+  assert.deepEqual(summary, { due: 1, sent: 1, skipped: 0, failed: 0 });
+  assert.deepEqual(email.sent, ['customer1@example.com']);
+  assert.equal(transaction.confirmation_email_status, 'sent');
+});
+
+test('the sweeper sends paid transactions nobody emailed and leaves the rest alone', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const email = stubEmail(t);
+  const supabase = createDatabase([
+    makeTransaction(1),
+    makeTransaction(2, { confirmation_email_status: 'sent', confirmation_email_attempts: 1 }),
+    makeTransaction(3, { payment_status: 'pending' }),
+    makeTransaction(4, {
+      confirmation_email_status: 'failed',
+      confirmation_email_attempts: MAX_ATTEMPTS,
+      confirmation_email_next_attempt_at: null
+    })
+  ]);
+
+  const summary = await retryConfirmationEmails(supabase);
+
+  assert.deepEqual(summary, { due: 1, sent: 1, skipped: 0, failed: 0 });
+  assert.deepEqual(email.sent, ['customer1@example.com']);
+});
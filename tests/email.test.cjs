@@ -0,0 +1,76 @@
+// tests/email.test.cjs - Which transport sends an email, and when it falls back
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const gmail = require('../netlify/functions/utils/email/transports/gmail');
+const supabaseFunction = require('../netlify/functions/utils/email/transports/supabase-function');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+
+// Stubbed transports, replaced before utils/email picks up the factories.
+// `gmailError` is what the admin's Gmail transport throws (null: it sends).
+let gmailError = null;
+const sent = [];
+
+test.mock.method(gmail, 'createGmailTransport', () => ({
+  name: 'gmail',
+  send: async (message) => {
+    if (gmailError) throw gmailError;
+    sent.push({ transport: 'gmail', to: message.to });
+    return { messageId: 'gmail_1' };
+  }
+}));
+test.mock.method(supabaseFunction, 'createSupabaseFunctionTransport', () => ({
+  name: 'supabase',
+  send: async (message) => {
+    sent.push({ transport: 'supabase', to: message.to });
+    return { messageId: 'supabase_1' };
+  }
+}));
+
+const { sendEmail } = require('../netlify/functions/utils/email');
+
+const ADMIN_ID = 'admin-1';
+
+const createDatabase = () => createFakeSupabase({
+  form_admins: [{ id: ADMIN_ID, email_transport: 'gmail' }]
+});
+
+const sendConfirmation = (supabase) => sendEmail(supabase, {
+  adminId: ADMIN_ID,
+  to: 'customer@example.com',
+  template: 'confirmation',
+  data: { customerName: 'Asha Rao', productName: 'Course', amount: 2999, orderId: 'payform_1', paymentId: 'pay_1' }
+});
+
+test.beforeEach(() => {
+  gmailError = null;
+  sent.length = 0;
+});
+
+test('an email goes out through the admin\'s chosen transport', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  const result = await sendConfirmation(createDatabase());
+
+  assert.equal(result.transport, 'gmail');
+  assert.deepEqual(sent, [{ transport: 'gmail', to: 'customer@example.com' }]);
+});
+
+test('a Gmail authorization failure falls back to the platform transport', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  gmailError = Object.assign(new Error('Gmail authorization failed: invalid_grant'), { authFailure: true });
+
+  const result = await sendConfirmation(createDatabase());
+
+  assert.equal(result.transport, 'supabase');
+  assert.equal(result.messageId, 'supabase_1');
+  assert.deepEqual(sent, [{ transport: 'supabase', to: 'customer@example.com' }]);
+});
+
+test('any other Gmail error is thrown without sending the email again', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  gmailError = Object.assign(new Error('Backend Error'), { code: 503 });
+
+  await assert.rejects(sendConfirmation(createDatabase()), /Backend Error/);
+  assert.deepEqual(sent, []);
+});
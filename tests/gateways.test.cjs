@@ -0,0 +1,231 @@
+// tests/gateways.test.cjs - Gateway adapters against recorded provider HTTP
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRecordedHttp, loadGatewayFixtures } = require('./helpers/recorded-http.cjs');
+const { createRazorpayAdapter } = require('../netlify/functions/utils/gateways/razorpay');
+const { createCashfreeAdapter } = require('../netlify/functions/utils/gateways/cashfree');
+const { createStripeAdapter } = require('../netlify/functions/utils/gateways/stripe');
+
+const EXPIRES_AT = new Date('2026-10-26T10:00:00.000Z');
+const ORDER_ID = 'payform_1792404000000_k3j9x2m1q';
+
+// Run `fn` with an adapter replaying `scenario`, and check every request was made
+const withRecording = (fixtures, createAdapter) => async (scenario, fn) => {
+  const http = createRecordedHttp(fixtures[scenario]);
+  await fn(createAdapter(http));
+  http.done();
+};
+
+// Razorpay
+
+const razorpayFixtures = loadGatewayFixtures('razorpay');
+const razorpay = withRecording(razorpayFixtures, (http) => createRazorpayAdapter({
+  keyId: 'rzp_test_PayForm01',
+  keySecret: 'rzp_key_secret',
+  webhookSecret: razorpayFixtures.webhook.secret,
+  http
+}));
+
+test('razorpay createPaymentLink creates a link in paise and returns its short URL', () =>
+  razorpay('createPaymentLink', async (adapter) => {
+    const link = await adapter.createPaymentLink({
+      amount: 2999,
+      description: 'Course - ₹2999',
+      customer: { name: 'Asha Rao', email: 'asha@example.com' },
+      notes: { form_id: 'form-1', product_sku: 'COURSE' },
+      returnUrl: 'https://payform.test/.netlify/functions/verify-razorpay-payment',
+      expiresAt: EXPIRES_AT
+    });
+
+    assert.equal(link.id, 'plink_PfA1b2C3d4E5f6');
+    assert.equal(link.url, 'https://rzp.io/i/Pf3x9Kq');
+    assert.equal(link.status, 'pending');
+  }));
+
+test('razorpay fetchPayment reads a paid payment link and its captured payment', () =>
+  razorpay('fetchPaymentLink', async (adapter) => {
+    const payment = await adapter.fetchPayment('plink_PfA1b2C3d4E5f6');
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amount, 2999);
+    assert.equal(payment.amountPaid, 2999);
+    assert.equal(payment.paymentId, 'pay_PfA1b2C3d4E5f7');
+    assert.equal(payment.orderId, 'plink_PfA1b2C3d4E5f6');
+  }));
+
+test('razorpay fetchPayment reads a payment by its pay_ ID', () =>
+  razorpay('fetchPayment', async (adapter) => {
+    const payment = await adapter.fetchPayment('pay_PfA1b2C3d4E5f7');
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amountPaid, 2999);
+    assert.equal(payment.orderId, 'order_PfA1b2C3d4E5f8');
+  }));
+
+test('razorpay refund refunds part of a payment in paise', () =>
+  razorpay('refund', async (adapter) => {
+    const refund = await adapter.refund({ paymentId: 'pay_PfA1b2C3d4E5f7', amount: 1000, reason: 'Customer request', notes: { refund_id: 'refund-1' } });
+
+    assert.deepEqual({ id: refund.id, status: refund.status, amount: refund.amount }, { id: 'rfnd_PfA1b2C3d4E5f9', status: 'processed', amount: 1000 });
+  }));
+
+test('razorpay refund surfaces the provider error', () =>
+  razorpay('refundRejected', async (adapter) => {
+    await assert.rejects(adapter.refund({ paymentId: 'pay_PfA1b2C3d4E5f7', amount: 5000 }), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /greater than amount captured/);
+      assert.equal(error.details.error.code, 'BAD_REQUEST_ERROR');
+      return true;
+    });
+  }));
+
+test('razorpay verifyWebhook accepts the recorded delivery and refuses a changed body', () => {
+  const { body, headers } = razorpayFixtures.webhook;
+  const adapter = createRazorpayAdapter({ webhookSecret: razorpayFixtures.webhook.secret });
+
+  assert.equal(adapter.verifyWebhook({ rawBody: body, headers }), true);
+  assert.equal(adapter.verifyWebhook({ rawBody: body.replace('299900', '100'), headers }), false);
+  assert.equal(createRazorpayAdapter({}).verifyWebhook({ rawBody: body, headers }), false);
+});
+
+// Cashfree
+
+const cashfreeFixtures = loadGatewayFixtures('cashfree');
+const cashfree = withRecording(cashfreeFixtures, (http) => createCashfreeAdapter({
+  appId: 'cf_app_id',
+  secretKey: 'cf_secret_key',
+  webhookSecret: cashfreeFixtures.webhook.secret,
+  environment: 'sandbox',
+  http
+}));
+
+test('cashfree createPaymentLink creates a link under our order ID', () =>
+  cashfree('createPaymentLink', async (adapter) => {
+    const link = await adapter.createPaymentLink({
+      orderId: ORDER_ID,
+      amount: 2999,
+      description: 'Payment for Course - ₹2999',
+      customer: { name: 'Asha Rao', email: 'asha@example.com', phone: '9876543210' },
+      notes: { form_id: 'form-1' },
+      returnUrl: `https://payform.test/.netlify/functions/verify-cashfree-payment?order_id=${ORDER_ID}`,
+      expiresAt: EXPIRES_AT
+    });
+
+    assert.equal(link.id, ORDER_ID);
+    assert.equal(link.url, 'https://payments-test.cashfree.com/links/k3j9x2m1q');
+    assert.equal(link.status, 'pending');
+  }));
+
+test('cashfree fetchPayment reads a paid link and the order refunds go against', () =>
+  cashfree('fetchPaidLink', async (adapter) => {
+    const payment = await adapter.fetchPayment(ORDER_ID);
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amountPaid, 2999);
+    assert.equal(payment.paymentId, '3481201937');
+    assert.equal(payment.orderId, 'CFPay_payform_1792404000000_k3j9x2m1q_a81x');
+    assert.equal(payment.customer.email, 'asha@example.com');
+  }));
+
+test('cashfree fetchPayment falls back to the order for references made before links', () =>
+  cashfree('fetchLegacyOrder', async (adapter) => {
+    const payment = await adapter.fetchPayment('payform_1760000000000_old');
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amount, 1499);
+    assert.equal(payment.orderId, 'payform_1760000000000_old');
+  }));
+
+test('cashfree refund raises a refund against the paid order', () =>
+  cashfree('refund', async (adapter) => {
+    const refund = await adapter.refund({
+      orderId: 'CFPay_payform_1792404000000_k3j9x2m1q_a81x',
+      amount: 1000,
+      refundId: 'refund-1',
+      reason: 'Customer request'
+    });
+
+    assert.deepEqual({ id: refund.id, status: refund.status, amount: refund.amount }, { id: 'refund-1', status: 'pending', amount: 1000 });
+  }));
+
+test('cashfree refund surfaces the provider error', () =>
+  cashfree('refundRejected', async (adapter) => {
+    await assert.rejects(adapter.refund({ orderId: 'CFPay_payform_1792404000000_k3j9x2m1q_a81x', amount: 5000, refundId: 'refund-2' }), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.details.code, 'refund_amount_invalid');
+      return true;
+    });
+  }));
+
+test('cashfree verifyWebhook accepts the recorded delivery within 300s and nothing else', () => {
+  const { body, headers } = cashfreeFixtures.webhook;
+  const adapter = createCashfreeAdapter({ webhookSecret: cashfreeFixtures.webhook.secret });
+  const sentAt = Number(headers['x-webhook-timestamp']);
+
+  assert.equal(adapter.verifyWebhook({ rawBody: body, headers, now: sentAt + 299 * 1000 }), true);
+  assert.equal(adapter.verifyWebhook({ rawBody: body, headers, now: sentAt + 301 * 1000 }), false);
+  assert.equal(adapter.verifyWebhook({ rawBody: body.replace('SUCCESS', 'FAILED'), headers, now: sentAt }), false);
+});
+
+// Stripe
+
+const stripeFixtures = loadGatewayFixtures('stripe');
+const stripe = withRecording(stripeFixtures, (http) => createStripeAdapter({
+  secretKey: 'sk_test_PayForm01',
+  webhookSecret: stripeFixtures.webhook.secret,
+  http
+}));
+
+test('stripe createPaymentLink creates a checkout session in the minor unit', () =>
+  stripe('createPaymentLink', async (adapter) => {
+    const session = await adapter.createPaymentLink({
+      orderId: ORDER_ID,
+      amount: 2999,
+      description: 'Course - ₹2999',
+      customer: { email: 'asha@example.com' },
+      notes: { form_id: 'form-1' },
+      returnUrl: 'https://payform.test/thank-you',
+      expiresAt: EXPIRES_AT
+    });
+
+    assert.equal(session.id, 'cs_test_a1PfA1b2C3d4');
+    assert.equal(session.url, 'https://checkout.stripe.com/c/pay/cs_test_a1PfA1b2C3d4');
+    assert.equal(session.status, 'pending');
+  }));
+
+test('stripe fetchPayment reads a completed checkout session', () =>
+  stripe('fetchPayment', async (adapter) => {
+    const payment = await adapter.fetchPayment('cs_test_a1PfA1b2C3d4');
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amountPaid, 2999);
+    assert.equal(payment.paymentId, 'pi_3PfA1b2C3d4E5f6');
+    assert.equal(payment.orderId, ORDER_ID);
+    assert.equal(payment.customer.name, 'Asha Rao');
+  }));
+
+test('stripe refund refunds part of a payment intent', () =>
+  stripe('refund', async (adapter) => {
+    const refund = await adapter.refund({ paymentId: 'pi_3PfA1b2C3d4E5f6', amount: 1000, reason: 'Customer request' });
+
+    assert.deepEqual({ id: refund.id, status: refund.status, amount: refund.amount }, { id: 're_3PfA1b2C3d4E5f6', status: 'processed', amount: 1000 });
+  }));
+
+test('stripe refund surfaces the provider error', () =>
+  stripe('refundRejected', async (adapter) => {
+    await assert.rejects(adapter.refund({ paymentId: 'pi_3PfA1b2C3d4E5f6', amount: 5000 }), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /greater than unrefunded amount/);
+      return true;
+    });
+  }));
+
+test('stripe verifyWebhook accepts the recorded delivery within 300s and nothing else', () => {
+  const { body, headers } = stripeFixtures.webhook;
+  const adapter = createStripeAdapter({ webhookSecret: stripeFixtures.webhook.secret });
+  const sentAt = 1792404014 * 1000;
+
+  assert.equal(adapter.verifyWebhook({ rawBody: body, headers, now: sentAt + 299 * 1000 }), true);
+  assert.equal(adapter.verifyWebhook({ rawBody: body, headers, now: sentAt + 301 * 1000 }), false);
+  assert.equal(adapter.verifyWebhook({ rawBody: body.replace('299900', '100'), headers, now: sentAt }), false);
+});
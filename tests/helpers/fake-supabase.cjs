@@ -0,0 +1,204 @@
+// tests/helpers/fake-supabase.cjs - In-memory stand-in for the Supabase client
+//
+// Supports the query builder calls the Netlify functions make: select /
+// insert / upsert (onConflict, ignoreDuplicates) / update / delete, the usual
+// filters (eq, neq, in, is, lt, lte, gt, gte, or with and(...) groups),
+// order, limit, single and maybeSingle. Embedded selects ("*, form_admins(...)")
+// return the row as stored, so tests store the embedded object on the row.
+//
+// Every query resolves on a later turn of the event loop, so two concurrent
+// runs interleave between queries the way they would against the database.
+// `unique` lists unique column sets per table; conflicting inserts fail with
+// code 23505 like Postgres.
+
+// Split "a,b,and(c,d)" on top-level commas
+const splitTopLevel = (expr) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of expr) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+};
+
+const compare = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+// One PostgREST filter (col.op.value) or and(...) group -> predicate
+const parseCondition = (condition) => {
+  if (condition.startsWith('and(')) {
+    const inner = splitTopLevel(condition.slice(4, -1)).map(parseCondition);
+    return row => inner.every(test => test(row));
+  }
+
+  const [column, op, ...rest] = condition.split('.');
+  let value = rest.join('.');
+  if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+
+  switch (op) {
+    case 'eq': return row => row[column] != null && String(row[column]) === value;
+    case 'neq': return row => String(row[column]) !== value;
+    case 'lt': return row => row[column] != null && compare(row[column], value) < 0;
+    case 'lte': return row => row[column] != null && compare(row[column], value) <= 0;
+    case 'gt': return row => row[column] != null && compare(row[column], value) > 0;
+    case 'gte': return row => row[column] != null && compare(row[column], value) >= 0;
+    case 'is': return row => (value === 'null' ? row[column] == null : String(row[column]) === value);
+    case 'in': {
+      const values = value.slice(1, -1).split(',');
+      return row => values.includes(String(row[column]));
+    }
+    case 'ilike': {
+      const pattern = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+      const regex = new RegExp(`^${pattern}$`, 'i');
+      return row => row[column] != null && regex.test(String(row[column]));
+    }
+    default:
+      throw new Error(`fake-supabase: unsupported filter ${op}`);
+  }
+};
+
+const createFakeSupabase = (tables = {}, { unique = {}, rpc = {} } = {}) => {
+  const db = tables;
+  let nextId = 1;
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const conflictsWith = (table, row, existing) =>
+    (unique[table] || []).some(columns =>
+      columns.every(column => row[column] != null && existing[column] === row[column]));
+
+  const from = (table) => {
+    db[table] = db[table] || [];
+
+    const filters = [];
+    const orders = [];
+    let action = 'select';
+    let values = null;
+    let options = {};
+    let limit = null;
+    let mode = 'many';
+
+    const matching = () => db[table].filter(row => filters.every(test => test(row)));
+
+    const run = () => {
+      if (action === 'insert' || action === 'upsert') {
+        const keys = options.onConflict ? options.onConflict.split(',') : null;
+        const written = [];
+
+        for (const value of values) {
+          const existing = db[table].find(row => (keys
+            ? keys.every(key => value[key] != null && row[key] === value[key])
+            : conflictsWith(table, value, row)));
+
+          if (existing) {
+            if (action === 'insert') {
+              return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+            }
+            if (!options.ignoreDuplicates) {
+              Object.assign(existing, value);
+              written.push(existing);
+            }
+            continue;
+          }
+
+          const row = { id: nextId++, created_at: new Date().toISOString(), ...value };
+          db[table].push(row);
+          written.push(row);
+        }
+
+        return { data: written.map(row => ({ ...row })), error: null };
+      }
+
+      if (action === 'update') {
+        const rows = matching();
+        rows.forEach(row => Object.assign(row, values));
+        return { data: rows.map(row => ({ ...row })), error: null };
+      }
+
+      if (action === 'delete') {
+        const rows = matching();
+        db[table] = db[table].filter(row => !rows.includes(row));
+        return { data: rows.map(row => ({ ...row })), error: null };
+      }
+
+      let rows = matching();
+      if (orders.length > 0) {
+        rows = [...rows].sort((a, b) => {
+          for (const [column, ascending] of orders) {
+            const order = a[column] == null ? 1 : b[column] == null ? -1 : compare(a[column], b[column]);
+            if (order !== 0) return ascending ? order : -order;
+          }
+          return 0;
+        });
+      }
+      if (limit != null) rows = rows.slice(0, limit);
+
+      return { data: rows.map(row => ({ ...row })), error: null };
+    };
+
+    const resolve = async () => {
+      await tick();
+      const result = run();
+      if (result.error || mode === 'many') return result;
+
+      const [row] = result.data;
+      if (mode === 'single' && !row) {
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      return { data: row || null, error: null };
+    };
+
+    const query = {
+      select() { return query; },
+      insert(rows) { action = 'insert'; values = Array.isArray(rows) ? rows : [rows]; return query; },
+      upsert(rows, upsertOptions = {}) { action = 'upsert'; values = Array.isArray(rows) ? rows : [rows]; options = upsertOptions; return query; },
+      update(fields) { action = 'update'; values = fields; return query; },
+      delete() { action = 'delete'; return query; },
+      eq(column, value) { filters.push(row => row[column] === value); return query; },
+      neq(column, value) { filters.push(row => row[column] !== value); return query; },
+      in(column, list) { filters.push(row => list.includes(row[column])); return query; },
+      is(column, value) { filters.push(row => (value === null ? row[column] == null : row[column] === value)); return query; },
+      lt(column, value) { filters.push(row => row[column] != null && compare(row[column], value) < 0); return query; },
+      lte(column, value) { filters.push(row => row[column] != null && compare(row[column], value) <= 0); return query; },
+      gt(column, value) { filters.push(row => row[column] != null && compare(row[column], value) > 0); return query; },
+      gte(column, value) { filters.push(row => row[column] != null && compare(row[column], value) >= 0); return query; },
+      or(expr) {
+        const conditions = splitTopLevel(expr).map(parseCondition);
+        filters.push(row => conditions.some(test => test(row)));
+        return query;
+      },
+      order(column, { ascending = true } = {}) { orders.push([column, ascending]); return query; },
+      limit(count) { limit = count; return query; },
+      single() { mode = 'single'; return resolve(); },
+      maybeSingle() { mode = 'maybeSingle'; return resolve(); },
+      then(onFulfilled, onRejected) { return resolve().then(onFulfilled, onRejected); }
+    };
+
+    return query;
+  };
+
+  return {
+    db,
+    from,
+    rpc: async (name, params) => {
+      await tick();
+      if (!rpc[name]) return { data: null, error: { message: `fake-supabase: no rpc ${name}` } };
+      return { data: await rpc[name](params, db), error: null };
+    }
+  };
+};
+
+module.exports = { createFakeSupabase };
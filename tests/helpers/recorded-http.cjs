@@ -0,0 +1,51 @@
+// tests/helpers/recorded-http.cjs - Replays recorded gateway HTTP exchanges
+//
+// createRecordedHttp(exchanges) returns a function with fetch's signature for
+// the gateway adapters' `http` option. Each call must match the next recorded
+// request (method, URL and body - JSON bodies compared parsed, others as
+// sent) and gets its recorded response back. `done()` fails if any recorded
+// exchange was never requested.
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'gateways');
+
+// tests/fixtures/gateways/<gateway>.json
+const loadGatewayFixtures = (gateway) =>
+  JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${gateway}.json`), 'utf8'));
+
+const parseBody = (body) => {
+  if (body === undefined || body === null) return undefined;
+  try {
+    return JSON.parse(body);
+  } catch (parseError) {
+    return body;
+  }
+};
+
+const createRecordedHttp = (exchanges) => {
+  const remaining = [...exchanges];
+
+  const http = async (url, { method = 'GET', body } = {}) => {
+    const exchange = remaining.shift();
+    assert.ok(exchange, `Unexpected request: ${method} ${url}`);
+
+    const { request, response } = exchange;
+    assert.equal(`${method} ${url}`, `${request.method} ${request.url}`);
+    assert.deepEqual(parseBody(body), request.body);
+
+    const text = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      statusText: response.statusText || '',
+      text: async () => text
+    };
+  };
+
+  http.done = () => assert.equal(remaining.length, 0, `${remaining.length} recorded request(s) never made`);
+  return http;
+};
+
+module.exports = { createRecordedHttp, loadGatewayFixtures };
@@ -0,0 +1,86 @@
+// tests/product-catalog.test.cjs - Server-side pricing of orders
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+const { priceLineItems, priceOrderRequest } = require('../netlify/functions/utils/product-catalog');
+
+const CATALOG_FORM = 'form-catalog';
+const LEGACY_FORM = 'form-legacy';
+
+const createDatabase = () => createFakeSupabase({
+  form_configs: [
+    { id: 1, form_id: CATALOG_FORM },
+    { id: 2, form_id: LEGACY_FORM }
+  ],
+  form_products: [
+    { id: 1, form_config_id: 1, sku: 'COURSE', label: 'Course - ₹2999', price_paise: 299900, currency: 'INR', is_active: true }
+  ],
+  pipeline_jobs: [{
+    id: 'job-1',
+    job_type: 'create_order',
+    form_id: LEGACY_FORM,
+    response_id: 'resp-1',
+    payload: { line_items: [{ label: 'Workshop - ₹1500', quantity: 2, unit_price: 1500 }] }
+  }]
+});
+
+test('catalog forms are priced from the catalog, whatever price the request carries', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const supabase = createDatabase();
+
+  const pricing = await priceOrderRequest(supabase, CATALOG_FORM, {
+    items: [{ label: 'Course - ₹2999', quantity: 1, unit_price: 1 }]
+  });
+
+  assert.equal(pricing.ok, true);
+  assert.equal(pricing.total, 2999);
+  assert.equal(pricing.lineItems[0].sku, 'COURSE');
+});
+
+test('orders for a form without a catalog are refused from the request alone', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const supabase = createDatabase();
+
+  const fromLabel = await priceOrderRequest(supabase, LEGACY_FORM, { items: [{ label: 'Workshop - ₹1', quantity: 1 }] });
+  const fromPrice = await priceOrderRequest(supabase, LEGACY_FORM, { items: [{ label: 'Workshop', quantity: 1, unit_price: 1 }] });
+
+  assert.equal(fromLabel.ok, false);
+  assert.equal(fromPrice.ok, false);
+});
+
+test('a form response is priced from the order the pipeline queued for it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const supabase = createDatabase();
+
+  const pricing = await priceOrderRequest(supabase, LEGACY_FORM, {
+    responseId: 'resp-1',
+    items: [{ label: 'Workshop - ₹1', quantity: 1 }]
+  });
+
+  assert.equal(pricing.ok, true);
+  assert.equal(pricing.total, 3000);
+  assert.deepEqual(pricing.lineItems.map(li => [li.label, li.quantity]), [['Workshop - ₹1500', 2]]);
+});
+
+test('an unknown form response is refused', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const supabase = createDatabase();
+
+  const pricing = await priceOrderRequest(supabase, LEGACY_FORM, {
+    responseId: 'resp-unknown',
+    items: [{ label: 'Workshop - ₹1500', quantity: 1 }]
+  });
+
+  assert.equal(pricing.ok, false);
+  assert.equal(pricing.error, 'Unknown form response');
+});
+
+test('the pipeline can price legacy forms from the option label', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const supabase = createDatabase();
+
+  const pricing = await priceLineItems(supabase, LEGACY_FORM, [{ label: 'Workshop - ₹1500', quantity: 1, unit_price: 1 }], { allowLabelPrices: true });
+
+  assert.equal(pricing.ok, true);
+  assert.equal(pricing.total, 1500);
+});
@@ -0,0 +1,227 @@
+// tests/response-pipeline.test.cjs - Claiming and processing form responses
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+const {
+  RESPONSE_LOCK_TIMEOUT_MS,
+  processFormResponses,
+  retryFormResponse
+} = require('../netlify/functions/utils/response-pipeline');
+
+process.env.URL = 'https://payform.test';
+process.env.SUPABASE_URL = 'https://supabase.test';
+
+const FORM_ID = 'form-1';
+const ADMIN_ID = 'admin-1';
+
+const makeResponse = (n) => ({
+  responseId: `resp-${n}`,
+  lastSubmittedTime: `2026-10-19T10:0${n}:00.000Z`,
+  answers: {
+    q_email: { textAnswers: { answers: [{ value: `customer${n}@example.com` }] } },
+    q_product: { textAnswers: { answers: [{ value: 'Course - ₹2999' }] } }
+  }
+});
+
+const createDatabase = ({ lastSubmittedAt = null } = {}) => createFakeSupabase({
+  form_configs: [{
+    id: 1,
+    form_id: FORM_ID,
+    form_name: 'Course signup',
+    admin_id: ADMIN_ID,
+    is_active: true,
+    created_at: '2026-10-01T00:00:00.000Z',
+    last_response_submitted_at: lastSubmittedAt,
+    form_admins: { id: ADMIN_ID, email: 'admin@example.com', preferred_gateway: 'cashfree' }
+  }],
+  form_products: [{ id: 1, form_config_id: 1, sku: 'COURSE', label: 'Course - ₹2999', price_paise: 299900, currency: 'INR', is_active: true }],
+  form_field_mappings: [{ form_id: FORM_ID, admin_id: ADMIN_ID, email_field_id: 'q_email', product_field_id: 'q_product' }],
+  form_admins: [{ id: ADMIN_ID, email: 'admin@example.com' }],
+  processed_form_responses: [],
+  pipeline_jobs: []
+}, {
+  unique: { processed_form_responses: [['form_id', 'response_id']] }
+});
+
+// Google Forms API client returning `responses` submitted at or after the filter time
+const createFormsClient = (responses, items = []) => ({
+  forms: {
+    get: async () => ({ data: { items } }),
+    responses: {
+      list: async ({ filter }) => {
+        const since = filter.replace('timestamp >= ', '');
+        return { data: { responses: responses.filter(r => r.lastSubmittedTime >= since) } };
+      },
+      get: async ({ responseId }) => ({ data: responses.find(r => r.responseId === responseId) })
+    }
+  }
+});
+
+// Stands in for create-cashfree-order and the send-payment-email edge function
+const stubFetch = (t) => {
+  const calls = { orders: [], emails: [] };
+
+  t.mock.method(global, 'fetch', async (url, init) => {
+    const body = JSON.parse(init.body);
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (url.endsWith('/create-cashfree-order')) {
+      calls.orders.push(body);
+      const orderId = `order_${calls.orders.length}`;
+      return { ok: true, status: 200, json: async () => ({ success: true, order_id: orderId, checkout_url: `https://pay.test/${orderId}` }) };
+    }
+
+    if (url.endsWith('/send-payment-email')) {
+      calls.emails.push(body);
+      return { ok: true, status: 200, json: async () => ({ success: true, messageId: `msg_${calls.emails.length}` }) };
+    }
+
+    throw new Error(`Unexpected fetch: ${url}`);
+  });
+
+  return calls;
+};
+
+const getForm = (supabase) => ({ ...supabase.db.form_configs[0] });
+
+test('two monitors running at once create one order and one email per response', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = stubFetch(t);
+  const supabase = createDatabase();
+  const responses = [1, 2, 3].map(makeResponse);
+  const forms = createFormsClient(responses);
+
+  const results = await Promise.all([
+    processFormResponses(supabase, getForm(supabase), { forms }),
+    processFormResponses(supabase, getForm(supabase), { forms })
+  ]);
+
+  assert.equal(results[0].processed + results[1].processed, 3);
+  assert.equal(calls.orders.length, 3);
+  assert.deepEqual(calls.orders.map(o => o.response_id).sort(), responses.map(r => r.responseId));
+  assert.deepEqual(calls.emails.map(e => e.to).sort(), responses.map((r, i) => `customer${i + 1}@example.com`));
+
+  const rows = supabase.db.processed_form_responses;
+  assert.equal(rows.length, 3);
+  assert.ok(rows.every(row => row.status === 'completed'));
+
+  const orderJobs = supabase.db.pipeline_jobs.filter(job => job.job_type === 'create_order');
+  assert.equal(orderJobs.length, 3);
+  assert.equal(new Set(orderJobs.map(job => job.response_id)).size, 3);
+
+  assert.equal(supabase.db.form_configs[0].last_response_submitted_at, responses[2].lastSubmittedTime);
+});
+
+test('a mapping saved as entry.<itemId> is read through the question IDs and migrated', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = stubFetch(t);
+  const supabase = createDatabase();
+  Object.assign(supabase.db.form_field_mappings[0], { email_field_id: 'entry.1a2b', product_field_id: 'entry.3c4d' });
+  const items = [
+    { itemId: '1a2b', questionItem: { question: { questionId: 'q_email' } } },
+    { itemId: '3c4d', questionItem: { question: { questionId: 'q_product' } } }
+  ];
+
+  const result = await processFormResponses(supabase, getForm(supabase), { forms: createFormsClient([makeResponse(1)], items) });
+
+  assert.equal(result.processed, 1);
+  assert.deepEqual(calls.emails.map(e => e.to), ['customer1@example.com']);
+  assert.equal(supabase.db.form_field_mappings[0].email_field_id, 'q_email');
+  assert.equal(supabase.db.form_field_mappings[0].product_field_id, 'q_product');
+});
+
+test('a response that fails before reaching the job queue is marked failed, not left processing', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  stubFetch(t);
+  const supabase = createDatabase();
+
+  // Loading the catalog fails for this run
+  const from = supabase.from;
+  t.mock.method(supabase, 'from', (table) => {
+    if (table === 'form_products') throw new Error('connection reset');
+    return from(table);
+  });
+
+  const result = await processFormResponses(supabase, getForm(supabase), { forms: createFormsClient([makeResponse(1)]) });
+
+  assert.equal(result.errors, 1);
+  const [row] = supabase.db.processed_form_responses;
+  assert.equal(row.status, 'failed');
+  assert.match(row.error_message, /connection reset/);
+  assert.equal(supabase.db.pipeline_jobs.length, 0);
+});
+
+test('a response abandoned mid-intake is reclaimed once its claim goes stale', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = stubFetch(t);
+  const supabase = createDatabase();
+  const response = makeResponse(1);
+
+  // A run that crashed after claiming, before queueing a job
+  supabase.db.processed_form_responses.push({
+    id: 100,
+    form_id: FORM_ID,
+    response_id: response.responseId,
+    status: 'processing',
+    processed_at: new Date(Date.now() - RESPONSE_LOCK_TIMEOUT_MS - 1000).toISOString()
+  });
+
+  const result = await processFormResponses(supabase, getForm(supabase), { forms: createFormsClient([response]) });
+
+  assert.equal(result.processed, 1);
+  assert.equal(calls.orders.length, 1);
+  assert.equal(supabase.db.processed_form_responses[0].status, 'completed');
+});
+
+test('a response another run is still processing holds the cursor', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  stubFetch(t);
+  const supabase = createDatabase();
+  const responses = [1, 2].map(makeResponse);
+
+  supabase.db.processed_form_responses.push({
+    id: 100,
+    form_id: FORM_ID,
+    response_id: responses[0].responseId,
+    status: 'processing',
+    processed_at: new Date().toISOString()
+  });
+
+  const result = await processFormResponses(supabase, getForm(supabase), { forms: createFormsClient(responses) });
+
+  assert.equal(result.processed, 1);
+  assert.equal(supabase.db.processed_form_responses[0].status, 'processing');
+  assert.equal(supabase.db.form_configs[0].last_response_submitted_at, responses[0].lastSubmittedTime);
+});
+
+test('a manual retry that fails again hands the row back as failed', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const supabase = createDatabase();
+
+  supabase.db.processed_form_responses.push({ id: 100, form_id: FORM_ID, response_id: 'resp-1', status: 'failed' });
+  supabase.db.pipeline_jobs.push({
+    id: 'job-1',
+    job_type: 'create_order',
+    form_id: FORM_ID,
+    response_id: 'resp-1',
+    payload: {},
+    status: 'failed',
+    attempts: 5,
+    max_attempts: 5
+  });
+
+  // The job store goes away between requeueing and running the job
+  const from = supabase.from;
+  let jobQueries = 0;
+  t.mock.method(supabase, 'from', (table) => {
+    if (table === 'pipeline_jobs' && ++jobQueries > 2) throw new Error('database unavailable');
+    return from(table);
+  });
+
+  const result = await retryFormResponse(supabase, FORM_ID, 'resp-1');
+
+  assert.equal(result.status, 'failed');
+  assert.equal(supabase.db.processed_form_responses[0].status, 'failed');
+});
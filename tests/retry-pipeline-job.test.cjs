@@ -0,0 +1,102 @@
+// tests/retry-pipeline-job.test.cjs - Manual retries of failed form responses
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+
+process.env.SUPABASE_URL = 'https://supabase.test';
+
+const FORM_ID = 'form-1';
+const OWNER_ID = 'admin-1';
+
+// Both functions create their Supabase client at load; hand them the test's database
+let database = null;
+const client = {
+  from: (table) => database.from(table),
+  rpc: (name, params) => database.rpc(name, params),
+  auth: {
+    getUser: async (token) => (token === 'owner-token' || token === 'other-token'
+      ? { data: { user: { id: token === 'owner-token' ? OWNER_ID : 'admin-2', email: 'admin@example.com' } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid JWT' } })
+  }
+};
+test.mock.method(supabaseJs, 'createClient', () => client);
+
+const { handler: retryHandler } = require('../netlify/functions/retry-pipeline-job');
+const { handler: workerHandler } = require('../netlify/functions/process-pipeline-jobs');
+
+const createDatabase = () => createFakeSupabase({
+  form_configs: [{ id: 1, form_id: FORM_ID, admin_id: OWNER_ID, is_active: true }],
+  form_admins: [
+    { id: OWNER_ID, role: 'form_admin', email_transport: 'supabase' },
+    { id: 'admin-2', role: 'form_admin' }
+  ],
+  processed_form_responses: [{ id: 1, form_id: FORM_ID, response_id: 'resp-1', status: 'failed' }],
+  pipeline_jobs: [{
+    id: 'job-1',
+    job_type: 'send_payment_email',
+    form_id: FORM_ID,
+    response_id: 'resp-1',
+    payload: { admin_id: OWNER_ID, customer_email: 'customer@example.com', product_name: 'Course', product_price: 2999, checkout_url: 'https://pay.test/order_1', order_id: 'order_1' },
+    status: 'failed',
+    attempts: 5,
+    max_attempts: 5
+  }]
+});
+
+const retry = (token, body) => retryHandler({
+  httpMethod: 'POST',
+  path: '/.netlify/functions/retry-pipeline-job',
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  body: JSON.stringify(body)
+}, {});
+
+test('a retry needs a signed-in admin', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  database = createDatabase();
+
+  const response = await retry(null, { action: 'retryFailed', form_id: FORM_ID });
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(database.db.pipeline_jobs[0].status, 'failed');
+});
+
+test('an admin cannot retry another admin\'s form', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  database = createDatabase();
+
+  const response = await retry('other-token', { action: 'retryFailed', form_id: FORM_ID });
+
+  assert.equal(response.statusCode, 404);
+  assert.equal(database.db.pipeline_jobs[0].status, 'failed');
+});
+
+test('the form owner\'s retry requeues the failed job and runs it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(global, 'fetch', async () => ({ ok: true, status: 200, json: async () => ({ success: true, messageId: 'msg_1' }) }));
+  database = createDatabase();
+
+  const response = await retry('owner-token', { action: 'retryResponse', form_id: FORM_ID, response_id: 'resp-1' });
+  const body = JSON.parse(response.body);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(body.results[0].status, 'completed');
+  assert.equal(database.db.pipeline_jobs[0].status, 'completed');
+  assert.equal(database.db.processed_form_responses[0].status, 'completed');
+});
+
+test('the scheduled worker only drains due jobs and ignores retry requests', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  database = createDatabase();
+
+  const response = await workerHandler({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ action: 'retryFailed', form_id: FORM_ID })
+  }, {});
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(JSON.parse(response.body).summary.due, 0);
+  assert.equal(database.db.pipeline_jobs[0].status, 'failed');
+  assert.equal(database.db.processed_form_responses[0].status, 'failed');
+});
@@ -0,0 +1,155 @@
+// tests/transaction-export.test.cjs - Inline and background transaction exports
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+
+process.env.URL = 'https://payform.test';
+process.env.SUPABASE_URL = 'https://supabase.test';
+
+const ADMIN_ID = 'admin-1';
+
+// The functions create their Supabase client at load; hand them the test's database
+let database = null;
+const client = {
+  from: (table) => database.from(table),
+  rpc: (name, params) => database.rpc(name, params),
+  get storage() { return database.storage; },
+  auth: {
+    getUser: async (token) => (token === 'admin-token'
+      ? { data: { user: { id: ADMIN_ID, email: 'admin@example.com' } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid JWT' } })
+  }
+};
+test.mock.method(supabaseJs, 'createClient', () => client);
+
+const { handler } = require('../netlify/functions/export-transactions');
+const { handler: backgroundHandler } = require('../netlify/functions/build-transaction-export-background');
+const { MAX_INLINE_EXPORT_ROWS, buildQueuedExport } = require('../netlify/functions/utils/transaction-export');
+
+const makeTransaction = (n) => ({
+  id: n,
+  transaction_id: `payform_${n}`,
+  admin_id: ADMIN_ID,
+  form_id: 'form-1',
+  email: `customer${n}@example.com`,
+  product_name: 'Course',
+  payment_amount: 2999,
+  payment_status: 'paid',
+  is_test: false,
+  created_at: `2026-10-0${n}T10:00:00.000Z`
+});
+
+// `matching` is what transaction_search_totals reports, so a large export
+// doesn't need that many rows
+const createDatabase = ({ matching = 3 } = {}) => {
+  const supabase = createFakeSupabase({
+    transactions: [1, 2, 3].map(makeTransaction),
+    form_configs: [{ form_id: 'form-1', form_name: 'Course signup', admin_id: ADMIN_ID }],
+    form_admins: [{ id: ADMIN_ID, role: 'form_admin' }],
+    transaction_exports: []
+  }, {
+    rpc: { transaction_search_totals: () => [{ transactions: matching }] }
+  });
+
+  // Supabase Storage: the transaction-exports bucket
+  const files = {};
+  supabase.files = files;
+  supabase.storage = {
+    from: () => ({
+      upload: async (path, body) => { files[path] = body; return { data: { path }, error: null }; },
+      remove: async (paths) => { paths.forEach(path => delete files[path]); return { data: paths, error: null }; },
+      createSignedUrl: async (path, expiresIn, { download }) => ({
+        data: { signedUrl: `https://supabase.test/storage/v1/object/sign/transaction-exports/${path}?download=${download}` },
+        error: null
+      })
+    })
+  };
+
+  return supabase;
+};
+
+const request = (params) => handler({
+  httpMethod: 'GET',
+  path: '/.netlify/functions/export-transactions',
+  headers: { authorization: 'Bearer admin-token' },
+  queryStringParameters: params
+}, {});
+
+test('a small export comes back as the file itself', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  database = createDatabase();
+
+  const response = await request({ format: 'csv' });
+  const csv = Buffer.from(response.body, 'base64').toString('utf8');
+
+  assert.equal(response.statusCode, 200);
+  assert.match(response.headers['Content-Disposition'], /payform-transactions-.*\.csv/);
+  assert.equal(csv.trim().split('\r\n').length, 4);
+  assert.equal(database.db.transaction_exports.length, 0);
+});
+
+test('an export above the inline limit is queued and built in the background', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  database = createDatabase({ matching: MAX_INLINE_EXPORT_ROWS + 1 });
+
+  // Netlify answers 202 for a background function and runs it separately
+  const started = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    started.push({ url, init });
+    return { ok: true, status: 202 };
+  });
+
+  const response = await request({ format: 'csv', status: 'paid' });
+  const queued = JSON.parse(response.body).export;
+
+  assert.equal(response.statusCode, 202);
+  assert.equal(queued.status, 'pending');
+  assert.equal(started.length, 1);
+  assert.match(started[0].url, /\/build-transaction-export-background$/);
+  assert.equal(started[0].init.headers.Authorization, 'Bearer admin-token');
+
+  const built = await backgroundHandler({
+    httpMethod: 'POST',
+    path: '/.netlify/functions/build-transaction-export-background',
+    headers: started[0].init.headers,
+    body: started[0].init.body
+  }, {});
+  assert.equal(built.statusCode, 200);
+
+  const status = await request({ export_id: queued.id });
+  const ready = JSON.parse(status.body).export;
+
+  assert.equal(ready.status, 'ready');
+  assert.equal(ready.rowCount, 3);
+  assert.match(ready.downloadUrl, /transaction-exports\/admin-1\/.+\.csv/);
+
+  const [file] = Object.values(database.files);
+  assert.equal(file.toString('utf8').trim().split('\r\n').length, 4);
+});
+
+test('a queued export is only built once', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  database = createDatabase();
+  database.db.transaction_exports.push({ id: 'export-1', admin_id: ADMIN_ID, format: 'xlsx', filters: { statuses: [], includeTest: true, sort: 'date', order: 'desc' }, status: 'pending', created_at: new Date().toISOString() });
+
+  const results = await Promise.all([
+    buildQueuedExport(database, ADMIN_ID, 'export-1'),
+    buildQueuedExport(database, ADMIN_ID, 'export-1')
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['ready', 'skipped']);
+  assert.equal(Object.keys(database.files).length, 1);
+});
+
+test('an export that cannot start is marked failed', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(global, 'fetch', async () => ({ ok: false, status: 503 }));
+  database = createDatabase({ matching: MAX_INLINE_EXPORT_ROWS + 1 });
+
+  const response = await request({ format: 'xlsx' });
+
+  assert.equal(response.statusCode, 500);
+  assert.equal(database.db.transaction_exports[0].status, 'failed');
+});
@@ -0,0 +1,34 @@
+// tests/transaction-search.test.cjs - Filtering an admin's transactions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+const { parseSearchParams, searchTransactions } = require('../netlify/functions/utils/transaction-search');
+
+const ADMIN_ID = 'admin-1';
+
+const makeTransaction = (id, fields) => ({
+  id,
+  admin_id: ADMIN_ID,
+  payment_amount: 2999,
+  payment_status: 'paid',
+  created_at: `2026-10-0${id}T10:00:00.000Z`,
+  ...fields
+});
+
+test('the razorpay filter includes transactions stored under a provider alias', async () => {
+  const supabase = createFakeSupabase({
+    transactions: [
+      makeTransaction(1, { gateway_used: 'razorpay', payment_provider: 'razorpay_link' }),
+      makeTransaction(2, { gateway_used: null, payment_provider: 'razorpay_link' }),
+      makeTransaction(3, { gateway_used: null, payment_provider: 'razorpay_route' }),
+      makeTransaction(4, { gateway_used: null, payment_provider: 'razorpay' }),
+      makeTransaction(5, { gateway_used: 'cashfree', payment_provider: 'cashfree' })
+    ]
+  });
+
+  const razorpay = await searchTransactions(supabase, ADMIN_ID, parseSearchParams({ gateway: 'razorpay', order: 'asc' }));
+  const cashfree = await searchTransactions(supabase, ADMIN_ID, parseSearchParams({ gateway: 'cashfree' }));
+
+  assert.deepEqual(razorpay.rows.map(row => row.id), [1, 2, 3, 4]);
+  assert.deepEqual(cashfree.rows.map(row => row.id), [5]);
+});
@@ -0,0 +1,33 @@
+// tests/webhook-events.test.cjs - Storing and applying webhook deliveries
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+const { receiveWebhook } = require('../netlify/functions/utils/webhook-events');
+
+const paymentCaptured = JSON.stringify({
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', status: 'captured' } } }
+});
+
+const createDatabase = () => createFakeSupabase({
+  transactions: [{ id: 1, transaction_id: 'txn_1', razorpay_order_id: 'order_1', admin_id: 'admin-1', payment_status: 'pending' }],
+  webhook_events: []
+});
+
+for (const [name, signatureValid] of [['failed', false], ['was never checked', undefined], ['was skipped', null]]) {
+  test(`a delivery whose signature ${name} is rejected and not applied`, async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const supabase = createDatabase();
+
+    const result = await receiveWebhook(supabase, {
+      provider: 'razorpay',
+      headers: { 'x-razorpay-event-id': 'evt_1' },
+      rawBody: paymentCaptured,
+      signatureValid
+    });
+
+    assert.equal(result.status, 'rejected');
+    assert.equal(supabase.db.webhook_events[0].status, 'rejected');
+    assert.equal(supabase.db.transactions[0].payment_status, 'pending');
+  });
+}
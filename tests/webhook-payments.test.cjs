@@ -0,0 +1,91 @@
+// tests/webhook-payments.test.cjs - Side effects of payment webhook events
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeSupabase } = require('./helpers/fake-supabase.cjs');
+const { handleEvent } = require('../netlify/functions/utils/webhooks/cashfree');
+
+process.env.SUPABASE_URL = 'https://supabase.test';
+
+const ORDER_ID = 'payform_1';
+
+const paymentSuccess = () => ({
+  type: 'PAYMENT_SUCCESS_WEBHOOK',
+  data: {
+    order: { order_id: ORDER_ID },
+    payment: { cf_payment_id: 'cf_pay_1', payment_status: 'SUCCESS', payment_method: { upi: {} } }
+  }
+});
+
+const createDatabase = ({ paymentStatus = 'pending', commissions = [] } = {}) => createFakeSupabase({
+  transactions: [{
+    id: 7,
+    transaction_id: ORDER_ID,
+    admin_id: 'admin-1',
+    email: 'customer@example.com',
+    customer_name: 'Customer',
+    product_name: 'Course',
+    payment_amount: 2999,
+    payment_status: paymentStatus,
+    platform_commission: 89.97,
+    gateway_fee: 77.98,
+    net_amount_to_admin: 2831.05
+  }],
+  platform_commissions: commissions,
+  form_admins: [{ id: 'admin-1', email_transport: 'supabase' }]
+}, {
+  unique: { platform_commissions: [['transaction_id']] }
+});
+
+// Stands in for the send-payment-email edge function
+const stubEmail = (t) => {
+  const sent = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    return { ok: true, status: 200, json: async () => ({ success: true, messageId: `msg_${sent.length}` }) };
+  });
+  return sent;
+};
+
+test('a payment already marked paid by the redirect still gets its commission and confirmation', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const sent = stubEmail(t);
+  const supabase = createDatabase({
+    paymentStatus: 'paid',
+    commissions: [{ id: 1, transaction_id: 7, commission_amount: 89.97, status: 'pending' }]
+  });
+
+  const result = await handleEvent(supabase, paymentSuccess());
+
+  assert.equal(result.status, 'processed');
+  assert.equal(supabase.db.platform_commissions.length, 1);
+  assert.equal(supabase.db.platform_commissions[0].status, 'completed');
+  assert.equal(sent.length, 1);
+  assert.equal(supabase.db.transactions[0].confirmation_email_status, 'sent');
+});
+
+test('a delivery that failed after marking the payment paid is finished by the retry', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const sent = stubEmail(t);
+  const supabase = createDatabase();
+
+  // The commission table is unavailable for the first delivery
+  const from = supabase.from;
+  let failing = true;
+  t.mock.method(supabase, 'from', (table) => {
+    if (table === 'platform_commissions' && failing) throw new Error('connection reset');
+    return from(table);
+  });
+
+  await assert.rejects(handleEvent(supabase, paymentSuccess()), /connection reset/);
+  assert.equal(supabase.db.transactions[0].payment_status, 'paid');
+  assert.equal(sent.length, 0);
+
+  failing = false;
+  await handleEvent(supabase, paymentSuccess());
+  await handleEvent(supabase, paymentSuccess());
+
+  assert.equal(supabase.db.platform_commissions.length, 1);
+  assert.equal(supabase.db.platform_commissions[0].status, 'completed');
+  assert.equal(sent.length, 1);
+});
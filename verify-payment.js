@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const { getGateway } = require('./netlify/functions/utils/gateways');
 
 exports.handler = async (event, context) => {
   // Enable CORS
@@ -58,17 +59,11 @@ exports.handler = async (event, context) => {
     console.log('Verifying payment with Stripe...');
 
     // Verify payment with Stripe
-    const stripeResponse = await fetch(`https://api.stripe.com/v1/checkout/sessions/${session_id}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${STRIPE_SECRET_KEY}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    });
-
-    if (!stripeResponse.ok) {
-      const errorText = await stripeResponse.text();
-      console.error('Stripe API error:', stripeResponse.status, errorText);
+    let payment;
+    try {
+      payment = await getGateway('stripe').fetchPayment(session_id);
+    } catch (stripeError) {
+      console.error('Stripe API error:', stripeError.statusCode, stripeError.message);
       return {
         statusCode: 500,
         headers,
@@ -76,11 +71,11 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const session = await stripeResponse.json();
+    const session = payment.raw;
     console.log('Stripe session status:', session.payment_status);
     console.log('Stripe session metadata:', session.metadata);
 
-    if (session.payment_status === 'paid') {
+    if (payment.status === 'paid') {
       console.log('Payment confirmed, logging transaction...');
 
       // Extract product details from line items or metadata
@@ -96,9 +91,10 @@ exports.handler = async (event, context) => {
         form_id: form_id,
         email: email,
         payment_provider: 'stripe',
-        payment_status: session.payment_status,
+        payment_status: payment.status,
         payment_amount: session.amount_total / 100,
         payment_currency: session.currency,
+        is_test: !session.livemode,
         transaction_id: session.payment_intent,
         product_name: productName, // Add product name
         product_price: parseFloat(productPrice), // Add product price